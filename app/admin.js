@@ -0,0 +1,237 @@
+import { ethers, loadApp, connectWallet, describeError, explorerUrl, shortAddress, showStatus } from './common.js';
+
+const $ = id => document.getElementById(id);
+const status = $('status');
+
+const { config, abis, errorMessages, errorInterface } = await loadApp();
+let session = null;
+let preview = null;
+const batch = [];
+
+$('collection').textContent = config.collection;
+$('distributor').textContent = config.distributor;
+$('network').textContent = config.network.name;
+$('safe').value = config.safe || '';
+
+function describe(error) {
+  return describeError(error, errorInterface, errorMessages);
+}
+
+async function postJson(url, body) {
+  const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const json = await res.json();
+  if (!res.ok) throw new Error(json.error || `${url}: HTTP ${res.status}`);
+  return json;
+}
+
+/**
+ * Address writes are simulated from: the connected wallet, or the Safe that owns the contracts.
+ * @returns {{ kind: 'wallet'|'safe', address: string }}
+ */
+function sender() {
+  if (document.querySelector('input[name="sender"]:checked').value === 'wallet') {
+    return { kind: 'wallet', address: session.account };
+  }
+  const safe = $('safe').value.trim();
+  if (!ethers.utils.isAddress(safe)) throw new Error('Enter the Safe address to simulate from the Safe.');
+  return { kind: 'safe', address: ethers.utils.getAddress(safe) };
+}
+
+const yesNo = value => (value ? 'Yes' : 'No');
+
+async function refresh() {
+  const { collection, distributor } = session;
+  let from;
+  try {
+    from = sender().address;
+  } catch (error) {
+    from = session.account;
+  }
+
+  const [adminRole, owner, merkleRoot, baseURI, registered, oracle, feeDenominator, sharesDenominator] = await Promise.all([
+    distributor.DEFAULT_ADMIN_ROLE(),
+    collection.owner(),
+    collection.getMerkleRoot(),
+    collection.baseTokenURI(),
+    distributor.isCollectionRegistered(config.collection),
+    distributor.trustedOracleAddress(),
+    distributor.FEE_DENOMINATOR(),
+    distributor.SHARES_DENOMINATOR()
+  ]);
+  const [collectionAdmin, distributorAdmin] = await Promise.all([
+    collection.hasRole(adminRole, from),
+    distributor.hasRole(adminRole, from)
+  ]);
+
+  $('owner').textContent = owner;
+  $('collection-admin').textContent = yesNo(collectionAdmin);
+  $('distributor-admin').textContent = yesNo(distributorAdmin);
+  $('merkle-root').textContent = merkleRoot;
+  $('base-uri').textContent = baseURI || '—';
+  $('oracle').textContent = oracle === ethers.constants.AddressZero ? 'Not set' : oracle;
+  $('registered').textContent = yesNo(registered);
+
+  if (registered) {
+    const { royaltyFeeNumerator, minterShares, creatorShares, creator } = await distributor.getCollectionConfig(config.collection);
+    const percent = (value, denominator) => `${(value.toNumber() * 100) / denominator.toNumber()}%`;
+    $('royalty-fee').textContent = `${royaltyFeeNumerator} / ${feeDenominator} (${percent(royaltyFeeNumerator, feeDenominator)})`;
+    $('shares').textContent = `${percent(minterShares, sharesDenominator)} / ${percent(creatorShares, sharesDenominator)}`;
+    $('creator').textContent = creator;
+  } else {
+    for (const id of ['royalty-fee', 'shares', 'creator']) $(id).textContent = '—';
+  }
+}
+
+/**
+ * Encode an owner action on the server and simulate it from the current sender. Nothing is
+ * sent until the preview is confirmed.
+ * @param {object} action `{ action, ...fields }`, as accepted by `npm run safe-batch`
+ */
+async function showPreview(action) {
+  const from = sender();
+  const { transactions: [transaction] } = await postJson('/api/transactions', { actions: [action] });
+
+  let result;
+  try {
+    const gas = await session.provider.estimateGas({ from: from.address, to: transaction.to, data: transaction.data });
+    result = { success: true, message: `Succeeds (gas ${gas})` };
+  } catch (error) {
+    result = { success: false, message: `Reverts: ${describe(error)}` };
+  }
+
+  preview = { action, transaction, from };
+  $('preview-call').textContent = transaction.description;
+  $('preview-from').textContent = `${from.address} (${from.kind === 'safe' ? 'Safe' : 'wallet'})`;
+  $('preview-to').textContent = transaction.to;
+  $('preview-data').textContent = transaction.data;
+  $('preview-result').textContent = result.message;
+  $('preview-result').className = result.success ? '' : 'error';
+  $('send').disabled = from.kind !== 'wallet' || !result.success;
+  $('preview').hidden = false;
+  $('preview').scrollIntoView({ behavior: 'smooth' });
+}
+
+async function sendPreview() {
+  const { transaction } = preview;
+  $('send').disabled = true;
+  try {
+    showStatus(status, 'Confirm the transaction in your wallet…');
+    const tx = await session.signer.sendTransaction({ to: transaction.to, data: transaction.data });
+    showStatus(status, `${transaction.description} submitted, waiting for confirmation…`, 'info', explorerUrl(config, 'tx', tx.hash));
+    await tx.wait();
+    showStatus(status, `${transaction.description} confirmed.`, 'success', explorerUrl(config, 'tx', tx.hash));
+    discardPreview();
+    await refresh();
+  } catch (error) {
+    showStatus(status, `Transaction failed: ${describe(error)}`, 'error');
+    $('send').disabled = false;
+  }
+}
+
+function discardPreview() {
+  preview = null;
+  $('preview').hidden = true;
+}
+
+function renderBatch() {
+  const list = $('batch');
+  list.replaceChildren();
+  batch.forEach(({ transaction }, index) => {
+    const item = document.createElement('li');
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => {
+      batch.splice(index, 1);
+      renderBatch();
+    });
+    const call = document.createElement('code');
+    call.textContent = transaction.description;
+    item.append(call, ' ', remove);
+    list.append(item);
+  });
+  $('batch-empty').hidden = batch.length > 0;
+  $('export').disabled = batch.length === 0;
+}
+
+async function exportBatch() {
+  const safe = $('safe').value.trim();
+  if (!ethers.utils.isAddress(safe)) {
+    return showStatus(status, 'Enter the Safe address the batch is for.', 'error');
+  }
+  try {
+    const file = await postJson('/api/safe-batch', { safe, actions: batch.map(({ action }) => action), name: $('batch-name').value.trim() });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([`${JSON.stringify(file, null, 2)}\n`], { type: 'application/json' }));
+    link.download = 'safe-batch.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+    showStatus(status, `Exported ${batch.length} transactions for Safe ${shortAddress(safe)}.`, 'success');
+  } catch (error) {
+    showStatus(status, `Export failed: ${error.message}`, 'error');
+  }
+}
+
+async function checkServiceRole(form) {
+  const account = form.elements.account.value.trim();
+  if (!ethers.utils.isAddress(account)) {
+    return showStatus(status, 'Enter the account to check.', 'error');
+  }
+  const { collection, distributor } = session;
+  const role = await distributor.SERVICE_ACCOUNT_ROLE();
+  const [onCollection, onDistributor] = await Promise.all([collection.hasRole(role, account), distributor.hasRole(role, account)]);
+  $('role-result').textContent = `${shortAddress(account)} has SERVICE_ACCOUNT_ROLE — collection: ${yesNo(onCollection)}, distributor: ${yesNo(onDistributor)}`;
+}
+
+for (const form of document.querySelectorAll('form[data-action]')) {
+  form.addEventListener('submit', async event => {
+    event.preventDefault();
+    // The service role form has one submit button per action
+    const name = event.submitter && event.submitter.value ? event.submitter.value : form.dataset.action;
+    const action = { action: name, ...Object.fromEntries([...new FormData(form)].map(([key, value]) => [key, value.trim()])) };
+    try {
+      showStatus(status, '');
+      await showPreview(action);
+    } catch (error) {
+      showStatus(status, describe(error), 'error');
+    }
+  });
+}
+
+$('check-role').addEventListener('click', event => checkServiceRole(event.target.form).catch(error => showStatus(status, describe(error), 'error')));
+$('send').addEventListener('click', sendPreview);
+$('discard').addEventListener('click', discardPreview);
+$('queue').addEventListener('click', () => {
+  batch.push(preview);
+  discardPreview();
+  renderBatch();
+});
+$('export').addEventListener('click', exportBatch);
+for (const input of document.querySelectorAll('input[name="sender"]')) {
+  input.addEventListener('change', () => refresh().catch(error => showStatus(status, describe(error), 'error')));
+}
+
+$('connect').addEventListener('click', async () => {
+  try {
+    const wallet = await connectWallet(config);
+    session = {
+      ...wallet,
+      collection: new ethers.Contract(config.collection, abis.collection, wallet.provider),
+      distributor: new ethers.Contract(config.distributor, abis.distributor, wallet.provider)
+    };
+    $('account').textContent = shortAddress(wallet.account);
+    $('connect').hidden = true;
+    $('dashboard').hidden = false;
+    showStatus(status, '');
+    renderBatch();
+    await refresh();
+  } catch (error) {
+    showStatus(status, describe(error), 'error');
+  }
+});
+
+if (window.ethereum) {
+  // Start over with the new account or chain
+  window.ethereum.on('accountsChanged', () => window.location.reload());
+  window.ethereum.on('chainChanged', () => window.location.reload());
+}
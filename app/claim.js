@@ -0,0 +1,124 @@
+import { ethers, ERC20_ABI, loadApp, connectWallet, describeError, explorerUrl, shortAddress, showStatus } from './common.js';
+
+const $ = id => document.getElementById(id);
+const status = $('status');
+
+const { config, abis, errorMessages, errorInterface } = await loadApp();
+let session = null;
+
+$('collection').textContent = config.collection;
+$('network').textContent = config.network.name;
+
+function describe(error) {
+  return describeError(error, errorInterface, errorMessages);
+}
+
+/**
+ * Claimable ETH and ERC20 royalties of the connected account for the collection.
+ * @returns {Promise<object[]>} `{ token, symbol, decimals, claimable }`, ETH first (`token` null)
+ */
+async function loadAssets() {
+  const { distributor, account, provider } = session;
+  const assets = [{ token: null, symbol: 'ETH', decimals: 18, claimable: await distributor.getClaimableRoyalties(config.collection, account) }];
+  for (const token of config.erc20Tokens) {
+    const erc20 = new ethers.Contract(token, ERC20_ABI, provider);
+    const [symbol, decimals, claimable] = await Promise.all([
+      erc20.symbol(),
+      erc20.decimals(),
+      distributor.getClaimableERC20Royalties(config.collection, token, account)
+    ]);
+    assets.push({ token, symbol, decimals, claimable });
+  }
+  return assets;
+}
+
+function renderAssets(assets) {
+  const rows = $('assets');
+  rows.replaceChildren();
+  for (const asset of assets) {
+    const row = $('asset-row').content.cloneNode(true);
+    const input = row.querySelector('input');
+    const max = ethers.utils.formatUnits(asset.claimable, asset.decimals);
+    row.querySelector('.symbol').textContent = asset.symbol;
+    row.querySelector('.claimable').textContent = `${max} ${asset.symbol}`;
+    input.value = max;
+    row.querySelector('.max').addEventListener('click', () => { input.value = max; });
+    const button = row.querySelector('.claim');
+    button.disabled = asset.claimable.isZero();
+    button.addEventListener('click', () => claim(asset, input.value, button));
+    rows.append(row);
+  }
+}
+
+async function renderMintedTokens() {
+  const { distributor, account } = session;
+  const tokenIds = await distributor.getTokensByMinterForCollection(account, config.collection);
+  const list = $('tokens');
+  list.replaceChildren();
+  $('no-tokens').hidden = tokenIds.length > 0;
+
+  for (const tokenId of tokenIds) {
+    const { minterRoyaltyEarned } = await distributor.getTokenRoyaltyEarnings(config.collection, tokenId);
+    const item = document.createElement('li');
+    item.textContent = `#${tokenId} — ${ethers.utils.formatEther(minterRoyaltyEarned)} ETH earned as minter`;
+    list.append(item);
+  }
+}
+
+async function refresh() {
+  renderAssets(await loadAssets());
+  await renderMintedTokens();
+}
+
+/**
+ * Claim `value` (in whole units) of an asset. The call is simulated first so a revert is
+ * reported with the distributor's custom error instead of a failed gas estimate.
+ */
+async function claim(asset, value, button) {
+  let amount;
+  try {
+    amount = ethers.utils.parseUnits(value.trim() || '0', asset.decimals);
+  } catch (error) {
+    return showStatus(status, `Enter an amount in ${asset.symbol}, e.g. 0.05`, 'error');
+  }
+  if (amount.isZero() || amount.gt(asset.claimable)) {
+    return showStatus(status, `Enter an amount between 0 and ${ethers.utils.formatUnits(asset.claimable, asset.decimals)} ${asset.symbol}`, 'error');
+  }
+
+  const { distributor } = session;
+  const args = asset.token ? [config.collection, asset.token, amount] : [config.collection, amount];
+  const method = asset.token ? 'claimERC20Royalties' : 'claimRoyalties';
+  button.disabled = true;
+  try {
+    await distributor.callStatic[method](...args);
+    showStatus(status, 'Confirm the claim in your wallet…');
+    const tx = await distributor[method](...args);
+    showStatus(status, 'Claim submitted, waiting for confirmation…', 'info', explorerUrl(config, 'tx', tx.hash));
+    await tx.wait();
+    showStatus(status, `Claimed ${ethers.utils.formatUnits(amount, asset.decimals)} ${asset.symbol}.`, 'success', explorerUrl(config, 'tx', tx.hash));
+    await refresh();
+  } catch (error) {
+    showStatus(status, `Claim failed: ${describe(error)}`, 'error');
+    button.disabled = false;
+  }
+}
+
+$('connect').addEventListener('click', async () => {
+  try {
+    const wallet = await connectWallet(config);
+    session = { ...wallet, distributor: new ethers.Contract(config.distributor, abis.distributor, wallet.signer) };
+    $('account').textContent = shortAddress(wallet.account);
+    $('connect').hidden = true;
+    $('dashboard').hidden = false;
+    showStatus(status, '');
+    await refresh();
+  } catch (error) {
+    showStatus(status, describe(error), 'error');
+  }
+});
+
+if (window.ethereum) {
+  // Start over with the new account or chain
+  window.ethereum.on('accountsChanged', () => window.location.reload());
+  window.ethereum.on('chainChanged', () => window.location.reload());
+}
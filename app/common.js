@@ -0,0 +1,119 @@
+// Shared helpers for the browser apps served by `npm run web-app`.
+import { ethers } from 'https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.esm.min.js';
+
+export { ethers };
+
+export const ERC20_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
+];
+
+async function getJson(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+  return res.json();
+}
+
+/**
+ * Load the deployment config, ABIs and custom error messages from the web-app server.
+ * @returns {Promise<{ config: object, abis: object, errorMessages: object, errorInterface: ethers.utils.Interface }>}
+ */
+export async function loadApp() {
+  const [config, collectionAbi, distributorAbi, errorMessages] = await Promise.all([
+    getJson('/config.json'),
+    getJson('/abis/DiamondGenesisPass.json'),
+    getJson('/abis/CentralizedRoyaltyDistributor.json'),
+    getJson('/error-messages.json')
+  ]);
+  const errors = [...collectionAbi, ...distributorAbi].filter(item => item.type === 'error');
+  return {
+    config,
+    abis: { collection: collectionAbi, distributor: distributorAbi },
+    errorMessages,
+    errorInterface: new ethers.utils.Interface(errors.filter((item, i) => errors.findIndex(other => other.name === item.name) === i))
+  };
+}
+
+/**
+ * Connect the injected wallet and make sure it is on the configured chain.
+ * @param {object} config From /config.json
+ * @returns {Promise<{ provider: ethers.providers.Web3Provider, signer: ethers.Signer, account: string }>}
+ */
+export async function connectWallet(config) {
+  if (!window.ethereum) throw new Error('No wallet found. Install MetaMask or another browser wallet.');
+  await window.ethereum.request({ method: 'eth_requestAccounts' });
+
+  const chainId = ethers.utils.hexValue(config.network.chainId);
+  if ((await window.ethereum.request({ method: 'eth_chainId' })) !== chainId) {
+    await window.ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] });
+  }
+
+  const provider = new ethers.providers.Web3Provider(window.ethereum, 'any');
+  const signer = provider.getSigner();
+  return { provider, signer, account: await signer.getAddress() };
+}
+
+// ethers nests the node's error in `error`, sometimes twice
+function revertData(error) {
+  for (let current = error; current; current = current.error) {
+    if (typeof current.data === 'string' && current.data.startsWith('0x') && current.data.length >= 10) return current.data;
+    if (current.data && typeof current.data.data === 'string') return current.data.data;
+  }
+  return null;
+}
+
+/**
+ * Readable message for a wallet or contract error, using the custom error messages.
+ * @param {Error} error
+ * @param {ethers.utils.Interface} errorInterface
+ * @param {object} errorMessages Custom error name -> message
+ * @returns {string}
+ */
+export function describeError(error, errorInterface, errorMessages) {
+  if (error.code === 4001 || error.code === 'ACTION_REJECTED') return 'The transaction was rejected in the wallet.';
+  if (error.errorName && error.errorName !== 'Error') return errorMessages[error.errorName] || error.errorName;
+
+  const data = revertData(error);
+  if (data) {
+    try {
+      const { name } = errorInterface.parseError(data);
+      return errorMessages[name] || name;
+    } catch (parseError) {
+      // Not a custom error of the contracts
+    }
+  }
+  return error.reason || (error.data && error.data.message) || error.message;
+}
+
+/**
+ * Block explorer link for a transaction or address, or null on networks without one.
+ * @param {object} config From /config.json
+ * @param {'tx'|'address'} type
+ * @param {string} value
+ */
+export function explorerUrl(config, type, value) {
+  return config.network.explorer ? `${config.network.explorer}/${type}/${value}` : null;
+}
+
+export const shortAddress = address => `${address.slice(0, 6)}…${address.slice(-4)}`;
+
+/**
+ * Show a status line. `kind` is 'info', 'success' or 'error'.
+ * @param {HTMLElement} element
+ * @param {string} message
+ * @param {string} [kind]
+ * @param {string} [link] Optional explorer link appended to the message
+ */
+export function showStatus(element, message, kind = 'info', link = null) {
+  element.className = `status ${kind}`;
+  element.textContent = message;
+  if (link) {
+    const anchor = document.createElement('a');
+    anchor.href = link;
+    anchor.target = '_blank';
+    anchor.rel = 'noopener';
+    anchor.textContent = ' View transaction';
+    element.append(anchor);
+  }
+  element.hidden = !message;
+}
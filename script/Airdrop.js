@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { CliError, EXIT_USAGE, EXIT_ABORTED, parseCliArgs, loadEnv, exitWithError } = require('./lib/cli');
+const { loadAbi } = require('./lib/abis');
+const { createProvider, createWallet } = require('./lib/chain');
+const { createPrompter } = require('./lib/prompt');
+const { DEPLOYMENTS_DIR, loadDeployments } = require('./lib/deployments');
+const { decodeRevert, revertData } = require('./lib/forkSimulation');
+const { MAX_SUPPLY } = require('./lib/metadata');
+const { parseRecipients, planMints, createAirdrop, buildReport } = require('./lib/airdrop');
+
+const USAGE = `Usage: npm run -s airdrop -- --input <recipients.csv> [options]
+
+Mints Genesis Passes to a list of recipients with DiamondGenesisPass.mintOwner, one token per
+transaction, from the PRIVATE_KEY account (the owner or a SERVICE_ACCOUNT_ROLE holder).
+The CSV has address and count (or quantity) columns. Every transaction is journaled before it
+is broadcast and again once mined, so re-running the same command after a crash settles what
+was in flight and only sends the mints that are missing. Progress goes to stderr; stdout gets a
+JSON report of recipient => token IDs.
+
+Options:
+  --input <file>            Recipients CSV
+  --collection <address>    DiamondGenesisPass (default: DGP_ADDRESS, then deployments/<chainId>.json)
+  --rpc-url <url>           JSON-RPC endpoint (default: RPC_URL or http://localhost:8545)
+  --journal <file>          Journal to write and resume from
+                            (default: state/airdrop-<chainId>-<input name>.jsonl)
+  --safe-mint               Use safeMintOwner, which reverts for contracts that cannot receive ERC721s
+  --max-pending <n>         Transactions in flight at once (default: 5)
+  --deployments-dir <dir>   Registry directory (default: deployments)
+  -y, --yes                 Non-interactive: never prompt, confirm the airdrop
+  -h, --help                Show this message
+
+Exit codes: 0 success, 1 failure, 2 bad or missing options, 3 cancelled`;
+
+// stdout is reserved for the JSON report
+const log = (...args) => console.error(...args);
+
+function readRecipients(file) {
+  let parsed;
+  try {
+    parsed = parseRecipients(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new CliError(`Cannot read ${file}: ${error.message}`, EXIT_USAGE);
+  }
+  if (parsed.errors.length > 0) {
+    parsed.errors.forEach(error => log(`  ${JSON.stringify(error)}`));
+    throw new CliError(`${parsed.errors.length} problem(s) found in ${file}`, EXIT_USAGE);
+  }
+  if (parsed.total === 0) throw new CliError(`${file} has no recipients`, EXIT_USAGE);
+  return parsed;
+}
+
+async function main() {
+  const { values } = parseCliArgs({
+    input: { type: 'string', short: 'i' },
+    collection: { type: 'string' },
+    'rpc-url': { type: 'string' },
+    journal: { type: 'string' },
+    'safe-mint': { type: 'boolean', default: false },
+    'max-pending': { type: 'string', default: '5' },
+    'deployments-dir': { type: 'string', default: DEPLOYMENTS_DIR },
+    yes: { type: 'boolean', short: 'y', default: false }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  loadEnv();
+  if (!values.input) {
+    throw new CliError(`--input is required\n\n${USAGE}`, EXIT_USAGE);
+  }
+  if (!/^\d+$/.test(values['max-pending']) || Number(values['max-pending']) < 1) {
+    throw new CliError(`--max-pending must be a positive integer, got ${values['max-pending']}`, EXIT_USAGE);
+  }
+  if (!process.env.PRIVATE_KEY) {
+    throw new CliError('PRIVATE_KEY is required', EXIT_USAGE);
+  }
+  const { entries, total } = readRecipients(values.input);
+
+  const provider = createProvider(values['rpc-url']);
+  const { chainId } = await provider.getNetwork();
+  const registry = loadDeployments(chainId, values['deployments-dir']);
+  const address = values.collection || process.env.DGP_ADDRESS
+    || (registry.contracts.DiamondGenesisPass && registry.contracts.DiamondGenesisPass.address);
+  if (!ethers.utils.isAddress(address || '')) {
+    throw new CliError(`--collection must be a valid address\n\n${USAGE}`, EXIT_USAGE);
+  }
+
+  const wallet = createWallet(provider);
+  const collection = new ethers.Contract(ethers.utils.getAddress(address), loadAbi('DiamondGenesisPass'), wallet);
+  const method = values['safe-mint'] ? 'safeMintOwner' : 'mintOwner';
+  const journalFile = values.journal
+    || path.join('state', `airdrop-${chainId}-${path.basename(values.input, path.extname(values.input))}.jsonl`);
+
+  let airdrop;
+  try {
+    airdrop = createAirdrop({
+      provider,
+      wallet,
+      collection,
+      mints: planMints(entries),
+      journalFile,
+      chainId,
+      method,
+      maxPending: Number(values['max-pending']),
+      log
+    });
+    await airdrop.resume();
+  } catch (error) {
+    throw new CliError(error.message);
+  }
+
+  const outstanding = airdrop.outstanding();
+  const remainingSupply = MAX_SUPPLY - (await collection.totalSupply()).toNumber();
+  log(`Collection: ${collection.address} (chain ${chainId}), ${remainingSupply}/${MAX_SUPPLY} left to mint`);
+  log(`Sender: ${wallet.address} (${ethers.utils.formatEther(await wallet.getBalance())} ETH)`);
+  log(`Journal: ${journalFile}`);
+  log(`${entries.length} recipient(s), ${total} token(s), ${total - outstanding.length} already minted by this journal`);
+  if (outstanding.length > remainingSupply) {
+    throw new CliError(`${outstanding.length} mints are left but only ${remainingSupply} tokens remain below MAX_SUPPLY`);
+  }
+
+  if (outstanding.length > 0) {
+    // Catches a missing role (CallerIsNotAdminOrServiceAccount) before anything is signed
+    try {
+      await collection.callStatic[method](outstanding[0].recipient);
+    } catch (error) {
+      throw new CliError(`${method}(${outstanding[0].recipient}) from ${wallet.address} would revert: ${decodeRevert(revertData(error), [collection.interface])}`);
+    }
+
+    const interactive = !values.yes && Boolean(process.stdin.isTTY);
+    const prompter = createPrompter({ interactive, assumeYes: values.yes });
+    try {
+      if (!(await prompter.confirm(`Send ${outstanding.length} ${method} transaction(s)?`))) {
+        throw new CliError('Operation cancelled.', EXIT_ABORTED);
+      }
+    } finally {
+      prompter.close();
+    }
+  }
+
+  let confirmed;
+  try {
+    confirmed = await airdrop.run();
+  } catch (error) {
+    throw new CliError(`${error.message} (progress is in ${journalFile})`);
+  }
+
+  console.log(JSON.stringify({
+    script: 'airdrop',
+    chainId,
+    collection: collection.address,
+    method,
+    sender: wallet.address,
+    journal: journalFile,
+    minted: confirmed.length,
+    recipients: buildReport(entries, confirmed)
+  }, null, 2));
+  log(`Done: ${confirmed.length} token(s) minted to ${entries.length} recipient(s)`);
+}
+
+main().catch(exitWithError);
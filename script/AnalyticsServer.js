@@ -0,0 +1,175 @@
+const http = require('http');
+const { ethers } = require('ethers');
+const { CliError, EXIT_USAGE, parseCliArgs, loadEnv, exitWithError } = require('./lib/cli');
+const { loadAbi } = require('./lib/abis');
+const { createProvider } = require('./lib/chain');
+const { INTERVALS, openAnalyticsStore } = require('./lib/analyticsStore');
+const { ETH, createAnalyticsIndexer } = require('./lib/analyticsIndexer');
+const { sleep } = require('./lib/retry');
+
+const USAGE = `Usage: npm run royalty-analytics -- --distributor <address> [options]
+
+Indexes CentralizedRoyaltyDistributor royalty events into a SQLite database and serves them.
+
+Options:
+  --distributor <address>  CentralizedRoyaltyDistributor address (default: DISTRIBUTOR_ADDRESS)
+  --rpc-url <url>          JSON-RPC endpoint (default: RPC_URL or http://localhost:8545)
+  --db <file>              SQLite database (default: state/royalty-analytics.sqlite)
+  --from-block <n>         First block to index when the database is empty (default: 0)
+  --confirmations <n>      Blocks to stay behind the head (default: 6)
+  --poll-interval <ms>     Delay between indexing runs (default: 12000)
+  --port <port>            Port to listen on (default: PORT or 8788)
+  --serve-only             Serve the database without indexing
+  -h, --help               Show this message
+
+Endpoints (amounts are wei decimal strings, times are unix seconds or ISO dates):
+  GET /api/status
+  GET /api/collections/:collection/volume?interval=hour|day|week&from=&to=
+  GET /api/collections/:collection/royalties?token=ETH|<erc20>
+  GET /api/collections/:collection/creators
+  GET /api/collections/:collection/tokens/:tokenId/trades
+  GET /api/recipients/:address/royalties?collection=&limit=`;
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(body));
+}
+
+class BadRequest extends Error {}
+
+function address(value, name) {
+  if (!ethers.utils.isAddress(value || '')) throw new BadRequest(`${name} must be a valid address`);
+  return ethers.utils.getAddress(value);
+}
+
+function time(value, name) {
+  if (value === null) return undefined;
+  const seconds = /^\d+$/.test(value) ? Number(value) : Date.parse(value) / 1000;
+  if (Number.isNaN(seconds)) throw new BadRequest(`${name} must be unix seconds or an ISO date`);
+  return Math.floor(seconds);
+}
+
+/**
+ * Create the analytics query server on top of lib/analyticsStore.js.
+ * @param {object} store
+ * @returns {http.Server}
+ */
+function createAnalyticsServer(store) {
+  const routes = [
+    [/^\/api\/status$/, () => store.status()],
+    [/^\/api\/collections\/([^/]+)\/volume$/, (query, collection) => {
+      const interval = query.get('interval') || 'day';
+      if (!INTERVALS[interval]) throw new BadRequest(`interval must be one of ${Object.keys(INTERVALS).join(', ')}`);
+      return store.volumeSeries(address(collection, 'collection'), {
+        interval,
+        from: time(query.get('from'), 'from'),
+        to: time(query.get('to'), 'to')
+      });
+    }],
+    [/^\/api\/collections\/([^/]+)\/royalties$/, (query, collection) => {
+      const token = query.get('token');
+      return store.royaltiesByRecipient({
+        collection: address(collection, 'collection'),
+        token: token && token !== ETH ? address(token, 'token') : token
+      });
+    }],
+    [/^\/api\/collections\/([^/]+)\/creators$/, (query, collection) => store.creatorHistory(address(collection, 'collection'))],
+    [/^\/api\/collections\/([^/]+)\/tokens\/([^/]+)\/trades$/, (query, collection, tokenId) => {
+      if (!/^\d+$/.test(tokenId)) throw new BadRequest('tokenId must be a decimal number');
+      return store.tokenHistory(address(collection, 'collection'), tokenId);
+    }],
+    [/^\/api\/recipients\/([^/]+)\/royalties$/, (query, recipient) => {
+      const account = address(recipient, 'recipient');
+      const limit = Number(query.get('limit') || 100);
+      if (!Number.isInteger(limit) || limit < 1) throw new BadRequest('limit must be a positive integer');
+      const collection = query.get('collection');
+      return {
+        recipient: account,
+        totals: store.royaltiesByRecipient({ recipient: account, collection: collection ? address(collection, 'collection') : undefined }),
+        history: store.recipientHistory(account, limit)
+      };
+    }]
+  ];
+
+  return http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': 'GET' });
+      return res.end();
+    }
+    if (req.method !== 'GET') {
+      return send(res, 405, { error: 'Method not allowed' });
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      for (const [pattern, handler] of routes) {
+        const match = url.pathname.match(pattern);
+        if (match) return send(res, 200, handler(url.searchParams, ...match.slice(1).map(decodeURIComponent)));
+      }
+      return send(res, 404, { error: 'Not found' });
+    } catch (error) {
+      if (error instanceof BadRequest) return send(res, 400, { error: error.message });
+      console.error(`${req.method} ${req.url} failed:`, error);
+      return send(res, 500, { error: 'Internal server error' });
+    }
+  });
+}
+
+async function main() {
+  loadEnv();
+  const { values } = parseCliArgs({
+    distributor: { type: 'string', default: process.env.DISTRIBUTOR_ADDRESS },
+    'rpc-url': { type: 'string' },
+    db: { type: 'string', default: 'state/royalty-analytics.sqlite' },
+    'from-block': { type: 'string', default: '0' },
+    confirmations: { type: 'string', default: '6' },
+    'poll-interval': { type: 'string', default: '12000' },
+    port: { type: 'string', default: process.env.PORT || '8788' },
+    'serve-only': { type: 'boolean', default: false }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!values['serve-only'] && !ethers.utils.isAddress(values.distributor || '')) {
+    throw new CliError(`--distributor must be a valid address\n\n${USAGE}`, EXIT_USAGE);
+  }
+
+  const store = openAnalyticsStore(values.db);
+  const server = createAnalyticsServer(store);
+  server.listen(Number(values.port), () => {
+    console.log(`Royalty analytics API listening on http://localhost:${server.address().port}`);
+  });
+  if (values['serve-only']) return;
+
+  const distributor = new ethers.Contract(values.distributor, loadAbi('CentralizedRoyaltyDistributor'), createProvider(values['rpc-url']));
+  const indexer = createAnalyticsIndexer({
+    distributor,
+    store,
+    startBlock: Number(values['from-block']),
+    confirmations: Number(values.confirmations)
+  });
+
+  console.log(`Indexing ${values.distributor} into ${values.db}`);
+  for (;;) {
+    try {
+      await indexer.runOnce();
+    } catch (error) {
+      // Keep serving what is indexed; the next run resumes from the checkpoint
+      console.error(`Indexing failed: ${error.message}`);
+    }
+    await sleep(Number(values['poll-interval']));
+  }
+}
+
+if (require.main === module) {
+  main().catch(exitWithError);
+}
+
+module.exports = {
+  createAnalyticsServer
+};
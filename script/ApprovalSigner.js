@@ -0,0 +1,188 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ethers } = require('ethers');
+const { CliError, EXIT_USAGE, parseCliArgs, loadEnv, exitWithError } = require('./lib/cli');
+const { createProvider } = require('./lib/chain');
+const { createJsonlLog } = require('./lib/jsonlLog');
+const {
+  SIGNED_APPROVAL_ABI,
+  ApprovalError,
+  parseSignerConfig,
+  loadKeystore,
+  createApprovalSigner
+} = require('./lib/signedApproval');
+
+const MAX_BODY_BYTES = 4 * 1024;
+
+const USAGE = `Usage: npm run approval-signer -- --config <file> --keystore <file> [options]
+       npm run approval-signer -- --new-keystore <file>
+
+Signs EIP-712 Approved(address wallet,uint256 quantity) messages for
+SignedApprovalMint.claimSignedMint with the contract's approval signer. The domain (name,
+version, chainId, verifyingContract) is read from the deployed contract. Requests above a
+wallet's cap in the config, from wallets that already claimed, or beyond remainingSignedMints
+are refused. Every signature issued (and every refusal) is appended to the log.
+
+The keystore password comes from SIGNER_KEYSTORE_PASSWORD or --password-file.
+--new-keystore creates a random signer key, encrypts it and prints its address; pass that
+address to setSigner (or the constructor) on the contract.
+
+Options:
+  --config <file>          Caps config; see config/approval-signer.example.json
+  --contract <address>     SignedApprovalMint contract (default: "contract" in the config)
+  --keystore <file>        Encrypted JSON keystore of the signer (env: SIGNER_KEYSTORE)
+  --password-file <file>   File holding the keystore password
+  --rpc-url <url>          JSON-RPC endpoint (default: RPC_URL or http://localhost:8545)
+  --log <file>             Signature log (default: state/approval-signatures.jsonl)
+  --host <host>            Interface to listen on (default: 127.0.0.1)
+  --port <port>            Port to listen on (default: PORT or 8791)
+  --new-keystore <file>    Create a new encrypted signer keystore and exit
+  -h, --help               Show this message
+
+Endpoints:
+  GET  /api/status                                  -> { signer, domain }
+  POST /api/signed-approval { wallet, quantity }    -> { wallet, quantity, signature, signer, domain }`;
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new ApprovalError('Request body too large', 413));
+        req.destroy();
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new ApprovalError('Request body must be JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create the signing endpoint on top of an initialized approval signer (see lib/signedApproval.js).
+ * @param {object} approvals From createApprovalSigner, after init()
+ * @param {string} signerAddress
+ * @returns {http.Server}
+ */
+function createApprovalSignerServer(approvals, signerAddress) {
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    try {
+      if (pathname === '/api/status' && req.method === 'GET') {
+        return send(res, 200, { signer: signerAddress, domain: approvals.domain() });
+      }
+      if (pathname === '/api/signed-approval') {
+        if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+        const { wallet, quantity } = await readJson(req);
+        return send(res, 200, await approvals.sign(wallet, quantity, { requester: req.socket.remoteAddress }));
+      }
+      return send(res, 404, { error: 'Not found' });
+    } catch (error) {
+      if (error instanceof ApprovalError) return send(res, error.status, { error: error.message });
+      console.error(`${req.method} ${req.url} failed:`, error);
+      return send(res, 500, { error: 'Internal server error' });
+    }
+  });
+}
+
+function readPassword(values) {
+  if (values['password-file']) return fs.readFileSync(values['password-file'], 'utf8').replace(/\r?\n$/, '');
+  if (process.env.SIGNER_KEYSTORE_PASSWORD) return process.env.SIGNER_KEYSTORE_PASSWORD;
+  throw new CliError('Set SIGNER_KEYSTORE_PASSWORD or pass --password-file', EXIT_USAGE);
+}
+
+async function createKeystore(file, password) {
+  if (fs.existsSync(file)) throw new CliError(`${file} already exists`, EXIT_USAGE);
+  const wallet = ethers.Wallet.createRandom();
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, await wallet.encrypt(password), { mode: 0o600 });
+  console.log(`Wrote ${file}`);
+  console.log(`Signer address: ${wallet.address}`);
+}
+
+async function main() {
+  loadEnv();
+  const { values } = parseCliArgs({
+    config: { type: 'string' },
+    contract: { type: 'string' },
+    keystore: { type: 'string', default: process.env.SIGNER_KEYSTORE },
+    'password-file': { type: 'string' },
+    'rpc-url': { type: 'string' },
+    log: { type: 'string', default: 'state/approval-signatures.jsonl' },
+    host: { type: 'string', default: '127.0.0.1' },
+    port: { type: 'string', default: process.env.PORT || '8791' },
+    'new-keystore': { type: 'string' }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (values['new-keystore']) {
+    await createKeystore(values['new-keystore'], readPassword(values));
+    return;
+  }
+  if (!values.config || !values.keystore) {
+    throw new CliError(`--config and --keystore are required\n\n${USAGE}`, EXIT_USAGE);
+  }
+
+  let data;
+  let config;
+  try {
+    data = JSON.parse(fs.readFileSync(values.config, 'utf8'));
+    config = parseSignerConfig(data);
+  } catch (error) {
+    throw new CliError(`${values.config}: ${error.message}`, EXIT_USAGE);
+  }
+  const address = values.contract || data.contract;
+  if (!ethers.utils.isAddress(address || '')) {
+    throw new CliError(`--contract must be a valid address\n\n${USAGE}`, EXIT_USAGE);
+  }
+
+  let signer;
+  try {
+    signer = await loadKeystore(values.keystore, readPassword(values));
+  } catch (error) {
+    if (error instanceof CliError) throw error;
+    throw new CliError(`Cannot decrypt ${values.keystore}: ${error.message}`, EXIT_USAGE);
+  }
+
+  const contract = new ethers.Contract(address, SIGNED_APPROVAL_ABI, createProvider(values['rpc-url']));
+  const approvals = createApprovalSigner({ contract, signer, config, record: createJsonlLog(values.log) });
+  let domain;
+  try {
+    domain = await approvals.init();
+  } catch (error) {
+    throw new CliError(error.message);
+  }
+
+  const server = createApprovalSignerServer(approvals, signer.address);
+  server.listen(Number(values.port), values.host, () => {
+    console.log(`Approval signer ${signer.address} listening on http://${values.host}:${server.address().port}`);
+    console.log(`Domain: ${domain.name} v${domain.version}, chain ${domain.chainId}, ${domain.verifyingContract}`);
+    console.log(`Logging signatures to ${values.log}`);
+  });
+}
+
+if (require.main === module) {
+  main().catch(exitWithError);
+}
+
+module.exports = {
+  createApprovalSignerServer
+};
@@ -0,0 +1,167 @@
+const http = require('http');
+const { ethers } = require('ethers');
+const { CliError, EXIT_USAGE, parseCliArgs, loadEnv, exitWithError } = require('./lib/cli');
+const { loadAbi } = require('./lib/abis');
+const { createProvider } = require('./lib/chain');
+const { loadState } = require('./lib/jsonState');
+const { MARKETS, createOrderBook } = require('./lib/orderBook');
+const { createBidIndexer } = require('./lib/bidIndexer');
+const { sleep } = require('./lib/retry');
+
+const USAGE = `Usage: npm run bid-markets -- --collection <address> --from-block <n> [options]
+
+Indexes the DiamondGenesisPass bid markets (minter-status bids and token purchase bids) into
+an order book and serves it.
+
+Options:
+  --collection <address>   DiamondGenesisPass address (default: DGP_ADDRESS)
+  --rpc-url <url>          JSON-RPC endpoint (default: RPC_URL or http://localhost:8545)
+  --from-block <n>         First block to index when there is no state yet; use the deployment block
+  --state <file>           Order book state file (default: state/bid-markets.json)
+  --confirmations <n>      Blocks to stay behind the head (default: 6)
+  --poll-interval <ms>     Delay between indexing runs (default: 12000)
+  --port <port>            Port to listen on (default: PORT or 8789)
+  --serve-only             Serve the state file without indexing
+  -h, --help               Show this message
+
+Endpoints (:market is minter or token; amounts are wei decimal strings):
+  GET /api/status
+  GET /api/markets/:market                        Open bids, floor and filled volume
+  GET /api/markets/:market/collection-bids        Collection-wide bids, highest first
+  GET /api/markets/:market/tokens                 Floor and top bid of every token with bids or fills
+  GET /api/markets/:market/tokens/:tokenId        Floor, top bid, bids and last fill of one token
+  GET /api/markets/:market/fills?tokenId=&limit=  Fill history, newest first`;
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(body));
+}
+
+class BadRequest extends Error {}
+
+function market(value) {
+  if (!MARKETS[value]) throw new BadRequest(`market must be one of ${Object.keys(MARKETS).join(', ')}`);
+  return value;
+}
+
+function tokenId(value) {
+  if (!/^\d+$/.test(value)) throw new BadRequest('tokenId must be a decimal number');
+  return BigInt(value).toString();
+}
+
+/**
+ * Create the order book server on top of lib/orderBook.js.
+ * @param {object} book From createOrderBook
+ * @param {Function} status Returns the /api/status body
+ * @returns {http.Server}
+ */
+function createBidMarketServer(book, status) {
+  const routes = [
+    [/^\/api\/status$/, () => status()],
+    [/^\/api\/markets\/([^/]+)$/, (query, name) => book.marketSummary(market(name))],
+    [/^\/api\/markets\/([^/]+)\/collection-bids$/, (query, name) => book.bids(market(name))],
+    [/^\/api\/markets\/([^/]+)\/tokens$/, (query, name) => book.tokens(market(name))],
+    [/^\/api\/markets\/([^/]+)\/tokens\/([^/]+)$/, (query, name, id) => ({
+      ...book.tokenSummary(market(name), tokenId(id)),
+      bids: book.bids(name, tokenId(id))
+    })],
+    [/^\/api\/markets\/([^/]+)\/fills$/, (query, name) => {
+      const limit = Number(query.get('limit') || 100);
+      if (!Number.isInteger(limit) || limit < 1) throw new BadRequest('limit must be a positive integer');
+      const id = query.get('tokenId');
+      return book.fills({ market: market(name), tokenId: id === null ? undefined : tokenId(id), limit });
+    }]
+  ];
+
+  return http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': 'GET' });
+      return res.end();
+    }
+    if (req.method !== 'GET') {
+      return send(res, 405, { error: 'Method not allowed' });
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      for (const [pattern, handler] of routes) {
+        const match = url.pathname.match(pattern);
+        if (match) return send(res, 200, handler(url.searchParams, ...match.slice(1).map(decodeURIComponent)));
+      }
+      return send(res, 404, { error: 'Not found' });
+    } catch (error) {
+      if (error instanceof BadRequest) return send(res, 400, { error: error.message });
+      console.error(`${req.method} ${req.url} failed:`, error);
+      return send(res, 500, { error: 'Internal server error' });
+    }
+  });
+}
+
+async function main() {
+  loadEnv();
+  const { values } = parseCliArgs({
+    collection: { type: 'string', default: process.env.DGP_ADDRESS },
+    'rpc-url': { type: 'string' },
+    'from-block': { type: 'string' },
+    state: { type: 'string', default: 'state/bid-markets.json' },
+    confirmations: { type: 'string', default: '6' },
+    'poll-interval': { type: 'string', default: '12000' },
+    port: { type: 'string', default: process.env.PORT || '8789' },
+    'serve-only': { type: 'boolean', default: false }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const listen = (book, status) => {
+    const server = createBidMarketServer(book, status);
+    server.listen(Number(values.port), () => {
+      console.log(`Bid market API listening on http://localhost:${server.address().port}`);
+    });
+  };
+
+  if (values['serve-only']) {
+    const { nextBlock = null, ...bookState } = loadState(values.state, {});
+    listen(createOrderBook(Object.keys(bookState).length > 0 ? bookState : undefined), () => ({ nextBlock, indexing: false }));
+    return;
+  }
+  if (!ethers.utils.isAddress(values.collection || '')) {
+    throw new CliError(`--collection must be a valid address\n\n${USAGE}`, EXIT_USAGE);
+  }
+  if (!/^\d+$/.test(values['from-block'] || '')) {
+    throw new CliError(`--from-block is required; bids placed before it are not in the order book\n\n${USAGE}`, EXIT_USAGE);
+  }
+
+  const collection = new ethers.Contract(values.collection, loadAbi('DiamondGenesisPass'), createProvider(values['rpc-url']));
+  const indexer = createBidIndexer({
+    collection,
+    stateFile: values.state,
+    startBlock: Number(values['from-block']),
+    confirmations: Number(values.confirmations)
+  });
+  listen(indexer.book, () => ({ collection: collection.address, nextBlock: indexer.nextBlock(), indexing: true }));
+
+  console.log(`Indexing the bid markets of ${collection.address} into ${values.state}`);
+  for (;;) {
+    try {
+      await indexer.runOnce();
+    } catch (error) {
+      // Keep serving what is indexed; the next run resumes from the checkpoint
+      console.error(`Indexing failed: ${error.message}`);
+    }
+    await sleep(Number(values['poll-interval']));
+  }
+}
+
+if (require.main === module) {
+  main().catch(exitWithError);
+}
+
+module.exports = {
+  createBidMarketServer
+};
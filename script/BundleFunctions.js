@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCliArgs, fail } = require('./lib/cli');
+const { bundleSource } = require('./lib/functionsBundle');
+
+const USAGE = `Usage: npm run -s bundle-functions -- --source <file> [--out <file>]
+
+Inlines the \`// @include\` lines of a Chainlink Functions source and prints the script
+to upload (or writes it to --out).
+
+Options:
+  --source <file>  Functions source, e.g. src/chainlink/getSalePrice.js
+  --out <file>     Write the bundle here instead of stdout
+  -h, --help       Show this message`;
+
+function main() {
+  const { values } = parseCliArgs({
+    source: { type: 'string' },
+    out: { type: 'string' }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!values.source) {
+    fail(`--source is required\n\n${USAGE}`);
+  }
+
+  const bundle = bundleSource(values.source);
+  if (!values.out) {
+    process.stdout.write(bundle);
+    return;
+  }
+  fs.mkdirSync(path.dirname(values.out), { recursive: true });
+  fs.writeFileSync(values.out, bundle);
+  console.error(`Wrote ${values.out} (${Buffer.byteLength(bundle)} bytes)`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error);
+  process.exit(1);
+}
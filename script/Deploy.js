@@ -0,0 +1,155 @@
+const { ethers } = require('ethers');
+const { CliError, EXIT_USAGE, EXIT_ABORTED, parseCliArgs, loadEnv, loadConfig, exitWithError } = require('./lib/cli');
+const { loadNetworks, getNetwork, explorerUrl } = require('./lib/networks');
+const { createPrompter, createOptionResolver } = require('./lib/prompt');
+const { createProvider, createWallet } = require('./lib/chain');
+const { OUT_DIR, loadArtifact } = require('./lib/forgeArtifacts');
+const { DEPLOYMENTS_DIR, deploymentsFile, loadDeployments, saveDeployments, ensureDeployed } = require('./lib/deployments');
+
+const USAGE = `Usage: npm run -s deploy -- --network <name> [options]
+
+Deploys CentralizedRoyaltyDistributor and then DiamondGenesisPass from forge's out/ artifacts
+(run \`forge build\` first) with the PRIVATE_KEY account. Every deployment is recorded in
+deployments/<chainId>.json; re-running only deploys what is missing, and refuses to replace a
+contract whose bytecode or constructor arguments changed unless --redeploy is passed.
+Progress goes to stderr; stdout gets a JSON summary.
+
+Options:
+  --network <name>          Network from config/networks.json, or its chain ID (env: NETWORK)
+  --rpc-url <url>           JSON-RPC endpoint; must serve --network (env: RPC_URL)
+  --royalty-fee <bps>       DiamondGenesisPass royalty fee numerator (default: 750, i.e. 7.5%)
+  --creator <address>       Creator / royalty recipient (env: ROYALTY_RECEIVER_ADDRESS; default: the deployer)
+  --out-dir <dir>           Forge artifacts directory (default: out)
+  --deployments-dir <dir>   Registry directory (default: deployments)
+  --redeploy                Replace contracts whose bytecode or constructor arguments changed
+  --config <file>           JSON file with any of the options above, in camelCase
+  -y, --yes                 Non-interactive: never prompt, confirm the deployment
+  -h, --help                Show this message
+
+Exit codes: 0 success, 1 failure, 2 bad or missing options, 3 cancelled`;
+
+// stdout is reserved for the JSON summary
+const log = (...args) => console.error(...args);
+
+const isAddress = value => (ethers.utils.isAddress(value) ? null : 'must be an address');
+
+async function main() {
+  const { values } = parseCliArgs({
+    network: { type: 'string' },
+    'rpc-url': { type: 'string' },
+    'royalty-fee': { type: 'string' },
+    creator: { type: 'string' },
+    'out-dir': { type: 'string' },
+    'deployments-dir': { type: 'string' },
+    redeploy: { type: 'boolean' },
+    config: { type: 'string' },
+    yes: { type: 'boolean', short: 'y', default: false }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const config = loadConfig(values.config);
+  loadEnv();
+
+  const interactive = !values.yes && Boolean(process.stdin.isTTY);
+  const prompter = createPrompter({ interactive, assumeYes: values.yes });
+  const option = createOptionResolver({ values, config, prompter });
+
+  try {
+    const network = getNetwork(await option('network', {
+      env: 'NETWORK',
+      prompt: `Network (${Object.keys(loadNetworks()).join(', ')})`
+    }));
+    const rpcUrl = await option('rpc-url', { env: 'RPC_URL', prompt: `Enter ${network.name} RPC URL` });
+    const royaltyFee = Number(await option('royalty-fee', {
+      defaultValue: '750',
+      validate: value => (/^\d+$/.test(value) && Number(value) <= 10000 ? null : 'must be 0-10000')
+    }));
+    const outDir = await option('out-dir', { defaultValue: OUT_DIR });
+    const deploymentsDir = await option('deployments-dir', { defaultValue: DEPLOYMENTS_DIR });
+    const redeploy = values.redeploy ?? config.redeploy ?? false;
+
+    let distributorArtifact;
+    let passArtifact;
+    try {
+      distributorArtifact = loadArtifact('CentralizedRoyaltyDistributor', { outDir });
+      passArtifact = loadArtifact('DiamondGenesisPass', { outDir });
+    } catch (error) {
+      throw new CliError(error.message, EXIT_USAGE);
+    }
+
+    if (!process.env.PRIVATE_KEY) {
+      throw new CliError('PRIVATE_KEY is required', EXIT_USAGE);
+    }
+    const provider = createProvider(rpcUrl);
+    const { chainId } = await provider.getNetwork();
+    if (chainId !== network.chainId) {
+      throw new CliError(`RPC URL serves chain ${chainId}, not ${network.name} (${network.chainId})`, EXIT_USAGE);
+    }
+    const wallet = createWallet(provider);
+    const creator = ethers.utils.getAddress(await option('creator', {
+      env: 'ROYALTY_RECEIVER_ADDRESS',
+      defaultValue: wallet.address,
+      validate: isAddress
+    }));
+
+    const registry = loadDeployments(chainId, deploymentsDir);
+    const file = deploymentsFile(chainId, deploymentsDir);
+    log(`Deployer: ${wallet.address} (${ethers.utils.formatEther(await wallet.getBalance())} ETH)`);
+    log(`Registry: ${file}`);
+    log(`DiamondGenesisPass: royalty fee ${royaltyFee} bps, creator ${creator}`);
+
+    if (!(await prompter.confirm(`Deploy the missing contracts to ${network.name}?`))) {
+      throw new CliError('Operation cancelled.', EXIT_ABORTED);
+    }
+
+    const save = () => saveDeployments(registry, deploymentsDir);
+    const deployed = {};
+    try {
+      deployed.CentralizedRoyaltyDistributor = await ensureDeployed({
+        name: 'CentralizedRoyaltyDistributor',
+        artifact: distributorArtifact,
+        args: [],
+        signer: wallet,
+        registry,
+        save,
+        redeploy,
+        log
+      });
+      // A new distributor changes this constructor argument, so the pass is replaced too
+      deployed.DiamondGenesisPass = await ensureDeployed({
+        name: 'DiamondGenesisPass',
+        artifact: passArtifact,
+        args: [deployed.CentralizedRoyaltyDistributor.address, royaltyFee, creator],
+        signer: wallet,
+        registry,
+        save,
+        redeploy: redeploy || deployed.CentralizedRoyaltyDistributor.result !== 'unchanged',
+        log
+      });
+    } catch (error) {
+      throw new CliError(error.message);
+    }
+
+    log(`\nDISTRIBUTOR_ADDRESS=${deployed.CentralizedRoyaltyDistributor.address}`);
+    log(`DGP_ADDRESS=${deployed.DiamondGenesisPass.address}`);
+
+    console.log(JSON.stringify({
+      script: 'deploy',
+      network: network.key,
+      chainId,
+      registry: file,
+      contracts: Object.fromEntries(Object.entries(deployed).map(([name, entry]) => [name, {
+        ...entry,
+        explorerUrl: explorerUrl(network, 'address', entry.address)
+      }]))
+    }, null, 2));
+  } finally {
+    prompter.close();
+  }
+}
+
+main().catch(exitWithError);
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { CliError, EXIT_FAILURE, EXIT_USAGE, parseCliArgs, exitWithError } = require('./lib/cli');
+const { OUT_DIR } = require('./lib/forgeArtifacts');
+const { generateAbiFiles, staleFiles } = require('./lib/abiCodegen');
+
+const USAGE = `Usage: npm run generate-abis -- [options]
+
+Builds the contracts with \`forge build\` and regenerates, from the artifacts in out/:
+  abis/DiamondGenesisPass.json, abis/CentralizedRoyaltyDistributor.json,
+  abis/ChainlinkOracleIntegration.json                                    bare ABI arrays
+  sdk/src/generated/abis.js, sdk/types/generated.d.ts                     SDK bindings and types
+  sdk/src/generated/selectors.js                                          function/error selectors, event topics
+
+Options:
+  --check          Write nothing; exit with 1 if any committed file differs from what src/ compiles to
+  --skip-build     Use the artifacts already in out/ instead of running \`forge build\`
+  --out-dir <dir>  Forge artifacts directory (default: out)
+  -h, --help       Show this message`;
+
+// forge's own output goes to stderr so stdout stays the list of files
+function forgeBuild() {
+  console.error('Running forge build...');
+  const result = spawnSync('forge', ['build'], { stdio: ['ignore', process.stderr, process.stderr] });
+  if (result.error) {
+    throw new CliError(`Cannot run forge (${result.error.message}); install Foundry, or pass --skip-build with fresh artifacts in out/`);
+  }
+  if (result.status !== 0) {
+    throw new CliError(`forge build failed with exit code ${result.status}`);
+  }
+}
+
+async function main() {
+  const { values } = parseCliArgs({
+    check: { type: 'boolean', default: false },
+    'skip-build': { type: 'boolean', default: false },
+    'out-dir': { type: 'string', default: OUT_DIR }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!values['skip-build']) forgeBuild();
+  let files;
+  try {
+    files = generateAbiFiles({ outDir: values['out-dir'] });
+  } catch (error) {
+    throw new CliError(error.message, EXIT_USAGE);
+  }
+  const stale = staleFiles(files);
+
+  if (values.check) {
+    for (const { file, status } of stale) {
+      console.log(`${status}: ${path.relative(process.cwd(), file)}`);
+    }
+    if (stale.length > 0) {
+      console.error(`${stale.length} generated file(s) no longer match the contracts in src/; run \`npm run generate-abis\` and commit the result`);
+      process.exitCode = EXIT_FAILURE;
+    } else {
+      console.error('ABIs, bindings and selectors are up to date');
+    }
+    return;
+  }
+
+  for (const { file } of stale) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, files[file]);
+    console.log(`Wrote ${path.relative(process.cwd(), file)}`);
+  }
+  if (stale.length === 0) console.error('Nothing changed');
+}
+
+main().catch(exitWithError);
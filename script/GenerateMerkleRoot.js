@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCliArgs, fail } = require('./lib/cli');
+const {
+  MAX_WHITELIST_SUPPLY,
+  parseAllowlist,
+  validateAllowlist,
+  buildWhitelistTree
+} = require('./lib/whitelist');
+
+const USAGE = `Usage: npm run generate-merkle-root -- --input <allowlist.csv|json> [options]
+
+Options:
+  --input <file>     Allowlist of address,quantity rows (CSV) or JSON
+  --out-dir <dir>    Where to write the root, proofs and summary (default: merkle)
+  --force            Write the root and proofs even if the summary reports errors
+  -h, --help         Show this message`;
+
+function main() {
+  const { values } = parseCliArgs({
+    input: { type: 'string', short: 'i' },
+    'out-dir': { type: 'string', default: 'merkle' },
+    force: { type: 'boolean', default: false }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!values.input) {
+    fail(`--input is required\n\n${USAGE}`);
+  }
+
+  const format = path.extname(values.input).toLowerCase() === '.json' ? 'json' : 'csv';
+  const rows = parseAllowlist(fs.readFileSync(values.input, 'utf8'), format);
+  const { entries, errors, totalQuantity } = validateAllowlist(rows);
+
+  const outDir = values['out-dir'];
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const summary = {
+    input: values.input,
+    addresses: entries.length,
+    totalQuantity,
+    maxWhitelistSupply: MAX_WHITELIST_SUPPLY,
+    errors,
+    root: null
+  };
+
+  if (errors.length > 0 && !values.force) {
+    fs.writeFileSync(path.join(outDir, 'whitelist-summary.json'), JSON.stringify(summary, null, 2));
+    errors.forEach(error => console.error(`  ${JSON.stringify(error)}`));
+    fail(`${errors.length} problem(s) found in ${values.input}; see ${outDir}/whitelist-summary.json (use --force to write anyway)`);
+  }
+
+  const { root, claims } = buildWhitelistTree(entries);
+  summary.root = root;
+
+  fs.writeFileSync(path.join(outDir, 'whitelist-root.json'), JSON.stringify({ root }, null, 2));
+  fs.writeFileSync(path.join(outDir, 'whitelist-proofs.json'), JSON.stringify({ root, claims }, null, 2));
+  fs.writeFileSync(path.join(outDir, 'whitelist-summary.json'), JSON.stringify(summary, null, 2));
+
+  console.log(`Merkle root: ${root}`);
+  console.log(`Addresses: ${entries.length}, total quantity: ${totalQuantity}/${MAX_WHITELIST_SUPPLY}`);
+  if (errors.length > 0) {
+    console.warn(`Written with ${errors.length} problem(s) because of --force`);
+  }
+  console.log(`Artifacts written to ${outDir}/`);
+}
+
+try {
+  main();
+} catch (error) {
+  fail(error.message);
+}
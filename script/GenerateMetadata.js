@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const { CliError, EXIT_USAGE, parseCliArgs, exitWithError } = require('./lib/cli');
+const { parseCsv } = require('./lib/csv');
+const { packDirectory } = require('./lib/ipfsCar');
+const {
+  MAX_SUPPLY,
+  tokenUri,
+  buildTokenMetadata,
+  buildPlaceholderMetadata,
+  serializeMetadata,
+  provenanceHash
+} = require('./lib/metadata');
+
+const USAGE = `Usage: npm run -s generate-metadata -- --traits <traits.csv> [options]
+
+Generates one JSON file per token from a traits spreadsheet, a provenance hash over them, and
+an IPFS CAR of the directory with its root CID, computed locally (nothing is uploaded).
+DiamondGenesisPass.tokenURI is baseURI + tokenId + suffixURI, so the files are named
+<tokenId><suffix> and the base URI is ipfs://<cid>/.
+
+The spreadsheet has one row per token. A tokenId column is optional (rows are otherwise
+tokens 1, 2, ...). name, description, image, animation_url, external_url and background_color
+columns become those fields; every other non-empty column becomes an attribute.
+
+Writes to the output directory:
+  revealed/, revealed.car           the token files and their CAR
+  placeholder/, placeholder.car     pre-reveal files (with --placeholder or --placeholder-image)
+  provenance.json                   per-token sha256 and the provenance hash to publish before reveal
+  pre-reveal-actions.json           setSuffixURI + setBaseURI(placeholder), for safe-batch --actions
+  reveal-actions.json               setBaseURI(revealed), plus setSuffixURI without a placeholder
+The manifest (also written as manifest.json) goes to stdout.
+
+Options:
+  --traits <file>            Traits spreadsheet (CSV with a header row)
+  --out-dir <dir>            Output directory (default: metadata)
+  --suffix <suffix>          suffixURI, appended to each file name (default: .json; "" for none)
+  --supply <n>               Number of tokens (default: ${MAX_SUPPLY}, MAX_SUPPLY)
+  --name-prefix <text>       Name for rows without one, followed by the token ID
+                             (default: "Diamond Genesis Pass #")
+  --description <text>       Description for rows without one
+  --image-base <uri>         Image for rows without one: <uri><tokenId><image-ext>
+  --image-ext <ext>          (default: .png)
+  --placeholder <file>       Placeholder metadata template (JSON with at least name and image)
+  --placeholder-image <uri>  Placeholder image; builds a template from --name-prefix and --description
+  --force                    Write the files even if the spreadsheet has problems
+  -h, --help                 Show this message`;
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new CliError(`Cannot read ${file}: ${error.message}`, EXIT_USAGE);
+  }
+}
+
+function placeholderTemplate(values) {
+  if (values.placeholder) return readJson(values.placeholder);
+  if (values['placeholder-image']) {
+    return {
+      name: values['name-prefix'].replace(/\s*#\s*$/, ''),
+      ...(values.description ? { description: values.description } : {}),
+      image: values['placeholder-image']
+    };
+  }
+  return null;
+}
+
+// Replaces <outDir>/<name>/ and writes <outDir>/<name>.car
+function writeDirectory(outDir, name, tokens, suffix) {
+  const files = tokens.map(({ tokenId, metadata }) => ({ name: `${tokenId}${suffix}`, content: serializeMetadata(metadata) }));
+  const { root, car } = packDirectory(files);
+
+  const dir = path.join(outDir, name);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  for (const file of files) fs.writeFileSync(path.join(dir, file.name), file.content);
+  fs.writeFileSync(path.join(outDir, `${name}.car`), car);
+
+  const baseURI = `ipfs://${root}/`;
+  return { cid: root, car: path.join(outDir, `${name}.car`), baseURI, tokenURI: tokenUri(baseURI, 1, suffix), files };
+}
+
+async function main() {
+  const { values } = parseCliArgs({
+    traits: { type: 'string' },
+    'out-dir': { type: 'string', default: 'metadata' },
+    suffix: { type: 'string', default: '.json' },
+    supply: { type: 'string', default: String(MAX_SUPPLY) },
+    'name-prefix': { type: 'string', default: 'Diamond Genesis Pass #' },
+    description: { type: 'string' },
+    'image-base': { type: 'string' },
+    'image-ext': { type: 'string', default: '.png' },
+    placeholder: { type: 'string' },
+    'placeholder-image': { type: 'string' },
+    force: { type: 'boolean', default: false }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!values.traits) {
+    throw new CliError(`--traits is required\n\n${USAGE}`, EXIT_USAGE);
+  }
+  const supply = Number(values.supply);
+  if (!/^\d+$/.test(values.supply) || supply < 1 || supply > MAX_SUPPLY) {
+    throw new CliError(`--supply must be between 1 and ${MAX_SUPPLY}, got ${values.supply}`, EXIT_USAGE);
+  }
+  if (values.suffix.includes('/')) {
+    throw new CliError(`--suffix cannot contain "/", got ${values.suffix}`, EXIT_USAGE);
+  }
+
+  let records;
+  try {
+    ({ records } = parseCsv(fs.readFileSync(values.traits, 'utf8')));
+  } catch (error) {
+    throw new CliError(`Cannot read ${values.traits}: ${error.message}`, EXIT_USAGE);
+  }
+  const { tokens, errors } = buildTokenMetadata(records, {
+    supply,
+    namePrefix: values['name-prefix'],
+    description: values.description,
+    imageBaseURI: values['image-base'],
+    imageExtension: values['image-ext']
+  });
+  if (errors.length > 0) {
+    errors.slice(0, 20).forEach(error => console.error(`  ${JSON.stringify(error)}`));
+    if (errors.length > 20) console.error(`  ... and ${errors.length - 20} more`);
+    if (!values.force) {
+      throw new CliError(`${errors.length} problem(s) found in ${values.traits} (use --force to write anyway)`);
+    }
+    console.error(`Writing anyway with ${errors.length} problem(s) because of --force`);
+  }
+
+  let placeholderTokens = null;
+  const template = placeholderTemplate(values);
+  if (template) {
+    try {
+      placeholderTokens = buildPlaceholderMetadata(template, supply);
+    } catch (error) {
+      throw new CliError(error.message, EXIT_USAGE);
+    }
+  }
+
+  const outDir = values['out-dir'];
+  const suffix = values.suffix;
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const revealed = writeDirectory(outDir, 'revealed', tokens, suffix);
+  const { provenance, tokenHashes } = provenanceHash(revealed.files.map(file => file.content));
+  fs.writeFileSync(path.join(outDir, 'provenance.json'), `${JSON.stringify({
+    provenance,
+    algorithm: 'sha256 of the concatenated hex sha256 of each revealed token file, in token ID order',
+    tokens: tokens.map(({ tokenId }, i) => ({ tokenId, file: revealed.files[i].name, sha256: tokenHashes[i] }))
+  }, null, 2)}\n`);
+
+  // The suffix is set once, with the first base URI the tokens get
+  const placeholder = placeholderTokens && writeDirectory(outDir, 'placeholder', placeholderTokens, suffix);
+  const setSuffix = { action: 'setSuffixURI', suffixURI: suffix };
+  const preRevealActions = placeholder ? [setSuffix, { action: 'setBaseURI', baseURI: placeholder.baseURI }] : [];
+  const revealActions = [...(placeholder ? [] : [setSuffix]), { action: 'setBaseURI', baseURI: revealed.baseURI }];
+  if (placeholder) {
+    fs.writeFileSync(path.join(outDir, 'pre-reveal-actions.json'), `${JSON.stringify(preRevealActions, null, 2)}\n`);
+  } else {
+    for (const stale of ['placeholder', 'placeholder.car', 'pre-reveal-actions.json']) {
+      fs.rmSync(path.join(outDir, stale), { recursive: true, force: true });
+    }
+  }
+  fs.writeFileSync(path.join(outDir, 'reveal-actions.json'), `${JSON.stringify(revealActions, null, 2)}\n`);
+
+  const summarize = ({ cid, car, baseURI, tokenURI }) => ({ cid, car, baseURI, tokenURI });
+  const manifest = {
+    traits: values.traits,
+    tokens: tokens.length,
+    errors,
+    provenance,
+    suffixURI: suffix,
+    revealed: summarize(revealed),
+    placeholder: placeholder ? summarize(placeholder) : null,
+    actions: { preReveal: preRevealActions, reveal: revealActions }
+  };
+  fs.writeFileSync(path.join(outDir, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+  process.stdout.write(`${JSON.stringify(manifest, null, 2)}\n`);
+
+  console.error(`Provenance hash: ${provenance}`);
+  if (placeholder) console.error(`Placeholder CID: ${placeholder.cid} (token 1: ${placeholder.tokenURI})`);
+  console.error(`Revealed CID:    ${revealed.cid} (token 1: ${revealed.tokenURI})`);
+}
+
+main().catch(exitWithError);
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { CliError, EXIT_USAGE, parseCliArgs, loadEnv, exitWithError } = require('./lib/cli');
+const { createProvider } = require('./lib/chain');
+const { decodeRevert, revertData } = require('./lib/forkSimulation');
+const {
+  HOLDER_CLAIM_ABI,
+  DEFAULT_GAS_MODEL,
+  holderClaimInterface,
+  computeIneligibleTokensBitmap,
+  parseSnapshot,
+  buildClaimPlan,
+  claimBatchSize,
+  buildClaimCalls
+} = require('./lib/holderClaims');
+
+const USAGE = `Usage: npm run -s holder-claims -- --root-collection <address> --ineligible <file> [options]
+       npm run -s holder-claims -- --contract <address> --root-collection <address> --snapshot <file> [options]
+
+Tooling for ClaimableHolderMint.
+
+--ineligible computes the slot and bitmap arrays for initializeIneligibleTokens offline, matching
+computeIneligibleTokensBitmap on-chain. The file lists token IDs separated by commas, spaces or
+newlines; they are sorted and de-duplicated first. Prints the arrays and the calldata. No RPC needed.
+
+--snapshot reads a root-collection snapshot CSV (tokenId and owner columns), checks every token
+with isEligible / isClaimed and prints a per-holder plan of claimBatch(rootCollection, tokenIds)
+calls, each sized to fit --gas-budget. Holders send their calls from their own wallets.
+
+Options:
+  --contract <address>          ClaimableHolderMint contract (env: HOLDER_CLAIM_ADDRESS)
+  --root-collection <address>   Root ERC-721 collection the claims are made from
+  --ineligible <file>           Token IDs that may never claim
+  --finalize                    Encode initializeIneligibleTokens with finalize = true
+  --snapshot <file>             Snapshot CSV of the root collection
+  --block <n>                   Block to read isEligible / isClaimed at (default: latest)
+  --gas-budget <n>              Gas limit per claimBatch transaction (default: 5000000)
+  --base-gas <n>                Gas model: per call (default: ${DEFAULT_GAS_MODEL.baseGas})
+  --gas-per-claim <n>           Gas model: per root token ID (default: ${DEFAULT_GAS_MODEL.gasPerClaim})
+  --gas-per-mint <n>            Gas model: per minted token (default: ${DEFAULT_GAS_MODEL.gasPerMint})
+  --estimate                    Also eth_estimateGas every call from its holder and fail when one
+                                exceeds the budget
+  --rpc-url <url>               JSON-RPC endpoint (default: RPC_URL or http://localhost:8545)
+  --out <file>                  Write the JSON to a file instead of stdout
+  -h, --help                    Show this message`;
+
+// stdout is reserved for the JSON output
+const log = (...args) => console.error(...args);
+
+function requireAddress(value, flag) {
+  if (!ethers.utils.isAddress(value || '')) {
+    throw new CliError(`${flag} must be a valid address\n\n${USAGE}`, EXIT_USAGE);
+  }
+  return ethers.utils.getAddress(value);
+}
+
+function parseInteger(value, flag) {
+  if (!/^\d+$/.test(value)) throw new CliError(`${flag} must be a non-negative integer, got ${value}`, EXIT_USAGE);
+  return Number(value);
+}
+
+function readFile(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new CliError(`Cannot read ${file}: ${error.message}`, EXIT_USAGE);
+  }
+}
+
+function ineligibleBitmaps(values, rootCollection, contract) {
+  const ids = readFile(values.ineligible).split(/[\s,]+/).filter(Boolean);
+  const invalid = ids.find(id => !/^\d+$/.test(id));
+  if (invalid !== undefined) throw new CliError(`${values.ineligible}: "${invalid}" is not a token ID`, EXIT_USAGE);
+  const tokenIds = [...new Set(ids.map(id => BigInt(id)))].sort((a, b) => (a < b ? -1 : 1)).map(String);
+  if (tokenIds.length === 0) throw new CliError(`${values.ineligible} lists no token IDs`, EXIT_USAGE);
+  if (tokenIds.length < ids.length) log(`Dropped ${ids.length - tokenIds.length} duplicate token ID(s)`);
+
+  const { slots, bitmaps } = computeIneligibleTokensBitmap(tokenIds);
+  log(`${tokenIds.length} ineligible token(s) in ${slots.length} slot(s)`);
+  return {
+    script: 'holder-claims',
+    contract,
+    rootCollection,
+    ineligibleTokens: tokenIds.length,
+    slots: slots.map(String),
+    bitmaps: bitmaps.map(String),
+    finalize: values.finalize,
+    data: holderClaimInterface.encodeFunctionData('initializeIneligibleTokens', [values.finalize, rootCollection, slots, bitmaps])
+  };
+}
+
+async function claimPlan(values, rootCollection, address) {
+  let parsed;
+  try {
+    parsed = parseSnapshot(readFile(values.snapshot));
+  } catch (error) {
+    if (error instanceof CliError) throw error;
+    throw new CliError(`Cannot read ${values.snapshot}: ${error.message}`, EXIT_USAGE);
+  }
+  if (parsed.errors.length > 0) {
+    parsed.errors.forEach(error => log(`  ${JSON.stringify(error)}`));
+    throw new CliError(`${parsed.errors.length} problem(s) found in ${values.snapshot}`, EXIT_USAGE);
+  }
+
+  const gasBudget = parseInteger(values['gas-budget'], '--gas-budget');
+  const gasModel = {
+    baseGas: parseInteger(values['base-gas'], '--base-gas'),
+    gasPerClaim: parseInteger(values['gas-per-claim'], '--gas-per-claim'),
+    gasPerMint: parseInteger(values['gas-per-mint'], '--gas-per-mint')
+  };
+  const blockTag = values.block !== undefined ? parseInteger(values.block, '--block') : 'latest';
+
+  const provider = createProvider(values['rpc-url']);
+  const { chainId } = await provider.getNetwork();
+  const contract = new ethers.Contract(address, HOLDER_CLAIM_ABI, provider);
+  let plan;
+  let holders;
+  try {
+    plan = await buildClaimPlan({ contract, rootCollection, snapshot: parsed.entries, blockTag, log });
+    holders = buildClaimCalls(plan, { contract: address, rootCollection, gasBudget, gasModel });
+  } catch (error) {
+    throw new CliError(error.message);
+  }
+
+  if (values.estimate) {
+    for (const { calls } of holders) {
+      for (const call of calls) {
+        let estimate;
+        try {
+          estimate = await provider.estimateGas({ from: call.from, to: call.to, data: call.data });
+        } catch (error) {
+          throw new CliError(`claimBatch from ${call.from} would revert: ${decodeRevert(revertData(error), [holderClaimInterface])}`);
+        }
+        call.gasEstimate = estimate.toNumber();
+        if (estimate.gt(gasBudget)) {
+          throw new CliError(`claimBatch for ${call.from} with ${call.tokenIds.length} token(s) estimates ${estimate} gas, over the ${gasBudget} budget; raise the gas model`);
+        }
+      }
+    }
+  }
+
+  const count = key => plan.holders.reduce((sum, holder) => sum + holder[key].length, 0);
+  const totals = {
+    holders: plan.holders.length,
+    tokens: parsed.entries.length,
+    claimable: count('claimable'),
+    ineligible: count('ineligible'),
+    claimed: count('claimed'),
+    invalid: count('invalid'),
+    mints: count('claimable') * plan.tokensPerClaim,
+    transactions: holders.reduce((sum, holder) => sum + holder.calls.length, 0)
+  };
+  log(`${totals.claimable}/${totals.tokens} token(s) claimable by ${holders.length} holder(s) in ${totals.transactions} transaction(s), ${totals.mints} mint(s)`);
+  if (totals.invalid > 0) log(`${totals.invalid} token ID(s) are above the root collection's max supply`);
+
+  return {
+    script: 'holder-claims',
+    chainId,
+    contract: address,
+    rootCollection,
+    blockTag,
+    tokensPerClaim: plan.tokensPerClaim,
+    gasBudget,
+    gasModel,
+    batchSize: claimBatchSize({ tokensPerClaim: plan.tokensPerClaim, gasBudget, gasModel }),
+    totals,
+    holders: plan.holders.map(holder => ({
+      ...holder,
+      calls: (holders.find(entry => entry.holder === holder.holder) || { calls: [] }).calls
+    }))
+  };
+}
+
+async function main() {
+  loadEnv();
+  const { values } = parseCliArgs({
+    contract: { type: 'string', default: process.env.HOLDER_CLAIM_ADDRESS },
+    'root-collection': { type: 'string' },
+    ineligible: { type: 'string' },
+    finalize: { type: 'boolean', default: false },
+    snapshot: { type: 'string' },
+    block: { type: 'string' },
+    'gas-budget': { type: 'string', default: '5000000' },
+    'base-gas': { type: 'string', default: String(DEFAULT_GAS_MODEL.baseGas) },
+    'gas-per-claim': { type: 'string', default: String(DEFAULT_GAS_MODEL.gasPerClaim) },
+    'gas-per-mint': { type: 'string', default: String(DEFAULT_GAS_MODEL.gasPerMint) },
+    estimate: { type: 'boolean', default: false },
+    'rpc-url': { type: 'string' },
+    out: { type: 'string' }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (Boolean(values.ineligible) === Boolean(values.snapshot)) {
+    throw new CliError(`Pass either --ineligible or --snapshot\n\n${USAGE}`, EXIT_USAGE);
+  }
+  const rootCollection = requireAddress(values['root-collection'], '--root-collection');
+
+  const result = values.ineligible
+    ? ineligibleBitmaps(values, rootCollection, values.contract ? requireAddress(values.contract, '--contract') : null)
+    : await claimPlan(values, rootCollection, requireAddress(values.contract, '--contract'));
+
+  const output = `${JSON.stringify(result, null, 2)}\n`;
+  if (values.out) {
+    fs.mkdirSync(path.dirname(path.resolve(values.out)), { recursive: true });
+    fs.writeFileSync(values.out, output);
+    log(`Wrote ${values.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main().catch(exitWithError);
@@ -0,0 +1,147 @@
+const { CliError, EXIT_FAILURE, EXIT_USAGE, parseCliArgs, loadEnv, exitWithError } = require('./lib/cli');
+const { createProvider } = require('./lib/chain');
+const { startAnvilFork } = require('./lib/forkSimulation');
+const { loadPolicyFile } = require('./lib/transferPolicy');
+const {
+  DEFAULT_CATALOG_FILE,
+  loadCatalog,
+  saveCatalog,
+  readCodehashes,
+  updateCatalog,
+  verifyCatalog,
+  checkPolicyCodehashes
+} = require('./lib/operatorCatalog');
+
+const USAGE = `Usage: npm run -s operator-codehashes -- [--update] [--policy <file>] [options]
+
+Computes the EXTCODEHASH of every marketplace and conduit in the operator catalog
+(${DEFAULT_CATALOG_FILE}) from an anvil fork and compares it with the hash recorded for the
+chain. A recorded hash that no longer matches the deployed code, or whose code is gone, fails
+the run: validator lists holding that hash no longer cover the operator. Operators without a
+recorded hash are warnings. With --policy, the policy's whitelisted and blacklisted codehashes
+are checked too. The JSON report goes to stdout.
+
+--update records the hashes for this chain in the catalog, bumping its revision when anything
+changed; commit the file so reviewers see the change. Operators are added by editing the file.
+
+Options:
+  --catalog <file>     Catalog file (default: ${DEFAULT_CATALOG_FILE})
+  --update             Record the computed hashes in the catalog
+  --policy <file>      Transfer policy file whose codehashes to check against the catalog
+  --fork-url <url>     RPC to fork (default: RPC_URL)
+  --rpc-url <url>      Read from this node instead of starting a fork
+  --block <n>          Block to read the code at (default: latest)
+  -h, --help           Show this message
+
+Exit codes: 0 success, 1 a recorded hash does not match, 2 bad or missing options`;
+
+function readCatalog(file) {
+  try {
+    return loadCatalog(file);
+  } catch (error) {
+    throw new CliError(`${file}: ${error.message}`, EXIT_USAGE);
+  }
+}
+
+async function inspect(provider, values, catalog, policy) {
+  const { chainId } = await provider.getNetwork();
+  const block = values.block !== undefined ? Number(values.block) : await provider.getBlockNumber();
+  console.error(`Reading ${catalog.operators.length} operator(s) on chain ${chainId} at block ${block}...`);
+  const deployed = await readCodehashes(provider, catalog.operators.map(({ address }) => address), block);
+  const { operators, findings } = verifyCatalog(catalog, chainId, deployed);
+  if (policy) findings.push(...checkPolicyCodehashes(catalog, chainId, policy, deployed));
+  return { chainId, block, deployed, operators, findings };
+}
+
+async function main() {
+  loadEnv();
+  const { values } = parseCliArgs({
+    catalog: { type: 'string', default: DEFAULT_CATALOG_FILE },
+    update: { type: 'boolean', default: false },
+    policy: { type: 'string' },
+    'fork-url': { type: 'string' },
+    'rpc-url': { type: 'string' },
+    block: { type: 'string' }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (values.block !== undefined && !/^\d+$/.test(values.block)) {
+    throw new CliError(`--block must be a block number, got ${values.block}`, EXIT_USAGE);
+  }
+  if (values['fork-url'] && values['rpc-url']) {
+    throw new CliError('Pass --fork-url or --rpc-url, not both', EXIT_USAGE);
+  }
+  const catalog = readCatalog(values.catalog);
+  let policy = null;
+  if (values.policy) {
+    try {
+      policy = loadPolicyFile(values.policy);
+    } catch (error) {
+      throw new CliError(`${values.policy}: ${error.message}`, EXIT_USAGE);
+    }
+  }
+
+  let fork = null;
+  let provider;
+  if (values['rpc-url']) {
+    provider = createProvider(values['rpc-url']);
+  } else {
+    const forkUrl = values['fork-url'] || process.env.RPC_URL;
+    if (!forkUrl) {
+      throw new CliError('--fork-url (or RPC_URL) is required; pass --rpc-url to read from a running node', EXIT_USAGE);
+    }
+    console.error(`Starting an anvil fork of ${forkUrl}...`);
+    try {
+      fork = await startAnvilFork(forkUrl);
+    } catch (error) {
+      throw new CliError(error.message);
+    }
+    provider = fork.provider;
+  }
+
+  let result;
+  try {
+    result = await inspect(provider, values, catalog, policy);
+  } finally {
+    if (fork) fork.stop();
+  }
+  const { chainId, block, deployed, operators, findings } = result;
+
+  let changes = [];
+  let { revision } = catalog;
+  if (values.update) {
+    const updated = updateCatalog(catalog, chainId, deployed, { block });
+    ({ changes } = updated);
+    ({ revision } = updated.catalog);
+    if (changes.length > 0) saveCatalog(values.catalog, updated.catalog);
+  }
+
+  // A changed hash is recorded by --update, so only what is still wrong fails the run
+  const errors = findings.filter(({ level, code }) => level === 'error' && !(values.update && code === 'codehash-changed'));
+  const report = {
+    generatedAt: new Date().toISOString(),
+    chainId,
+    block,
+    catalog: values.catalog,
+    revision,
+    summary: { operators: operators.length, errors: errors.length, warnings: findings.filter(({ level }) => level === 'warning').length, ok: errors.length === 0 },
+    operators,
+    findings,
+    changes
+  };
+  process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+
+  for (const { level, message } of findings) console.error(`${level}: ${message}`);
+  if (values.update) {
+    console.error(changes.length > 0
+      ? `Recorded ${changes.length} codehash(es) in ${values.catalog} (revision ${revision}); review and commit it`
+      : `${values.catalog} is up to date (revision ${revision})`);
+    changes.filter(({ from }) => from).forEach(({ name, from, to }) => console.error(`  ${name}: ${from} -> ${to}`));
+  }
+  if (errors.length > 0) process.exitCode = EXIT_FAILURE;
+}
+
+main().catch(exitWithError);
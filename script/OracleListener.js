@@ -0,0 +1,82 @@
+const { ethers } = require('ethers');
+const { parseCliArgs, loadEnv, fail } = require('./lib/cli');
+const { loadAbi } = require('./lib/abis');
+const { createProvider, createWallet } = require('./lib/chain');
+const { createJsonlLog } = require('./lib/jsonlLog');
+const { sleep } = require('./lib/retry');
+const { createOracleListener } = require('./lib/oracleListener');
+
+const USAGE = `Usage: npm run oracle-listener -- --distributor <address> --oracle <address> [options]
+
+Answers CentralizedRoyaltyDistributor.OracleUpdateRequested by calling
+ChainlinkOracleIntegration.sendRoyaltyDataRequest from the PRIVATE_KEY service account.
+
+Options:
+  --distributor <address>  CentralizedRoyaltyDistributor address (default: DISTRIBUTOR_ADDRESS)
+  --oracle <address>       ChainlinkOracleIntegration address (default: ORACLE_ADDRESS)
+  --rpc-url <url>          JSON-RPC endpoint (default: RPC_URL or http://localhost:8545)
+  --from-block <n>         First block to watch when there is no checkpoint (default: latest)
+  --state <file>           Checkpoint and dedupe file (default: state/oracle-listener.json)
+  --log <file>             Structured JSON lines log (default: state/oracle-listener.log.jsonl)
+  --retries <n>            Retries per request (default: 5)
+  --poll-interval <ms>     Delay between polls (default: 12000)
+  --dry-run                Simulate requests with eth_call; nothing is sent or checkpointed
+  --once                   Handle requests up to the current head and exit
+  -h, --help               Show this message`;
+
+async function main() {
+  loadEnv();
+  const { values } = parseCliArgs({
+    distributor: { type: 'string', default: process.env.DISTRIBUTOR_ADDRESS },
+    oracle: { type: 'string', default: process.env.ORACLE_ADDRESS },
+    'rpc-url': { type: 'string' },
+    'from-block': { type: 'string' },
+    state: { type: 'string', default: 'state/oracle-listener.json' },
+    log: { type: 'string', default: 'state/oracle-listener.log.jsonl' },
+    retries: { type: 'string', default: '5' },
+    'poll-interval': { type: 'string', default: '12000' },
+    'dry-run': { type: 'boolean', default: false },
+    once: { type: 'boolean', default: false }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!ethers.utils.isAddress(values.distributor || '') || !ethers.utils.isAddress(values.oracle || '')) {
+    fail(`--distributor and --oracle must be valid addresses\n\n${USAGE}`);
+  }
+
+  const provider = createProvider(values['rpc-url']);
+  const wallet = createWallet(provider);
+  const distributor = new ethers.Contract(values.distributor, loadAbi('CentralizedRoyaltyDistributor'), provider);
+  const oracle = new ethers.Contract(values.oracle, loadAbi('ChainlinkOracleIntegration'), wallet);
+  const writeLog = createJsonlLog(values.log);
+  const record = (event, fields) => {
+    const entry = writeLog(event, { dryRun: values['dry-run'], ...fields });
+    console.log(JSON.stringify(entry));
+  };
+
+  const listener = createOracleListener({
+    provider,
+    distributor,
+    oracle,
+    stateFile: values.state,
+    startBlock: values['from-block'] !== undefined ? Number(values['from-block']) : await provider.getBlockNumber(),
+    record,
+    dryRun: values['dry-run'],
+    retry: { retries: Number(values.retries) }
+  });
+
+  record('listener-started', { distributor: values.distributor, oracle: values.oracle, account: wallet.address });
+  for (;;) {
+    await listener.poll();
+    if (values.once) return;
+    await sleep(Number(values['poll-interval']));
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,110 @@
+const http = require('http');
+const { ethers } = require('ethers');
+const { parseCliArgs, fail } = require('./lib/cli');
+const { createJsonFileStore } = require('./lib/proofStore');
+
+const USAGE = `Usage: npm run proof-server -- [options]
+
+Options:
+  --whitelist <file>   Proofs file from generate-merkle-root (default: merkle/whitelist-proofs.json)
+  --claims-dir <dir>   Directory of <collection>.json claim artifacts (default: merkle/claims)
+  --port <port>        Port to listen on (default: PORT or 8787)
+  -h, --help           Show this message
+
+Endpoints:
+  GET /api/whitelist-proof/:address                      -> { quantity, proof }
+  GET /api/claim-proof?collection=<addr>&recipient=<addr> -> { root, amount, proof, ... }`;
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the proof lookup server on top of a storage adapter (see lib/proofStore.js).
+ * @param {object} store
+ * @returns {http.Server}
+ */
+function createProofServer(store) {
+  return http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': 'GET' });
+      return res.end();
+    }
+    if (req.method !== 'GET') {
+      return send(res, 405, { error: 'Method not allowed' });
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      const whitelistMatch = url.pathname.match(/^\/api\/whitelist-proof\/([^/]+)$/);
+      if (whitelistMatch) {
+        const address = whitelistMatch[1];
+        if (!ethers.utils.isAddress(address)) {
+          return send(res, 400, { error: 'Invalid address' });
+        }
+        const claim = await store.getWhitelistClaim(address);
+        if (!claim) {
+          return send(res, 404, { error: 'Address is not whitelisted' });
+        }
+        return send(res, 200, { quantity: claim.quantity, proof: claim.proof });
+      }
+
+      if (url.pathname === '/api/claim-proof') {
+        const collection = url.searchParams.get('collection');
+        const recipient = url.searchParams.get('recipient');
+        if (!ethers.utils.isAddress(collection || '') || !ethers.utils.isAddress(recipient || '')) {
+          return send(res, 400, { error: 'collection and recipient must be valid addresses' });
+        }
+        const claim = await store.getClaim(collection, recipient);
+        if (!claim) {
+          return send(res, 404, { error: 'No claim found for recipient' });
+        }
+        return send(res, 200, claim);
+      }
+
+      return send(res, 404, { error: 'Not found' });
+    } catch (error) {
+      console.error(`${req.method} ${req.url} failed:`, error);
+      return send(res, 500, { error: 'Internal server error' });
+    }
+  });
+}
+
+function main() {
+  const { values } = parseCliArgs({
+    whitelist: { type: 'string', default: 'merkle/whitelist-proofs.json' },
+    'claims-dir': { type: 'string', default: 'merkle/claims' },
+    port: { type: 'string', default: process.env.PORT || '8787' }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const store = createJsonFileStore({
+    whitelistFile: values.whitelist,
+    claimsDir: values['claims-dir']
+  });
+  const server = createProofServer(store);
+  server.listen(Number(values.port), () => {
+    console.log(`Proof server listening on http://localhost:${server.address().port}`);
+    console.log(`Serving whitelist proofs from ${values.whitelist}`);
+  });
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    fail(error.message);
+  }
+}
+
+module.exports = {
+  createProofServer
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { CliError, EXIT_FAILURE, EXIT_USAGE, parseCliArgs, loadEnv, exitWithError } = require('./lib/cli');
+const { loadAbi } = require('./lib/abis');
+const { createProvider } = require('./lib/chain');
+const { DEPLOYMENTS_DIR, loadDeployments } = require('./lib/deployments');
+const { createRoleAudit } = require('./lib/roleAudit');
+
+const USAGE = `Usage: npm run -s role-audit -- [options]
+
+Rebuilds who holds DEFAULT_ADMIN_ROLE and SERVICE_ACCOUNT_ROLE on DiamondGenesisPass and
+CentralizedRoyaltyDistributor, and who owns the collection, from RoleGranted / RoleRevoked /
+RoleAdminChanged / OwnershipTransferred events. The replay is checked against hasRole and
+owner(). The report lists the holders, a timeline and risky states such as an EOA still holding
+admin after the Safe handover. Exits with 1 when any finding is an error.
+
+Options:
+  --collection <address>   DiamondGenesisPass (default: DGP_ADDRESS, then deployments/<chainId>.json)
+  --distributor <address>  CentralizedRoyaltyDistributor (default: DISTRIBUTOR_ADDRESS, then the registry)
+  --safe <address>         Safe that should own and administer both contracts (default: SAFE_ADDRESS)
+  --rpc-url <url>          JSON-RPC endpoint (default: RPC_URL or http://localhost:8545)
+  --from-block <n>         First block to read events from (default: the earliest deployment
+                           block in the registry, else 0)
+  --to-block <n>           Block to audit at (default: latest)
+  --block-span <n>         Blocks per getLogs query (default: 2000)
+  --deployments-dir <dir>  Registry directory (default: deployments)
+  --out <file>             Write the report to a file instead of stdout
+  -h, --help               Show this message`;
+
+function parseBlock(value, flag) {
+  if (!/^\d+$/.test(value)) throw new CliError(`${flag} must be a block number, got ${value}`, EXIT_USAGE);
+  return Number(value);
+}
+
+function requireAddress(value, flag) {
+  if (!ethers.utils.isAddress(value || '')) {
+    throw new CliError(`${flag} must be a valid address\n\n${USAGE}`, EXIT_USAGE);
+  }
+  return ethers.utils.getAddress(value);
+}
+
+async function main() {
+  loadEnv();
+  const { values } = parseCliArgs({
+    collection: { type: 'string', default: process.env.DGP_ADDRESS },
+    distributor: { type: 'string', default: process.env.DISTRIBUTOR_ADDRESS },
+    safe: { type: 'string', default: process.env.SAFE_ADDRESS },
+    'rpc-url': { type: 'string' },
+    'from-block': { type: 'string' },
+    'to-block': { type: 'string' },
+    'block-span': { type: 'string', default: '2000' },
+    'deployments-dir': { type: 'string', default: DEPLOYMENTS_DIR },
+    out: { type: 'string' }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const provider = createProvider(values['rpc-url']);
+  const { chainId } = await provider.getNetwork();
+  const registry = loadDeployments(chainId, values['deployments-dir']);
+  const deployed = name => registry.contracts[name] && registry.contracts[name].address;
+
+  const collection = requireAddress(values.collection || deployed('DiamondGenesisPass'), '--collection');
+  const distributor = requireAddress(values.distributor || deployed('CentralizedRoyaltyDistributor'), '--distributor');
+  const safe = values.safe ? requireAddress(values.safe, '--safe') : null;
+  const deploymentBlocks = Object.values(registry.contracts).map(entry => entry.blockNumber).filter(Number.isInteger);
+  const fromBlock = values['from-block'] !== undefined
+    ? parseBlock(values['from-block'], '--from-block')
+    : deploymentBlocks.length > 0 ? Math.min(...deploymentBlocks) : 0;
+  const toBlock = values['to-block'] !== undefined ? parseBlock(values['to-block'], '--to-block') : await provider.getBlockNumber();
+
+  const report = await createRoleAudit({
+    contracts: {
+      DiamondGenesisPass: new ethers.Contract(collection, loadAbi('DiamondGenesisPass'), provider),
+      CentralizedRoyaltyDistributor: new ethers.Contract(distributor, loadAbi('CentralizedRoyaltyDistributor'), provider)
+    },
+    fromBlock,
+    toBlock,
+    blockSpan: parseBlock(values['block-span'], '--block-span'),
+    safe
+  });
+
+  const output = `${JSON.stringify(report, null, 2)}\n`;
+  if (values.out) {
+    fs.mkdirSync(path.dirname(path.resolve(values.out)), { recursive: true });
+    fs.writeFileSync(values.out, output);
+    console.error(`Wrote ${values.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+
+  for (const contract of report.contracts) {
+    console.error(`${contract.name} ${contract.address}${contract.owner !== undefined ? ` (owner ${contract.owner})` : ''}`);
+    for (const { role, holders } of contract.roles) {
+      console.error(`  ${role}: ${holders.map(({ account, kind }) => `${account} (${kind})`).join(', ') || 'nobody'}`);
+    }
+  }
+  for (const item of report.findings) {
+    console.error(`${item.level}: ${item.contract} ${item.code}: ${item.message}`);
+  }
+  console.error(`${report.timeline.length} role events from block ${fromBlock} to ${toBlock}, ${report.summary.errors} errors`);
+  if (report.summary.errors > 0) process.exitCode = EXIT_FAILURE;
+}
+
+main().catch(exitWithError);
@@ -0,0 +1,111 @@
+const { ethers } = require('ethers');
+const { parseCliArgs, loadEnv, fail } = require('./lib/cli');
+const { loadAbi } = require('./lib/abis');
+const { createProvider, createWallet } = require('./lib/chain');
+const { createTxValuePriceSource, createFilePriceSource, createMarketplacePriceSource } = require('./lib/priceSources');
+const { MARKETPLACE_ADAPTERS } = require('../src/chainlink/marketplaces');
+const { createRoyaltyIndexer } = require('./lib/royaltyIndexer');
+const { sleep } = require('./lib/retry');
+
+const USAGE = `Usage: npm run royalty-indexer -- --collection <address> --distributor <address> [options]
+
+Follows DiamondGenesisPass Transfer events and submits sales to
+CentralizedRoyaltyDistributor.batchUpdateRoyaltyData from the PRIVATE_KEY service account.
+
+Options:
+  --collection <address>   DiamondGenesisPass address (default: DGP_ADDRESS)
+  --distributor <address>  CentralizedRoyaltyDistributor address (default: DISTRIBUTOR_ADDRESS)
+  --rpc-url <url>          JSON-RPC endpoint (default: RPC_URL or http://localhost:8545)
+  --from-block <n>         First block to index when there is no checkpoint (default: 0)
+  --state <file>           Checkpoint file (default: state/royalty-indexer.json)
+  --prices <file>          JSON price file keyed by <txHash>:<tokenId> or <txHash>
+                           (default: use the transaction's ETH value)
+  --marketplaces <names>   Price sales from marketplace APIs, in priority order, e.g.
+                           opensea,reservoir; falls back to the transaction's ETH value.
+                           API keys come from OPENSEA_API_KEY, RESERVOIR_API_KEY, ...
+  --chain <name>           Marketplace chain name (default: ethereum)
+  --batch-size <n>         Sales per batchUpdateRoyaltyData call (default: 50)
+  --confirmations <n>      Blocks to stay behind the head (default: 0)
+  --poll-interval <ms>     Delay between polls (default: 12000)
+  --once                   Index up to the current head and exit
+  -h, --help               Show this message`;
+
+function createPriceSource(values, marketplaces, provider) {
+  if (values.prices) {
+    return createFilePriceSource(values.prices);
+  }
+  if (marketplaces) {
+    return createMarketplacePriceSource({
+      collection: values.collection,
+      chain: values.chain,
+      marketplaces,
+      apiKeys: process.env,
+      fallback: createTxValuePriceSource(provider)
+    });
+  }
+  return createTxValuePriceSource(provider);
+}
+
+async function main() {
+  loadEnv();
+  const { values } = parseCliArgs({
+    collection: { type: 'string', default: process.env.DGP_ADDRESS },
+    distributor: { type: 'string', default: process.env.DISTRIBUTOR_ADDRESS },
+    'rpc-url': { type: 'string' },
+    'from-block': { type: 'string', default: '0' },
+    state: { type: 'string', default: 'state/royalty-indexer.json' },
+    prices: { type: 'string' },
+    marketplaces: { type: 'string' },
+    chain: { type: 'string', default: 'ethereum' },
+    'batch-size': { type: 'string', default: '50' },
+    confirmations: { type: 'string', default: '0' },
+    'poll-interval': { type: 'string', default: '12000' },
+    once: { type: 'boolean', default: false }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!ethers.utils.isAddress(values.collection || '') || !ethers.utils.isAddress(values.distributor || '')) {
+    fail(`--collection and --distributor must be valid addresses\n\n${USAGE}`);
+  }
+
+  const marketplaces = values.marketplaces ? values.marketplaces.split(',').map(name => name.trim()) : null;
+  const unknown = (marketplaces || []).filter(name => !MARKETPLACE_ADAPTERS[name]);
+  if (unknown.length > 0) {
+    fail(`Unknown marketplace(s): ${unknown.join(', ')}. Known: ${Object.keys(MARKETPLACE_ADAPTERS).join(', ')}`);
+  }
+
+  const provider = createProvider(values['rpc-url']);
+  const wallet = createWallet(provider);
+  const nft = new ethers.Contract(values.collection, loadAbi('DiamondGenesisPass'), provider);
+  const distributor = new ethers.Contract(values.distributor, loadAbi('CentralizedRoyaltyDistributor'), provider);
+
+  const indexer = createRoyaltyIndexer({
+    provider,
+    wallet,
+    nft,
+    distributor,
+    priceSource: createPriceSource(values, marketplaces, provider),
+    stateFile: values.state,
+    startBlock: Number(values['from-block']),
+    batchSize: Number(values['batch-size']),
+    confirmations: Number(values.confirmations)
+  });
+
+  console.log(`Indexing ${values.collection} as ${wallet.address}`);
+  for (;;) {
+    const nextBlock = await indexer.runOnce();
+    if (values.once) {
+      console.log(`Indexed through block ${nextBlock - 1}`);
+      return;
+    }
+    await sleep(Number(values['poll-interval']));
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
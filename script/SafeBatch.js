@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { CliError, EXIT_USAGE, parseCliArgs, loadEnv, exitWithError } = require('./lib/cli');
+const { loadAbi } = require('./lib/abis');
+const { getNetwork } = require('./lib/networks');
+const { parseAction, buildTransactions, createBatchFile } = require('./lib/safeBatch');
+const { startAnvilFork, simulateTransactions } = require('./lib/forkSimulation');
+
+const USAGE = `Usage: npm run safe-batch -- --network <name> --safe <address> (--actions <file> | --action <name=value> ...) [options]
+
+Builds a Safe Transaction Builder batch of DiamondGenesisPass / CentralizedRoyaltyDistributor
+owner actions. The batch is simulated from the Safe on a local anvil fork first, and the file
+is only written when every transaction succeeds.
+
+Actions (shorthand value in brackets):
+  setMerkleRoot [merkleRoot]          setPublicMintActive [active]     setBaseURI [baseURI]
+  setSuffixURI [suffixURI]            "setSuffixURI=" clears the suffix
+  setRoyaltyRecipient [recipient]     updateCreatorAddress [creator]
+  grantServiceRole [account]          grant SERVICE_ACCOUNT_ROLE; "target": "distributor" in
+                                      --actions grants it on the distributor instead
+  revokeServiceRole [account]         revoke SERVICE_ACCOUNT_ROLE; same "target" as above
+  setTrustedOracleAddress [oracle]    setOracleUpdateMinBlockInterval [interval]   (distributor)
+  registerCollection                  (distributor) --actions only: { "action": "registerCollection",
+                                      "royaltyFeeNumerator", "minterShares", "creatorShares", "creator" }
+
+Options:
+  --network <name>         Network from config/networks.json, or its chain ID (env: NETWORK)
+  --safe <address>         Safe that owns the contracts (env: SAFE_ADDRESS)
+  --collection <address>   DiamondGenesisPass address (env: DGP_ADDRESS)
+  --distributor <address>  CentralizedRoyaltyDistributor address (env: DISTRIBUTOR_ADDRESS)
+  --actions <file>         JSON array of actions, e.g. [{ "action": "setBaseURI", "baseURI": "ipfs://..." }]
+  --action <name=value>    Add one action; repeat in order (after those from --actions)
+  --fork-url <url>         RPC to fork for the simulation (default: RPC_URL)
+  --simulation-rpc <url>   Simulate on an already running anvil node instead of starting one
+  --skip-simulation        Write the batch without simulating it
+  --name <text>            Batch name shown in the Transaction Builder
+  --out <file>             Batch file to write (default: safe-batch.json)
+  -h, --help               Show this message`;
+
+async function simulate(values, safe, transactions) {
+  const interfaces = ['DiamondGenesisPass', 'CentralizedRoyaltyDistributor'].map(name => new ethers.utils.Interface(loadAbi(name)));
+
+  let fork = null;
+  let provider;
+  if (values['simulation-rpc']) {
+    provider = new ethers.providers.JsonRpcProvider(values['simulation-rpc']);
+  } else {
+    const forkUrl = values['fork-url'] || process.env.RPC_URL;
+    if (!forkUrl) {
+      throw new CliError('--fork-url (or RPC_URL) is required to simulate the batch; pass --skip-simulation to skip it', EXIT_USAGE);
+    }
+    console.log(`Starting an anvil fork of ${forkUrl}...`);
+    try {
+      fork = await startAnvilFork(forkUrl);
+    } catch (error) {
+      throw new CliError(error.message);
+    }
+    provider = fork.provider;
+  }
+
+  try {
+    return { chainId: (await provider.getNetwork()).chainId, results: await simulateTransactions(provider, safe, transactions, interfaces) };
+  } finally {
+    if (fork) fork.stop();
+  }
+}
+
+async function main() {
+  loadEnv();
+  const { values } = parseCliArgs({
+    network: { type: 'string', default: process.env.NETWORK },
+    safe: { type: 'string', default: process.env.SAFE_ADDRESS },
+    collection: { type: 'string', default: process.env.DGP_ADDRESS },
+    distributor: { type: 'string', default: process.env.DISTRIBUTOR_ADDRESS },
+    actions: { type: 'string' },
+    action: { type: 'string', multiple: true, default: [] },
+    'fork-url': { type: 'string' },
+    'simulation-rpc': { type: 'string' },
+    'skip-simulation': { type: 'boolean', default: false },
+    name: { type: 'string', default: 'Owner actions' },
+    out: { type: 'string', default: 'safe-batch.json' }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!values.network) {
+    throw new CliError(`--network is required\n\n${USAGE}`, EXIT_USAGE);
+  }
+  if (!ethers.utils.isAddress(values.safe || '')) {
+    throw new CliError('--safe must be a valid address', EXIT_USAGE);
+  }
+
+  const network = getNetwork(values.network);
+  const safe = ethers.utils.getAddress(values.safe);
+
+  let actions;
+  let transactions;
+  try {
+    actions = [
+      ...(values.actions ? JSON.parse(fs.readFileSync(values.actions, 'utf8')) : []),
+      ...values.action.map(parseAction)
+    ];
+    if (actions.length === 0) {
+      throw new Error('no actions given; use --actions or --action');
+    }
+    transactions = buildTransactions(actions, { collection: values.collection, distributor: values.distributor });
+  } catch (error) {
+    throw new CliError(error.message, EXIT_USAGE);
+  }
+
+  transactions.forEach((tx, i) => console.log(`${i + 1}. ${tx.description}`));
+
+  let simulation = null;
+  if (!values['skip-simulation']) {
+    simulation = await simulate(values, safe, transactions);
+    if (simulation.chainId !== network.chainId) {
+      throw new CliError(`The simulation node is on chain ${simulation.chainId}, not ${network.name} (${network.chainId})`, EXIT_USAGE);
+    }
+    for (const [i, result] of simulation.results.entries()) {
+      console.log(`   ${i + 1}. ${result.success ? `ok (gas ${result.gasUsed})` : `FAILED: ${result.error}`}`);
+    }
+    if (simulation.results.some(result => !result.success)) {
+      throw new CliError('Simulation failed; no batch file was written');
+    }
+  }
+
+  const batch = createBatchFile({ chainId: network.chainId, safe, transactions, name: values.name });
+  fs.mkdirSync(path.dirname(path.resolve(values.out)), { recursive: true });
+  fs.writeFileSync(values.out, `${JSON.stringify(batch, null, 2)}\n`);
+  console.log(`Wrote ${transactions.length} transactions to ${values.out}${simulation ? ' (simulated)' : ' (NOT simulated)'}`);
+  console.log('Import it in the Safe app: Apps > Transaction Builder > drag and drop the file.');
+}
+
+main().catch(exitWithError);
@@ -1,142 +1,137 @@
-const { ethers } = require('ethers');
 const fs = require('fs');
-const readline = require('readline');
-const { exec } = require('child_process');
 const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { CliError, EXIT_USAGE, EXIT_ABORTED, parseCliArgs, loadEnv, loadConfig, exitWithError } = require('./lib/cli');
+const { loadNetworks, getNetwork } = require('./lib/networks');
+const { createPrompter, createOptionResolver } = require('./lib/prompt');
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+const USAGE = `Usage: npm run -s setup-chainlink-secrets -- [options]
+
+Encrypts the Sonzai API key as Chainlink Functions secrets with the functions-hardhat-starter-kit.
+In a terminal it asks for anything missing. With --yes, or without a terminal, every value must
+come from flags, --config or the environment. Progress goes to stderr; stdout gets a JSON summary.
+
+Options:
+  --network <name>   Network from config/networks.json, or its chain ID (env: NETWORK)
+  --api-key <key>    Sonzai API key (env: SONZAI_API_KEY)
+  --config <file>    JSON file with any of the options above, in camelCase
+  -y, --yes          Non-interactive: never prompt
+  -h, --help         Show this message
+
+The encryption password is read from SECRETS_PASSWORD, or asked for in a terminal.
+It is never accepted as a flag or from --config.
+
+Exit codes: 0 success, 1 failure, 2 bad or missing options, 3 cancelled`;
+
+const projectRoot = path.join(__dirname, '..');
+const functionsKitPath = path.join(projectRoot, 'lib', 'functions-hardhat-starter-kit');
+
+// stdout is reserved for the JSON summary
+const log = (...args) => console.error(...args);
 
 async function main() {
-  console.log('=== Sonzai Genesis Pass - Chainlink Functions Secrets Setup ===');
-  console.log('This script will help you set up encrypted secrets for Chainlink Functions.');
-  
-  // Step 1: Check if functions-hardhat-starter-kit is available
-  console.log('\n=== Step 1: Checking Chainlink Functions dependencies ===');
-  
-  const functionsKitPath = path.join(__dirname, '..', 'lib', 'functions-hardhat-starter-kit');
-  if (!fs.existsSync(functionsKitPath)) {
-    console.log('Chainlink Functions Hardhat Starter Kit not found.');
-    console.log('Please run: forge install smartcontractkit/functions-hardhat-starter-kit');
-    process.exit(1);
+  const { values } = parseCliArgs({
+    network: { type: 'string' },
+    'api-key': { type: 'string' },
+    config: { type: 'string' },
+    yes: { type: 'boolean', short: 'y', default: false }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
   }
-  
-  console.log('Chainlink Functions Hardhat Starter Kit found at:', functionsKitPath);
-  
-  // Step 2: Get API key
-  console.log('\n=== Step 2: API Key Configuration ===');
-  
-  let apiKey;
+
+  const config = loadConfig(values.config);
+  loadEnv();
+
+  const interactive = !values.yes && Boolean(process.stdin.isTTY);
+  const prompter = createPrompter({ interactive, assumeYes: values.yes });
+  const option = createOptionResolver({ values, config, prompter });
+
   try {
-    const envContent = fs.readFileSync('.env', 'utf8');
-    const match = envContent.match(/SONZAI_API_KEY=(.+)/);
-    if (match && match[1]) {
-      apiKey = match[1];
-      console.log('Found API key in .env file.');
-      const useExisting = await question('Use existing API key? (y/n): ');
-      if (useExisting.toLowerCase() !== 'y') {
-        apiKey = await question('Enter your Sonzai API Key: ');
-      }
-    } else {
-      apiKey = await question('Enter your Sonzai API Key: ');
+    log('=== Sonzai Genesis Pass - Chainlink Functions Secrets Setup ===');
+
+    // Step 1: Check that functions-hardhat-starter-kit is available
+    log('\n=== Step 1: Checking Chainlink Functions dependencies ===');
+    if (!fs.existsSync(functionsKitPath)) {
+      throw new CliError(
+        'Chainlink Functions Hardhat Starter Kit not found. Please run: forge install smartcontractkit/functions-hardhat-starter-kit'
+      );
     }
-  } catch (error) {
-    apiKey = await question('Enter your Sonzai API Key: ');
-  }
-  
-  // Step 3: Create secrets.json file
-  console.log('\n=== Step 3: Creating secrets.json file ===');
-  
-  const secretsJson = {
-    apiKey: apiKey
-  };
-  
-  fs.writeFileSync('secrets.json', JSON.stringify(secretsJson, null, 2));
-  console.log('Created secrets.json file with your API key.');
-  
-  // Step 4: Encrypt secrets
-  console.log('\n=== Step 4: Encrypting secrets ===');
-  
-  console.log('Select the network you\'re deploying to:');
-  console.log('1. Ethereum Mainnet');
-  console.log('2. Sepolia Testnet');
-  const networkChoice = await question('Enter your choice (1 or 2): ');
-  
-  let network;
-  if (networkChoice === '1') {
-    network = 'mainnet';
-  } else {
-    network = 'sepolia';
-  }
-  
-  console.log(`Using ${network} network for encryption.`);
-  console.log('Please enter a password to encrypt your secrets:');
-  const password = await question('Password: ');
-  
-  // Change to the functions-hardhat-starter-kit directory
-  process.chdir(functionsKitPath);
-  
-  // Copy secrets.json to the functions-hardhat-starter-kit directory
-  fs.copyFileSync(path.join(__dirname, '..', 'secrets.json'), 'secrets.json');
-  
-  // Run the encryption command
-  console.log('Encrypting secrets...');
-  exec(`npx hardhat functions-encrypt-secrets --network ${network} --password ${password}`, (error, stdout, stderr) => {
-    if (error) {
-      console.error(`Error encrypting secrets: ${error.message}`);
-      return;
+    log('Chainlink Functions Hardhat Starter Kit found at:', functionsKitPath);
+
+    // Step 2: Network and API key
+    log('\n=== Step 2: Configuration ===');
+    const network = getNetwork(await option('network', {
+      env: 'NETWORK',
+      prompt: `Network (${Object.keys(loadNetworks()).join(', ')})`
+    }));
+    if (!network.functionsKitNetwork) {
+      throw new CliError(`${network.name} has no Chainlink Functions network in config/networks.json`, EXIT_USAGE);
+    }
+    log(`Using ${network.functionsKitNetwork} network for encryption.`);
+
+    const apiKey = await option('api-key', { env: 'SONZAI_API_KEY', prompt: 'Enter your Sonzai API Key' });
+
+    let password = process.env.SECRETS_PASSWORD;
+    if (!password && interactive) {
+      password = await prompter.ask('Password to encrypt your secrets with: ');
     }
-    
-    if (stderr) {
-      console.error(`Stderr: ${stderr}`);
-      return;
+    if (!password) {
+      throw new CliError('SECRETS_PASSWORD is required in non-interactive mode', EXIT_USAGE);
     }
-    
-    console.log(stdout);
-    
-    // Copy the encrypted secrets back to the project root
+
+    if (!(await prompter.confirm(`Encrypt secrets for ${network.name}?`))) {
+      throw new CliError('Cancelled.', EXIT_ABORTED);
+    }
+
+    // Step 3: Create secrets.json in the starter kit
+    log('\n=== Step 3: Creating secrets.json file ===');
+    const kitSecretsFile = path.join(functionsKitPath, 'secrets.json');
+    fs.writeFileSync(kitSecretsFile, JSON.stringify({ apiKey }, null, 2));
+
+    // Step 4: Encrypt secrets
+    log('\n=== Step 4: Encrypting secrets ===');
+    const donPublicKeyFile = `${network.functionsKitNetwork}-don-public-key.json`;
     try {
-      fs.copyFileSync('encrypted-secrets.json', path.join(__dirname, '..', 'encrypted-secrets.json'));
-      console.log('Encrypted secrets saved to encrypted-secrets.json');
-      
-      // Copy the DON public key
-      fs.copyFileSync(`${network}-don-public-key.json`, path.join(__dirname, '..', `${network}-don-public-key.json`));
-      console.log(`DON public key saved to ${network}-don-public-key.json`);
-      
-      // Clean up
-      fs.unlinkSync('secrets.json');
-      console.log('\nSecrets encryption completed successfully!');
-      
-      // Return to the project root
-      process.chdir(path.join(__dirname, '..'));
-      
-      // Instructions
-      console.log('\n=== Step 5: Next Steps ===');
-      console.log('1. Upload your encrypted secrets to the Chainlink Functions UI:');
-      console.log('   - Go to functions.chain.link');
-      console.log('   - Connect your wallet');
-      console.log('   - Navigate to "Secrets" and click "Upload Secrets"');
-      console.log('   - Upload your encrypted-secrets.json file');
-      console.log('2. Note the encrypted secrets reference (gist ID)');
-      console.log('3. Update your contract deployment script with the encrypted secrets reference');
-      
-      rl.close();
-    } catch (err) {
-      console.error('Error copying encrypted files:', err);
-      rl.close();
+      // execFile passes the password as an argument, never through a shell
+      const { stdout } = await promisify(execFile)(
+        'npx',
+        ['hardhat', 'functions-encrypt-secrets', '--network', network.functionsKitNetwork, '--password', password],
+        { cwd: functionsKitPath }
+      );
+      log(stdout);
+    } catch (error) {
+      throw new CliError(`Error encrypting secrets: ${error.stderr || error.message}`);
+    } finally {
+      fs.rmSync(kitSecretsFile, { force: true });
     }
-  });
-}
 
-function question(query) {
-  return new Promise(resolve => {
-    rl.question(query, resolve);
-  });
+    // Copy the encrypted secrets and the DON public key back to the project root
+    fs.copyFileSync(path.join(functionsKitPath, 'encrypted-secrets.json'), path.join(projectRoot, 'encrypted-secrets.json'));
+    log('Encrypted secrets saved to encrypted-secrets.json');
+    fs.copyFileSync(path.join(functionsKitPath, donPublicKeyFile), path.join(projectRoot, donPublicKeyFile));
+    log(`DON public key saved to ${donPublicKeyFile}`);
+    log('\nSecrets encryption completed successfully!');
+
+    // Step 5: Instructions
+    log('\n=== Step 5: Next Steps ===');
+    log('1. Upload encrypted-secrets.json at functions.chain.link ("Secrets" > "Upload Secrets")');
+    log('2. Note the encrypted secrets reference (gist ID)');
+    log('3. Set ENCRYPTED_SECRETS_REFERENCE before deploying');
+
+    console.log(JSON.stringify({
+      script: 'setup-chainlink-secrets',
+      network: network.key,
+      chainId: network.chainId,
+      functionsKitNetwork: network.functionsKitNetwork,
+      filesWritten: ['encrypted-secrets.json', donPublicKeyFile]
+    }, null, 2));
+  } finally {
+    prompter.close();
+  }
 }
 
-main().catch(error => {
-  console.error(error);
-  process.exit(1);
-});
+main().catch(exitWithError);
@@ -1,99 +1,35 @@
 const { ethers } = require('ethers');
 const axios = require('axios');
 const fs = require('fs');
-const readline = require('readline');
+const { CliError, EXIT_USAGE, parseCliArgs, loadEnv, loadConfig, updateEnvFile, exitWithError } = require('./lib/cli');
+const { loadNetworks, getNetwork } = require('./lib/networks');
+const { createPrompter, createOptionResolver } = require('./lib/prompt');
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+const USAGE = `Usage: npm run -s setup-whitelist -- [options]
 
-async function main() {
-  console.log('=== Sonzai Genesis Pass - Whitelist Setup ===');
-  console.log('This script will help you set up Chainlink Functions for whitelist verification.');
-  
-  // Step 1: Collect Chainlink Functions information
-  console.log('\n=== Step 1: Chainlink Functions Configuration ===');
-  
-  const subscriptionId = await question('Enter your Chainlink Functions Subscription ID: ');
-  console.log(`Using Subscription ID: ${subscriptionId}`);
-  
-  console.log('\nSelect the network you\'re deploying to:');
-  console.log('1. Ethereum Mainnet');
-  console.log('2. Sepolia Testnet');
-  const networkChoice = await question('Enter your choice (1 or 2): ');
-  
-  let routerAddress, donId;
-  if (networkChoice === '1') {
-    routerAddress = '0x65Dcc24F8ff9e51F10DCc7Ed1e4e2A61e6E14bd6';
-    donId = '0x66756e2d657468657265756d2d6d61696e6e65742d31000000000000000000';
-    console.log('Using Ethereum Mainnet configuration');
-  } else {
-    routerAddress = '0xb83E47C2bC239B3bf370bc41e1459A34b41238D0';
-    donId = '0x66756e2d657468657265756d2d7365706f6c69612d3100000000000000000000';
-    console.log('Using Sepolia Testnet configuration');
-  }
-  
-  // Step 2: API Key Configuration
-  console.log('\n=== Step 2: API Key Configuration ===');
-  console.log('You need an API key to authenticate with backend.sonz.ai');
-  
-  const apiKey = await question('Enter your Sonzai API Key: ');
-  
-  // Test the API with a sample address
-  console.log('\nTesting API connection...');
-  try {
-    const testAddress = '0x0000000000000000000000000000000000000000';
-    const response = await axios.get(`https://backend.sonz.ai/api/v1/whitelist/${testAddress}`, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    console.log('API connection successful!');
-    console.log(`API response: ${JSON.stringify(response.data)}`);
-  } catch (error) {
-    console.log('API connection failed. Please check your API key and try again.');
-    console.log(`Error: ${error.message}`);
-    if (error.response) {
-      console.log(`Status: ${error.response.status}`);
-      console.log(`Data: ${JSON.stringify(error.response.data)}`);
-    }
-    // Continue anyway, as the API might not be available during setup
-    console.log('Continuing with setup despite API connection failure...');
-  }
-  
-  // Step 3: Update .env file
-  console.log('\n=== Step 3: Updating Environment Variables ===');
-  
-  const royaltyReceiver = await question('Enter the initial royalty receiver address (your address): ');
-  const callbackGasLimit = await question('Enter the callback gas limit (default: 300000): ') || '300000';
-  
-  // Read existing .env file or create a new one
-  let envContent = '';
-  try {
-    envContent = fs.readFileSync('.env', 'utf8');
-  } catch (error) {
-    console.log('No existing .env file found. Creating a new one.');
-    envContent = fs.readFileSync('.env.example', 'utf8');
-  }
-  
-  // Update environment variables
-  envContent = envContent
-    .replace(/CHAINLINK_SUBSCRIPTION_ID=.*/, `CHAINLINK_SUBSCRIPTION_ID=${subscriptionId}`)
-    .replace(/CHAINLINK_DON_ID=.*/, `CHAINLINK_DON_ID=${donId}`)
-    .replace(/CHAINLINK_ROUTER_ADDRESS=.*/, `CHAINLINK_ROUTER_ADDRESS=${routerAddress}`)
-    .replace(/SONZAI_API_KEY=.*/, `SONZAI_API_KEY=${apiKey}`)
-    .replace(/ROYALTY_RECEIVER_ADDRESS=.*/, `ROYALTY_RECEIVER_ADDRESS=${royaltyReceiver}`)
-    .replace(/CALLBACK_GAS_LIMIT=.*/, `CALLBACK_GAS_LIMIT=${callbackGasLimit}`);
-  
-  fs.writeFileSync('.env', envContent);
-  console.log('.env file updated successfully!');
-  
-  // Step 4: Create Chainlink Functions source code
-  console.log('\n=== Step 4: Creating Chainlink Functions Source Code ===');
-  
-  const functionsSourceCode = `
+Configures .env for a Chainlink Functions whitelist deployment and writes the Functions source.
+In a terminal it asks for anything missing. With --yes, or without a terminal, every value must
+come from flags, --config or the environment. Progress goes to stderr; stdout gets a JSON summary.
+
+Options:
+  --network <name>              Network from config/networks.json, or its chain ID (env: NETWORK)
+  --subscription-id <id>        Chainlink Functions subscription ID (env: CHAINLINK_SUBSCRIPTION_ID)
+  --api-key <key>               Sonzai API key (env: SONZAI_API_KEY)
+  --royalty-receiver <address>  Initial royalty receiver (env: ROYALTY_RECEIVER_ADDRESS)
+  --callback-gas-limit <n>      Functions callback gas limit (default: 300000)
+  --dotenv <file>               .env file to update (default: .env)
+  --source-out <file>           Functions source to write (default: chainlink-functions-source.js)
+  --skip-api-check              Do not test the API key against backend.sonz.ai
+  --config <file>               JSON file with any of the options above, in camelCase
+  -y, --yes                     Non-interactive: never prompt
+  -h, --help                    Show this message
+
+Exit codes: 0 success, 1 failure, 2 bad or missing options, 3 cancelled`;
+
+// stdout is reserved for the JSON summary
+const log = (...args) => console.error(...args);
+
+const functionsSourceCode = `
 // Chainlink Functions source code for whitelist verification
 // This code will be executed off-chain by Chainlink Functions
 
@@ -127,34 +63,138 @@ const isWhitelisted = response.status === 200;
 return Functions.encodeUint256(isWhitelisted ? 1 : 0);
 `;
 
-  fs.writeFileSync('chainlink-functions-source.js', functionsSourceCode);
-  console.log('Chainlink Functions source code created at: chainlink-functions-source.js');
-  console.log('You will need to upload this code to Chainlink Functions UI or use it with the Chainlink Functions SDK.');
-  
-  // Step 5: Instructions for deployment
-  console.log('\n=== Step 5: Deployment Instructions ===');
-  console.log('Your environment is now configured for deployment.');
-  console.log('To deploy the contract, run:');
-  console.log('forge script script/DeploySonzaiGenesisPass.s.sol:DeploySonzaiGenesisPass --rpc-url $RPC_URL --broadcast --verify');
-  console.log('\nAfter deployment:');
-  console.log('1. Add your contract as a consumer to your Chainlink Functions subscription');
-  console.log('   - Go to functions.chain.link');
-  console.log('   - Connect your wallet');
-  console.log('   - Navigate to "Subscriptions" and find your subscription');
-  console.log('   - Click "Add Consumer" and enter your contract address');
-  console.log('2. Test the whitelist verification functionality');
-  console.log('3. Transfer ownership to your Gnosis Safe multisig');
-  
-  rl.close();
+async function checkApiKey(apiKey) {
+  log('\nTesting API connection...');
+  try {
+    const testAddress = '0x0000000000000000000000000000000000000000';
+    const response = await axios.get(`https://backend.sonz.ai/api/v1/whitelist/${testAddress}`, {
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    log('API connection successful!');
+    log(`API response: ${JSON.stringify(response.data)}`);
+    return 'passed';
+  } catch (error) {
+    log('API connection failed. Please check your API key and try again.');
+    log(`Error: ${error.message}`);
+    if (error.response) {
+      log(`Status: ${error.response.status}`);
+      log(`Data: ${JSON.stringify(error.response.data)}`);
+    }
+    // Continue anyway, as the API might not be available during setup
+    log('Continuing with setup despite API connection failure...');
+    return 'failed';
+  }
 }
 
-function question(query) {
-  return new Promise(resolve => {
-    rl.question(query, resolve);
+async function main() {
+  const { values } = parseCliArgs({
+    network: { type: 'string' },
+    'subscription-id': { type: 'string' },
+    'api-key': { type: 'string' },
+    'royalty-receiver': { type: 'string' },
+    'callback-gas-limit': { type: 'string' },
+    dotenv: { type: 'string' },
+    'source-out': { type: 'string' },
+    'skip-api-check': { type: 'boolean' },
+    config: { type: 'string' },
+    yes: { type: 'boolean', short: 'y', default: false }
   });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const config = loadConfig(values.config);
+  const envFile = values.dotenv || config.dotenv || '.env';
+  loadEnv(envFile);
+
+  const prompter = createPrompter({ interactive: !values.yes && Boolean(process.stdin.isTTY), assumeYes: values.yes });
+  const option = createOptionResolver({ values, config, prompter });
+
+  try {
+    log('=== Sonzai Genesis Pass - Whitelist Setup ===');
+
+    // Step 1: Chainlink Functions configuration
+    log('\n=== Step 1: Chainlink Functions Configuration ===');
+    const network = getNetwork(await option('network', {
+      env: 'NETWORK',
+      prompt: `Network (${Object.keys(loadNetworks()).join(', ')})`
+    }));
+    if (!network.functionsRouter) {
+      throw new CliError(`${network.name} has no Chainlink Functions router in config/networks.json`, EXIT_USAGE);
+    }
+    log(`Using ${network.name} configuration`);
+
+    const subscriptionId = await option('subscription-id', {
+      env: 'CHAINLINK_SUBSCRIPTION_ID',
+      prompt: 'Enter your Chainlink Functions Subscription ID',
+      validate: value => (/^\d+$/.test(value) ? null : 'must be a number')
+    });
+
+    // Step 2: API key configuration
+    log('\n=== Step 2: API Key Configuration ===');
+    const apiKey = await option('api-key', { env: 'SONZAI_API_KEY', prompt: 'Enter your Sonzai API Key' });
+    const skipApiCheck = values['skip-api-check'] ?? config.skipApiCheck ?? false;
+    const apiCheck = skipApiCheck ? 'skipped' : await checkApiKey(apiKey);
+
+    // Step 3: Update the .env file
+    log('\n=== Step 3: Updating Environment Variables ===');
+    const royaltyReceiver = await option('royalty-receiver', {
+      env: 'ROYALTY_RECEIVER_ADDRESS',
+      prompt: 'Enter the initial royalty receiver address (your address)',
+      validate: value => (ethers.utils.isAddress(value) ? null : 'must be an address')
+    });
+    const callbackGasLimit = await option('callback-gas-limit', {
+      env: 'CALLBACK_GAS_LIMIT',
+      prompt: 'Enter the callback gas limit',
+      defaultValue: '300000',
+      validate: value => (/^\d+$/.test(value) ? null : 'must be a number')
+    });
+
+    const updates = {
+      CHAINLINK_SUBSCRIPTION_ID: subscriptionId,
+      CHAINLINK_DON_ID: network.donIdBytes32,
+      CHAINLINK_ROUTER_ADDRESS: network.functionsRouter,
+      SONZAI_API_KEY: apiKey,
+      ROYALTY_RECEIVER_ADDRESS: ethers.utils.getAddress(royaltyReceiver),
+      CALLBACK_GAS_LIMIT: callbackGasLimit
+    };
+    const changed = updateEnvFile(envFile, updates);
+    log(`${envFile} updated (${changed.length} values changed)`);
+
+    // Step 4: Create the Chainlink Functions source code
+    log('\n=== Step 4: Creating Chainlink Functions Source Code ===');
+    const sourceFile = await option('source-out', { defaultValue: 'chainlink-functions-source.js' });
+    fs.writeFileSync(sourceFile, functionsSourceCode);
+    log(`Chainlink Functions source code created at: ${sourceFile}`);
+
+    // Step 5: Instructions for deployment
+    log('\n=== Step 5: Deployment Instructions ===');
+    log('To deploy the contract, run:');
+    log('forge script script/DeploySonzaiGenesisPass.s.sol:DeploySonzaiGenesisPass --rpc-url $RPC_URL --broadcast --verify');
+    log('\nAfter deployment:');
+    log('1. Add your contract as a consumer to your Chainlink Functions subscription at functions.chain.link');
+    log('2. Test the whitelist verification functionality');
+    log('3. Transfer ownership to your Gnosis Safe multisig');
+
+    console.log(JSON.stringify({
+      script: 'setup-whitelist',
+      network: network.key,
+      chainId: network.chainId,
+      envFile,
+      // The API key is a secret: report whether it changed, never its value
+      env: { ...updates, SONZAI_API_KEY: '<redacted>' },
+      changed,
+      sourceFile,
+      apiCheck
+    }, null, 2));
+  } finally {
+    prompter.close();
+  }
 }
 
-main().catch(error => {
-  console.error(error);
-  process.exit(1);
-});
+main().catch(exitWithError);
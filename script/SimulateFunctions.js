@@ -0,0 +1,59 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { parseCliArgs, fail } = require('./lib/cli');
+const { simulateFunctions, decodeResult } = require('./lib/functionsSimulator');
+const { bundleSource } = require('./lib/functionsBundle');
+
+const USAGE = `Usage: npm run simulate-functions -- --source <file> [options] [-- arg1 arg2 ...]
+
+Bundles a Chainlink Functions source, runs it offline and prints the decoded return value.
+
+Options:
+  --source <file>       Functions source, e.g. src/chainlink/getSalePrice.js
+  --arg <value>         Value for args[n]; repeat in order (positionals work too)
+  --secrets <file>      JSON object exposed as \`secrets\`
+  --fixtures <file>     JSON array of recorded HTTP responses
+  --return-type <type>  bytes, string, uint256, int256 or an ABI tuple such as
+                        "address[],uint256[]" (default: bytes)
+  -h, --help            Show this message`;
+
+async function main() {
+  const { values, positionals } = parseCliArgs({
+    source: { type: 'string' },
+    arg: { type: 'string', multiple: true, default: [] },
+    secrets: { type: 'string' },
+    fixtures: { type: 'string' },
+    'return-type': { type: 'string', default: 'bytes' }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!values.source) {
+    fail(`--source is required\n\n${USAGE}`);
+  }
+
+  const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+  const { result, error, requests } = await simulateFunctions({
+    source: bundleSource(values.source),
+    args: [...values.arg, ...positionals],
+    secrets: values.secrets ? readJson(values.secrets) : {},
+    fixtures: values.fixtures ? readJson(values.fixtures) : []
+  });
+
+  for (const request of requests) {
+    console.log(`${request.matched ? 'fixture' : 'missing'}  ${request.method} ${request.url}`);
+  }
+
+  if (error) {
+    fail(`Functions execution failed: ${error}`);
+  }
+  console.log(`Raw result: ${ethers.utils.hexlify(result)}`);
+  console.log(`Decoded (${values['return-type']}):`, JSON.stringify(decodeResult(result, values['return-type']), null, 2));
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
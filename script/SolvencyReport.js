@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { CliError, EXIT_FAILURE, EXIT_USAGE, parseCliArgs, loadEnv, exitWithError } = require('./lib/cli');
+const { loadAbi } = require('./lib/abis');
+const { createProvider } = require('./lib/chain');
+const { createSolvencyReport, reportToCsv } = require('./lib/reconciliation');
+
+const USAGE = `Usage: npm run solvency-report -- --distributor <address> [options]
+
+Rebuilds per-recipient accrued and claimed royalties from the CentralizedRoyaltyDistributor
+event history and checks them against its views, analytics counters and ETH/ERC20 balances.
+Exits with 1 when any check fails; the report is written either way.
+
+Options:
+  --distributor <address>  CentralizedRoyaltyDistributor address (default: DISTRIBUTOR_ADDRESS)
+  --rpc-url <url>          JSON-RPC endpoint (default: RPC_URL or http://localhost:8545)
+  --from-block <n>         Block to read events from; use the distributor's deployment block
+                           or earlier, or the history-based checks will fail (default: 0)
+  --to-block <n>           Block to reconcile at (default: latest)
+  --block-span <n>         Blocks per getLogs query (default: 2000)
+  --format <json|csv>      Report format; csv has one row per check (default: json)
+  --out <file>             Write the report to a file instead of stdout
+  -h, --help               Show this message`;
+
+function parseBlock(value, flag) {
+  if (!/^\d+$/.test(value)) throw new CliError(`${flag} must be a block number, got ${value}`, EXIT_USAGE);
+  return Number(value);
+}
+
+async function main() {
+  loadEnv();
+  const { values } = parseCliArgs({
+    distributor: { type: 'string', default: process.env.DISTRIBUTOR_ADDRESS },
+    'rpc-url': { type: 'string' },
+    'from-block': { type: 'string', default: '0' },
+    'to-block': { type: 'string' },
+    'block-span': { type: 'string', default: '2000' },
+    format: { type: 'string', default: 'json' },
+    out: { type: 'string' }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!ethers.utils.isAddress(values.distributor || '')) {
+    throw new CliError(`--distributor must be a valid address\n\n${USAGE}`, EXIT_USAGE);
+  }
+  if (!['json', 'csv'].includes(values.format)) {
+    throw new CliError(`--format must be json or csv, got ${values.format}`, EXIT_USAGE);
+  }
+
+  const provider = createProvider(values['rpc-url']);
+  const distributor = new ethers.Contract(values.distributor, loadAbi('CentralizedRoyaltyDistributor'), provider);
+  const toBlock = values['to-block'] !== undefined ? parseBlock(values['to-block'], '--to-block') : await provider.getBlockNumber();
+
+  const report = await createSolvencyReport({
+    distributor,
+    fromBlock: parseBlock(values['from-block'], '--from-block'),
+    toBlock,
+    blockSpan: parseBlock(values['block-span'], '--block-span')
+  });
+
+  const output = values.format === 'csv' ? reportToCsv(report) : `${JSON.stringify(report, null, 2)}\n`;
+  if (values.out) {
+    fs.mkdirSync(path.dirname(path.resolve(values.out)), { recursive: true });
+    fs.writeFileSync(values.out, output);
+    console.error(`Wrote ${values.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+
+  const { checks, failed } = report.summary;
+  console.error(`${checks - failed}/${checks} checks passed at block ${toBlock}`);
+  for (const item of report.checks.filter(entry => entry.status === 'fail')) {
+    const scope = [item.collection, item.token, item.recipient].filter(Boolean).join(' ');
+    console.error(`  ${item.check}${scope ? ` (${scope})` : ''}: ${item.message}`);
+  }
+  if (failed > 0) process.exitCode = EXIT_FAILURE;
+}
+
+main().catch(exitWithError);
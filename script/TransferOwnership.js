@@ -1,11 +1,27 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
-const readline = require('readline');
+const { CliError, EXIT_USAGE, EXIT_ABORTED, parseCliArgs, loadEnv, loadConfig, exitWithError } = require('./lib/cli');
+const { loadNetworks, getNetwork, explorerUrl } = require('./lib/networks');
+const { createPrompter, createOptionResolver } = require('./lib/prompt');
+const { createProvider, createWallet } = require('./lib/chain');
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+const USAGE = `Usage: npm run -s transfer-ownership -- [options]
+
+Transfers ownership of a deployed contract to a Gnosis Safe multisig from the PRIVATE_KEY account.
+In a terminal it asks for anything missing. With --yes, or without a terminal, every value must
+come from flags, --config or the environment. Progress goes to stderr; stdout gets a JSON summary.
+
+Options:
+  --network <name>       Network from config/networks.json, or its chain ID (env: NETWORK)
+  --rpc-url <url>        JSON-RPC endpoint; must serve --network (env: RPC_URL)
+  --contract <address>   Contract to transfer (env: DGP_ADDRESS)
+  --safe <address>       New owner (env: SAFE_ADDRESS)
+  --update-royalty       Also make the Safe the default royalty receiver
+  --royalty-bps <n>      Royalty for --update-royalty, in basis points (default: 1100)
+  --config <file>        JSON file with any of the options above, in camelCase
+  -y, --yes              Non-interactive: never prompt, confirm the transfer
+  -h, --help             Show this message
+
+Exit codes: 0 success, 1 failure, 2 bad or missing options, 3 cancelled`;
 
 // ABI for the contract's ownership functions
 const contractABI = [
@@ -14,132 +30,136 @@ const contractABI = [
   "function setDefaultRoyalty(address receiver, uint96 feeNumerator)"
 ];
 
+// stdout is reserved for the JSON summary
+const log = (...args) => console.error(...args);
+
+const isAddress = value => (ethers.utils.isAddress(value) ? null : 'must be an address');
+
 async function main() {
-  console.log('=== Sonzai Genesis Pass - Transfer Ownership ===');
-  console.log('This script will help you transfer ownership of your contract to a Gnosis Safe multisig.');
-  
-  // Step 1: Get contract address and private key
-  console.log('\n=== Step 1: Contract Information ===');
-  
-  const contractAddress = await question('Enter your deployed contract address: ');
-  
-  // Get private key from .env file or prompt
-  let privateKey;
-  try {
-    const envContent = fs.readFileSync('.env', 'utf8');
-    const match = envContent.match(/PRIVATE_KEY=(.+)/);
-    if (match && match[1]) {
-      privateKey = match[1];
-      console.log('Found private key in .env file.');
-      const useExisting = await question('Use existing private key? (y/n): ');
-      if (useExisting.toLowerCase() !== 'y') {
-        privateKey = await question('Enter your private key: ');
-      }
-    } else {
-      privateKey = await question('Enter your private key: ');
-    }
-  } catch (error) {
-    privateKey = await question('Enter your private key: ');
-  }
-  
-  // Step 2: Get RPC URL and network
-  console.log('\n=== Step 2: Network Information ===');
-  
-  console.log('Select the network:');
-  console.log('1. Ethereum Mainnet');
-  console.log('2. Sepolia Testnet');
-  const networkChoice = await question('Enter your choice (1 or 2): ');
-  
-  let rpcUrl;
-  if (networkChoice === '1') {
-    rpcUrl = await question('Enter Ethereum Mainnet RPC URL: ');
-  } else {
-    rpcUrl = await question('Enter Sepolia Testnet RPC URL: ');
+  const { values } = parseCliArgs({
+    network: { type: 'string' },
+    'rpc-url': { type: 'string' },
+    contract: { type: 'string' },
+    safe: { type: 'string' },
+    'update-royalty': { type: 'boolean' },
+    'royalty-bps': { type: 'string' },
+    config: { type: 'string' },
+    yes: { type: 'boolean', short: 'y', default: false }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
   }
-  
-  // Step 3: Get Gnosis Safe address
-  console.log('\n=== Step 3: Gnosis Safe Information ===');
-  
-  const safeAddress = await question('Enter your Gnosis Safe multisig address: ');
-  
-  // Step 4: Connect to the contract
-  console.log('\n=== Step 4: Connecting to Contract ===');
-  
+
+  const config = loadConfig(values.config);
+  loadEnv();
+
+  const interactive = !values.yes && Boolean(process.stdin.isTTY);
+  const prompter = createPrompter({ interactive, assumeYes: values.yes });
+  const option = createOptionResolver({ values, config, prompter });
+
   try {
-    // Set up provider and signer
-    const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
-    const wallet = new ethers.Wallet(privateKey, provider);
+    log('=== Sonzai Genesis Pass - Transfer Ownership ===');
+
+    // Step 1: Contract and network information
+    log('\n=== Step 1: Contract and Network Information ===');
+    const contractAddress = await option('contract', {
+      env: 'DGP_ADDRESS',
+      prompt: 'Enter your deployed contract address',
+      validate: isAddress
+    });
+    const network = getNetwork(await option('network', {
+      env: 'NETWORK',
+      prompt: `Network (${Object.keys(loadNetworks()).join(', ')})`
+    }));
+    const rpcUrl = await option('rpc-url', { env: 'RPC_URL', prompt: `Enter ${network.name} RPC URL` });
+    const safeAddress = ethers.utils.getAddress(await option('safe', {
+      env: 'SAFE_ADDRESS',
+      prompt: 'Enter your Gnosis Safe multisig address',
+      validate: isAddress
+    }));
+    const updateRoyalty = values['update-royalty'] ?? config.updateRoyalty
+      ?? (interactive && (await prompter.confirm('Update the royalty receiver to the Safe as well?')));
+    const royaltyBps = await option('royalty-bps', {
+      defaultValue: '1100', // 11%
+      validate: value => (/^\d+$/.test(value) && Number(value) <= 10000 ? null : 'must be 0-10000')
+    });
+
+    // Step 2: Connect to the contract
+    log('\n=== Step 2: Connecting to Contract ===');
+    let privateKey = process.env.PRIVATE_KEY;
+    if (!privateKey && interactive) {
+      privateKey = await prompter.ask('Enter your private key: ');
+    }
+    if (!privateKey) {
+      throw new CliError('PRIVATE_KEY is required in non-interactive mode', EXIT_USAGE);
+    }
+
+    const provider = createProvider(rpcUrl);
+    const { chainId } = await provider.getNetwork();
+    if (chainId !== network.chainId) {
+      throw new CliError(`RPC URL serves chain ${chainId}, not ${network.name} (${network.chainId})`, EXIT_USAGE);
+    }
+    const wallet = createWallet(provider, privateKey);
     const contract = new ethers.Contract(contractAddress, contractABI, wallet);
-    
-    // Check current owner
-    const currentOwner = await contract.owner();
-    console.log(`Current owner: ${currentOwner}`);
-    
-    if (currentOwner.toLowerCase() !== wallet.address.toLowerCase()) {
-      console.log('Warning: You are not the current owner of this contract.');
-      console.log('Only the current owner can transfer ownership.');
-      const proceed = await question('Do you want to proceed anyway? (y/n): ');
-      if (proceed.toLowerCase() !== 'y') {
-        console.log('Operation cancelled.');
-        process.exit(0);
-      }
+
+    const previousOwner = await contract.owner();
+    log(`Current owner: ${previousOwner}`);
+    if (previousOwner.toLowerCase() !== wallet.address.toLowerCase()) {
+      throw new CliError(`${wallet.address} is not the current owner; only ${previousOwner} can transfer ownership`);
     }
-    
-    // Step 5: Transfer ownership
-    console.log('\n=== Step 5: Transferring Ownership ===');
-    
-    console.log(`Transferring ownership to Gnosis Safe: ${safeAddress}`);
-    const transferTx = await contract.transferOwnership(safeAddress);
-    console.log(`Transaction hash: ${transferTx.hash}`);
-    console.log('Waiting for transaction confirmation...');
-    
-    await transferTx.wait();
-    console.log('Ownership transferred successfully!');
-    
-    // Step 6: Update royalty receiver (optional)
-    console.log('\n=== Step 6: Update Royalty Receiver (Optional) ===');
-    
-    const updateRoyalty = await question('Do you want to update the royalty receiver to the Safe as well? (y/n): ');
-    if (updateRoyalty.toLowerCase() === 'y') {
-      const royaltyTx = await contract.setDefaultRoyalty(safeAddress, 1100); // 11%
-      console.log(`Transaction hash: ${royaltyTx.hash}`);
-      console.log('Waiting for transaction confirmation...');
-      
-      await royaltyTx.wait();
-      console.log('Royalty receiver updated successfully!');
+    if ((await provider.getCode(safeAddress)) === '0x') {
+      log(`Warning: ${safeAddress} has no code. Make sure it is the Safe address and not a signer.`);
     }
-    
-    // Step 7: Verify new owner
-    console.log('\n=== Step 7: Verification ===');
-    
-    const newOwner = await contract.owner();
-    console.log(`New owner: ${newOwner}`);
-    
-    if (newOwner.toLowerCase() === safeAddress.toLowerCase()) {
-      console.log('Ownership transfer verified successfully!');
-      console.log('\nYour contract is now owned by the Gnosis Safe multisig.');
-      console.log('All mint proceeds and royalties will now go to the Safe.');
-    } else {
-      console.log('Warning: Ownership transfer could not be verified.');
-      console.log('Please check the contract on Etherscan to confirm the new owner.');
+
+    if (!(await prompter.confirm(`Transfer ownership of ${contractAddress} to ${safeAddress} on ${network.name}?`))) {
+      throw new CliError('Operation cancelled.', EXIT_ABORTED);
     }
-  } catch (error) {
-    console.error('Error:', error.message);
-    if (error.data) {
-      console.error('Error data:', error.data);
+
+    const transactions = [];
+    async function send(action, txPromise) {
+      const tx = await txPromise;
+      log(`Transaction hash: ${tx.hash}`);
+      log('Waiting for transaction confirmation...');
+      const receipt = await tx.wait();
+      transactions.push({ action, hash: tx.hash, blockNumber: receipt.blockNumber, explorerUrl: explorerUrl(network, 'tx', tx.hash) });
     }
-  }
-  
-  rl.close();
-}
 
-function question(query) {
-  return new Promise(resolve => {
-    rl.question(query, resolve);
-  });
+    // Step 3: Update the royalty receiver while the deployer still owns the contract
+    if (updateRoyalty) {
+      log('\n=== Step 3: Updating Royalty Receiver ===');
+      await send('setDefaultRoyalty', contract.setDefaultRoyalty(safeAddress, royaltyBps));
+      log('Royalty receiver updated successfully!');
+    }
+
+    // Step 4: Transfer ownership
+    log('\n=== Step 4: Transferring Ownership ===');
+    log(`Transferring ownership to Gnosis Safe: ${safeAddress}`);
+    await send('transferOwnership', contract.transferOwnership(safeAddress));
+
+    // Step 5: Verify the new owner
+    log('\n=== Step 5: Verification ===');
+    const newOwner = await contract.owner();
+    log(`New owner: ${newOwner}`);
+    if (newOwner.toLowerCase() !== safeAddress.toLowerCase()) {
+      throw new CliError(`Ownership transfer could not be verified: owner is ${newOwner}`);
+    }
+    log('Ownership transfer verified successfully!');
+
+    console.log(JSON.stringify({
+      script: 'transfer-ownership',
+      network: network.key,
+      chainId: network.chainId,
+      contract: ethers.utils.getAddress(contractAddress),
+      previousOwner,
+      newOwner,
+      royalty: updateRoyalty ? { receiver: safeAddress, feeNumerator: Number(royaltyBps) } : null,
+      transactions
+    }, null, 2));
+  } finally {
+    prompter.close();
+  }
 }
 
-main().catch(error => {
-  console.error(error);
-  process.exit(1);
-});
+main().catch(exitWithError);
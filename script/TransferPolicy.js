@@ -0,0 +1,323 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { CliError, EXIT_USAGE, EXIT_ABORTED, parseCliArgs, loadEnv, exitWithError } = require('./lib/cli');
+const { loadAbi } = require('./lib/abis');
+const { createProvider, createWallet } = require('./lib/chain');
+const { createPrompter } = require('./lib/prompt');
+const { DEPLOYMENTS_DIR, loadDeployments } = require('./lib/deployments');
+const { createBatchFile } = require('./lib/safeBatch');
+const { startAnvilFork, simulateTransactions, decodeRevert, revertData } = require('./lib/forkSimulation');
+const {
+  TRANSFER_VALIDATOR_ABI,
+  loadPolicyFile,
+  readCollectionPolicy,
+  readList,
+  findOwnedLists,
+  planPolicy,
+  formatPlan
+} = require('./lib/transferPolicy');
+const { DEFAULT_CATALOG_FILE, loadCatalog, readCodehashes, checkPolicyCodehashes, catalogLabels } = require('./lib/operatorCatalog');
+
+const USAGE = `Usage: npm run transfer-policy -- --policy <file> [--apply | --safe-batch <file>] [options]
+
+Converges DiamondGenesisPass's settings on its CreatorTokenTransferValidator to a policy file
+(YAML or JSON; see config/transfer-policy.example.yaml): security level, authorization and
+freezing modes, the list it uses and that list's whitelist / blacklist / authorizers, and the
+frozen accounts. The current state is read with getCollectionSecurityPolicy and the list
+getters; a list given by name is found from the validator's list events. The plan shows what
+would change. Nothing is sent unless --apply or --safe-batch is given.
+
+--apply sends the calls from PRIVATE_KEY, which must be the collection's owner or an admin
+(and own the list). --safe-batch writes a Safe Transaction Builder batch instead, simulated
+from the Safe on an anvil fork like safe-batch does.
+
+Codehashes in the policy are checked against the operator catalog (see operator-codehashes),
+and plan entries are labelled with the operator names. Unknown hashes are warnings. A hash
+whose operator's deployed code has changed is an error: --apply and --safe-batch refuse to
+run unless --allow-stale-codehashes is given.
+
+Options:
+  --policy <file>          Policy file (.yaml, .yml or .json)
+  --collection <address>   DiamondGenesisPass (default: the policy, DGP_ADDRESS, then deployments/<chainId>.json)
+  --validator <address>    Transfer validator (default: the policy, then getTransferValidator())
+  --sender <address>       Account the calls come from when planning (default: SAFE_ADDRESS,
+                           then the collection's owner); --apply always uses PRIVATE_KEY
+  --apply                  Send the calls
+  --safe-batch <file>      Write the calls as a Safe Transaction Builder batch
+  --name <text>            Batch name shown in the Transaction Builder (default: Transfer policy)
+  --fork-url <url>         RPC to fork for the batch simulation (default: RPC_URL)
+  --simulation-rpc <url>   Simulate on an already running anvil node instead of starting one
+  --skip-simulation        Write the batch without simulating it
+  --from-block <n>         First block to search list events from (default: the collection's
+                           deployment block in the registry, else 0)
+  --block-span <n>         Blocks per getLogs query (default: 2000)
+  --catalog <file>         Operator codehash catalog (default: ${DEFAULT_CATALOG_FILE} when it exists)
+  --allow-stale-codehashes Apply or write the batch even when a listed codehash no longer
+                           matches its operator's deployed code
+  --rpc-url <url>          JSON-RPC endpoint (default: RPC_URL or http://localhost:8545)
+  --deployments-dir <dir>  Registry directory (default: deployments)
+  -y, --yes                Non-interactive: never prompt, confirm --apply
+  -h, --help               Show this message
+
+Exit codes: 0 success, 1 failure, 2 bad or missing options, 3 cancelled`;
+
+function requireAddress(value, flag) {
+  if (!ethers.utils.isAddress(value || '')) {
+    throw new CliError(`${flag} must be a valid address\n\n${USAGE}`, EXIT_USAGE);
+  }
+  return ethers.utils.getAddress(value);
+}
+
+function parseBlock(value, flag) {
+  if (!/^\d+$/.test(value)) throw new CliError(`${flag} must be a block number, got ${value}`, EXIT_USAGE);
+  return Number(value);
+}
+
+// Mirrors the _requireCallerIsNFTOrContractOwnerOrAdmin check the validator applies
+async function canManageCollection(pass, account) {
+  if (account === pass.address) return true;
+  if (account === await pass.owner()) return true;
+  return pass.hasRole(ethers.constants.HashZero, account);
+}
+
+/**
+ * The list the policy points at: pinned by id, or the sender's list with that name, or a new
+ * list that createList will number lastListId + 1.
+ */
+async function resolveList(values, policy, validator, sender, registry) {
+  const lastListId = (await validator.lastListId()).toNumber();
+  if (policy.list.id !== null) {
+    if (policy.list.id > lastListId) throw new CliError(`list ${policy.list.id} does not exist on ${validator.address} (last list is ${lastListId})`);
+    return { listId: policy.list.id, list: await readList(validator, policy.list.id) };
+  }
+
+  const deployed = registry.contracts.DiamondGenesisPass;
+  const fromBlock = values['from-block'] !== undefined
+    ? parseBlock(values['from-block'], '--from-block')
+    : deployed && Number.isInteger(deployed.blockNumber) ? deployed.blockNumber : 0;
+  const toBlock = await validator.provider.getBlockNumber();
+  console.log(`Searching lists owned by ${sender} from block ${fromBlock}...`);
+  const matches = (await findOwnedLists(validator, sender, { fromBlock, toBlock, blockSpan: parseBlock(values['block-span'], '--block-span') }))
+    .filter(({ name }) => name === policy.list.name);
+  if (matches.length > 1) {
+    throw new CliError(`${sender} owns ${matches.length} lists named "${policy.list.name}" (${matches.map(({ id }) => id).join(', ')}); set list.id in the policy`);
+  }
+  if (matches.length === 1) return { listId: matches[0].id, list: await readList(validator, matches[0].id) };
+  return { listId: lastListId + 1, list: null };
+}
+
+async function apply(wallet, validator, plan, listId, values) {
+  const interactive = !values.yes && Boolean(process.stdin.isTTY);
+  const prompter = createPrompter({ interactive, assumeYes: values.yes });
+  try {
+    if (!(await prompter.confirm(`Send ${plan.calls.length} transaction(s) from ${wallet.address}?`))) {
+      throw new CliError('Operation cancelled.', EXIT_ABORTED);
+    }
+  } finally {
+    prompter.close();
+  }
+
+  const signer = validator.connect(wallet);
+  for (const [i, { method, args, description }] of plan.calls.entries()) {
+    try {
+      await signer.callStatic[method](...args);
+    } catch (error) {
+      throw new CliError(`${description} would revert: ${decodeRevert(revertData(error), [validator.interface])}`);
+    }
+    const tx = await signer[method](...args);
+    console.log(`${i + 1}. ${description}: ${tx.hash}`);
+    const receipt = await tx.wait();
+    if (method === 'createList') {
+      const created = receipt.logs
+        .filter(log => log.address === validator.address)
+        .map(log => validator.interface.parseLog(log))
+        .find(event => event.name === 'CreatedList');
+      const id = created.args.id.toNumber();
+      // The later calls were planned for the predicted id
+      if (id !== listId) {
+        throw new CliError(`createList made list ${id}, not ${listId} (another list was created meanwhile); run again to fill it`);
+      }
+    }
+  }
+}
+
+async function writeSafeBatch(values, provider, validator, plan, sender) {
+  // Raw-data transactions, so the array arguments need no contractInputsValues encoding
+  const transactions = plan.calls.map(({ method, args, description }) => ({
+    to: validator.address,
+    value: '0',
+    data: validator.interface.encodeFunctionData(method, args),
+    contractMethod: null,
+    contractInputsValues: null,
+    description
+  }));
+  const { chainId } = await provider.getNetwork();
+
+  if (!values['skip-simulation']) {
+    let fork = null;
+    let simulationProvider;
+    if (values['simulation-rpc']) {
+      simulationProvider = new ethers.providers.JsonRpcProvider(values['simulation-rpc']);
+    } else {
+      const forkUrl = values['fork-url'] || process.env.RPC_URL;
+      if (!forkUrl) {
+        throw new CliError('--fork-url (or RPC_URL) is required to simulate the batch; pass --skip-simulation to skip it', EXIT_USAGE);
+      }
+      console.log(`Starting an anvil fork of ${forkUrl}...`);
+      try {
+        fork = await startAnvilFork(forkUrl);
+      } catch (error) {
+        throw new CliError(error.message);
+      }
+      simulationProvider = fork.provider;
+    }
+    let results;
+    try {
+      results = await simulateTransactions(simulationProvider, sender, transactions, [validator.interface]);
+    } finally {
+      if (fork) fork.stop();
+    }
+    for (const [i, result] of results.entries()) {
+      console.log(`   ${i + 1}. ${result.success ? `ok (gas ${result.gasUsed})` : `FAILED: ${result.error}`}`);
+    }
+    if (results.some(result => !result.success)) {
+      throw new CliError('Simulation failed; no batch file was written');
+    }
+  }
+
+  const batch = createBatchFile({ chainId, safe: sender, transactions, name: values.name });
+  fs.mkdirSync(path.dirname(path.resolve(values['safe-batch'])), { recursive: true });
+  fs.writeFileSync(values['safe-batch'], `${JSON.stringify(batch, null, 2)}\n`);
+  console.log(`Wrote ${transactions.length} transactions to ${values['safe-batch']}${values['skip-simulation'] ? ' (NOT simulated)' : ' (simulated)'}`);
+  console.log('Import it in the Safe app: Apps > Transaction Builder > drag and drop the file.');
+}
+
+async function main() {
+  loadEnv();
+  const { values } = parseCliArgs({
+    policy: { type: 'string' },
+    collection: { type: 'string' },
+    validator: { type: 'string' },
+    sender: { type: 'string' },
+    apply: { type: 'boolean', default: false },
+    'safe-batch': { type: 'string' },
+    name: { type: 'string', default: 'Transfer policy' },
+    'fork-url': { type: 'string' },
+    'simulation-rpc': { type: 'string' },
+    'skip-simulation': { type: 'boolean', default: false },
+    'from-block': { type: 'string' },
+    'block-span': { type: 'string', default: '2000' },
+    catalog: { type: 'string' },
+    'allow-stale-codehashes': { type: 'boolean', default: false },
+    'rpc-url': { type: 'string' },
+    'deployments-dir': { type: 'string', default: DEPLOYMENTS_DIR },
+    yes: { type: 'boolean', short: 'y', default: false }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!values.policy) {
+    throw new CliError(`--policy is required\n\n${USAGE}`, EXIT_USAGE);
+  }
+  if (values.apply && values['safe-batch']) {
+    throw new CliError('Pass --apply or --safe-batch, not both', EXIT_USAGE);
+  }
+  let policy;
+  try {
+    policy = loadPolicyFile(values.policy);
+  } catch (error) {
+    throw new CliError(`${values.policy}: ${error.message}`, EXIT_USAGE);
+  }
+
+  const catalogFile = values.catalog || (fs.existsSync(DEFAULT_CATALOG_FILE) ? DEFAULT_CATALOG_FILE : null);
+  let catalog = null;
+  if (catalogFile) {
+    try {
+      catalog = loadCatalog(catalogFile);
+    } catch (error) {
+      throw new CliError(`${catalogFile}: ${error.message}`, EXIT_USAGE);
+    }
+  }
+
+  const provider = createProvider(values['rpc-url']);
+  const { chainId } = await provider.getNetwork();
+  const registry = loadDeployments(chainId, values['deployments-dir']);
+  const collection = requireAddress(values.collection || policy.collection || process.env.DGP_ADDRESS
+    || (registry.contracts.DiamondGenesisPass && registry.contracts.DiamondGenesisPass.address), '--collection');
+  const pass = new ethers.Contract(collection, loadAbi('DiamondGenesisPass'), provider);
+  const validatorAddress = requireAddress(values.validator || policy.validator || await pass.getTransferValidator(), '--validator');
+  if (await provider.getCode(validatorAddress) === '0x') {
+    throw new CliError(`The transfer validator ${validatorAddress} has no code on chain ${chainId}`);
+  }
+  const validator = new ethers.Contract(validatorAddress, TRANSFER_VALIDATOR_ABI, provider);
+
+  let wallet = null;
+  let sender;
+  if (values.apply) {
+    if (!process.env.PRIVATE_KEY) throw new CliError('PRIVATE_KEY is required for --apply', EXIT_USAGE);
+    wallet = createWallet(provider);
+    if (values.sender && requireAddress(values.sender, '--sender') !== wallet.address) {
+      throw new CliError(`--sender is ${values.sender} but PRIVATE_KEY is ${wallet.address}`, EXIT_USAGE);
+    }
+    sender = wallet.address;
+  } else {
+    sender = requireAddress(values.sender || process.env.SAFE_ADDRESS || await pass.owner(), '--sender');
+  }
+
+  const current = await readCollectionPolicy(validator, collection);
+  const { listId, list } = policy.list ? await resolveList(values, policy, validator, sender, registry) : { listId: current.listId, list: null };
+  const plan = planPolicy(policy, {
+    collection,
+    current,
+    list,
+    listId,
+    sender,
+    canManageCollection: await canManageCollection(pass, sender)
+  });
+
+  let labels;
+  let staleCodehashes = 0;
+  if (catalog) {
+    const deployed = await readCodehashes(provider, catalog.operators.map(({ address }) => address));
+    for (const { level, message } of checkPolicyCodehashes(catalog, chainId, policy, deployed)) {
+      console.error(`${level}: ${message}`);
+      if (level === 'error') staleCodehashes += 1;
+    }
+    labels = catalogLabels(catalog, chainId);
+  }
+
+  console.log(`Transfer policy of ${collection} on ${validatorAddress} (chain ${chainId}), sent from ${sender}`);
+  if (plan.changes.length === 0) {
+    console.log('No changes. The collection matches the policy.');
+    return;
+  }
+  formatPlan(plan, labels).forEach(line => console.log(line));
+  console.log(`Plan: ${plan.calls.length} call(s)`);
+  plan.calls.forEach((call, i) => console.log(`  ${i + 1}. ${call.description}`));
+  if (plan.errors.length > 0) {
+    plan.errors.forEach(error => console.error(`error: ${error}`));
+    throw new CliError(`The plan cannot be applied from ${sender}`);
+  }
+  if (staleCodehashes > 0 && (values.apply || values['safe-batch']) && !values['allow-stale-codehashes']) {
+    throw new CliError(`${staleCodehashes} listed codehash(es) no longer match the deployed code; run operator-codehashes --update and fix the policy, or pass --allow-stale-codehashes`);
+  }
+
+  if (values.apply) {
+    await apply(wallet, validator, plan, listId, values);
+    console.log('Applied. Run again to confirm there are no changes left.');
+  } else if (values['safe-batch']) {
+    // A batch cannot read the id createList returns, so the list is filled by a second batch
+    if (plan.calls[0].method === 'createList' && plan.calls.length > 1) {
+      console.log(`The batch only creates the list; run again once it is executed for the other ${plan.calls.length - 1} call(s).`);
+      plan.calls = plan.calls.slice(0, 1);
+    }
+    await writeSafeBatch(values, provider, validator, plan, sender);
+  } else {
+    console.log('Nothing was sent. Pass --apply or --safe-batch <file> to converge.');
+  }
+}
+
+main().catch(exitWithError);
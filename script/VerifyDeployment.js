@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { CliError, EXIT_FAILURE, EXIT_USAGE, parseCliArgs, loadEnv, exitWithError } = require('./lib/cli');
+const { loadAbi } = require('./lib/abis');
+const { createProvider } = require('./lib/chain');
+const { startAnvilFork } = require('./lib/forkSimulation');
+const { OUT_DIR, loadArtifact } = require('./lib/forgeArtifacts');
+const { DEPLOYMENTS_DIR, deploymentsFile, loadDeployments } = require('./lib/deployments');
+const { parseExpectedState, checkDeployment } = require('./lib/deploymentChecks');
+
+const USAGE = `Usage: npm run -s verify-deployment -- --expected <file> [options]
+
+Checks that the deployed DiamondGenesisPass and CentralizedRoyaltyDistributor are wired as the
+expected-state file declares: royaltyInfo, the distributor registration and shares, owner(),
+role holders (and that the deployer gave its roles up), the trusted oracle and the transfer
+validator. Contract addresses come from the file or from deployments/<chainId>.json.
+Exits with 1 when any check fails; the JSON report goes to stdout either way.
+
+Options:
+  --expected <file>         Expected-state JSON; see config/expected-state.example.json
+  --rpc-url <url>           JSON-RPC endpoint (default: RPC_URL or http://localhost:8545)
+  --fork-url <url>          Start an anvil fork of this RPC and check against it instead
+  --block <n>               Block to check at (default: latest)
+  --deployments-dir <dir>   Registry directory (default: deployments)
+  --out-dir <dir>           Forge artifacts to compare the runtime bytecode with; skipped when
+                            the directory does not exist (default: out)
+  -h, --help                Show this message`;
+
+function readExpected(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new CliError(`Cannot read ${file}: ${error.message}`, EXIT_USAGE);
+  }
+  try {
+    return parseExpectedState(data);
+  } catch (error) {
+    throw new CliError(`${file}: ${error.message}`, EXIT_USAGE);
+  }
+}
+
+async function verify(provider, values, expected) {
+  const { chainId } = await provider.getNetwork();
+  const registry = loadDeployments(chainId, values['deployments-dir']);
+  const addressOf = name => {
+    const address = expected.contracts[name] || (registry.contracts[name] && registry.contracts[name].address);
+    if (!address) {
+      throw new CliError(`No ${name} address: add contracts.${name} to the expected state or deploy to ${deploymentsFile(chainId, values['deployments-dir'])}`, EXIT_USAGE);
+    }
+    return address;
+  };
+  const pass = new ethers.Contract(addressOf('DiamondGenesisPass'), loadAbi('DiamondGenesisPass'), provider);
+  const distributor = new ethers.Contract(addressOf('CentralizedRoyaltyDistributor'), loadAbi('CentralizedRoyaltyDistributor'), provider);
+
+  const formerAdmins = expected.formerAdmins || [...new Set(Object.values(registry.contracts).map(entry => entry.deployer).filter(Boolean))];
+  const artifacts = {};
+  if (fs.existsSync(values['out-dir'])) {
+    for (const name of ['DiamondGenesisPass', 'CentralizedRoyaltyDistributor']) {
+      artifacts[name] = loadArtifact(name, { outDir: values['out-dir'] });
+    }
+  } else {
+    console.error(`${values['out-dir']} does not exist; skipping the runtime bytecode checks`);
+  }
+
+  const blockTag = values.block !== undefined ? Number(values.block) : await provider.getBlockNumber();
+  const checks = await checkDeployment({ pass, distributor, expected: { ...expected, formerAdmins }, artifacts, blockTag });
+  const failed = checks.filter(item => item.status === 'fail').length;
+  return {
+    generatedAt: new Date().toISOString(),
+    chainId,
+    block: blockTag,
+    contracts: { DiamondGenesisPass: pass.address, CentralizedRoyaltyDistributor: distributor.address },
+    summary: { checks: checks.length, failed, ok: failed === 0 },
+    checks
+  };
+}
+
+async function main() {
+  loadEnv();
+  const { values } = parseCliArgs({
+    expected: { type: 'string' },
+    'rpc-url': { type: 'string' },
+    'fork-url': { type: 'string' },
+    block: { type: 'string' },
+    'deployments-dir': { type: 'string', default: DEPLOYMENTS_DIR },
+    'out-dir': { type: 'string', default: OUT_DIR }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!values.expected) {
+    throw new CliError(`--expected is required\n\n${USAGE}`, EXIT_USAGE);
+  }
+  if (values.block !== undefined && !/^\d+$/.test(values.block)) {
+    throw new CliError(`--block must be a block number, got ${values.block}`, EXIT_USAGE);
+  }
+  const expected = readExpected(path.resolve(values.expected));
+
+  let fork = null;
+  let provider;
+  if (values['fork-url']) {
+    console.error(`Starting an anvil fork of ${values['fork-url']}...`);
+    try {
+      fork = await startAnvilFork(values['fork-url']);
+    } catch (error) {
+      throw new CliError(error.message);
+    }
+    provider = fork.provider;
+  } else {
+    provider = createProvider(values['rpc-url']);
+  }
+
+  let report;
+  try {
+    report = await verify(provider, values, expected);
+  } finally {
+    if (fork) fork.stop();
+  }
+
+  process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  const { checks, failed } = report.summary;
+  console.error(`${checks - failed}/${checks} checks passed at block ${report.block}`);
+  for (const item of report.checks.filter(entry => entry.status === 'fail')) {
+    console.error(`  ${item.contract} ${item.check}: ${item.message}`);
+  }
+  if (failed > 0) process.exitCode = EXIT_FAILURE;
+}
+
+main().catch(exitWithError);
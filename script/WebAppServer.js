@@ -0,0 +1,188 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ethers } = require('ethers');
+const { CliError, EXIT_USAGE, parseCliArgs, loadEnv, exitWithError } = require('./lib/cli');
+const { loadAbi } = require('./lib/abis');
+const { getNetwork } = require('./lib/networks');
+const { buildTransactions, createBatchFile } = require('./lib/safeBatch');
+const { ERROR_MESSAGES } = require('../sdk/src/errors');
+
+const APP_DIR = path.join(__dirname, '..', 'app');
+const ABI_NAMES = ['DiamondGenesisPass', 'CentralizedRoyaltyDistributor'];
+const MAX_BODY_BYTES = 64 * 1024;
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png'
+};
+
+const USAGE = `Usage: npm run web-app -- --network <name> [options]
+
+Serves the browser apps in app/ for a deployment:
+  /claim.html   Royalty claims for minters and creators
+  /admin.html   Collection registration, roles, oracle and mint settings for admins
+
+Options:
+  --network <name>          Network from config/networks.json, or its chain ID (env: NETWORK)
+  --collection <address>    DiamondGenesisPass address (env: DGP_ADDRESS)
+  --distributor <address>   CentralizedRoyaltyDistributor address (env: DISTRIBUTOR_ADDRESS)
+  --erc20-tokens <list>     Comma-separated ERC20 royalty tokens to show (env: ROYALTY_ERC20_TOKENS)
+  --safe <address>          Safe that owns the contracts, preset in the admin app (env: SAFE_ADDRESS)
+  --port <port>             Port to listen on (default: PORT or 8790)
+  -h, --help                Show this message`;
+
+function send(res, status, body, contentType = 'application/json') {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(contentType === 'application/json' ? JSON.stringify(body) : body);
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new Error('Request body must be JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Owner actions posted by the admin app, encoded with the same definitions as `npm run safe-batch`.
+ * POST /api/transactions `{ actions }` returns `{ transactions }`; POST /api/safe-batch
+ * `{ safe, actions, name }` returns a Transaction Builder batch file.
+ */
+async function handleActions(req, res, pathname, config) {
+  let body;
+  let transactions;
+  try {
+    body = await readJson(req);
+    if (!Array.isArray(body.actions) || body.actions.length === 0) {
+      throw new Error('actions must be a non-empty array');
+    }
+    transactions = buildTransactions(body.actions, config);
+  } catch (error) {
+    return send(res, 400, { error: error.message });
+  }
+
+  if (pathname === '/api/transactions') {
+    return send(res, 200, { transactions });
+  }
+  if (!ethers.utils.isAddress(body.safe || '')) {
+    return send(res, 400, { error: `safe must be an address, got ${body.safe}` });
+  }
+  return send(res, 200, createBatchFile({ chainId: config.network.chainId, safe: body.safe, transactions, name: body.name || undefined }));
+}
+
+/**
+ * Create the web-app server: static files from `appDir`, plus the deployment config
+ * (/config.json), the committed ABIs (/abis/<name>.json), readable messages for the
+ * contracts' custom errors (/error-messages.json) and the owner-action encoder the admin
+ * app uses (POST /api/transactions, POST /api/safe-batch).
+ * @param {object} options
+ * @param {object} options.config `{ network, collection, distributor, safe, erc20Tokens }`
+ * @param {string} [options.appDir]
+ * @returns {http.Server}
+ */
+function createWebAppServer({ config, appDir = APP_DIR }) {
+  const root = path.resolve(appDir);
+
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const isActionRoute = pathname === '/api/transactions' || pathname === '/api/safe-batch';
+    if (isActionRoute ? req.method !== 'POST' : req.method !== 'GET' && req.method !== 'HEAD') {
+      return send(res, 405, { error: 'Method not allowed' });
+    }
+
+    try {
+      if (isActionRoute) return await handleActions(req, res, pathname, config);
+      if (pathname === '/config.json') return send(res, 200, config);
+      if (pathname === '/error-messages.json') return send(res, 200, ERROR_MESSAGES);
+
+      const abiMatch = pathname.match(/^\/abis\/([A-Za-z]+)\.json$/);
+      if (abiMatch) {
+        if (!ABI_NAMES.includes(abiMatch[1])) return send(res, 404, { error: 'Not found' });
+        return send(res, 200, loadAbi(abiMatch[1]));
+      }
+
+      const file = path.resolve(root, `.${decodeURIComponent(pathname === '/' ? '/claim.html' : pathname)}`);
+      const contentType = CONTENT_TYPES[path.extname(file)];
+      if (!file.startsWith(`${root}${path.sep}`) || !contentType || !fs.existsSync(file)) {
+        return send(res, 404, { error: 'Not found' });
+      }
+      return send(res, 200, fs.readFileSync(file), contentType);
+    } catch (error) {
+      console.error(`${req.method} ${req.url} failed:`, error);
+      return send(res, 500, { error: 'Internal server error' });
+    }
+  });
+}
+
+function requireAddress(value, flag) {
+  if (!ethers.utils.isAddress(value || '')) {
+    throw new CliError(`${flag} must be a valid address, got ${value || 'nothing'}`, EXIT_USAGE);
+  }
+  return ethers.utils.getAddress(value);
+}
+
+async function main() {
+  loadEnv();
+  const { values } = parseCliArgs({
+    network: { type: 'string', default: process.env.NETWORK },
+    collection: { type: 'string', default: process.env.DGP_ADDRESS },
+    distributor: { type: 'string', default: process.env.DISTRIBUTOR_ADDRESS },
+    'erc20-tokens': { type: 'string', default: process.env.ROYALTY_ERC20_TOKENS || '' },
+    safe: { type: 'string', default: process.env.SAFE_ADDRESS },
+    port: { type: 'string', default: process.env.PORT || '8790' }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!values.network) {
+    throw new CliError(`--network is required\n\n${USAGE}`, EXIT_USAGE);
+  }
+
+  const { key, name, chainId, explorer } = getNetwork(values.network);
+  const config = {
+    network: { key, name, chainId, explorer: explorer || null },
+    collection: requireAddress(values.collection, '--collection'),
+    distributor: requireAddress(values.distributor, '--distributor'),
+    safe: values.safe ? requireAddress(values.safe, '--safe') : null,
+    erc20Tokens: values['erc20-tokens'].split(',').map(token => token.trim()).filter(Boolean).map(token => requireAddress(token, '--erc20-tokens'))
+  };
+
+  const server = createWebAppServer({ config });
+  server.listen(Number(values.port), () => {
+    const base = `http://localhost:${server.address().port}`;
+    console.log(`Claim app: ${base}/claim.html (${name})`);
+    console.log(`Admin app: ${base}/admin.html`);
+  });
+}
+
+if (require.main === module) {
+  main().catch(exitWithError);
+}
+
+module.exports = {
+  APP_DIR,
+  createWebAppServer
+};
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const { ABI_DIR } = require('./abis');
+const { OUT_DIR, CONTRACT_SOURCES, loadArtifact } = require('./forgeArtifacts');
+const { CONTRACTS: SDK_CONTRACTS, generate } = require('../../sdk/scripts/generate');
+
+/**
+ * Every file generated from the forge artifacts: abis/<Contract>.json, a bare ABI array in
+ * forge's order, and the SDK's bindings, types and selectors generated from the ABIs of the
+ * contracts the SDK covers.
+ * @param {object} [options]
+ * @param {string} [options.outDir] Forge artifacts directory
+ * @param {string} [options.abiDir]
+ * @returns {Object<string, string>} Absolute path => content
+ */
+function generateAbiFiles({ outDir = OUT_DIR, abiDir = ABI_DIR } = {}) {
+  const abis = Object.fromEntries(Object.keys(CONTRACT_SOURCES).map(name => [name, loadArtifact(name, { outDir }).abi]));
+  return {
+    ...Object.fromEntries(Object.entries(abis).map(([name, abi]) => [path.join(abiDir, `${name}.json`), `${JSON.stringify(abi, null, 2)}\n`])),
+    ...generate(Object.fromEntries(SDK_CONTRACTS.map(name => [name, abis[name]])))
+  };
+}
+
+/**
+ * Files whose content on disk differs from the generated one.
+ * @param {Object<string, string>} files From generateAbiFiles
+ * @returns {{ file: string, status: 'missing'|'changed' }[]}
+ */
+function staleFiles(files) {
+  return Object.entries(files)
+    .map(([file, content]) => {
+      if (!fs.existsSync(file)) return { file, status: 'missing' };
+      return fs.readFileSync(file, 'utf8') === content ? null : { file, status: 'changed' };
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  generateAbiFiles,
+  staleFiles
+};
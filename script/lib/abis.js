@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+
+const ABI_DIR = path.join(__dirname, '..', '..', 'abis');
+
+/**
+ * Load a contract ABI from abis/<name>.json.
+ * Accepts both a bare ABI array and an `{ address, abi }` object.
+ * @param {string} name Contract name, e.g. 'DiamondGenesisPass'
+ * @returns {object[]}
+ */
+function loadAbi(name) {
+  const data = JSON.parse(fs.readFileSync(path.join(ABI_DIR, `${name}.json`), 'utf8'));
+  return Array.isArray(data) ? data : data.abi;
+}
+
+module.exports = {
+  ABI_DIR,
+  loadAbi
+};
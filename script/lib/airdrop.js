@@ -0,0 +1,282 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { parseCsv } = require('./csv');
+const { createJsonlLog } = require('./jsonlLog');
+
+// DiamondGenesisPass functions that mint one token to `to` from the owner or a service account
+const AIRDROP_METHODS = ['mintOwner', 'safeMintOwner'];
+
+/**
+ * Parse an airdrop CSV with `address` and `count` (or `quantity`) columns.
+ * @param {string} content File contents
+ * @returns {{ entries: Array<{ address: string, count: number, line: number }>, errors: object[], total: number }}
+ */
+function parseRecipients(content) {
+  const { columns, records } = parseCsv(content);
+  const countColumn = ['count', 'quantity'].find(column => columns.includes(column));
+  if (!columns.includes('address') || !countColumn) {
+    throw new Error('The CSV needs a header row with an address column and a count column');
+  }
+
+  const entries = [];
+  const errors = [];
+  const seen = new Map();
+  for (const { line, values } of records) {
+    const address = values.address;
+    const count = values[countColumn];
+    if (!ethers.utils.isAddress(address) || /^0x0{40}$/.test(address)) {
+      errors.push({ line, address, error: 'invalid address (or bad checksum)' });
+      continue;
+    }
+    if (!/^\d+$/.test(count) || Number(count) < 1) {
+      errors.push({ line, address, error: `count must be a positive integer, got "${count}"` });
+      continue;
+    }
+    const checksummed = ethers.utils.getAddress(address);
+    if (seen.has(checksummed)) {
+      errors.push({ line, address, error: `duplicate of line ${seen.get(checksummed)}; merge the counts` });
+      continue;
+    }
+    seen.set(checksummed, line);
+    entries.push({ address: checksummed, count: Number(count), line });
+  }
+  return { entries, errors, total: entries.reduce((sum, entry) => sum + entry.count, 0) };
+}
+
+/**
+ * One mint per token, in CSV order. `index` identifies a mint in the journal.
+ * @param {Array<{ address: string, count: number }>} entries
+ * @returns {Array<{ index: number, recipient: string }>}
+ */
+function planMints(entries) {
+  return entries.flatMap(({ address, count }) => Array.from({ length: count }, () => address))
+    .map((recipient, index) => ({ index, recipient }));
+}
+
+/**
+ * Read a journal written by createAirdrop. A last line cut short by a crash is ignored.
+ * @param {string} file
+ * @returns {object[]} Journal entries, oldest first (empty when the file does not exist)
+ */
+function readJournal(file) {
+  if (!fs.existsSync(file)) return [];
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+  return lines.flatMap((line, i) => {
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      if (i === lines.length - 1) return [];
+      throw new Error(`${file} line ${i + 1} is not valid JSON`);
+    }
+  });
+}
+
+/**
+ * Airdrop one token per mint through mintOwner/safeMintOwner.
+ *
+ * Journal: every transaction is signed and appended to the JSONL journal before it is
+ * broadcast, and its outcome is appended once it is mined. On restart, signed transactions
+ * without an outcome are looked up, re-broadcast (same nonce, so a mint can never happen
+ * twice) or marked dropped once their nonce was consumed by another transaction. Only
+ * mints without a confirmed transaction are sent again.
+ *
+ * Nonces are assigned locally from the account's pending nonce, with up to `maxPending`
+ * transactions in flight.
+ *
+ * @param {object} options
+ * @param {ethers.providers.Provider} options.provider
+ * @param {ethers.Signer} options.wallet Owner or SERVICE_ACCOUNT_ROLE holder
+ * @param {ethers.Contract} options.collection DiamondGenesisPass
+ * @param {Array<{ index: number, recipient: string }>} options.mints From planMints
+ * @param {string} options.journalFile
+ * @param {number} options.chainId
+ * @param {string} [options.method] mintOwner or safeMintOwner
+ * @param {number} [options.maxPending]
+ * @param {Function} [options.log]
+ */
+function createAirdrop({
+  provider,
+  wallet,
+  collection,
+  mints,
+  journalFile,
+  chainId,
+  method = 'mintOwner',
+  maxPending = 5,
+  log = console.log
+}) {
+  if (!AIRDROP_METHODS.includes(method)) throw new Error(`method must be one of ${AIRDROP_METHODS.join(', ')}`);
+
+  // Identifies the airdrop, so a journal is never resumed against a different list or contract
+  const plan = ethers.utils.id(JSON.stringify({ chainId, collection: collection.address, method, mints }));
+  const journal = readJournal(journalFile);
+  let start = journal.find(entry => entry.event === 'start');
+  if (start && start.plan !== plan) {
+    throw new Error(`${journalFile} belongs to a different airdrop (chain ${start.chainId}, ${start.collection}, ${start.method}, ${start.mints} mints); pass another --journal`);
+  }
+
+  // Latest transaction per mint
+  const state = new Map();
+  for (const entry of journal) {
+    if (entry.event !== 'start') state.set(entry.index, entry);
+  }
+  // New entries must not be appended to the partial last line a crash can leave behind
+  if (fs.existsSync(journalFile)) {
+    const content = fs.readFileSync(journalFile);
+    if (content.length > 0 && content[content.length - 1] !== 0x0a) {
+      fs.truncateSync(journalFile, content.lastIndexOf(0x0a) + 1);
+    }
+  }
+  const record = createJsonlLog(journalFile);
+  let resumed = false;
+
+  const transferredTokenId = (receipt, recipient) => {
+    for (const entry of receipt.logs || []) {
+      if (entry.address.toLowerCase() !== collection.address.toLowerCase()) continue;
+      let event;
+      try {
+        event = collection.interface.parseLog(entry);
+      } catch (error) {
+        continue;
+      }
+      if (event.name === 'Transfer' && event.args.from === ethers.constants.AddressZero && event.args.to === recipient) {
+        return event.args.tokenId.toString();
+      }
+    }
+    throw new Error(`No Transfer to ${recipient} in ${receipt.transactionHash}`);
+  };
+
+  function recordOutcome(signed, receipt) {
+    const fields = { index: signed.index, recipient: signed.recipient, txHash: signed.txHash, blockNumber: receipt.blockNumber };
+    const entry = receipt.status === 1
+      ? record('confirmed', { ...fields, tokenId: transferredTokenId(receipt, signed.recipient) })
+      : record('reverted', fields);
+    state.set(signed.index, entry);
+    return entry;
+  }
+
+  // Signed before a crash: mined, still pending (re-broadcast) or never going to be mined
+  async function resolve(signed) {
+    let receipt = await provider.getTransactionReceipt(signed.txHash);
+    if (!receipt && (await wallet.getTransactionCount('latest')) > signed.nonce) {
+      // The nonce is used: either this mint was mined since the receipt check or it was replaced
+      receipt = await provider.getTransactionReceipt(signed.txHash);
+      if (!receipt) {
+        log(`Mint ${signed.index}: ${signed.txHash} was replaced by another transaction; it will be sent again`);
+        state.set(signed.index, record('dropped', { index: signed.index, txHash: signed.txHash }));
+        return;
+      }
+    }
+    if (!receipt) {
+      try {
+        await provider.sendTransaction(signed.rawTx);
+      } catch (error) {
+        // "Already known" is fine; anything else means the node will not mine it
+        if (!(await provider.getTransaction(signed.txHash))) throw error;
+      }
+      receipt = await provider.waitForTransaction(signed.txHash);
+    }
+    recordOutcome(signed, receipt);
+  }
+
+  /**
+   * Settle the transactions a previous run signed but did not see mined.
+   */
+  async function resume() {
+    if (resumed) return;
+    resumed = true;
+    const unsettled = [...state.values()].filter(entry => entry.event === 'signed').sort((a, b) => a.nonce - b.nonce);
+    if (unsettled.length > 0) log(`Settling ${unsettled.length} transaction(s) from the previous run`);
+    for (const signed of unsettled) {
+      await resolve(signed);
+    }
+  }
+
+  /**
+   * Mints that have no confirmed transaction yet.
+   * @returns {Array<{ index: number, recipient: string }>}
+   */
+  function outstanding() {
+    return mints.filter(mint => !state.has(mint.index) || state.get(mint.index).event !== 'confirmed');
+  }
+
+  /**
+   * Send every outstanding mint and wait for them all.
+   * @returns {Promise<object[]>} The `confirmed` journal entry of every mint, in plan order
+   */
+  async function run() {
+    await resume();
+    if (!start) start = record('start', { plan, chainId, collection: collection.address, method, mints: mints.length });
+    const queue = outstanding();
+    const inFlight = [];
+    const reverted = [];
+    let nonce = queue.length > 0 ? await wallet.getTransactionCount('pending') : 0;
+
+    const settleOldest = async () => {
+      const signed = inFlight.shift();
+      const entry = recordOutcome(signed, await provider.waitForTransaction(signed.txHash));
+      if (entry.event === 'confirmed') {
+        log(`Mint ${signed.index}: token ${entry.tokenId} to ${signed.recipient} (${signed.txHash})`);
+      } else {
+        log(`Mint ${signed.index}: ${signed.txHash} reverted`);
+        reverted.push(signed.index);
+      }
+    };
+
+    for (const { index, recipient } of queue) {
+      if (reverted.length > 0) break;
+      const data = collection.interface.encodeFunctionData(method, [recipient]);
+      const tx = await wallet.populateTransaction({ to: collection.address, data, nonce });
+      const rawTx = await wallet.signTransaction(tx);
+      const txHash = ethers.utils.keccak256(rawTx);
+
+      // Write-ahead: the signed transaction is on disk before it is broadcast
+      const signed = record('signed', { index, recipient, nonce, txHash, rawTx });
+      state.set(index, signed);
+      nonce += 1;
+      await provider.sendTransaction(rawTx);
+      inFlight.push(signed);
+      if (inFlight.length >= maxPending) await settleOldest();
+    }
+    while (inFlight.length > 0) await settleOldest();
+
+    if (reverted.length > 0) {
+      throw new Error(`Mint(s) ${reverted.join(', ')} reverted; fix the cause and run again to send the remaining ${outstanding().length}`);
+    }
+    return mints.map(mint => state.get(mint.index));
+  }
+
+  return {
+    plan,
+    resume,
+    outstanding,
+    run
+  };
+}
+
+/**
+ * Recipient => token IDs, from the confirmed mints.
+ * @param {Array<{ address: string, count: number }>} entries
+ * @param {object[]} confirmed From run()
+ * @returns {Array<{ address: string, count: number, tokenIds: string[], transactions: string[] }>}
+ */
+function buildReport(entries, confirmed) {
+  return entries.map(({ address, count }) => {
+    const mints = confirmed.filter(entry => entry.recipient === address);
+    return {
+      address,
+      count,
+      tokenIds: mints.map(entry => entry.tokenId),
+      transactions: mints.map(entry => entry.txHash)
+    };
+  });
+}
+
+module.exports = {
+  AIRDROP_METHODS,
+  parseRecipients,
+  planMints,
+  readJournal,
+  createAirdrop,
+  buildReport
+};
@@ -0,0 +1,108 @@
+const { fetchLogsInSpans, blockTimestamps } = require('./chain');
+
+const ETH = 'ETH';
+
+/**
+ * Distributor events the analytics store keeps, and how each becomes a table row.
+ * Block location and timestamp columns are added by the indexer.
+ */
+const ANALYTICS_EVENTS = {
+  RoyaltyAttributed: args => ({
+    table: 'sales',
+    row: {
+      collection: args.collection,
+      token_id: args.tokenId.toString(),
+      minter: args.minter,
+      sale_price: args.salePrice.toString(),
+      minter_share: args.minterShareAttributed.toString(),
+      creator_share: args.creatorShareAttributed.toString(),
+      sale_transaction_hash: args.transactionHash
+    }
+  }),
+  RoyaltyReceived: args => flow('received', args, ETH, args.sender),
+  RoyaltyAccrued: args => flow('accrued', args, ETH, args.recipient),
+  RoyaltyClaimed: args => flow('claimed', args, ETH, args.recipient),
+  ERC20RoyaltyReceived: args => flow('received', args, args.token, args.sender),
+  ERC20RoyaltyAccrued: args => flow('accrued', args, args.token, args.recipient),
+  ERC20RoyaltyClaimed: args => flow('claimed', args, args.token, args.recipient),
+  MinterAssigned: args => ({
+    table: 'minter_assignments',
+    row: { collection: args.collection, token_id: args.tokenId.toString(), minter: args.minter }
+  }),
+  CreatorAddressUpdated: args => ({
+    table: 'creator_updates',
+    row: { collection: args.collection, old_creator: args.oldCreator, new_creator: args.newCreator }
+  })
+};
+
+function flow(kind, args, token, account) {
+  return {
+    table: 'royalty_flows',
+    row: { kind, collection: args.collection, token, account, amount: args.amount.toString() }
+  };
+}
+
+/**
+ * Turn a distributor log into a `{ table, row }` record for lib/analyticsStore.js.
+ * @param {ethers.utils.Interface} iface CentralizedRoyaltyDistributor interface
+ * @param {object} log
+ * @param {number} timestamp Block timestamp in seconds
+ */
+function toRecord(iface, log, timestamp) {
+  const { name, args } = iface.parseLog(log);
+  const record = ANALYTICS_EVENTS[name](args);
+  return {
+    table: record.table,
+    row: {
+      block_number: log.blockNumber,
+      log_index: log.logIndex,
+      transaction_hash: log.transactionHash,
+      timestamp,
+      ...record.row
+    }
+  };
+}
+
+/**
+ * Copies distributor analytics events into the SQLite store, a block span at a time.
+ * Each span's rows and the checkpoint are committed together, so a restart resumes after the
+ * last committed span and re-running a span stores nothing twice.
+ * @param {object} options
+ * @param {ethers.Contract} options.distributor CentralizedRoyaltyDistributor with a provider
+ * @param {object} options.store From lib/analyticsStore.js
+ * @param {number} options.startBlock First block to index when the store is empty
+ * @param {number} [options.blockSpan] Blocks per getLogs query
+ * @param {number} [options.confirmations] Blocks to stay behind the head, so reorged logs are not stored
+ * @param {Function} [options.log]
+ */
+function createAnalyticsIndexer({ distributor, store, startBlock, blockSpan = 2000, confirmations = 6, log = console.log }) {
+  const { provider } = distributor;
+  const topics = [Object.keys(ANALYTICS_EVENTS).map(name => distributor.interface.getEventTopic(name))];
+
+  /**
+   * Index from the checkpoint up to the confirmed head.
+   * @returns {Promise<number>} The next block to index
+   */
+  async function runOnce() {
+    let from = store.getNextBlock();
+    if (from === null) from = startBlock;
+    const head = (await provider.getBlockNumber()) - confirmations;
+
+    await fetchLogsInSpans(provider, { address: distributor.address, topics }, { fromBlock: from, toBlock: head, blockSpan }, async (logs, span) => {
+      const blockTimes = await blockTimestamps(provider, logs);
+      store.insert(logs.map(entry => toRecord(distributor.interface, entry, blockTimes.get(entry.blockNumber))), span.toBlock + 1);
+      if (logs.length > 0) log(`Stored ${logs.length} events from blocks ${span.fromBlock}-${span.toBlock}`);
+    });
+    const next = store.getNextBlock();
+    return next === null ? startBlock : next;
+  }
+
+  return { runOnce };
+}
+
+module.exports = {
+  ETH,
+  ANALYTICS_EVENTS,
+  toRecord,
+  createAnalyticsIndexer
+};
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Amounts are uint256 wei values, stored as decimal strings and summed as BigInts:
+// SQLite integers are 64-bit and its SUM() of text falls back to floating point.
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS checkpoint (
+  id INTEGER PRIMARY KEY CHECK (id = 1),
+  next_block INTEGER NOT NULL
+);
+
+-- RoyaltyAttributed: one row per sale the distributor accepted
+CREATE TABLE IF NOT EXISTS sales (
+  block_number INTEGER NOT NULL,
+  log_index INTEGER NOT NULL,
+  transaction_hash TEXT NOT NULL,
+  timestamp INTEGER NOT NULL,
+  collection TEXT NOT NULL,
+  token_id TEXT NOT NULL,
+  minter TEXT NOT NULL,
+  sale_price TEXT NOT NULL,
+  minter_share TEXT NOT NULL,
+  creator_share TEXT NOT NULL,
+  sale_transaction_hash TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS sales_by_token ON sales (collection, token_id, block_number);
+CREATE INDEX IF NOT EXISTS sales_by_time ON sales (collection, timestamp);
+
+-- RoyaltyReceived / RoyaltyAccrued / RoyaltyClaimed and their ERC20 counterparts.
+-- token is 'ETH' or the ERC20 address; account is the sender (received) or recipient.
+CREATE TABLE IF NOT EXISTS royalty_flows (
+  block_number INTEGER NOT NULL,
+  log_index INTEGER NOT NULL,
+  transaction_hash TEXT NOT NULL,
+  timestamp INTEGER NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('received', 'accrued', 'claimed')),
+  collection TEXT NOT NULL,
+  token TEXT NOT NULL,
+  account TEXT NOT NULL,
+  amount TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS flows_by_account ON royalty_flows (account, collection);
+CREATE INDEX IF NOT EXISTS flows_by_collection ON royalty_flows (collection, token);
+
+-- MinterAssigned
+CREATE TABLE IF NOT EXISTS minter_assignments (
+  block_number INTEGER NOT NULL,
+  log_index INTEGER NOT NULL,
+  transaction_hash TEXT NOT NULL,
+  timestamp INTEGER NOT NULL,
+  collection TEXT NOT NULL,
+  token_id TEXT NOT NULL,
+  minter TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS minters_by_token ON minter_assignments (collection, token_id);
+
+-- CreatorAddressUpdated
+CREATE TABLE IF NOT EXISTS creator_updates (
+  block_number INTEGER NOT NULL,
+  log_index INTEGER NOT NULL,
+  transaction_hash TEXT NOT NULL,
+  timestamp INTEGER NOT NULL,
+  collection TEXT NOT NULL,
+  old_creator TEXT NOT NULL,
+  new_creator TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+`;
+
+const INTERVALS = { hour: 3600, day: 86400, week: 604800 };
+
+const TABLE_COLUMNS = {
+  sales: ['collection', 'token_id', 'minter', 'sale_price', 'minter_share', 'creator_share', 'sale_transaction_hash'],
+  royalty_flows: ['kind', 'collection', 'token', 'account', 'amount'],
+  minter_assignments: ['collection', 'token_id', 'minter'],
+  creator_updates: ['collection', 'old_creator', 'new_creator']
+};
+
+const sum = (rows, column) => rows.reduce((total, row) => total + BigInt(row[column]), 0n).toString();
+
+const location = row => ({
+  blockNumber: row.block_number,
+  logIndex: row.log_index,
+  transactionHash: row.transaction_hash,
+  timestamp: row.timestamp
+});
+
+/**
+ * Open (or create) the SQLite royalty analytics store.
+ * @param {string} file Database file, or ':memory:'
+ */
+function openAnalyticsStore(file) {
+  if (file !== ':memory:') fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const inserts = Object.fromEntries(Object.entries(TABLE_COLUMNS).map(([table, columns]) => {
+    const all = ['block_number', 'log_index', 'transaction_hash', 'timestamp', ...columns];
+    return [table, db.prepare(`INSERT OR IGNORE INTO ${table} (${all.join(', ')}) VALUES (${all.map(column => `@${column}`).join(', ')})`)];
+  }));
+  const setCheckpoint = db.prepare('INSERT INTO checkpoint (id, next_block) VALUES (1, ?) ON CONFLICT (id) DO UPDATE SET next_block = excluded.next_block');
+
+  /**
+   * Store a block range's records and move the checkpoint past it, atomically.
+   * Records already stored (same block and log index) are ignored.
+   * @param {object[]} records `{ table, row }` from lib/analyticsIndexer.js
+   * @param {number} nextBlock
+   */
+  const insert = db.transaction((records, nextBlock) => {
+    for (const { table, row } of records) inserts[table].run(row);
+    setCheckpoint.run(nextBlock);
+  });
+
+  /** @returns {number|null} The first block not indexed yet */
+  function getNextBlock() {
+    const row = db.prepare('SELECT next_block FROM checkpoint WHERE id = 1').get();
+    return row ? row.next_block : null;
+  }
+
+  return {
+    insert,
+    getNextBlock,
+
+    /**
+     * Sales volume and royalties per time bucket.
+     * @param {string} collection
+     * @param {object} [options]
+     * @param {'hour'|'day'|'week'} [options.interval]
+     * @param {number} [options.from] Unix seconds, inclusive
+     * @param {number} [options.to] Unix seconds, exclusive
+     */
+    volumeSeries(collection, { interval = 'day', from = 0, to = Number.MAX_SAFE_INTEGER } = {}) {
+      const size = INTERVALS[interval];
+      const rows = db.prepare('SELECT * FROM sales WHERE collection = ? AND timestamp >= ? AND timestamp < ? ORDER BY timestamp')
+        .all(collection, from, to);
+      const buckets = new Map();
+      for (const row of rows) {
+        const start = Math.floor(row.timestamp / size) * size;
+        if (!buckets.has(start)) buckets.set(start, []);
+        buckets.get(start).push(row);
+      }
+      return [...buckets].map(([start, sales]) => ({
+        period: new Date(start * 1000).toISOString(),
+        sales: sales.length,
+        volume: sum(sales, 'sale_price'),
+        minterRoyalties: sum(sales, 'minter_share'),
+        creatorRoyalties: sum(sales, 'creator_share')
+      }));
+    },
+
+    /**
+     * Accrued, claimed and unclaimed royalties per recipient, highest accrual first.
+     * @param {object} filter
+     * @param {string} [filter.collection]
+     * @param {string} [filter.recipient]
+     * @param {string} [filter.token] 'ETH' or an ERC20 address
+     */
+    royaltiesByRecipient({ collection, recipient, token } = {}) {
+      const conditions = ["kind IN ('accrued', 'claimed')"];
+      const params = [];
+      for (const [column, value] of [['collection', collection], ['account', recipient], ['token', token]]) {
+        if (value) {
+          conditions.push(`${column} = ?`);
+          params.push(value);
+        }
+      }
+      const rows = db.prepare(`SELECT * FROM royalty_flows WHERE ${conditions.join(' AND ')}`).all(...params);
+
+      const totals = new Map();
+      for (const row of rows) {
+        const key = `${row.collection}|${row.token}|${row.account}`;
+        if (!totals.has(key)) {
+          totals.set(key, { collection: row.collection, token: row.token, recipient: row.account, accrued: 0n, claimed: 0n });
+        }
+        totals.get(key)[row.kind] += BigInt(row.amount);
+      }
+      return [...totals.values()]
+        .sort((a, b) => (a.accrued === b.accrued ? a.recipient.localeCompare(b.recipient) : a.accrued > b.accrued ? -1 : 1))
+        .map(entry => ({
+          ...entry,
+          accrued: entry.accrued.toString(),
+          claimed: entry.claimed.toString(),
+          unclaimed: (entry.accrued - entry.claimed).toString()
+        }));
+    },
+
+    /**
+     * Accrual and claim events of one recipient, newest first.
+     * @param {string} recipient
+     * @param {number} [limit]
+     */
+    recipientHistory(recipient, limit = 100) {
+      return db.prepare("SELECT * FROM royalty_flows WHERE account = ? AND kind IN ('accrued', 'claimed') ORDER BY block_number DESC, log_index DESC LIMIT ?")
+        .all(recipient, limit)
+        .map(row => ({ ...location(row), kind: row.kind, collection: row.collection, token: row.token, amount: row.amount }));
+    },
+
+    /**
+     * Sales and minter assignments of one token, oldest first.
+     * @param {string} collection
+     * @param {string} tokenId Decimal token ID
+     */
+    tokenHistory(collection, tokenId) {
+      const trades = db.prepare('SELECT * FROM sales WHERE collection = ? AND token_id = ? ORDER BY block_number, log_index')
+        .all(collection, tokenId)
+        .map(row => ({
+          ...location(row),
+          saleTransactionHash: row.sale_transaction_hash,
+          minter: row.minter,
+          salePrice: row.sale_price,
+          minterShare: row.minter_share,
+          creatorShare: row.creator_share
+        }));
+      const minters = db.prepare('SELECT * FROM minter_assignments WHERE collection = ? AND token_id = ? ORDER BY block_number, log_index')
+        .all(collection, tokenId)
+        .map(row => ({ ...location(row), minter: row.minter }));
+      return { collection, tokenId, trades, minters };
+    },
+
+    /** @param {string} collection */
+    creatorHistory(collection) {
+      return db.prepare('SELECT * FROM creator_updates WHERE collection = ? ORDER BY block_number, log_index')
+        .all(collection)
+        .map(row => ({ ...location(row), oldCreator: row.old_creator, newCreator: row.new_creator }));
+    },
+
+    status() {
+      const count = table => db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+      return {
+        nextBlock: getNextBlock(),
+        sales: count('sales'),
+        royaltyFlows: count('royalty_flows'),
+        minterAssignments: count('minter_assignments'),
+        creatorUpdates: count('creator_updates')
+      };
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  INTERVALS,
+  openAnalyticsStore
+};
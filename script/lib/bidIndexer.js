@@ -0,0 +1,73 @@
+const { fetchLogsInSpans, blockTimestamps } = require('./chain');
+const { loadState, saveState } = require('./jsonState');
+const { BID_EVENTS, createOrderBook } = require('./orderBook');
+
+/**
+ * Follows the DiamondGenesisPass bid markets into an order book (lib/orderBook.js), a block
+ * span at a time. The book and the checkpoint are saved together after each span, so a
+ * restart resumes after the last saved span without replaying anything twice.
+ * @param {object} options
+ * @param {ethers.Contract} options.collection DiamondGenesisPass with a provider
+ * @param {string} options.stateFile
+ * @param {number} options.startBlock First block to index when there is no state yet; use the
+ *   deployment block, since bids placed earlier are unknown to the book
+ * @param {number} [options.blockSpan] Blocks per getLogs query
+ * @param {number} [options.confirmations] Blocks to stay behind the head, so reorged logs are not applied
+ * @param {Function} [options.log]
+ */
+function createBidIndexer({ collection, stateFile, startBlock, blockSpan = 2000, confirmations = 6, log = console.log }) {
+  const { provider } = collection;
+  const topics = [BID_EVENTS.map(name => collection.interface.getEventTopic(name))];
+  const { nextBlock = startBlock, ...bookState } = loadState(stateFile, {});
+  const book = createOrderBook(Object.keys(bookState).length > 0 ? bookState : undefined, message => log(`Warning: ${message}`));
+  let from = nextBlock;
+
+  // Logs of one span, grouped per transaction in log order
+  function byTransaction(logs, blockTimes) {
+    const transactions = new Map();
+    for (const entry of logs) {
+      const { name, args } = collection.interface.parseLog(entry);
+      const event = {
+        name,
+        args,
+        blockNumber: entry.blockNumber,
+        logIndex: entry.logIndex,
+        transactionHash: entry.transactionHash,
+        timestamp: blockTimes.get(entry.blockNumber)
+      };
+      if (!transactions.has(entry.transactionHash)) transactions.set(entry.transactionHash, []);
+      transactions.get(entry.transactionHash).push(event);
+    }
+    return [...transactions.values()];
+  }
+
+  /**
+   * Index from the checkpoint up to the confirmed head.
+   * @returns {Promise<number>} The next block to index
+   */
+  async function runOnce() {
+    const head = (await provider.getBlockNumber()) - confirmations;
+    const filter = { address: collection.address, topics };
+
+    await fetchLogsInSpans(provider, filter, { fromBlock: from, toBlock: head, blockSpan }, async (logs, span) => {
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+      for (const events of byTransaction(logs, await blockTimestamps(provider, logs))) {
+        book.applyTransaction(events);
+      }
+      saveState(stateFile, { nextBlock: span.toBlock + 1, ...book.toJSON() });
+      if (logs.length > 0) log(`Applied ${logs.length} bid events from blocks ${span.fromBlock}-${span.toBlock}`);
+      from = span.toBlock + 1;
+    });
+    return from;
+  }
+
+  return {
+    book,
+    runOnce,
+    nextBlock: () => from
+  };
+}
+
+module.exports = {
+  createBidIndexer
+};
@@ -0,0 +1,70 @@
+const { ethers } = require('ethers');
+
+/**
+ * Create a JSON-RPC provider, defaulting to RPC_URL or a local anvil node.
+ * @param {string} [rpcUrl]
+ * @returns {ethers.providers.JsonRpcProvider}
+ */
+function createProvider(rpcUrl = process.env.RPC_URL || 'http://localhost:8545') {
+  return new ethers.providers.JsonRpcProvider(rpcUrl);
+}
+
+/**
+ * Create the service-account wallet from PRIVATE_KEY.
+ * @param {ethers.providers.Provider} provider
+ * @param {string} [privateKey]
+ * @returns {ethers.Wallet}
+ */
+function createWallet(provider, privateKey = process.env.PRIVATE_KEY) {
+  if (!privateKey) {
+    throw new Error('PRIVATE_KEY is not set. Please set it in your .env file.');
+  }
+  return new ethers.Wallet(privateKey, provider);
+}
+
+/**
+ * Run a getLogs query one block span at a time, so no single query exceeds the node's range limit.
+ * @param {ethers.providers.Provider} provider
+ * @param {object} filter getLogs filter without the block range, e.g. `{ address, topics }`
+ * @param {object} range
+ * @param {number} range.fromBlock
+ * @param {number} range.toBlock
+ * @param {number} [range.blockSpan]
+ * @param {Function} [onSpan] `(logs, { fromBlock, toBlock })`, awaited after each span; indexers
+ *   use it to checkpoint per span. With it, the logs are handed over instead of collected.
+ * @returns {Promise<object[]>} The logs in query order, or [] when `onSpan` is given
+ */
+async function fetchLogsInSpans(provider, filter, { fromBlock, toBlock, blockSpan = 2000 }, onSpan) {
+  const collected = [];
+  for (let from = fromBlock; from <= toBlock; from += blockSpan) {
+    const to = Math.min(from + blockSpan - 1, toBlock);
+    const logs = await provider.getLogs({ ...filter, fromBlock: from, toBlock: to });
+    if (onSpan) {
+      await onSpan(logs, { fromBlock: from, toBlock: to });
+    } else {
+      collected.push(...logs);
+    }
+  }
+  return collected;
+}
+
+/**
+ * Timestamps of the blocks the logs are in, fetching each block once.
+ * @param {ethers.providers.Provider} provider
+ * @param {object[]} logs
+ * @returns {Promise<Map<number, number>>} Block number => timestamp in seconds
+ */
+async function blockTimestamps(provider, logs) {
+  const blocks = new Map();
+  for (const { blockNumber } of logs) {
+    if (!blocks.has(blockNumber)) blocks.set(blockNumber, (await provider.getBlock(blockNumber)).timestamp);
+  }
+  return blocks;
+}
+
+module.exports = {
+  createProvider,
+  createWallet,
+  fetchLogsInSpans,
+  blockTimestamps
+};
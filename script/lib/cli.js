@@ -0,0 +1,132 @@
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+// Exit codes shared by the scripts
+const EXIT_FAILURE = 1; // The operation itself failed
+const EXIT_USAGE = 2; // Bad flags, config or a missing value in non-interactive mode
+const EXIT_ABORTED = 3; // A confirmation was declined
+
+/**
+ * Error that ends a script with a specific exit code and no stack trace.
+ */
+class CliError extends Error {
+  constructor(message, exitCode = EXIT_FAILURE) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Parse command line flags for a script.
+ * Unknown flags are rejected so typos fail loudly instead of being ignored.
+ * @param {object} options util.parseArgs option definitions
+ * @param {string[]} [argv] Raw arguments (defaults to process.argv)
+ * @returns {{ values: object, positionals: string[] }}
+ */
+function parseCliArgs(options, argv = process.argv.slice(2)) {
+  try {
+    return parseArgs({
+      args: argv,
+      options: { help: { type: 'boolean', short: 'h' }, ...options },
+      allowPositionals: true
+    });
+  } catch (error) {
+    return fail(`${error.message}\nRun with --help for usage.`, EXIT_USAGE);
+  }
+}
+
+/**
+ * Load KEY=VALUE pairs from a .env file into process.env.
+ * Variables that are already set in the environment win.
+ * @param {string} [file]
+ */
+function loadEnv(file = '.env') {
+  if (!fs.existsSync(file)) return;
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    const match = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (match && process.env[match[1]] === undefined) {
+      process.env[match[1]] = match[2].trim().replace(/^(['"])(.*)\1$/, '$2');
+    }
+  }
+}
+
+/**
+ * Set KEY=VALUE pairs in a .env file, replacing existing lines and appending missing keys.
+ * A missing file is started from `template` (e.g. .env.example) when it exists.
+ * @param {string} file
+ * @param {object} updates
+ * @param {string} [template]
+ * @returns {string[]} The keys whose value changed
+ */
+function updateEnvFile(file, updates, template = '.env.example') {
+  let content = '';
+  if (fs.existsSync(file)) {
+    content = fs.readFileSync(file, 'utf8');
+  } else if (template && fs.existsSync(template)) {
+    content = fs.readFileSync(template, 'utf8');
+  }
+
+  const changed = [];
+  for (const [key, value] of Object.entries(updates)) {
+    const line = new RegExp(`^${key}=(.*)$`, 'm');
+    const existing = content.match(line);
+    if (existing) {
+      content = content.replace(line, () => `${key}=${value}`);
+    } else {
+      content = `${content}${content && !content.endsWith('\n') ? '\n' : ''}${key}=${value}\n`;
+    }
+    if (!existing || existing[1] !== String(value)) changed.push(key);
+  }
+  fs.writeFileSync(file, content);
+  return changed;
+}
+
+/**
+ * Read the --config JSON file of a script.
+ * @param {string} [file]
+ * @returns {object} An empty object when no file is given
+ */
+function loadConfig(file) {
+  if (!file) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new CliError(`Cannot read config ${file}: ${error.message}`, EXIT_USAGE);
+  }
+}
+
+/**
+ * Print an error and exit with a non-zero code.
+ * @param {string} message
+ * @param {number} [code]
+ */
+function fail(message, code = EXIT_FAILURE) {
+  console.error(`Error: ${message}`);
+  process.exit(code);
+}
+
+/**
+ * Final error handler for a script's main(): CliErrors exit with their own code.
+ * @param {Error} error
+ */
+function exitWithError(error) {
+  if (error instanceof CliError) {
+    fail(error.message, error.exitCode);
+  }
+  console.error(error);
+  process.exit(EXIT_FAILURE);
+}
+
+module.exports = {
+  EXIT_FAILURE,
+  EXIT_USAGE,
+  EXIT_ABORTED,
+  CliError,
+  parseCliArgs,
+  loadEnv,
+  updateEnvFile,
+  loadConfig,
+  fail,
+  exitWithError
+};
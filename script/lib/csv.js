@@ -0,0 +1,68 @@
+/**
+ * Parse CSV (RFC 4180: quoted fields may hold commas, newlines and doubled quotes) into
+ * records keyed by the header row. Blank lines are skipped.
+ * @param {string} content File contents
+ * @returns {{ columns: string[], records: Array<{ line: number, values: Object<string, string> }> }}
+ *   `line` is the 1-based line a record starts on
+ */
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push({ line: rowLine, fields: row });
+    row = [];
+  };
+
+  const text = content.replace(/^\uFEFF/, '');
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  if (field !== '' || row.length > 0) endRow();
+
+  if (rows.length === 0) return { columns: [], records: [] };
+  const columns = rows[0].fields.map(name => name.trim());
+  const records = rows.slice(1).map(({ line: recordLine, fields }) => {
+    if (fields.length > columns.length) {
+      throw new Error(`Line ${recordLine} has ${fields.length} fields but the header has ${columns.length}`);
+    }
+    return { line: recordLine, values: Object.fromEntries(columns.map((name, i) => [name, (fields[i] || '').trim()])) };
+  });
+  return { columns, records };
+}
+
+module.exports = {
+  parseCsv
+};
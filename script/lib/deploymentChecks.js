@@ -0,0 +1,210 @@
+const { ethers } = require('ethers');
+
+const ADDRESS_FIELDS = ['owner', 'creator', 'trustedOracle', 'transferValidator'];
+const ADDRESS_LIST_FIELDS = ['admins', 'serviceAccounts', 'formerAdmins'];
+
+/**
+ * Validate an expected-state file and normalize its addresses.
+ *
+ * Fields (all optional except `royaltyFeeNumerator` and `owner`):
+ * - contracts: `{ DiamondGenesisPass, CentralizedRoyaltyDistributor }` addresses; defaults to the
+ *   deployments registry
+ * - royaltyFeeNumerator: fee in basis points, as passed to the DiamondGenesisPass constructor
+ * - creator: creator recorded in the distributor's collection config
+ * - owner: DiamondGenesisPass owner(), usually the Safe
+ * - admins / serviceAccounts: accounts that must hold DEFAULT_ADMIN_ROLE / SERVICE_ACCOUNT_ROLE
+ *   on both contracts
+ * - formerAdmins: accounts that must hold neither role on either contract (besides the roles
+ *   listed above); defaults to the deployers in the registry
+ * - trustedOracle / transferValidator: exact addresses; when omitted they only have to be set
+ *   (and the validator deployed)
+ *
+ * @param {object} data Parsed JSON
+ * @returns {object}
+ */
+function parseExpectedState(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('the expected state must be a JSON object');
+  }
+  const address = (value, field) => {
+    if (typeof value !== 'string' || !ethers.utils.isAddress(value)) {
+      throw new Error(`${field} must be an address, got ${JSON.stringify(value)}`);
+    }
+    return ethers.utils.getAddress(value);
+  };
+
+  if (!Number.isInteger(data.royaltyFeeNumerator) || data.royaltyFeeNumerator < 0 || data.royaltyFeeNumerator > 10000) {
+    throw new Error('royaltyFeeNumerator must be an integer between 0 and 10000');
+  }
+  if (data.owner === undefined) {
+    throw new Error('owner is required');
+  }
+
+  const expected = { royaltyFeeNumerator: data.royaltyFeeNumerator, contracts: {} };
+  for (const field of ADDRESS_FIELDS) {
+    expected[field] = data[field] === undefined ? null : address(data[field], field);
+  }
+  for (const field of ADDRESS_LIST_FIELDS) {
+    if (data[field] !== undefined && !Array.isArray(data[field])) {
+      throw new Error(`${field} must be an array of addresses`);
+    }
+    expected[field] = data[field] === undefined ? null : data[field].map((value, i) => address(value, `${field}[${i}]`));
+  }
+  for (const [name, value] of Object.entries(data.contracts || {})) {
+    expected.contracts[name] = address(value, `contracts.${name}`);
+  }
+  return expected;
+}
+
+// Runtime code with the immutable variables zeroed, so it can be compared with the artifact
+function maskImmutables(code, immutableReferences) {
+  const bytes = ethers.utils.arrayify(code);
+  for (const references of Object.values(immutableReferences)) {
+    for (const { start, length } of references) {
+      bytes.fill(0, start, start + length);
+    }
+  }
+  return ethers.utils.hexlify(bytes);
+}
+
+function check(name, contract, expected, actual, { ok = expected === actual, message }) {
+  return {
+    check: name,
+    contract,
+    status: ok ? 'ok' : 'fail',
+    expected: String(expected),
+    actual: String(actual),
+    message: ok ? '' : message
+  };
+}
+
+/**
+ * Check that DiamondGenesisPass and CentralizedRoyaltyDistributor are deployed and wired as declared.
+ *
+ * Checks, each reported with `expected` and `actual`:
+ * - code / runtime_bytecode: the address has code, matching the forge artifact when one is given
+ *   (immutables are masked: the deployed code embeds their constructor-time values)
+ * - royalty_receiver / royalty_amount: royaltyInfo pays the distributor the expected fee
+ * - distributor_link: centralizedDistributor() is the distributor
+ * - collection_registered, collection_fee, collection_shares, collection_creator: the
+ *   distributor's config for the collection
+ * - owner: owner() of DiamondGenesisPass
+ * - admin_role / service_role: the declared accounts hold the role, on both contracts
+ * - former_admin_role / former_service_role: former admins (the deployer) no longer do
+ * - trusted_oracle: the distributor's trustedOracleAddress
+ * - transfer_validator: DiamondGenesisPass's getTransferValidator(), which must have code
+ *
+ * @param {object} options
+ * @param {ethers.Contract} options.pass DiamondGenesisPass with a provider
+ * @param {ethers.Contract} options.distributor CentralizedRoyaltyDistributor with a provider
+ * @param {object} options.expected From parseExpectedState, with `formerAdmins` filled in
+ * @param {object} [options.artifacts] lib/forgeArtifacts.js artifacts keyed by contract name
+ * @param {string|number} [options.blockTag]
+ * @returns {Promise<object[]>} The checks
+ */
+async function checkDeployment({ pass, distributor, expected, artifacts = {}, blockTag = 'latest' }) {
+  const overrides = { blockTag };
+  const checks = [];
+  const contracts = { DiamondGenesisPass: pass, CentralizedRoyaltyDistributor: distributor };
+
+  for (const [name, contract] of Object.entries(contracts)) {
+    const code = await contract.provider.getCode(contract.address, blockTag);
+    checks.push(check('code', name, 'contract code', code === '0x' ? 'no code' : 'contract code', {
+      message: `no contract at ${contract.address}`
+    }));
+    if (code === '0x') continue;
+    const artifact = artifacts[name];
+    if (artifact) {
+      const deployed = ethers.utils.keccak256(maskImmutables(code, artifact.immutableReferences));
+      const built = ethers.utils.keccak256(maskImmutables(artifact.deployedBytecode, artifact.immutableReferences));
+      checks.push(check('runtime_bytecode', name, built, deployed, {
+        message: `code at ${contract.address} differs from ${artifact.source}; it was built from other sources or settings`
+      }));
+    }
+  }
+
+  // Nothing else can be read without both contracts
+  if (checks.some(item => item.check === 'code' && item.status === 'fail')) return checks;
+
+  const denominator = await pass.FEE_DENOMINATOR(overrides);
+  const [receiver, amount] = await pass.royaltyInfo(1, denominator, overrides);
+  checks.push(check('royalty_receiver', 'DiamondGenesisPass', distributor.address, receiver, {
+    message: 'royaltyInfo does not pay the distributor'
+  }));
+  checks.push(check('royalty_amount', 'DiamondGenesisPass', String(expected.royaltyFeeNumerator), amount.toString(), {
+    message: `royaltyInfo charges ${amount} of ${denominator} instead of ${expected.royaltyFeeNumerator}`
+  }));
+  const linked = await pass.centralizedDistributor(overrides);
+  checks.push(check('distributor_link', 'DiamondGenesisPass', distributor.address, linked, {
+    message: `centralizedDistributor() is ${linked}`
+  }));
+
+  const registered = await distributor.isCollectionRegistered(pass.address, overrides);
+  checks.push(check('collection_registered', 'CentralizedRoyaltyDistributor', true, registered, {
+    message: `${pass.address} is not registered with the distributor`
+  }));
+  if (registered) {
+    const config = await distributor.getCollectionConfig(pass.address, overrides);
+    const sharesDenominator = await distributor.SHARES_DENOMINATOR(overrides);
+    const shares = config.minterShares.add(config.creatorShares);
+    checks.push(check('collection_fee', 'CentralizedRoyaltyDistributor', String(expected.royaltyFeeNumerator), config.royaltyFeeNumerator.toString(), {
+      message: 'the registered fee differs from the expected one'
+    }));
+    checks.push(check('collection_shares', 'CentralizedRoyaltyDistributor', sharesDenominator.toString(), shares.toString(), {
+      message: `minter (${config.minterShares}) and creator (${config.creatorShares}) shares do not add up to ${sharesDenominator}`
+    }));
+    if (expected.creator) {
+      checks.push(check('collection_creator', 'CentralizedRoyaltyDistributor', expected.creator, config.creator, {
+        message: `the registered creator is ${config.creator}`
+      }));
+    }
+  }
+
+  const owner = await pass.owner(overrides);
+  checks.push(check('owner', 'DiamondGenesisPass', expected.owner, owner, {
+    message: `owned by ${owner}`
+  }));
+
+  const roles = [
+    ['admin', await pass.DEFAULT_ADMIN_ROLE(overrides), expected.admins || [expected.owner]],
+    ['service', await pass.SERVICE_ACCOUNT_ROLE(overrides), expected.serviceAccounts || []]
+  ];
+  for (const [name, contract] of Object.entries(contracts)) {
+    const holds = async (role, account) => ((await contract.hasRole(role, account, overrides)) ? 'holds the role' : 'lacks the role');
+    for (const [label, role, holders] of roles) {
+      for (const account of holders) {
+        checks.push(check(`${label}_role`, name, 'holds the role', await holds(role, account), {
+          message: `${account} should hold the ${label} role`
+        }));
+      }
+      for (const account of (expected.formerAdmins || []).filter(address => !holders.includes(address))) {
+        checks.push(check(`former_${label}_role`, name, 'lacks the role', await holds(role, account), {
+          message: `${account} still holds the ${label} role`
+        }));
+      }
+    }
+  }
+
+  const oracle = await distributor.trustedOracleAddress(overrides);
+  checks.push(check('trusted_oracle', 'CentralizedRoyaltyDistributor', expected.trustedOracle || 'a non-zero address', oracle, {
+    ok: expected.trustedOracle ? oracle === expected.trustedOracle : oracle !== ethers.constants.AddressZero,
+    message: oracle === ethers.constants.AddressZero ? 'trustedOracleAddress is not set' : `trustedOracleAddress is ${oracle}`
+  }));
+
+  const validator = await pass.getTransferValidator(overrides);
+  const validatorCode = validator === ethers.constants.AddressZero ? '0x' : await pass.provider.getCode(validator, blockTag);
+  checks.push(check('transfer_validator', 'DiamondGenesisPass', expected.transferValidator || 'a deployed validator', validator, {
+    ok: validatorCode !== '0x' && (!expected.transferValidator || validator === expected.transferValidator),
+    message: validator === ethers.constants.AddressZero
+      ? 'no transfer validator is set'
+      : validatorCode === '0x' ? `the transfer validator ${validator} has no code on this chain` : `the transfer validator is ${validator}`
+  }));
+
+  return checks;
+}
+
+module.exports = {
+  parseExpectedState,
+  maskImmutables,
+  checkDeployment
+};
@@ -0,0 +1,176 @@
+const path = require('path');
+const { ethers } = require('ethers');
+const { loadState, saveState } = require('./jsonState');
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', '..', 'deployments');
+
+/**
+ * Path of the deployments registry of a chain: deployments/<chainId>.json.
+ * @param {number} chainId
+ * @param {string} [dir]
+ */
+function deploymentsFile(chainId, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${chainId}.json`);
+}
+
+/**
+ * Load the deployments registry of a chain, or an empty one.
+ * @param {number} chainId
+ * @param {string} [dir]
+ * @returns {{ chainId: number, contracts: object }} `contracts` is keyed by contract name
+ */
+function loadDeployments(chainId, dir = DEPLOYMENTS_DIR) {
+  return loadState(deploymentsFile(chainId, dir), { chainId, contracts: {} });
+}
+
+/**
+ * @param {object} registry From loadDeployments
+ * @param {string} [dir]
+ */
+function saveDeployments(registry, dir = DEPLOYMENTS_DIR) {
+  saveState(deploymentsFile(registry.chainId, dir), registry);
+}
+
+// Constructor arguments as the registry stores them: checksummed addresses, decimal strings
+function normalizeArgs(iface, args) {
+  return iface.deploy.inputs.map((input, i) => (input.type === 'address' ? ethers.utils.getAddress(args[i]) : String(args[i])));
+}
+
+/**
+ * Deploy a contract unless the registry already holds it with the same bytecode and
+ * constructor arguments, so re-running a deployment only sends what is missing.
+ *
+ * The deployment is signed first and saved as `pending` with the raw transaction before it
+ * is broadcast. If the process dies before the receipt, the next run waits for that
+ * transaction (re-broadcasting it if the node lost it) instead of deploying a second copy.
+ * Only a revert, or a nonce used by another transaction, leads to a new deployment. The
+ * entry a pending deployment replaces is kept under `replaces` until it is confirmed.
+ *
+ * @param {object} options
+ * @param {string} options.name Registry key, e.g. 'DiamondGenesisPass'
+ * @param {object} options.artifact From lib/forgeArtifacts.js
+ * @param {Array} options.args Constructor arguments
+ * @param {ethers.Signer} options.signer Deployer, connected to a provider
+ * @param {object} options.registry From loadDeployments; updated in place
+ * @param {Function} options.save Persists the registry
+ * @param {boolean} [options.redeploy] Replace an entry whose bytecode or arguments changed
+ * @param {number} [options.waitTimeoutMs] How long to wait for the deployment to be mined
+ * @param {Function} [options.log]
+ * @returns {Promise<object>} The registry entry plus `result`: 'deployed', 'resumed' or 'unchanged'
+ */
+async function ensureDeployed({
+  name, artifact, args, signer, registry, save, redeploy = false, waitTimeoutMs = 5 * 60 * 1000, log = console.error
+}) {
+  const { provider } = signer;
+  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+  const constructorArgs = normalizeArgs(factory.interface, args);
+  const entry = registry.contracts[name];
+  // The confirmed deployment a new one replaces, restored if the new one fails
+  let replaces = entry;
+
+  const finish = (receipt, pending, result) => {
+    registry.contracts[name] = {
+      address: pending.address,
+      transactionHash: pending.transactionHash,
+      blockNumber: receipt.blockNumber,
+      deployer: pending.deployer,
+      source: artifact.source,
+      constructorArgs: pending.constructorArgs,
+      bytecodeHash: pending.bytecodeHash
+    };
+    save();
+    return { ...registry.contracts[name], result };
+  };
+
+  const restore = () => {
+    if (replaces) registry.contracts[name] = replaces;
+    else delete registry.contracts[name];
+    save();
+  };
+
+  // Broadcast a pending deployment unless it was mined already, and wait for it. Resolves to
+  // its receipt, or to null once its nonce went to another transaction.
+  const waitForPending = async (pending) => {
+    const receipt = await provider.getTransactionReceipt(pending.transactionHash);
+    if (receipt) return receipt;
+    if ((await signer.getTransactionCount('latest')) > pending.nonce) {
+      // The nonce is used: either the deployment was mined since the receipt check or it was replaced
+      return provider.getTransactionReceipt(pending.transactionHash);
+    }
+    try {
+      await provider.sendTransaction(pending.rawTx);
+    } catch (error) {
+      // "Already known" is fine; anything else (e.g. insufficient funds) needs fixing before a re-run
+      if (!(await provider.getTransaction(pending.transactionHash))) {
+        throw new Error(`${name} deployment ${pending.transactionHash} was not accepted by the node (${error.reason || error.message}); it stays pending, run again to re-send it`);
+      }
+    }
+    try {
+      return await provider.waitForTransaction(pending.transactionHash, 1, waitTimeoutMs);
+    } catch (error) {
+      // A timeout or a dropped connection says nothing about the transaction, so the entry
+      // stays pending and the next run waits for the same hash
+      throw new Error(`${name} deployment ${pending.transactionHash} is still pending (${error.reason || error.message}); run again to resume waiting for it`);
+    }
+  };
+
+  if (entry && entry.status === 'pending') {
+    replaces = entry.replaces;
+    log(`${name}: waiting for the deployment sent by an earlier run (${entry.transactionHash})...`);
+    const receipt = await waitForPending(entry);
+    if (receipt && receipt.status === 1) return finish(receipt, entry, 'resumed');
+    log(receipt
+      ? `${name}: the earlier deployment reverted; deploying again`
+      : `${name}: the earlier deployment ${entry.transactionHash} was replaced by another transaction; deploying again`);
+  } else if (entry) {
+    const changes = [
+      entry.bytecodeHash !== artifact.bytecodeHash && 'bytecode',
+      JSON.stringify(entry.constructorArgs) !== JSON.stringify(constructorArgs) && 'constructor arguments'
+    ].filter(Boolean);
+
+    if ((await provider.getCode(entry.address)) === '0x') {
+      log(`${name}: no code at ${entry.address} (was the chain reset?); deploying again`);
+    } else if (changes.length === 0) {
+      log(`${name}: already deployed at ${entry.address}`);
+      return { ...entry, result: 'unchanged' };
+    } else if (!redeploy) {
+      throw new Error(`${name} at ${entry.address} was deployed with different ${changes.join(' and ')}; pass --redeploy to deploy a new instance`);
+    } else {
+      log(`${name}: ${changes.join(' and ')} changed; replacing ${entry.address}`);
+    }
+  }
+
+  log(`${name}: deploying with (${constructorArgs.join(', ')})...`);
+  const tx = await signer.populateTransaction(factory.getDeployTransaction(...args));
+  const rawTx = await signer.signTransaction(tx);
+  const pending = {
+    status: 'pending',
+    address: ethers.utils.getContractAddress({ from: tx.from, nonce: tx.nonce }),
+    transactionHash: ethers.utils.keccak256(rawTx),
+    nonce: tx.nonce,
+    rawTx,
+    deployer: tx.from,
+    constructorArgs,
+    bytecodeHash: artifact.bytecodeHash,
+    ...(replaces && { replaces })
+  };
+
+  // Write-ahead: the signed deployment is on disk before it is broadcast
+  registry.contracts[name] = pending;
+  save();
+  log(`${name}: transaction ${pending.transactionHash}, waiting for confirmation...`);
+  const receipt = await waitForPending(pending);
+  if (!receipt || receipt.status !== 1) {
+    restore();
+    throw new Error(`${name} deployment ${pending.transactionHash} failed: ${receipt ? 'transaction reverted' : 'its nonce was used by another transaction'}`);
+  }
+  return finish(receipt, pending, 'deployed');
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  deploymentsFile,
+  loadDeployments,
+  saveDeployments,
+  ensureDeployed
+};
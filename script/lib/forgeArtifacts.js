@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const OUT_DIR = path.join(__dirname, '..', '..', 'out');
+
+// Where each deployable contract's source lives, as forge records it in `compilationTarget`
+const CONTRACT_SOURCES = {
+  CentralizedRoyaltyDistributor: 'src/programmable-royalties/CentralizedRoyaltyDistributor.sol',
+  ChainlinkOracleIntegration: 'src/programmable-royalties/ChainlinkOracleIntegration.sol',
+  DiamondGenesisPass: 'src/DiamondGenesisPass.sol'
+};
+
+function compilationTarget(artifact) {
+  const target = artifact.metadata && artifact.metadata.settings && artifact.metadata.settings.compilationTarget;
+  return target ? Object.keys(target)[0] : null;
+}
+
+/**
+ * Load a contract's artifact from forge's `out/` directory (run `forge build` first).
+ * Forge writes `out/<File>.sol/<Contract>.json`; when several sources define a contract with
+ * the same name, `source` picks the one to use.
+ * @param {string} name Contract name, e.g. 'DiamondGenesisPass'
+ * @param {object} [options]
+ * @param {string} [options.outDir]
+ * @param {string} [options.source] Source path, e.g. 'src/DiamondGenesisPass.sol' (default: CONTRACT_SOURCES)
+ * @returns {{ contractName: string, source: string|null, abi: object[], bytecode: string, deployedBytecode: string,
+ *   bytecodeHash: string, immutableReferences: object }}
+ */
+function loadArtifact(name, { outDir = OUT_DIR, source = CONTRACT_SOURCES[name] } = {}) {
+  if (!fs.existsSync(outDir)) {
+    throw new Error(`${outDir} does not exist; run \`forge build\` first`);
+  }
+
+  const candidates = fs.readdirSync(outDir)
+    .map(dir => path.join(outDir, dir, `${name}.json`))
+    .filter(file => fs.existsSync(file))
+    .map(file => ({ file, artifact: JSON.parse(fs.readFileSync(file, 'utf8')) }));
+  const matches = source ? candidates.filter(({ artifact }) => compilationTarget(artifact) === source) : candidates;
+
+  if (matches.length === 0) {
+    throw new Error(`No forge artifact for ${name}${source ? ` (${source})` : ''} in ${outDir}; run \`forge build\` first`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`Several artifacts define ${name}: ${matches.map(({ file }) => file).join(', ')}; pass the source path`);
+  }
+
+  const { file, artifact } = matches[0];
+  const bytecode = artifact.bytecode && artifact.bytecode.object;
+  if (!bytecode || bytecode === '0x') {
+    throw new Error(`${file} has no bytecode; ${name} is abstract or an interface`);
+  }
+  if (Object.keys(artifact.bytecode.linkReferences || {}).length > 0) {
+    throw new Error(`${name} needs linked libraries, which the deployer does not support`);
+  }
+
+  return {
+    contractName: name,
+    source: compilationTarget(artifact),
+    abi: artifact.abi,
+    bytecode,
+    deployedBytecode: artifact.deployedBytecode.object,
+    bytecodeHash: ethers.utils.keccak256(bytecode),
+    immutableReferences: artifact.deployedBytecode.immutableReferences || {}
+  };
+}
+
+module.exports = {
+  OUT_DIR,
+  CONTRACT_SOURCES,
+  loadArtifact
+};
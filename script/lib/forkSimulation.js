@@ -0,0 +1,129 @@
+const net = require('net');
+const { spawn } = require('child_process');
+const { ethers } = require('ethers');
+const { sleep } = require('./retry');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start a local anvil node forking `forkUrl`.
+ * @param {string} forkUrl
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] How long to wait for anvil to answer
+ * @returns {Promise<{ rpcUrl: string, provider: ethers.providers.JsonRpcProvider, stop: Function }>}
+ */
+async function startAnvilFork(forkUrl, { timeoutMs = 30000 } = {}) {
+  const port = await freePort();
+  const child = spawn('anvil', ['--fork-url', forkUrl, '--port', String(port), '--silent'], { stdio: 'ignore' });
+  let exited = null;
+  child.on('exit', code => { exited = code; });
+  child.on('error', error => { exited = error; });
+
+  const stop = () => {
+    if (exited === null) child.kill();
+  };
+  const rpcUrl = `http://127.0.0.1:${port}`;
+  const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+
+  for (const started = Date.now(); Date.now() - started < timeoutMs;) {
+    if (exited !== null) {
+      throw new Error(`anvil exited before the fork was ready (${exited.message || `code ${exited}`}). Is Foundry installed?`);
+    }
+    try {
+      await provider.send('eth_chainId', []);
+      return { rpcUrl, provider, stop };
+    } catch (error) {
+      await sleep(250);
+    }
+  }
+  stop();
+  throw new Error(`anvil did not answer on ${rpcUrl} within ${timeoutMs}ms`);
+}
+
+/**
+ * Decode revert data with the given interfaces' custom errors, falling back to Error(string).
+ * @param {string} data
+ * @param {ethers.utils.Interface[]} interfaces
+ * @returns {string}
+ */
+function decodeRevert(data, interfaces) {
+  if (!data || data === '0x') return 'reverted without a reason';
+  for (const iface of interfaces) {
+    try {
+      const error = iface.parseError(data);
+      return `${error.name}(${error.args.map(String).join(', ')})`;
+    } catch (error) {
+      // Not one of this contract's errors
+    }
+  }
+  try {
+    return ethers.utils.defaultAbiCoder.decode(['string'], ethers.utils.hexDataSlice(data, 4))[0];
+  } catch (error) {
+    return `reverted with ${data}`;
+  }
+}
+
+// JSON-RPC errors carry the revert data in different places depending on the node
+function revertData(error) {
+  const candidates = [error.data, error.error && error.error.data, error.error && error.error.error && error.error.error.data];
+  return candidates.find(data => typeof data === 'string' && data.startsWith('0x'));
+}
+
+/**
+ * Execute transactions in order from an impersonated Safe on an anvil node, then roll the node back.
+ * Each transaction is first run with eth_call to get a decodable revert reason, then sent so
+ * later transactions see its effects.
+ * @param {ethers.providers.JsonRpcProvider} provider Anvil (usually a fork)
+ * @param {string} safe
+ * @param {object[]} transactions `{ to, value, data, description }`
+ * @param {ethers.utils.Interface[]} [interfaces] Used to decode custom errors
+ * @returns {Promise<object[]>} `{ description, success, gasUsed, error }` per transaction
+ */
+async function simulateTransactions(provider, safe, transactions, interfaces = []) {
+  const snapshot = await provider.send('evm_snapshot', []);
+  await provider.send('anvil_impersonateAccount', [safe]);
+  await provider.send('anvil_setBalance', [safe, ethers.utils.hexValue(ethers.utils.parseEther('10'))]);
+
+  const results = [];
+  try {
+    for (const tx of transactions) {
+      const call = { from: safe, to: tx.to, data: tx.data, value: ethers.utils.hexValue(ethers.BigNumber.from(tx.value || 0)) };
+      try {
+        await provider.send('eth_call', [call, 'latest']);
+      } catch (error) {
+        results.push({ description: tx.description, success: false, gasUsed: null, error: decodeRevert(revertData(error), interfaces) });
+        continue;
+      }
+
+      const hash = await provider.send('eth_sendTransaction', [call]);
+      const receipt = await provider.waitForTransaction(hash);
+      results.push({
+        description: tx.description,
+        success: receipt.status === 1,
+        gasUsed: receipt.gasUsed.toString(),
+        error: receipt.status === 1 ? null : 'reverted'
+      });
+    }
+  } finally {
+    await provider.send('anvil_stopImpersonatingAccount', [safe]);
+    await provider.send('evm_revert', [snapshot]);
+  }
+  return results;
+}
+
+module.exports = {
+  startAnvilFork,
+  decodeRevert,
+  revertData,
+  simulateTransactions
+};
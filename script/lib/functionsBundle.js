@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+
+const INCLUDE = /^\/\/ @include (\S+)[ \t]*$/gm;
+
+/**
+ * Read a Chainlink Functions source and inline its `// @include <relative path>` lines.
+ * The DON runs a single script with no module loader, so shared code such as
+ * src/chainlink/marketplaces.js has to be pasted into the source before it is uploaded.
+ * @param {string} file
+ * @returns {string}
+ */
+function bundleSource(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  return source.replace(INCLUDE, (line, target) => {
+    const included = path.resolve(path.dirname(file), target);
+    if (!fs.existsSync(included)) {
+      throw new Error(`${file}: cannot include ${target}`);
+    }
+    return `// ---- included from ${target} ----\n${bundleSource(included).trimEnd()}\n// ---- end of ${target} ----`;
+  });
+}
+
+module.exports = {
+  bundleSource
+};
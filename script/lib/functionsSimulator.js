@@ -0,0 +1,170 @@
+const vm = require('vm');
+const { ethers } = require('ethers');
+
+// Limits the DON enforces on a single execution (Chainlink Functions service limits).
+// Memory and the per-request HTTP timeout are not simulated: fixtures answer instantly.
+const DEFAULT_LIMITS = {
+  timeoutMs: 10000,
+  maxRequestBytes: 30 * 1024, // source, args and secrets together
+  maxResponseBytes: 256,
+  maxHttpRequests: 5,
+  maxHttpUrlLength: 2048,
+  maxHttpRequestBytes: 30 * 1024,
+  maxHttpResponseBytes: 2 * 1024 * 1024
+};
+
+const byteLength = value => Buffer.byteLength(typeof value === 'string' ? value : JSON.stringify(value) || '');
+
+/**
+ * The Functions.encode* helpers, byte-compatible with the DON's.
+ */
+const encoders = {
+  encodeUint256(value) {
+    const n = BigInt(value);
+    if (n < 0n) throw Error('encodeUint256 invalid input');
+    return ethers.utils.arrayify(ethers.utils.hexZeroPad(ethers.BigNumber.from(n).toHexString(), 32));
+  },
+  encodeInt256(value) {
+    const n = BigInt.asUintN(256, BigInt(value));
+    return ethers.utils.arrayify(ethers.utils.hexZeroPad(ethers.BigNumber.from(n).toHexString(), 32));
+  },
+  encodeString(value) {
+    return ethers.utils.toUtf8Bytes(String(value));
+  }
+};
+
+/**
+ * Find the recorded response for an HTTP request.
+ * A fixture matches when every field in its `match` block matches the request:
+ *   { method?, url?, urlIncludes?, bodyIncludes? }
+ * and supplies `response: { status, data }` or `response: { error: true, message }`.
+ */
+function findFixture(fixtures, request) {
+  const method = (request.method || 'GET').toUpperCase();
+  const url = request.url || '';
+  const body = request.data === undefined ? '' : JSON.stringify(request.data);
+  return fixtures.find(({ match }) =>
+    (!match.method || match.method.toUpperCase() === method) &&
+    (!match.url || match.url === url) &&
+    (!match.urlIncludes || url.includes(match.urlIncludes)) &&
+    (!match.bodyIncludes || body.includes(match.bodyIncludes))
+  );
+}
+
+/**
+ * Run a Chainlink Functions source file offline.
+ *
+ * The source runs in a fresh VM context with the globals the DON provides
+ * (`args`, `secrets`, `Functions`). HTTP requests are answered from recorded fixtures;
+ * an unmatched request gets the same `{ error: true }` response a failed request gets on the DON.
+ * The DON's limits (DEFAULT_LIMITS) fail the simulation the way they fail a request on the DON.
+ *
+ * @param {object} options
+ * @param {string} options.source Source code of the Functions script
+ * @param {string[]} [options.args]
+ * @param {object} [options.secrets]
+ * @param {object[]} [options.fixtures] Recorded responses (see findFixture)
+ * @param {object} [options.limits] Overrides for DEFAULT_LIMITS
+ * @returns {Promise<{ result: Uint8Array|null, error: string|null, requests: object[] }>}
+ */
+async function simulateFunctions({ source, args = [], secrets = {}, fixtures = [], limits = {} }) {
+  const {
+    timeoutMs, maxRequestBytes, maxResponseBytes, maxHttpRequests, maxHttpUrlLength, maxHttpRequestBytes, maxHttpResponseBytes
+  } = { ...DEFAULT_LIMITS, ...limits };
+  const requests = [];
+
+  const requestBytes = byteLength(source) + byteLength(args) + byteLength(secrets);
+  if (requestBytes > maxRequestBytes) {
+    return { result: null, error: `Request is ${requestBytes} bytes, over the ${maxRequestBytes}-byte limit`, requests };
+  }
+
+  const Functions = {
+    ...encoders,
+    async makeHttpRequest(request) {
+      if (requests.length >= maxHttpRequests) {
+        return { error: true, message: `HTTP request limit of ${maxHttpRequests} reached` };
+      }
+      const fixture = findFixture(fixtures, request);
+      requests.push({ method: request.method || 'GET', url: request.url, matched: Boolean(fixture) });
+
+      // Like any other failed request, a request over the HTTP limits gets an error response
+      const url = request.url || '';
+      if (url.length > maxHttpUrlLength) {
+        return { error: true, message: `URL is ${url.length} characters, over the ${maxHttpUrlLength}-character limit` };
+      }
+      if (request.data !== undefined && byteLength(request.data) > maxHttpRequestBytes) {
+        return { error: true, message: `HTTP request body is over the ${maxHttpRequestBytes}-byte limit` };
+      }
+      if (!fixture) {
+        return { error: true, message: `No fixture for ${request.method || 'GET'} ${request.url}` };
+      }
+      if (fixture.response.error) {
+        return { error: true, message: fixture.response.message, code: fixture.response.code };
+      }
+      if (byteLength(fixture.response.data) > maxHttpResponseBytes) {
+        return { error: true, message: `HTTP response is over the ${maxHttpResponseBytes}-byte limit` };
+      }
+      return { error: false, status: fixture.response.status || 200, data: fixture.response.data };
+    }
+  };
+
+  const context = vm.createContext({ args, secrets, Functions, console });
+  let timer;
+  try {
+    // The vm timeout stops a synchronous loop, which the timer below could never interrupt
+    const execution = vm.runInContext(`(async () => {\n${source}\n})()`, context, { timeout: timeoutMs });
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(Error(`Execution exceeded ${timeoutMs}ms`)), timeoutMs);
+    });
+    const value = await Promise.race([execution, timeout]);
+
+    // The DON only accepts raw bytes (Uint8Array may come from the sandbox realm)
+    if (Object.prototype.toString.call(value) !== '[object Uint8Array]') {
+      return { result: null, error: `Returned value must be a Uint8Array, got ${typeof value}: ${String(value)}`, requests };
+    }
+    if (value.length > maxResponseBytes) {
+      return { result: null, error: `Returned value is ${value.length} bytes, over the ${maxResponseBytes}-byte limit`, requests };
+    }
+    return { result: Uint8Array.from(value), error: null, requests };
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      return { result: null, error: `Execution exceeded ${timeoutMs}ms`, requests };
+    }
+    return { result: null, error: error.message, requests };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Decode a Functions result for display.
+ * @param {Uint8Array} result
+ * @param {string} returnType 'bytes', 'string', 'uint256', 'int256' or a comma-separated
+ *                            ABI tuple such as 'address[],uint256[]'
+ */
+function decodeResult(result, returnType) {
+  switch (returnType) {
+    case 'bytes':
+      return ethers.utils.hexlify(result);
+    case 'string':
+      return ethers.utils.toUtf8String(result);
+    case 'uint256':
+      return ethers.BigNumber.from(result).toString();
+    case 'int256':
+      return ethers.BigNumber.from(result).fromTwos(256).toString();
+    default: {
+      const types = returnType.split(',').map(type => type.trim());
+      const decoded = ethers.utils.defaultAbiCoder.decode(types, result);
+      return JSON.parse(JSON.stringify([...decoded], (key, value) =>
+        value && value.type === 'BigNumber' ? ethers.BigNumber.from(value.hex).toString() : value
+      ));
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  encoders,
+  simulateFunctions,
+  decodeResult
+};
@@ -0,0 +1,214 @@
+const { ethers } = require('ethers');
+const { parseCsv } = require('./csv');
+
+// No deployed contract in this repo's ABIs mixes in ClaimableHolderMint; these are the fragments the toolkit needs
+const HOLDER_CLAIM_ABI = [
+  'function computeIneligibleTokensBitmap(uint256[] ineligibleTokenIds) pure returns (uint256[], uint256[])',
+  'function initializeIneligibleTokens(bool finalize, address rootCollectionAddress, uint256[] ineligibleTokenSlots, uint256[] ineligibleTokenBitmaps)',
+  'function getTokensPerClaim(address rootCollectionAddress) view returns (uint256)',
+  'function isEligible(address rootCollectionAddress, uint256 tokenId) view returns (bool)',
+  'function isClaimed(address rootCollectionAddress, uint256 tokenId) view returns (bool)',
+  'function claimBatch(address rootCollectionAddress, uint256[] rootCollectionTokenIds)',
+  'error ClaimableHolderMint__BatchSizeGreaterThanMaximum()',
+  'error ClaimableHolderMint__CallerDoesNotOwnRootTokenId()',
+  'error ClaimableHolderMint__InvalidRootCollectionAddress()',
+  'error ClaimableHolderMint__InvalidRootCollectionTokenId()',
+  'error ClaimableHolderMint__TokenIdAlreadyClaimed()',
+  'error ClaimPeriodBase__ClaimPeriodIsNotOpen()',
+  'error MaxSupplyBase__MaxSupplyExceeded()'
+];
+
+// MAX_MINTS_PER_TRANSACTION in ClaimableHolderMintBase; claimBatch accepts 300 / tokensPerClaim IDs
+const MAX_MINTS_PER_TRANSACTION = 300;
+
+// Rough claimBatch costs: the call itself, each root token (ownerOf + claimed bit) and each
+// minted token. Calibrate against a fork with --estimate before relying on them.
+const DEFAULT_GAS_MODEL = {
+  baseGas: 50000,
+  gasPerClaim: 35000,
+  gasPerMint: 45000
+};
+
+const holderClaimInterface = new ethers.utils.Interface(HOLDER_CLAIM_ABI);
+
+const toBigInt = value => BigInt(ethers.BigNumber.from(value).toString());
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+/**
+ * Offline ClaimableHolderMintBase.computeIneligibleTokensBitmap: the same checks, and slots and
+ * bitmaps that ABI-encode to the bytes the view returns.
+ * @param {Array<number|string|ethers.BigNumber>} ineligibleTokenIds Strictly ascending
+ * @returns {{ slots: ethers.BigNumber[], bitmaps: ethers.BigNumber[] }}
+ */
+function computeIneligibleTokensBitmap(ineligibleTokenIds) {
+  if (ineligibleTokenIds.length === 0) {
+    throw new Error('ClaimableHolderMint__MustSpecifyAtLeastOneIneligibleToken');
+  }
+
+  // Slots are filled in ascending order, so the map keeps them sorted like the view's loop does
+  const bitmaps = new Map();
+  let lastSeenId = null;
+  for (const value of ineligibleTokenIds) {
+    const tokenId = toBigInt(value);
+    // The view takes uint256[], so anything else could never be encoded into the call
+    if (tokenId < 0n || tokenId > MAX_UINT256) {
+      throw new Error(`Token ID ${tokenId} is out of range for uint256`);
+    }
+    if (lastSeenId !== null && tokenId <= lastSeenId) {
+      throw new Error(`ClaimableHolderMint__IneligibleTokenArrayMustBeInAscendingOrder: ${tokenId} after ${lastSeenId}`);
+    }
+    lastSeenId = tokenId;
+
+    const slot = tokenId / 256n;
+    bitmaps.set(slot, (bitmaps.get(slot) || 0n) | (1n << (tokenId % 256n)));
+  }
+
+  const slots = [...bitmaps.keys()];
+  return {
+    slots: slots.map(slot => ethers.BigNumber.from(slot.toString())),
+    bitmaps: slots.map(slot => ethers.BigNumber.from(bitmaps.get(slot).toString()))
+  };
+}
+
+/**
+ * Parse a root-collection snapshot CSV with tokenId and owner (or holder / address) columns.
+ * @param {string} content
+ * @returns {{ entries: Array<{ tokenId: string, owner: string, line: number }>, errors: Array<{ line: number, error: string }> }}
+ */
+function parseSnapshot(content) {
+  const { columns, records } = parseCsv(content);
+  const ownerColumn = ['owner', 'holder', 'address'].find(name => columns.includes(name));
+  if (!columns.includes('tokenId') || !ownerColumn) {
+    throw new Error(`Expected a tokenId column and an owner column, got: ${columns.join(', ') || 'nothing'}`);
+  }
+
+  const entries = [];
+  const errors = [];
+  const seen = new Map();
+  for (const { line, values } of records) {
+    const tokenId = values.tokenId;
+    const owner = values[ownerColumn];
+    if (!/^\d+$/.test(tokenId)) {
+      errors.push({ line, error: `tokenId must be a non-negative integer, got "${tokenId}"` });
+    } else if (!ethers.utils.isAddress(owner)) {
+      errors.push({ line, error: 'invalid owner address (or bad checksum)' });
+    } else if (seen.has(BigInt(tokenId))) {
+      errors.push({ line, error: `token ${tokenId} is already listed on line ${seen.get(BigInt(tokenId))}` });
+    } else {
+      seen.set(BigInt(tokenId), line);
+      entries.push({ tokenId: BigInt(tokenId).toString(), owner: ethers.utils.getAddress(owner), line });
+    }
+  }
+  return { entries, errors };
+}
+
+/**
+ * Sort snapshot tokens by holder and by what the contract says about them: claimable, ineligible
+ * (set by initializeIneligibleTokens), already claimed, or outside the root collection's max
+ * supply (the views revert with InvalidRootCollectionTokenId).
+ * @param {object} options
+ * @param {ethers.Contract} options.contract ClaimableHolderMint contract (HOLDER_CLAIM_ABI)
+ * @param {string} options.rootCollection
+ * @param {Array<{ tokenId: string, owner: string }>} options.snapshot From parseSnapshot
+ * @param {string|number} [options.blockTag] Block to read the contract at (default: latest)
+ * @param {number} [options.concurrency] View calls in flight at once
+ * @param {Function} [options.log]
+ * @returns {Promise<{ tokensPerClaim: number, holders: object[] }>}
+ */
+async function buildClaimPlan({ contract, rootCollection, snapshot, blockTag = 'latest', concurrency = 20, log = () => {} }) {
+  const overrides = { blockTag };
+  const tokensPerClaim = (await contract.getTokensPerClaim(rootCollection, overrides)).toNumber();
+
+  async function classify(tokenId) {
+    try {
+      if (!(await contract.isEligible(rootCollection, tokenId, overrides))) return 'ineligible';
+      return (await contract.isClaimed(rootCollection, tokenId, overrides)) ? 'claimed' : 'claimable';
+    } catch (error) {
+      if (error.code === 'CALL_EXCEPTION') return 'invalid';
+      throw error;
+    }
+  }
+
+  const statuses = [];
+  for (let i = 0; i < snapshot.length; i += concurrency) {
+    const chunk = snapshot.slice(i, i + concurrency);
+    statuses.push(...(await Promise.all(chunk.map(({ tokenId }) => classify(tokenId)))));
+    log(`Checked ${Math.min(i + concurrency, snapshot.length)}/${snapshot.length} tokens`);
+  }
+
+  const holders = new Map();
+  snapshot.forEach(({ tokenId, owner }, i) => {
+    if (!holders.has(owner)) holders.set(owner, { holder: owner, claimable: [], ineligible: [], claimed: [], invalid: [] });
+    holders.get(owner)[statuses[i]].push(tokenId);
+  });
+  const byTokenId = (a, b) => (BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0);
+  for (const holder of holders.values()) {
+    for (const key of ['claimable', 'ineligible', 'claimed', 'invalid']) holder[key].sort(byTokenId);
+    holder.mints = holder.claimable.length * tokensPerClaim;
+  }
+
+  return { tokensPerClaim, holders: [...holders.values()] };
+}
+
+/**
+ * Root tokens per claimBatch call: as many as fit the gas budget under the gas model, capped
+ * by the contract's 300 mints per transaction.
+ * @param {object} options
+ * @param {number} options.tokensPerClaim
+ * @param {number} options.gasBudget
+ * @param {object} [options.gasModel] Overrides for DEFAULT_GAS_MODEL
+ * @returns {number}
+ */
+function claimBatchSize({ tokensPerClaim, gasBudget, gasModel = {} }) {
+  const { baseGas, gasPerClaim, gasPerMint } = { ...DEFAULT_GAS_MODEL, ...gasModel };
+  const byGas = Math.floor((gasBudget - baseGas) / (gasPerClaim + gasPerMint * tokensPerClaim));
+  if (byGas < 1) {
+    throw new Error(`A gas budget of ${gasBudget} does not fit a single claim (${baseGas + gasPerClaim + gasPerMint * tokensPerClaim} gas)`);
+  }
+  return Math.min(byGas, Math.floor(MAX_MINTS_PER_TRANSACTION / tokensPerClaim));
+}
+
+/**
+ * Split each holder's claimable tokens into claimBatch(rootCollection, tokenIds) calls the
+ * holder sends from their own wallet (claimBatch checks ownerOf against msg.sender).
+ * @param {object} plan From buildClaimPlan
+ * @param {object} options
+ * @param {string} options.contract ClaimableHolderMint address
+ * @param {string} options.rootCollection
+ * @param {number} options.gasBudget Gas limit per transaction
+ * @param {object} [options.gasModel] Overrides for DEFAULT_GAS_MODEL
+ * @returns {Array<{ holder: string, calls: object[] }>} Holders with nothing to claim are left out
+ */
+function buildClaimCalls(plan, { contract, rootCollection, gasBudget, gasModel = {} }) {
+  const { baseGas, gasPerClaim, gasPerMint } = { ...DEFAULT_GAS_MODEL, ...gasModel };
+  const { tokensPerClaim } = plan;
+  const batchSize = claimBatchSize({ tokensPerClaim, gasBudget, gasModel });
+
+  return plan.holders.filter(holder => holder.claimable.length > 0).map(holder => {
+    const calls = [];
+    for (let i = 0; i < holder.claimable.length; i += batchSize) {
+      const tokenIds = holder.claimable.slice(i, i + batchSize);
+      calls.push({
+        from: holder.holder,
+        to: contract,
+        tokenIds,
+        mints: tokenIds.length * tokensPerClaim,
+        gasLimit: baseGas + tokenIds.length * (gasPerClaim + gasPerMint * tokensPerClaim),
+        data: holderClaimInterface.encodeFunctionData('claimBatch', [rootCollection, tokenIds])
+      });
+    }
+    return { holder: holder.holder, calls };
+  });
+}
+
+module.exports = {
+  HOLDER_CLAIM_ABI,
+  MAX_MINTS_PER_TRANSACTION,
+  DEFAULT_GAS_MODEL,
+  holderClaimInterface,
+  computeIneligibleTokensBitmap,
+  parseSnapshot,
+  buildClaimPlan,
+  claimBatchSize,
+  buildClaimCalls
+};
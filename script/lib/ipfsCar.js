@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+
+// Multicodec codes and the importer defaults of ipfs-car / web3.storage: CIDv1, raw leaves,
+// 256 KiB fixed-size chunks, balanced DAGs of up to 174 links per node
+const RAW = 0x55;
+const DAG_PB = 0x70;
+const SHA2_256 = 0x12;
+const CHUNK_SIZE = 262144;
+const MAX_CHILDREN = 174;
+// Above this the importer shards the directory (HAMT), which is not implemented here
+const MAX_DIRECTORY_BLOCK = 262144;
+
+const UNIXFS_DIRECTORY = 1;
+const UNIXFS_FILE = 2;
+
+function varint(value) {
+  const bytes = [];
+  let n = value;
+  while (n >= 0x80) {
+    bytes.push((n % 0x80) | 0x80);
+    n = Math.floor(n / 0x80);
+  }
+  bytes.push(n);
+  return Buffer.from(bytes);
+}
+
+// Protobuf fields: wire type 0 (varint) and 2 (length-delimited)
+const varintField = (field, value) => Buffer.concat([varint(field << 3), varint(value)]);
+const bytesField = (field, bytes) => Buffer.concat([varint((field << 3) | 2), varint(bytes.length), bytes]);
+
+function createCid(codec, block) {
+  const digest = crypto.createHash('sha256').update(block).digest();
+  return Buffer.concat([varint(1), varint(codec), varint(SHA2_256), varint(digest.length), digest]);
+}
+
+const BASE32 = 'abcdefghijklmnopqrstuvwxyz234567';
+
+/**
+ * A binary CIDv1 as a base32 multibase string (`bafy...` / `bafk...`).
+ * @param {Buffer} cid
+ * @returns {string}
+ */
+function cidToString(cid) {
+  let bits = 0;
+  let value = 0;
+  let out = 'b';
+  for (const byte of cid) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+// UnixFS Data message: Type, filesize and blocksizes
+function unixfsData(type, { fileSize, blockSizes = [] } = {}) {
+  return Buffer.concat([
+    varintField(1, type),
+    ...(fileSize === undefined ? [] : [varintField(3, fileSize)]),
+    ...blockSizes.map(size => varintField(4, size))
+  ]);
+}
+
+// DAG-PB node: links (sorted by the caller) are encoded before the data
+function dagPbNode(links, data) {
+  const encodedLinks = links.map(link => bytesField(2, Buffer.concat([
+    bytesField(1, link.cid),
+    bytesField(2, Buffer.from(link.name, 'utf8')),
+    varintField(3, link.size)
+  ])));
+  return Buffer.concat([...encodedLinks, bytesField(1, data)]);
+}
+
+/**
+ * Build a UnixFS DAG for files in one directory and encode it as a CARv1, without any IPFS
+ * node. CIDs match what `ipfs-car pack` (and web3.storage / NFT.storage uploads) produce for
+ * the same files: a file that fits in one chunk is a raw block, larger files are balanced
+ * DAG-PB trees, and the directory is a flat DAG-PB node with its links sorted by name.
+ *
+ * @param {{ name: string, content: Buffer }[]} files
+ * @returns {{ root: string, car: Buffer, files: { name: string, cid: string, size: number }[] }}
+ */
+function packDirectory(files) {
+  const blocks = new Map();
+  const put = (codec, block) => {
+    const cid = createCid(codec, block);
+    blocks.set(cid.toString('hex'), { cid, block });
+    return cid;
+  };
+
+  // Returns the node's CID, its cumulative DAG size (the link Tsize) and its file size
+  const addFile = content => {
+    let nodes = [];
+    for (let offset = 0; offset < content.length || nodes.length === 0; offset += CHUNK_SIZE) {
+      const chunk = content.subarray(offset, offset + CHUNK_SIZE);
+      nodes.push({ cid: put(RAW, chunk), size: chunk.length, fileSize: chunk.length });
+    }
+    while (nodes.length > 1) {
+      const parents = [];
+      for (let i = 0; i < nodes.length; i += MAX_CHILDREN) {
+        const children = nodes.slice(i, i + MAX_CHILDREN);
+        const fileSize = children.reduce((sum, child) => sum + child.fileSize, 0);
+        const block = dagPbNode(
+          children.map(child => ({ cid: child.cid, name: '', size: child.size })),
+          unixfsData(UNIXFS_FILE, { fileSize, blockSizes: children.map(child => child.fileSize) })
+        );
+        parents.push({ cid: put(DAG_PB, block), size: block.length + children.reduce((sum, child) => sum + child.size, 0), fileSize });
+      }
+      nodes = parents;
+    }
+    return nodes[0];
+  };
+
+  const names = new Set();
+  const entries = files.map(({ name, content }) => {
+    if (!name || name.includes('/') || names.has(name)) throw new Error(`Invalid or duplicate file name "${name}"`);
+    names.add(name);
+    return { name, ...addFile(content) };
+  });
+  entries.sort((a, b) => Buffer.compare(Buffer.from(a.name, 'utf8'), Buffer.from(b.name, 'utf8')));
+
+  const directory = dagPbNode(entries, unixfsData(UNIXFS_DIRECTORY));
+  if (directory.length > MAX_DIRECTORY_BLOCK) {
+    throw new Error(`The directory block is ${directory.length} bytes; directories that need sharding are not supported`);
+  }
+  const root = put(DAG_PB, directory);
+
+  // CARv1 header: DAG-CBOR { roots: [root], version: 1 }, the CID as tag 42 with a 0x00 prefix
+  const cidBytes = Buffer.concat([Buffer.from([0]), root]);
+  const header = Buffer.concat([
+    Buffer.from([0xa2, 0x65]), Buffer.from('roots'), Buffer.from([0x81, 0xd8, 0x2a, 0x58, cidBytes.length]), cidBytes,
+    Buffer.from([0x67]), Buffer.from('version'), Buffer.from([0x01])
+  ]);
+  const sections = [varint(header.length), header];
+  for (const { cid, block } of blocks.values()) {
+    sections.push(varint(cid.length + block.length), cid, block);
+  }
+
+  return {
+    root: cidToString(root),
+    car: Buffer.concat(sections),
+    files: entries.map(({ name, cid, fileSize }) => ({ name, cid: cidToString(cid), size: fileSize }))
+  };
+}
+
+module.exports = {
+  CHUNK_SIZE,
+  cidToString,
+  packDirectory
+};
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Load a JSON state file, or return `initial` when it does not exist yet.
+ * @param {string} file
+ * @param {object} initial
+ * @returns {object}
+ */
+function loadState(file, initial) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return initial;
+    throw error;
+  }
+}
+
+/**
+ * Persist a JSON state file atomically (write to a temp file, then rename),
+ * so a crash mid-write never leaves a truncated checkpoint behind.
+ * @param {string} file
+ * @param {object} state
+ */
+function saveState(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+module.exports = {
+  loadState,
+  saveState
+};
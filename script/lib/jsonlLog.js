@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Append-only structured log: one JSON object per line, each stamped with the time.
+ * @param {string} file
+ * @returns {(event: string, fields?: object) => object} Writes and returns the entry
+ */
+function createJsonlLog(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  return (event, fields = {}) => {
+    const entry = { time: new Date().toISOString(), event, ...fields };
+    fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+    return entry;
+  };
+}
+
+module.exports = {
+  createJsonlLog
+};
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+
+// Mirrors DiamondGenesisPass.MAX_SUPPLY; token IDs run from 1 to MAX_SUPPLY
+const MAX_SUPPLY = 888;
+
+// Spreadsheet columns that become top-level token JSON fields; every other column is a trait
+const OPTIONAL_COLUMNS = ['animation_url', 'external_url', 'background_color'];
+const METADATA_COLUMNS = ['name', 'description', 'image', ...OPTIONAL_COLUMNS];
+const TOKEN_ID_COLUMN = 'tokenId';
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+/**
+ * The URI DiamondGenesisPass.tokenURI returns: baseURI + tokenId + suffixURI, or "" while
+ * no base URI is set.
+ * @param {string} baseURI
+ * @param {number|string} tokenId
+ * @param {string} [suffixURI]
+ * @returns {string}
+ */
+function tokenUri(baseURI, tokenId, suffixURI = '') {
+  return baseURI ? `${baseURI}${tokenId}${suffixURI}` : '';
+}
+
+/**
+ * Build one metadata object per token from traits spreadsheet records (see csv.parseCsv).
+ * Rows are matched to token IDs by a `tokenId` column, or by row order starting at 1, and
+ * must cover every ID from 1 to `supply` exactly once.
+ * @param {Array<{ line: number, values: Object<string, string> }>} records
+ * @param {object} [options]
+ * @param {number} [options.supply]
+ * @param {string} [options.namePrefix] Name for rows without a `name`, followed by the token ID
+ * @param {string} [options.description] Description for rows without one
+ * @param {string} [options.imageBaseURI] Image for rows without one: imageBaseURI + tokenId + imageExtension
+ * @param {string} [options.imageExtension]
+ * @returns {{ tokens: Array<{ tokenId: number, metadata: object }>, errors: object[] }}
+ */
+function buildTokenMetadata(records, {
+  supply = MAX_SUPPLY,
+  namePrefix = 'Diamond Genesis Pass #',
+  description,
+  imageBaseURI,
+  imageExtension = ''
+} = {}) {
+  const errors = [];
+  const lines = new Map();
+  const byId = new Map();
+
+  records.forEach(({ line, values }, index) => {
+    const rawId = values[TOKEN_ID_COLUMN] === undefined ? String(index + 1) : values[TOKEN_ID_COLUMN];
+    const tokenId = Number(rawId);
+    if (!/^\d+$/.test(rawId) || tokenId < 1 || tokenId > supply) {
+      errors.push({ line, tokenId: rawId, error: `tokenId must be between 1 and ${supply}` });
+      return;
+    }
+    if (lines.has(tokenId)) {
+      errors.push({ line, tokenId, error: `tokenId ${tokenId} already defined on line ${lines.get(tokenId)}` });
+      return;
+    }
+    lines.set(tokenId, line);
+
+    const image = values.image || (imageBaseURI ? `${imageBaseURI}${tokenId}${imageExtension}` : '');
+    if (!image) {
+      errors.push({ line, tokenId, error: 'no image column value and no image base URI' });
+      return;
+    }
+
+    const metadata = { name: values.name || `${namePrefix}${tokenId}` };
+    if (values.description || description) metadata.description = values.description || description;
+    metadata.image = image;
+    for (const column of OPTIONAL_COLUMNS) {
+      if (values[column]) metadata[column] = values[column];
+    }
+    metadata.attributes = Object.entries(values)
+      .filter(([column, value]) => column !== TOKEN_ID_COLUMN && !METADATA_COLUMNS.includes(column) && value !== '')
+      .map(([column, value]) => ({ trait_type: column, value }));
+
+    byId.set(tokenId, metadata);
+  });
+
+  for (let tokenId = 1; tokenId <= supply; tokenId++) {
+    if (!lines.has(tokenId)) errors.push({ tokenId, error: 'no row for this token' });
+  }
+
+  const tokens = [...byId.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([tokenId, metadata]) => ({ tokenId, metadata }));
+  return { tokens, errors };
+}
+
+/**
+ * Placeholder metadata served before the reveal: the template for every token, with the
+ * token ID appended to its name.
+ * @param {object} template At least `name` and `image`
+ * @param {number} [supply]
+ * @returns {Array<{ tokenId: number, metadata: object }>}
+ */
+function buildPlaceholderMetadata(template, supply = MAX_SUPPLY) {
+  if (!template.name || !template.image) throw new Error('The placeholder needs a name and an image');
+  return Array.from({ length: supply }, (_, i) => ({
+    tokenId: i + 1,
+    metadata: { ...template, name: `${template.name} #${i + 1}` }
+  }));
+}
+
+/**
+ * The exact bytes written for a token's JSON file, which the provenance hash commits to.
+ * @param {object} metadata
+ * @returns {Buffer}
+ */
+function serializeMetadata(metadata) {
+  return Buffer.from(`${JSON.stringify(metadata, null, 2)}\n`);
+}
+
+/**
+ * Provenance hash over the revealed files: sha256 of the concatenated hex sha256 of each
+ * token file in token ID order. Publishing it before the reveal proves the metadata (and so
+ * the trait assignment) was fixed in advance; anyone can recompute it from the files.
+ * @param {Buffer[]} contents Token files in token ID order
+ * @returns {{ provenance: string, tokenHashes: string[] }}
+ */
+function provenanceHash(contents) {
+  const tokenHashes = contents.map(sha256);
+  return { provenance: sha256(tokenHashes.join('')), tokenHashes };
+}
+
+module.exports = {
+  MAX_SUPPLY,
+  tokenUri,
+  buildTokenMetadata,
+  buildPlaceholderMetadata,
+  serializeMetadata,
+  provenanceHash
+};
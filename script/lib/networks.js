@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { CliError, EXIT_USAGE } = require('./cli');
+
+const NETWORKS_FILE = path.join(__dirname, '..', '..', 'config', 'networks.json');
+
+/**
+ * Read the network registry (config/networks.json), keyed by network name.
+ * @param {string} [file]
+ * @returns {object}
+ */
+function loadNetworks(file = NETWORKS_FILE) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Look a network up by registry name or chain ID.
+ * @param {string|number} nameOrChainId
+ * @param {object} [networks]
+ * @returns {object} The registry entry plus its `key` and the DON ID as bytes32 (`donIdBytes32`)
+ */
+function getNetwork(nameOrChainId, networks = loadNetworks()) {
+  const key = Object.keys(networks).find(name =>
+    name === String(nameOrChainId) || String(networks[name].chainId) === String(nameOrChainId)
+  );
+  if (!key) {
+    throw new CliError(`Unknown network "${nameOrChainId}". Known networks: ${Object.keys(networks).join(', ')}`, EXIT_USAGE);
+  }
+  const network = networks[key];
+  return {
+    key,
+    ...network,
+    donIdBytes32: network.donId ? ethers.utils.formatBytes32String(network.donId) : null
+  };
+}
+
+/**
+ * Block explorer link for a transaction or address, or null on networks without one.
+ * @param {object} network
+ * @param {'tx'|'address'} type
+ * @param {string} value
+ */
+function explorerUrl(network, type, value) {
+  return network.explorer ? `${network.explorer}/${type}/${value}` : null;
+}
+
+module.exports = {
+  NETWORKS_FILE,
+  loadNetworks,
+  getNetwork,
+  explorerUrl
+};
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Bump when the file layout changes; `revision` counts changes to the recorded hashes
+const CATALOG_VERSION = 1;
+
+const DEFAULT_CATALOG_FILE = path.join('config', 'operator-codehashes.json');
+
+const OPERATOR_KINDS = ['marketplace', 'conduit', 'aggregator', 'other'];
+
+/**
+ * Validate an operator catalog: `{ version, revision, operators: [{ name, kind, address,
+ * codehashes: { <chainId>: { codehash, block, recordedAt } } }] }`.
+ * @param {object} data
+ * @returns {object} The catalog with checksummed addresses and lower-case codehashes
+ */
+function parseCatalog(data) {
+  if (!data || data.version !== CATALOG_VERSION) {
+    throw new Error(`Unsupported catalog version ${data && data.version}; expected ${CATALOG_VERSION}`);
+  }
+  if (!Number.isInteger(data.revision) || data.revision < 0) throw new Error(`revision must be a non-negative integer, got ${data.revision}`);
+  if (!Array.isArray(data.operators)) throw new Error('operators must be a list');
+
+  const names = new Set();
+  const addresses = new Set();
+  const operators = data.operators.map((operator, index) => {
+    const field = `operators[${index}]`;
+    if (typeof operator.name !== 'string' || operator.name === '') throw new Error(`${field}.name is required`);
+    if (names.has(operator.name)) throw new Error(`${field}: ${operator.name} is listed twice`);
+    if (!OPERATOR_KINDS.includes(operator.kind)) throw new Error(`${field}.kind must be one of ${OPERATOR_KINDS.join(', ')}, got ${operator.kind}`);
+    if (!ethers.utils.isAddress(operator.address || '')) throw new Error(`${field}.address must be an address, got ${operator.address}`);
+    const address = ethers.utils.getAddress(operator.address);
+    if (addresses.has(address)) throw new Error(`${field}: ${address} is listed twice`);
+    names.add(operator.name);
+    addresses.add(address);
+
+    const codehashes = {};
+    for (const [chainId, entry] of Object.entries(operator.codehashes || {})) {
+      if (!/^\d+$/.test(chainId)) throw new Error(`${field}.codehashes: ${chainId} is not a chain ID`);
+      if (!ethers.utils.isHexString(entry.codehash, 32)) throw new Error(`${field}.codehashes.${chainId}.codehash must be a bytes32 hex string`);
+      codehashes[chainId] = { ...entry, codehash: entry.codehash.toLowerCase() };
+    }
+    return { ...operator, address, codehashes };
+  });
+  return { version: data.version, revision: data.revision, operators };
+}
+
+function loadCatalog(file = DEFAULT_CATALOG_FILE) {
+  return parseCatalog(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+function saveCatalog(file, catalog) {
+  fs.writeFileSync(file, `${JSON.stringify(catalog, null, 2)}\n`);
+}
+
+/**
+ * The EXTCODEHASH the validator sees for each address: keccak256 of the runtime code, or null
+ * when the address has no code (EXTCODEHASH is then 0 or the empty hash, never a contract's).
+ * @param {ethers.providers.Provider} provider Usually an anvil fork
+ * @param {string[]} addresses
+ * @param {number|string} [blockTag]
+ * @returns {Promise<Map<string, string|null>>}
+ */
+async function readCodehashes(provider, addresses, blockTag = 'latest') {
+  const codehashes = new Map();
+  for (const address of addresses) {
+    const code = await provider.getCode(address, blockTag);
+    codehashes.set(address, code === '0x' ? null : ethers.utils.keccak256(code));
+  }
+  return codehashes;
+}
+
+/**
+ * Record the deployed codehashes for one chain. Unchanged entries keep their block and time;
+ * the revision goes up when anything was added or changed.
+ * @param {object} catalog From parseCatalog
+ * @param {number} chainId
+ * @param {Map<string, string|null>} deployed From readCodehashes
+ * @param {object} options
+ * @param {number} options.block Block the hashes were read at
+ * @param {string} [options.now] ISO timestamp
+ * @returns {{ catalog: object, changes: Array<{ name: string, address: string, from: string|null, to: string }> }}
+ */
+function updateCatalog(catalog, chainId, deployed, { block, now = new Date().toISOString() }) {
+  const changes = [];
+  const operators = catalog.operators.map(operator => {
+    const codehash = deployed.get(operator.address);
+    const recorded = operator.codehashes[chainId];
+    if (!codehash || (recorded && recorded.codehash === codehash)) return operator;
+    changes.push({ name: operator.name, address: operator.address, from: recorded ? recorded.codehash : null, to: codehash });
+    return { ...operator, codehashes: { ...operator.codehashes, [chainId]: { codehash, block, recordedAt: now } } };
+  });
+  return {
+    catalog: { ...catalog, revision: catalog.revision + (changes.length > 0 ? 1 : 0), operators },
+    changes
+  };
+}
+
+/**
+ * Compare the recorded codehashes of one chain with the deployed code.
+ * - error `codehash-changed`: the deployed code no longer hashes to the recorded value, so
+ *   lists holding the old hash no longer cover the operator
+ * - error `code-removed`: a hash is recorded but the address has no code any more
+ * - warning `not-recorded`: the operator is deployed but has no hash for this chain yet
+ * - warning `not-deployed`: nothing is recorded and there is no code on this chain
+ * @param {object} catalog
+ * @param {number} chainId
+ * @param {Map<string, string|null>} deployed From readCodehashes
+ * @returns {{ operators: object[], findings: object[] }}
+ */
+function verifyCatalog(catalog, chainId, deployed) {
+  const operators = [];
+  const findings = [];
+  const finding = (level, code, operator, message) => findings.push({ level, code, name: operator.name, address: operator.address, message });
+
+  for (const operator of catalog.operators) {
+    const codehash = deployed.get(operator.address);
+    const recorded = operator.codehashes[chainId] ? operator.codehashes[chainId].codehash : null;
+    let status = 'ok';
+    if (recorded && !codehash) {
+      status = 'code-removed';
+      finding('error', status, operator, `${operator.name} (${operator.address}) has no code but ${recorded} is recorded`);
+    } else if (recorded && codehash !== recorded) {
+      status = 'codehash-changed';
+      finding('error', status, operator, `${operator.name} (${operator.address}) now hashes to ${codehash}, not the recorded ${recorded}`);
+    } else if (!recorded && codehash) {
+      status = 'not-recorded';
+      finding('warning', status, operator, `${operator.name} (${operator.address}) has no codehash recorded for chain ${chainId}; run with --update`);
+    } else if (!recorded) {
+      status = 'not-deployed';
+      finding('warning', status, operator, `${operator.name} (${operator.address}) has no code on chain ${chainId}`);
+    }
+    operators.push({ name: operator.name, kind: operator.kind, address: operator.address, recorded, deployed: codehash || null, status });
+  }
+  return { operators, findings };
+}
+
+/**
+ * Check the codehashes a transfer policy lists against the catalog: unknown hashes are
+ * warnings, and with `deployed` a hash whose operator's code has changed is an error.
+ * @param {object} catalog
+ * @param {number} chainId
+ * @param {object} policy From transferPolicy.parsePolicy
+ * @param {Map<string, string|null>} [deployed]
+ * @returns {object[]} Findings like verifyCatalog's, with the list section
+ */
+function checkPolicyCodehashes(catalog, chainId, policy, deployed = null) {
+  const findings = [];
+  const sections = policy.list ? Object.entries(policy.list.sections).filter(([key]) => key.endsWith('codeHashes')) : [];
+  for (const [section, codehashes] of sections) {
+    for (const codehash of codehashes) {
+      const operators = catalog.operators.filter(operator => operator.codehashes[chainId] && operator.codehashes[chainId].codehash === codehash);
+      if (operators.length === 0) {
+        findings.push({ level: 'warning', code: 'unknown-codehash', section, codehash, message: `${section} lists ${codehash}, which is not in the catalog for chain ${chainId}` });
+      }
+      for (const operator of deployed ? operators : []) {
+        if (deployed.get(operator.address) !== codehash) {
+          findings.push({
+            level: 'error',
+            code: 'stale-codehash',
+            section,
+            codehash,
+            name: operator.name,
+            address: operator.address,
+            message: `${section} lists ${codehash} for ${operator.name}, whose deployed code now hashes to ${deployed.get(operator.address)}`
+          });
+        }
+      }
+    }
+  }
+  return findings;
+}
+
+/**
+ * Operator names by address and by recorded codehash on one chain, to annotate plans.
+ * @param {object} catalog
+ * @param {number} chainId
+ * @returns {Map<string, string>}
+ */
+function catalogLabels(catalog, chainId) {
+  const labels = new Map();
+  for (const operator of catalog.operators) {
+    labels.set(operator.address, operator.name);
+    if (operator.codehashes[chainId]) labels.set(operator.codehashes[chainId].codehash, `${operator.name} code`);
+  }
+  return labels;
+}
+
+module.exports = {
+  CATALOG_VERSION,
+  DEFAULT_CATALOG_FILE,
+  OPERATOR_KINDS,
+  parseCatalog,
+  loadCatalog,
+  saveCatalog,
+  readCodehashes,
+  updateCatalog,
+  verifyCatalog,
+  checkPolicyCodehashes,
+  catalogLabels
+};
@@ -0,0 +1,230 @@
+const { ethers } = require('ethers');
+const { loadState, saveState } = require('./jsonState');
+const { withRetry } = require('./retry');
+
+function rangeKey(collection, fromBlock, toBlock) {
+  return `${collection.toLowerCase()}:${fromBlock.toString()}:${toBlock.toString()}`;
+}
+
+/**
+ * Off-chain listener for CentralizedRoyaltyDistributor.OracleUpdateRequested.
+ *
+ * Each requested (collection, fromBlock, toBlock) range is answered once with
+ * ChainlinkOracleIntegration.sendRoyaltyDataRequest. The request is signed and its hash
+ * checkpointed before it is broadcast; only the steps before the broadcast are retried with
+ * exponential backoff, and after it the listener only ever waits for that hash. Ranges whose
+ * request failed before reaching the chain are tried again on the next poll; a reverted
+ * request is final.
+ * The request IDs it sends and the OracleResponseReceived/OracleResponseFailed events
+ * that come back are written to a structured (JSON lines) log.
+ *
+ * @param {object} options
+ * @param {ethers.providers.Provider} options.provider
+ * @param {ethers.Contract} options.distributor CentralizedRoyaltyDistributor
+ * @param {ethers.Contract} options.oracle ChainlinkOracleIntegration, connected to the service account
+ * @param {string} options.stateFile Checkpoint and dedupe file
+ * @param {number} options.startBlock First block to watch when there is no checkpoint yet
+ * @param {Function} options.record Structured log writer (see lib/jsonlLog.js)
+ * @param {boolean} [options.dryRun] Simulate requests with callStatic instead of sending them
+ * @param {object} [options.retry] Options for withRetry
+ * @param {number} [options.blockSpan] Blocks per getLogs query
+ * @param {number} [options.waitTimeoutMs] How long to wait for a request to be mined before retrying
+ */
+function createOracleListener({
+  provider,
+  distributor,
+  oracle,
+  stateFile,
+  startBlock,
+  record,
+  dryRun = false,
+  retry = {},
+  blockSpan = 2000,
+  waitTimeoutMs = 5 * 60 * 1000
+}) {
+  const state = loadState(stateFile, { nextBlock: startBlock, ranges: {} });
+
+  function save() {
+    // A dry run must not move the checkpoint, or the real run would skip those requests
+    if (!dryRun) saveState(stateFile, state);
+  }
+
+  async function sendRequest(collection, fromBlock, toBlock) {
+    const key = rangeKey(collection, fromBlock, toBlock);
+    const existing = state.ranges[key];
+    // Ranges whose request never reached the chain are tried again
+    if (existing && existing.status !== 'error') {
+      record('request-skipped', { reason: 'duplicate', collection, fromBlock: fromBlock.toString(), toBlock: toBlock.toString() });
+      return;
+    }
+
+    const fields = { collection, fromBlock: fromBlock.toString(), toBlock: toBlock.toString() };
+    const onRetry = (error, attempt, delayMs) =>
+      record('request-retry', { ...fields, attempt, delayMs, error: error.reason || error.message });
+
+    if (dryRun) {
+      const requestId = await withRetry(
+        () => oracle.callStatic.sendRoyaltyDataRequest(collection, fromBlock),
+        { ...retry, onRetry }
+      );
+      state.ranges[key] = { requestId, txHash: null, status: 'simulated' };
+      record('request-simulated', { ...fields, requestId });
+      return;
+    }
+
+    // Only the steps before the broadcast are retried here: gas estimation, nonce and signing
+    let signed;
+    try {
+      signed = await withRetry(async () => {
+        const unsigned = await oracle.populateTransaction.sendRoyaltyDataRequest(collection, fromBlock);
+        const tx = await oracle.signer.populateTransaction(unsigned);
+        const rawTx = await oracle.signer.signTransaction(tx);
+        return { txHash: ethers.utils.keccak256(rawTx), nonce: tx.nonce, rawTx };
+      }, { ...retry, onRetry });
+    } catch (error) {
+      state.ranges[key] = { requestId: null, txHash: null, status: 'error', attempts: ((existing && existing.attempts) || 0) + 1 };
+      save();
+      record('request-failed', { ...fields, error: error.reason || error.message });
+      return;
+    }
+
+    // Write-ahead: the signed request is on disk before it is broadcast, so a failure from
+    // here on waits for that transaction instead of sending a second Chainlink request
+    state.ranges[key] = { requestId: null, ...signed, status: 'pending' };
+    save();
+    record('request-broadcast', { ...fields, txHash: signed.txHash });
+    await confirmRequest(key);
+  }
+
+  /**
+   * Wait for a pending request, re-broadcasting the same signed transaction if the node lost
+   * it. A revert is final; a range whose nonce went to another transaction is sent again.
+   * @returns {Promise<void>} The range stays pending when the wait fails
+   */
+  async function confirmRequest(key) {
+    const range = state.ranges[key];
+    const [collection, fromBlock, toBlock] = key.split(':');
+    const fields = { collection, fromBlock, toBlock, txHash: range.txHash };
+    const onRetry = (error, attempt, delayMs) =>
+      record('request-retry', { ...fields, attempt, delayMs, error: error.reason || error.message });
+
+    let receipt;
+    try {
+      receipt = await withRetry(async () => {
+        const mined = await provider.getTransactionReceipt(range.txHash);
+        if (mined) return mined;
+        if ((await oracle.signer.getTransactionCount('latest')) > range.nonce) {
+          // The nonce is used: either this request was mined meanwhile or it was replaced
+          return provider.getTransactionReceipt(range.txHash);
+        }
+        try {
+          await provider.sendTransaction(range.rawTx);
+        } catch (error) {
+          // Already known to the node
+        }
+        return provider.waitForTransaction(range.txHash, 1, waitTimeoutMs);
+      }, { ...retry, onRetry });
+    } catch (error) {
+      record('request-unconfirmed', { ...fields, error: error.reason || error.message });
+      return;
+    }
+
+    if (!receipt) {
+      state.ranges[key] = { requestId: null, txHash: null, status: 'error', attempts: (range.attempts || 0) + 1 };
+      save();
+      record('request-replaced', fields);
+      return;
+    }
+    if (receipt.status !== 1) {
+      state.ranges[key] = { requestId: null, txHash: range.txHash, status: 'reverted' };
+      save();
+      record('request-reverted', { ...fields, blockNumber: receipt.blockNumber });
+      return;
+    }
+
+    const sent = receipt.logs
+      .filter(log => log.address === oracle.address)
+      .map(log => oracle.interface.parseLog(log))
+      .find(event => event.name === 'OracleRequestSent');
+    const requestId = sent ? sent.args.requestId : null;
+    state.ranges[key] = { requestId, txHash: range.txHash, status: 'sent' };
+    save();
+    record('request-sent', { ...fields, requestId });
+  }
+
+  // Picks up what an earlier poll or process left: pending requests and failed sends
+  async function resumeRanges() {
+    for (const [key, range] of Object.entries(state.ranges)) {
+      if (range.status === 'pending') {
+        await confirmRequest(key);
+      } else if (range.status === 'error') {
+        const [collection, fromBlock, toBlock] = key.split(':');
+        await sendRequest(ethers.utils.getAddress(collection), fromBlock, toBlock);
+      }
+    }
+  }
+
+  async function recordResponses(fromBlock, toBlock) {
+    const byRequestId = new Map(Object.values(state.ranges).map(range => [range.requestId, range]));
+    const responses = [
+      ...(await oracle.queryFilter(oracle.filters.OracleResponseReceived(), fromBlock, toBlock)),
+      ...(await oracle.queryFilter(oracle.filters.OracleResponseFailed(), fromBlock, toBlock))
+    ];
+
+    for (const event of responses) {
+      const range = byRequestId.get(event.args.requestId);
+      if (!range) continue;
+      range.status = event.event === 'OracleResponseReceived' ? 'fulfilled' : 'failed';
+      record(event.event === 'OracleResponseReceived' ? 'response-received' : 'response-failed', {
+        requestId: event.args.requestId,
+        collection: event.args.collection,
+        txHash: event.transactionHash,
+        blockNumber: event.blockNumber,
+        ...(event.event === 'OracleResponseFailed' && { error: event.args.error })
+      });
+    }
+  }
+
+  /**
+   * Handle every OracleUpdateRequested up to the chain head once.
+   * @returns {Promise<number>} The next block to watch
+   */
+  async function poll() {
+    const head = await provider.getBlockNumber();
+    if (!dryRun) await resumeRanges();
+
+    while (state.nextBlock <= head) {
+      const toBlock = Math.min(state.nextBlock + blockSpan - 1, head);
+      const requests = await distributor.queryFilter(
+        distributor.filters.OracleUpdateRequested(),
+        state.nextBlock,
+        toBlock
+      );
+      for (const event of requests) {
+        const { collection, fromBlock, toBlock: requestedToBlock } = event.args;
+        record('update-requested', {
+          collection,
+          fromBlock: fromBlock.toString(),
+          toBlock: requestedToBlock.toString(),
+          txHash: event.transactionHash
+        });
+        await sendRequest(collection, fromBlock, requestedToBlock);
+      }
+
+      await recordResponses(state.nextBlock, toBlock);
+      state.nextBlock = toBlock + 1;
+      save();
+    }
+
+    return state.nextBlock;
+  }
+
+  return {
+    poll
+  };
+}
+
+module.exports = {
+  rangeKey,
+  createOracleListener
+};
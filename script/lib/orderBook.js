@@ -0,0 +1,291 @@
+/**
+ * The two bid markets of DiamondGenesisPass. Minter-status bids buy the minter's share of
+ * future royalties; token bids buy the token itself. Both keep per-token and collection-wide
+ * bids, but they settle an accepted bid differently (see applyFill).
+ */
+const MARKETS = {
+  minter: {
+    placed: 'BidPlaced',
+    withdrawn: 'BidWithdrawn',
+    accepted: 'BidAccepted',
+    // acceptHighestBid deletes the token's bids before its refund loop when a token bid wins,
+    // and keeps the (zeroed) token bids when a collection bid wins
+    refundsOnTokenFill: false,
+    clearsTokenBids: false
+  },
+  token: {
+    placed: 'TokenBidPlaced',
+    withdrawn: 'TokenBidWithdrawn',
+    accepted: 'TokenBidAccepted',
+    // acceptHighestTokenBid refunds the other token bids, then deletes them either way
+    refundsOnTokenFill: true,
+    clearsTokenBids: true
+  }
+};
+
+/** Every DiamondGenesisPass event the order book follows. */
+const BID_EVENTS = [
+  ...Object.values(MARKETS).flatMap(({ placed, withdrawn, accepted }) => [placed, withdrawn, accepted]),
+  'MinterStatusAssigned',
+  'MinterStatusRevoked',
+  'RoyaltySent'
+];
+
+const emptyState = () => ({
+  markets: Object.fromEntries(Object.keys(MARKETS).map(market => [market, { collection: [], tokens: {} }])),
+  fills: [],
+  minters: {}
+});
+
+// Same scan as getHighestBid: the first bid with the largest amount wins
+function highest(bids) {
+  let top = { index: -1, bidder: null, amount: 0n };
+  bids.forEach((bid, index) => {
+    if (BigInt(bid.amount) > top.amount) top = { index, bidder: bid.bidder, amount: BigInt(bid.amount) };
+  });
+  return top;
+}
+
+// Swap with the last bid and pop, as withdrawBid and the accept functions do
+function removeAt(bids, index) {
+  const last = bids.pop();
+  if (index < bids.length) bids[index] = last;
+}
+
+const toBid = ({ bidder, amount, timestamp }) => ({ bidder, amount, timestamp });
+
+/**
+ * Replays DiamondGenesisPass bid events into the same bid arrays the contract keeps, so
+ * `bids()` matches `viewBids` / `viewTokenBids` (zero-amount entries aside) and the best bid
+ * is the one `acceptHighestBid` / `acceptHighestTokenBid` would fill.
+ *
+ * Events are applied a transaction at a time: an accept refunds the other bidders with
+ * withdrawn events *before* its accepted event, and those refunds must not be replayed as
+ * ordinary withdrawals. Bids the contract drops without a refund event (a failed refund, or
+ * the other token bids when a minter-status token bid is accepted) are listed on the fill as
+ * `unrefundedBids`; their ETH stays in the contract.
+ *
+ * @param {object} [state] Previously saved `toJSON()` output
+ * @param {Function} [log]
+ */
+function createOrderBook(state = emptyState(), log = console.warn) {
+  const { markets, fills, minters } = state;
+
+  function tokenBids(market, tokenId) {
+    if (!markets[market].tokens[tokenId]) markets[market].tokens[tokenId] = [];
+    return markets[market].tokens[tokenId];
+  }
+
+  function place(market, { bidder, tokenId, amount, isCollectionBid }, { timestamp }) {
+    const bids = isCollectionBid ? markets[market].collection : tokenBids(market, tokenId.toString());
+    const existing = bids.find(bid => bid.bidder === bidder);
+    if (existing) {
+      existing.amount = (BigInt(existing.amount) + amount.toBigInt()).toString();
+      existing.timestamp = timestamp;
+    } else {
+      bids.push({ bidder, amount: amount.toString(), timestamp });
+    }
+  }
+
+  function withdraw(market, { bidder, tokenId, isCollectionBid }, event) {
+    const bids = isCollectionBid ? markets[market].collection : tokenBids(market, tokenId.toString());
+    const index = bids.findIndex(bid => bid.bidder === bidder);
+    if (index === -1) {
+      log(`${event.transactionHash}: ${bidder} withdrew a ${market} bid the order book does not hold`);
+      return;
+    }
+    removeAt(bids, index);
+  }
+
+  function applyFill(market, { seller, buyer, tokenId, amount }, event, refunds) {
+    const id = tokenId.toString();
+    const rules = MARKETS[market];
+    const book = markets[market];
+    const tokenList = tokenBids(market, id);
+
+    // Same choice as the contract: the token bid wins ties with the collection bid
+    const tokenTop = highest(tokenList);
+    const collectionTop = highest(book.collection);
+    const side = tokenTop.amount >= collectionTop.amount ? 'token' : 'collection';
+    const list = side === 'token' ? tokenList : book.collection;
+    let index = (side === 'token' ? tokenTop : collectionTop).index;
+    if (index === -1 || list[index].bidder !== buyer || BigInt(list[index].amount) !== amount.toBigInt()) {
+      log(`${event.transactionHash}: accepted ${market} bid of ${buyer} for #${id} is not the best bid in the order book; was indexing started after the bid was placed?`);
+      index = list.findIndex(bid => bid.bidder === buyer);
+    }
+    if (index !== -1) removeAt(list, index);
+
+    const unrefundedBids = [];
+    if (side === 'token' && !rules.refundsOnTokenFill) {
+      unrefundedBids.push(...tokenList.filter(bid => BigInt(bid.amount) > 0n).map(toBid));
+      tokenList.length = 0;
+    } else {
+      for (const bid of tokenList) {
+        if (bid.bidder === buyer || BigInt(bid.amount) === 0n) continue;
+        const refund = refunds.findIndex(other => other.bidder === bid.bidder && other.amount === bid.amount);
+        if (refund === -1) unrefundedBids.push(toBid(bid));
+        else refunds.splice(refund, 1);
+        bid.amount = '0';
+      }
+      if (rules.clearsTokenBids) {
+        // Includes the buyer's own token bid when a collection bid won
+        unrefundedBids.push(...tokenList.filter(bid => bid.bidder === buyer && BigInt(bid.amount) > 0n).map(toBid));
+        tokenList.length = 0;
+      }
+    }
+    if (tokenList.length === 0) delete book.tokens[id];
+
+    fills.push({
+      market,
+      tokenId: id,
+      seller,
+      buyer,
+      amount: amount.toString(),
+      side,
+      royalty: null,
+      unrefundedBids,
+      blockNumber: event.blockNumber,
+      logIndex: event.logIndex,
+      transactionHash: event.transactionHash,
+      timestamp: event.timestamp
+    });
+  }
+
+  /**
+   * Apply the bid events of one transaction, in log order.
+   * @param {object[]} events `{ name, args, blockNumber, logIndex, transactionHash, timestamp }`
+   */
+  function applyTransaction(events) {
+    const accepted = new Set(events
+      .filter(event => Object.values(MARKETS).some(rules => rules.accepted === event.name))
+      .map(event => `${event.name}:${event.args.tokenId}`));
+    const refunds = {};
+    let royalty = null;
+
+    for (const event of events) {
+      const { name, args } = event;
+      const [market, rules] = Object.entries(MARKETS).find(([, entry]) => [entry.placed, entry.withdrawn, entry.accepted].includes(name)) || [];
+
+      if (rules && name === rules.placed) {
+        place(market, args, event);
+      } else if (rules && name === rules.withdrawn) {
+        if (!args.isCollectionBid && accepted.has(`${rules.accepted}:${args.tokenId}`)) {
+          // Refund of an accept later in this transaction
+          const key = `${market}:${args.tokenId}`;
+          (refunds[key] = refunds[key] || []).push({ bidder: args.bidder, amount: args.amount.toString() });
+        } else {
+          withdraw(market, args, event);
+        }
+      } else if (rules && name === rules.accepted) {
+        applyFill(market, args, event, refunds[`${market}:${args.tokenId}`] || []);
+        if (royalty && royalty.tokenId === args.tokenId.toString()) fills[fills.length - 1].royalty = royalty.amount;
+      } else if (name === 'MinterStatusAssigned') {
+        minters[args.tokenId.toString()] = args.newMinter;
+      } else if (name === 'MinterStatusRevoked') {
+        delete minters[args.tokenId.toString()];
+      } else if (name === 'RoyaltySent') {
+        royalty = { tokenId: args.tokenId.toString(), amount: args.royaltyAmount.toString() };
+        const fill = fills[fills.length - 1];
+        if (fill && fill.transactionHash === event.transactionHash && fill.tokenId === royalty.tokenId) fill.royalty = royalty.amount;
+      }
+    }
+  }
+
+  const live = bids => bids
+    .map(toBid)
+    .filter(bid => BigInt(bid.amount) > 0n)
+    .sort((a, b) => (BigInt(b.amount) > BigInt(a.amount) ? 1 : BigInt(b.amount) < BigInt(a.amount) ? -1 : 0));
+
+  const asBid = top => (top.index === -1 ? null : { bidder: top.bidder, amount: top.amount.toString() });
+
+  /**
+   * Live bids, highest first.
+   * @param {string} market 'minter' or 'token'
+   * @param {string} [tokenId] Omit for the collection-wide bids
+   */
+  function bids(market, tokenId) {
+    return live(tokenId === undefined ? markets[market].collection : markets[market].tokens[tokenId] || []);
+  }
+
+  /**
+   * Fills, newest first.
+   * @param {object} [filter]
+   * @param {string} [filter.market]
+   * @param {string} [filter.tokenId]
+   * @param {number} [filter.limit]
+   */
+  function fillHistory({ market, tokenId, limit = 100 } = {}) {
+    return fills
+      .filter(fill => (!market || fill.market === market) && (tokenId === undefined || fill.tokenId === tokenId))
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * Top bids for one token. `floor` is the best collection-wide bid, which any token can be sold
+   * into; `top` is the bid an accept would fill right now (`side` says which list it is from).
+   * @param {string} market
+   * @param {string} tokenId
+   */
+  function tokenSummary(market, tokenId) {
+    const tokenTop = highest(markets[market].tokens[tokenId] || []);
+    const floor = highest(markets[market].collection);
+    const best = tokenTop.amount >= floor.amount ? { ...tokenTop, side: 'token' } : { ...floor, side: 'collection' };
+    const [lastFill = null] = fillHistory({ market, tokenId, limit: 1 });
+    return {
+      tokenId,
+      topTokenBid: asBid(tokenTop),
+      floor: asBid(floor),
+      top: best.index === -1 ? null : { side: best.side, bidder: best.bidder, amount: best.amount.toString() },
+      lastFill,
+      ...(market === 'minter' ? { minter: minters[tokenId] || null } : {})
+    };
+  }
+
+  /**
+   * One summary per token with live token bids or fills, by token ID.
+   * @param {string} market
+   */
+  function tokens(market) {
+    const ids = new Set([
+      ...Object.keys(markets[market].tokens).filter(id => bids(market, id).length > 0),
+      ...fills.filter(fill => fill.market === market).map(fill => fill.tokenId)
+    ]);
+    return [...ids].sort((a, b) => (BigInt(a) > BigInt(b) ? 1 : -1)).map(id => tokenSummary(market, id));
+  }
+
+  /**
+   * Totals for a market: open bids, ETH escrowed in them, the floor and filled volume.
+   * @param {string} market
+   */
+  function marketSummary(market) {
+    const open = [markets[market].collection, ...Object.values(markets[market].tokens)].flatMap(live);
+    const marketFills = fills.filter(fill => fill.market === market);
+    const sum = items => items.reduce((total, item) => total + BigInt(item.amount), 0n).toString();
+    return {
+      market,
+      openBids: open.length,
+      openBidValue: sum(open),
+      floor: asBid(highest(markets[market].collection)),
+      fills: marketFills.length,
+      volume: sum(marketFills),
+      unrefundedBids: marketFills.reduce((count, fill) => count + fill.unrefundedBids.length, 0)
+    };
+  }
+
+  return {
+    applyTransaction,
+    bids,
+    fills: fillHistory,
+    tokenSummary,
+    tokens,
+    marketSummary,
+    toJSON: () => state
+  };
+}
+
+module.exports = {
+  MARKETS,
+  BID_EVENTS,
+  createOrderBook
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { NATIVE_CURRENCY, fetchSales } = require('../../src/chainlink/marketplaces');
+
+/**
+ * Price sources join a Transfer to the price it sold for.
+ * Every source exposes:
+ *   getSalePrice(transfer) -> Promise<BigNumber|null>
+ * where `transfer` is `{ txHash, tokenId, from, to, blockNumber, transfersInTx }`
+ * and `null` means the transfer was not a sale and should not accrue royalties.
+ */
+
+/**
+ * Use the ETH value of the transaction that carried the transfer.
+ * The value is split evenly when one transaction moves several tokens of the collection
+ * (e.g. a sweep). Transfers in zero-value transactions are treated as non-sales.
+ * @param {ethers.providers.Provider} provider
+ */
+function createTxValuePriceSource(provider) {
+  return {
+    async getSalePrice({ txHash, transfersInTx = 1 }) {
+      const tx = await provider.getTransaction(txHash);
+      if (!tx || tx.value.isZero()) return null;
+      return tx.value.div(transfersInTx);
+    }
+  };
+}
+
+/**
+ * Read prices from a JSON file keyed by `<txHash>:<tokenId>` or `<txHash>`,
+ * with values in wei. Useful for backfills and for local anvil runs.
+ * @param {string} file
+ */
+function createFilePriceSource(file) {
+  const prices = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const normalized = new Map(Object.entries(prices).map(([key, value]) => [key.toLowerCase(), value]));
+  return {
+    async getSalePrice({ txHash, tokenId }) {
+      const hash = txHash.toLowerCase();
+      const price = normalized.get(`${hash}:${tokenId}`) ?? normalized.get(hash);
+      return price === undefined ? null : ethers.BigNumber.from(price);
+    }
+  };
+}
+
+/**
+ * axios with the contract of Functions.makeHttpRequest: failures resolve to `{ error: true }`.
+ */
+async function makeHttpRequest({ url, method = 'GET', headers, data, timeout = 10000 }) {
+  try {
+    const response = await axios({ url, method, headers, data, timeout });
+    return { error: false, status: response.status, data: response.data };
+  } catch (error) {
+    return { error: true, message: error.message, code: error.code };
+  }
+}
+
+/**
+ * Look the sale up with the marketplace adapters the Functions sources use
+ * (src/chainlink/marketplaces.js), matching on transaction hash and token ID.
+ * Sales not paid in ETH, and transfers no marketplace knows about, go to `fallback`.
+ * If a marketplace request fails and none reports the sale, this throws so the block range
+ * is retried instead of being checkpointed without prices.
+ * @param {object} options
+ * @param {string} options.collection
+ * @param {string} [options.chain] Marketplace chain name (default: ethereum)
+ * @param {string[]} [options.marketplaces] Adapter names in priority order
+ * @param {object} [options.apiKeys] API keys keyed by secret name, e.g. OPENSEA_API_KEY
+ * @param {object} [options.fallback] Price source for transfers without a marketplace sale
+ * @param {Function} [options.request] Functions.makeHttpRequest-compatible HTTP client
+ */
+function createMarketplacePriceSource({
+  collection,
+  chain = 'ethereum',
+  marketplaces,
+  apiKeys = {},
+  fallback = null,
+  request = makeHttpRequest
+}) {
+  return {
+    async getSalePrice(transfer) {
+      const { sales, errors } = await fetchSales(
+        request,
+        { chain, collection, tokenId: transfer.tokenId, txHash: transfer.txHash },
+        { marketplaces, apiKeys }
+      );
+      const sale = sales.find(record => record.currency === NATIVE_CURRENCY);
+      if (sale) return ethers.BigNumber.from(sale.price);
+      if (sales.length === 0 && errors.length > 0) {
+        throw new Error(`Marketplace lookup failed for ${transfer.txHash}: ${errors.join('; ')}`);
+      }
+      return fallback ? fallback.getSalePrice(transfer) : null;
+    }
+  };
+}
+
+module.exports = {
+  createTxValuePriceSource,
+  createFilePriceSource,
+  createMarketplacePriceSource,
+  makeHttpRequest
+};
@@ -0,0 +1,81 @@
+const readline = require('readline');
+const { CliError, EXIT_USAGE } = require('./cli');
+
+/**
+ * Prompts for the setup scripts.
+ * Questions are written to stderr so stdout only carries the script's JSON summary.
+ * In non-interactive mode nothing is asked: a missing value or an unconfirmed action is a usage error.
+ * @param {object} options
+ * @param {boolean} options.interactive Whether questions may be asked
+ * @param {boolean} [options.assumeYes] Answer every confirmation with yes (--yes)
+ */
+function createPrompter({ interactive, assumeYes = false, input = process.stdin, output = process.stderr }) {
+  let rl = null;
+
+  function question(query) {
+    if (!rl) rl = readline.createInterface({ input, output });
+    return new Promise(resolve => rl.question(query, resolve));
+  }
+
+  return {
+    interactive,
+
+    async ask(query) {
+      return (await question(query)).trim();
+    },
+
+    async confirm(query) {
+      if (assumeYes) return true;
+      if (!interactive) {
+        throw new CliError(`${query} Pass --yes to confirm in non-interactive mode.`, EXIT_USAGE);
+      }
+      return (await question(`${query} (y/n): `)).trim().toLowerCase() === 'y';
+    },
+
+    close() {
+      if (rl) rl.close();
+    }
+  };
+}
+
+// Values copied from .env.example are placeholders, not configuration
+function fromEnv(name) {
+  const value = name ? process.env[name] : undefined;
+  return value && !/^your_.*_here$/.test(value) ? value : undefined;
+}
+
+/**
+ * Resolve a script option from, in order: the command line flag, the --config file
+ * (the flag name in camelCase), an environment variable, an interactive prompt and a default.
+ * @param {object} options
+ * @param {object} options.values Parsed flags
+ * @param {object} [options.config] Parsed --config file
+ * @param {object} options.prompter See createPrompter
+ * @returns {Function} async (flag, { env, prompt, defaultValue, validate }) => string
+ */
+function createOptionResolver({ values, config = {}, prompter }) {
+  return async function option(flag, { env, prompt, defaultValue, validate } = {}) {
+    const configKey = flag.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    let value = values[flag] ?? config[configKey] ?? fromEnv(env);
+
+    if (value === undefined && prompt && prompter.interactive) {
+      const suffix = defaultValue === undefined ? '' : ` (default: ${defaultValue})`;
+      value = (await prompter.ask(`${prompt}${suffix}: `)) || undefined;
+    }
+    value = value ?? defaultValue;
+
+    if (value === undefined) {
+      throw new CliError(`--${flag} is required${env ? ` (or set ${env})` : ''}`, EXIT_USAGE);
+    }
+    const problem = validate && validate(String(value));
+    if (problem) {
+      throw new CliError(`--${flag}: ${problem}`, EXIT_USAGE);
+    }
+    return String(value);
+  };
+}
+
+module.exports = {
+  createPrompter,
+  createOptionResolver
+};
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+/**
+ * Storage adapters return Merkle claim records for the proof server.
+ * Every adapter exposes the same async interface:
+ *   getWhitelistClaim(address)          -> { root, quantity, proof } | null
+ *   getClaim(collection, recipient)     -> { root, ...record } | null
+ */
+
+/**
+ * Read a JSON artifact, re-reading it only when the file changes on disk.
+ * @param {string} file
+ * @returns {() => object|null}
+ */
+function cachedJson(file) {
+  let cache = null;
+  let mtimeMs = 0;
+  return () => {
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch (error) {
+      return null;
+    }
+    if (!cache || stat.mtimeMs !== mtimeMs) {
+      cache = JSON.parse(fs.readFileSync(file, 'utf8'));
+      mtimeMs = stat.mtimeMs;
+    }
+    return cache;
+  };
+}
+
+function lookup(artifact, address) {
+  if (!artifact || !artifact.claims) return null;
+  const record = artifact.claims[ethers.utils.getAddress(address)];
+  return record ? { root: artifact.root, ...record } : null;
+}
+
+/**
+ * JSON file adapter.
+ * @param {object} options
+ * @param {string} options.whitelistFile Proofs file written by GenerateMerkleRoot.js
+ * @param {string} [options.claimsDir] Directory holding `<collection>.json` claim artifacts
+ *                                     in the same `{ root, claims }` shape
+ */
+function createJsonFileStore({ whitelistFile, claimsDir }) {
+  const whitelist = cachedJson(whitelistFile);
+  const collections = new Map();
+
+  function collectionArtifact(collection) {
+    if (!claimsDir) return null;
+    const key = ethers.utils.getAddress(collection).toLowerCase();
+    if (!collections.has(key)) {
+      collections.set(key, cachedJson(path.join(claimsDir, `${key}.json`)));
+    }
+    return collections.get(key)();
+  }
+
+  return {
+    async getWhitelistClaim(address) {
+      const record = lookup(whitelist(), address);
+      return record && { root: record.root, quantity: record.quantity, proof: record.proof };
+    },
+    async getClaim(collection, recipient) {
+      return lookup(collectionArtifact(collection), recipient);
+    }
+  };
+}
+
+module.exports = {
+  createJsonFileStore
+};
@@ -0,0 +1,294 @@
+const { ethers } = require('ethers');
+const { fetchLogsInSpans } = require('./chain');
+
+const { BigNumber } = ethers;
+const ZERO = BigNumber.from(0);
+
+// Asset key for native ETH; ERC20 royalties are keyed by token address
+const ETH = 'ETH';
+
+const LEDGER_EVENTS = [
+  'RoyaltyReceived',
+  'ERC20RoyaltyReceived',
+  'RoyaltyAccrued',
+  'RoyaltyClaimed',
+  'ERC20RoyaltyAccrued',
+  'ERC20RoyaltyClaimed'
+];
+
+const ERC20_BALANCE_ABI = ['function balanceOf(address account) view returns (uint256)'];
+
+const poolKey = (collection, token) => `${collection}|${token}`;
+
+/**
+ * Read the distributor's royalty ledger events with one getLogs query per block span.
+ * @param {ethers.Contract} distributor CentralizedRoyaltyDistributor
+ * @param {object} options
+ * @param {number} options.fromBlock
+ * @param {number} options.toBlock
+ * @param {number} [options.blockSpan]
+ * @returns {Promise<object[]>} `{ name, args, blockNumber, transactionHash }` in chain order
+ */
+async function fetchLedgerEvents(distributor, { fromBlock, toBlock, blockSpan = 2000 }) {
+  const topics = [LEDGER_EVENTS.map(name => distributor.interface.getEventTopic(name))];
+  const logs = await fetchLogsInSpans(distributor.provider, { address: distributor.address, topics }, { fromBlock, toBlock, blockSpan });
+  return logs.map(log => {
+    const { name, args } = distributor.interface.parseLog(log);
+    return { name, args, blockNumber: log.blockNumber, transactionHash: log.transactionHash };
+  });
+}
+
+/**
+ * Sum ledger events into per-pool and per-recipient totals. A pool is one collection's
+ * balance of one asset (ETH or an ERC20 token).
+ * @param {object[]} events From fetchLedgerEvents
+ * @returns {{ pools: Map<string, object>, accruedEvents: ethers.BigNumber, claimedEvents: ethers.BigNumber }}
+ *   `accruedEvents` / `claimedEvents` are the ETH totals across all collections
+ */
+function buildLedger(events) {
+  const pools = new Map();
+  let accruedEvents = ZERO;
+  let claimedEvents = ZERO;
+
+  const pool = (collection, token) => {
+    const key = poolKey(collection, token);
+    if (!pools.has(key)) {
+      pools.set(key, { collection, token, received: ZERO, accrued: ZERO, claimed: ZERO, recipients: new Map() });
+    }
+    return pools.get(key);
+  };
+  const recipient = (entry, address) => {
+    if (!entry.recipients.has(address)) entry.recipients.set(address, { accrued: ZERO, claimed: ZERO });
+    return entry.recipients.get(address);
+  };
+
+  for (const { name, args } of events) {
+    const token = name.startsWith('ERC20') ? args.token : ETH;
+    const entry = pool(args.collection, token);
+    if (name.endsWith('RoyaltyReceived')) {
+      entry.received = entry.received.add(args.amount);
+    } else if (name.endsWith('RoyaltyAccrued')) {
+      entry.accrued = entry.accrued.add(args.amount);
+      const totals = recipient(entry, args.recipient);
+      totals.accrued = totals.accrued.add(args.amount);
+      if (token === ETH) accruedEvents = accruedEvents.add(args.amount);
+    } else if (name.endsWith('RoyaltyClaimed')) {
+      entry.claimed = entry.claimed.add(args.amount);
+      const totals = recipient(entry, args.recipient);
+      totals.claimed = totals.claimed.add(args.amount);
+      if (token === ETH) claimedEvents = claimedEvents.add(args.amount);
+    }
+  }
+  return { pools, accruedEvents, claimedEvents };
+}
+
+/**
+ * Read the distributor's views and balances for everything in the ledger, all at one block.
+ * @param {ethers.Contract} distributor
+ * @param {object} ledger From buildLedger
+ * @param {number} blockTag
+ */
+async function readOnChainState(distributor, ledger, blockTag) {
+  const overrides = { blockTag };
+  const state = { pools: new Map(), claimable: new Map(), balances: new Map() };
+
+  for (const [key, { collection, token, recipients }] of ledger.pools) {
+    state.pools.set(key, token === ETH
+      ? await distributor.getCollectionRoyalties(collection, overrides)
+      : await distributor.getCollectionERC20Royalties(collection, token, overrides));
+    for (const address of recipients.keys()) {
+      state.claimable.set(`${key}|${address}`, token === ETH
+        ? await distributor.getClaimableRoyalties(collection, address, overrides)
+        : await distributor.getClaimableERC20Royalties(collection, token, address, overrides));
+    }
+  }
+
+  state.balances.set(ETH, await distributor.provider.getBalance(distributor.address, blockTag));
+  const tokens = new Set([...ledger.pools.values()].map(({ token }) => token).filter(token => token !== ETH));
+  for (const token of tokens) {
+    const erc20 = new ethers.Contract(token, ERC20_BALANCE_ABI, distributor.provider);
+    state.balances.set(token, await erc20.balanceOf(distributor.address, overrides));
+  }
+
+  state.analytics = {
+    totalAccrued: await distributor.totalAccrued(overrides),
+    totalClaimed: await distributor.totalClaimed(overrides),
+    totalUnclaimed: await distributor.totalUnclaimed(overrides)
+  };
+  return state;
+}
+
+function check(name, scope, expected, actual, { ok = expected.eq(actual), message }) {
+  return {
+    check: name,
+    status: ok ? 'ok' : 'fail',
+    collection: scope.collection || null,
+    token: scope.token || null,
+    recipient: scope.recipient || null,
+    expected: expected.toString(),
+    actual: actual.toString(),
+    difference: actual.sub(expected).toString(),
+    message: ok ? '' : message
+  };
+}
+
+/**
+ * Compare the event history with the on-chain views and balances.
+ *
+ * Checks, each reported with `expected` (from events or obligations) and `actual` (on-chain):
+ * - recipient_claimable: getClaimable*Royalties equals accrued minus claimed from events
+ * - pool_balance: getCollection*Royalties equals received minus claimed from events
+ * - pool_solvency: the pool covers what its recipients can claim
+ * - contract_balance: the distributor's ETH / token balance covers all pools
+ * - contract_solvency: the balance covers everything claimable
+ * - analytics_total_accrued / analytics_total_claimed: the global ETH counters equal the
+ *   event totals (more than the events means double-counting)
+ * - analytics_total_unclaimed: totalUnclaimed() equals the sum of claimable ETH
+ *
+ * @param {object} ledger From buildLedger
+ * @param {object} onChain From readOnChainState
+ * @returns {{ assets: object[], pools: object[], recipients: object[], analytics: object, checks: object[] }}
+ */
+function reconcile(ledger, onChain) {
+  const checks = [];
+  const pools = [];
+  const recipients = [];
+  const owedByAsset = new Map();
+  const pooledByAsset = new Map();
+  const add = (map, key, amount) => map.set(key, (map.get(key) || ZERO).add(amount));
+
+  for (const [key, entry] of ledger.pools) {
+    const { collection, token } = entry;
+    const pool = onChain.pools.get(key);
+    let owed = ZERO;
+
+    for (const [recipient, totals] of entry.recipients) {
+      const expected = totals.accrued.sub(totals.claimed);
+      const claimable = onChain.claimable.get(`${key}|${recipient}`);
+      owed = owed.add(claimable);
+      recipients.push({
+        collection,
+        token,
+        recipient,
+        accrued: totals.accrued.toString(),
+        claimed: totals.claimed.toString(),
+        expectedClaimable: expected.toString(),
+        claimable: claimable.toString()
+      });
+      checks.push(check('recipient_claimable', { collection, token, recipient }, expected, claimable, {
+        message: 'On-chain claimable amount disagrees with the accrual and claim history'
+      }));
+    }
+
+    checks.push(check('pool_balance', { collection, token }, entry.received.sub(entry.claimed), pool, {
+      message: 'Collection pool disagrees with the royalties received minus claimed'
+    }));
+    checks.push(check('pool_solvency', { collection, token }, owed, pool, {
+      ok: pool.gte(owed),
+      message: `Shortfall of ${owed.sub(pool)}: the pool cannot pay all claimable royalties`
+    }));
+
+    add(owedByAsset, token, owed);
+    add(pooledByAsset, token, pool);
+    pools.push({
+      collection,
+      token,
+      received: entry.received.toString(),
+      accrued: entry.accrued.toString(),
+      claimed: entry.claimed.toString(),
+      pool: pool.toString(),
+      owed: owed.toString()
+    });
+  }
+
+  const assets = [];
+  for (const [token, balance] of onChain.balances) {
+    const pooled = pooledByAsset.get(token) || ZERO;
+    const owed = owedByAsset.get(token) || ZERO;
+    checks.push(check('contract_balance', { token }, pooled, balance, {
+      ok: balance.gte(pooled),
+      message: `Shortfall of ${pooled.sub(balance)}: the balance does not cover the collection pools`
+    }));
+    checks.push(check('contract_solvency', { token }, owed, balance, {
+      ok: balance.gte(owed),
+      message: `Shortfall of ${owed.sub(balance)}: the balance does not cover all claimable royalties`
+    }));
+    assets.push({ token, balance: balance.toString(), pooled: pooled.toString(), owed: owed.toString(), surplus: balance.sub(owed).toString() });
+  }
+
+  const { totalAccrued, totalClaimed, totalUnclaimed } = onChain.analytics;
+  const counter = (name, expected, actual) => check(name, {}, expected, actual, {
+    message: actual.gt(expected)
+      ? `Analytics counter is ${actual.sub(expected)} higher than the event history (double-counted)`
+      : `Analytics counter is ${expected.sub(actual)} lower than the event history`
+  });
+  checks.push(counter('analytics_total_accrued', ledger.accruedEvents, totalAccrued));
+  checks.push(counter('analytics_total_claimed', ledger.claimedEvents, totalClaimed));
+  checks.push(counter('analytics_total_unclaimed', owedByAsset.get(ETH) || ZERO, totalUnclaimed));
+
+  return {
+    assets,
+    pools,
+    recipients,
+    analytics: {
+      totalAccrued: { view: totalAccrued.toString(), events: ledger.accruedEvents.toString() },
+      totalClaimed: { view: totalClaimed.toString(), events: ledger.claimedEvents.toString() },
+      totalUnclaimed: { view: totalUnclaimed.toString(), claimable: (owedByAsset.get(ETH) || ZERO).toString() }
+    },
+    checks
+  };
+}
+
+/**
+ * Build the solvency and reconciliation report for a distributor.
+ * History-based checks are only meaningful when `fromBlock` is at or before the deployment.
+ * @param {object} options
+ * @param {ethers.Contract} options.distributor CentralizedRoyaltyDistributor with a provider
+ * @param {number} options.fromBlock
+ * @param {number} options.toBlock Views and balances are read at this block
+ * @param {number} [options.blockSpan]
+ */
+async function createSolvencyReport({ distributor, fromBlock, toBlock, blockSpan }) {
+  const events = await fetchLedgerEvents(distributor, { fromBlock, toBlock, blockSpan });
+  const ledger = buildLedger(events);
+  const result = reconcile(ledger, await readOnChainState(distributor, ledger, toBlock));
+  const failed = result.checks.filter(item => item.status === 'fail').length;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    chainId: (await distributor.provider.getNetwork()).chainId,
+    distributor: distributor.address,
+    fromBlock,
+    toBlock,
+    events: events.length,
+    summary: { checks: result.checks.length, failed, ok: failed === 0 },
+    ...result
+  };
+}
+
+const CSV_COLUMNS = ['check', 'status', 'collection', 'token', 'recipient', 'expected', 'actual', 'difference', 'message'];
+
+/**
+ * The report's checks as CSV, one row per check.
+ * @param {object} report From createSolvencyReport
+ * @returns {string}
+ */
+function reportToCsv(report) {
+  const cell = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = report.checks.map(item => CSV_COLUMNS.map(column => cell(item[column])).join(','));
+  return `${[CSV_COLUMNS.join(','), ...rows].join('\n')}\n`;
+}
+
+module.exports = {
+  ETH,
+  LEDGER_EVENTS,
+  fetchLedgerEvents,
+  buildLedger,
+  readOnChainState,
+  reconcile,
+  createSolvencyReport,
+  reportToCsv
+};
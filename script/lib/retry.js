@@ -0,0 +1,28 @@
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run `fn` until it succeeds, waiting baseDelayMs, 2x, 4x ... between attempts.
+ * @param {() => Promise<any>} fn
+ * @param {object} [options]
+ * @param {number} [options.retries] Attempts after the first one
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.maxDelayMs]
+ * @param {(error: Error, attempt: number, delayMs: number) => void} [options.onRetry]
+ */
+async function withRetry(fn, { retries = 5, baseDelayMs = 1000, maxDelayMs = 60000, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries) throw error;
+      const delayMs = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+      if (onRetry) onRetry(error, attempt + 1, delayMs);
+      await sleep(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  sleep,
+  withRetry
+};
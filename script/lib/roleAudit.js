@@ -0,0 +1,241 @@
+const { ethers } = require('ethers');
+const { fetchLogsInSpans, blockTimestamps } = require('./chain');
+
+const ROLE_EVENTS = ['RoleGranted', 'RoleRevoked', 'RoleAdminChanged', 'OwnershipTransferred'];
+
+const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero;
+const KNOWN_ROLES = {
+  [DEFAULT_ADMIN_ROLE]: 'DEFAULT_ADMIN_ROLE',
+  [ethers.utils.id('SERVICE_ACCOUNT_ROLE')]: 'SERVICE_ACCOUNT_ROLE'
+};
+
+// EIP-7702 accounts have code (a delegation designator) but are still keys someone holds
+const DELEGATION_PREFIX = '0xef0100';
+
+const roleName = role => KNOWN_ROLES[role] || role;
+
+/**
+ * Read a contract's AccessControl and Ownable events with one getLogs query per block span.
+ * Events missing from the contract's ABI (the distributor is not Ownable) are skipped.
+ * @param {ethers.Contract} contract
+ * @param {object} options
+ * @param {number} options.fromBlock
+ * @param {number} options.toBlock
+ * @param {number} [options.blockSpan]
+ * @returns {Promise<object[]>} `{ name, args, blockNumber, logIndex, transactionHash }` in chain order
+ */
+async function fetchRoleEvents(contract, { fromBlock, toBlock, blockSpan = 2000 }) {
+  const names = ROLE_EVENTS.filter(name => Object.values(contract.interface.events).some(event => event.name === name));
+  const topics = [names.map(name => contract.interface.getEventTopic(name))];
+  const logs = await fetchLogsInSpans(contract.provider, { address: contract.address, topics }, { fromBlock, toBlock, blockSpan });
+  return logs.map(log => {
+    const { name, args } = contract.interface.parseLog(log);
+    return { name, args, blockNumber: log.blockNumber, logIndex: log.logIndex, transactionHash: log.transactionHash };
+  });
+}
+
+/**
+ * Replay role and ownership events into the current holders and a timeline.
+ * A role's admin is DEFAULT_ADMIN_ROLE until a RoleAdminChanged says otherwise.
+ * @param {object[]} events From fetchRoleEvents
+ * @returns {{ owner: string|null|undefined, roles: object, timeline: object[] }} `owner` is
+ *   undefined when no OwnershipTransferred event was seen; `roles` is keyed by role hash
+ */
+function replayRoles(events) {
+  let owner;
+  const roles = {};
+  const timeline = [];
+  const role = hash => {
+    if (!roles[hash]) roles[hash] = { role: hash, name: roleName(hash), admin: DEFAULT_ADMIN_ROLE, holders: [] };
+    return roles[hash];
+  };
+
+  for (const { name, args, blockNumber, logIndex, transactionHash } of events) {
+    const entry = { blockNumber, logIndex, transactionHash, event: name };
+    if (name === 'OwnershipTransferred') {
+      owner = args.newOwner;
+      Object.assign(entry, { previousOwner: args.previousOwner, newOwner: args.newOwner });
+      entry.description = args.newOwner === ethers.constants.AddressZero
+        ? `${args.previousOwner} renounced ownership`
+        : `ownership ${args.previousOwner === ethers.constants.AddressZero ? 'set' : `moved from ${args.previousOwner}`} to ${args.newOwner}`;
+    } else if (name === 'RoleAdminChanged') {
+      role(args.role).admin = args.newAdminRole;
+      Object.assign(entry, { role: roleName(args.role), previousAdminRole: roleName(args.previousAdminRole), newAdminRole: roleName(args.newAdminRole) });
+      entry.description = `${entry.role} is now administered by ${entry.newAdminRole} (was ${entry.previousAdminRole})`;
+    } else {
+      const { holders } = role(args.role);
+      if (name === 'RoleGranted' && !holders.includes(args.account)) holders.push(args.account);
+      if (name === 'RoleRevoked' && holders.includes(args.account)) holders.splice(holders.indexOf(args.account), 1);
+      Object.assign(entry, { role: roleName(args.role), account: args.account, sender: args.sender });
+      entry.description = name === 'RoleGranted'
+        ? `${args.sender} granted ${entry.role} to ${args.account}`
+        : args.sender === args.account ? `${args.account} renounced ${entry.role}` : `${args.sender} revoked ${entry.role} from ${args.account}`;
+    }
+    timeline.push(entry);
+  }
+  return { owner, roles, timeline };
+}
+
+/**
+ * Flag risky role states. `accounts` tells which addresses are EOAs; the Safe handover is
+ * considered done once `safe` is given or the collection's owner is a contract.
+ *
+ * Findings (`level` is 'error' or 'warning'):
+ * - history_mismatch: the replay disagrees with hasRole / owner() (incomplete history)
+ * - eoa_admin / eoa_owner: an EOA holds DEFAULT_ADMIN_ROLE or owns the collection
+ *   (errors after the handover, warnings before it)
+ * - owner_not_safe / safe_not_admin: the declared Safe does not own the collection or lacks
+ *   DEFAULT_ADMIN_ROLE
+ * - no_admin: nobody holds DEFAULT_ADMIN_ROLE, so no role can be granted again
+ * - ownership_renounced: the collection has no owner
+ * - role_admin_changed: a role is administered by something other than DEFAULT_ADMIN_ROLE
+ * - unknown_role: a role the contracts do not define is held
+ *
+ * @param {object[]} contracts `{ name, owner, ownable, roles, mismatches }` per contract
+ * @param {Map<string, string>} accounts Address => 'eoa' | 'contract'
+ * @param {object} [options]
+ * @param {string} [options.safe]
+ * @returns {object[]} `{ level, code, contract, account, role, message }`
+ */
+function findRisks(contracts, accounts, { safe = null } = {}) {
+  const findings = [];
+  const add = (level, code, contract, fields, message) => findings.push({ level, code, contract, account: null, role: null, ...fields, message });
+  const isEoa = account => accounts.get(account) === 'eoa';
+  const handedOver = Boolean(safe) || contracts.some(({ ownable, owner }) => ownable && owner && !isEoa(owner) && owner !== ethers.constants.AddressZero);
+  const handoverLevel = handedOver ? 'error' : 'warning';
+  const handoverNote = handedOver ? 'after the Safe handover' : 'until the Safe handover';
+
+  for (const { name, owner, ownable, roles, mismatches } of contracts) {
+    for (const mismatch of mismatches) {
+      add('error', 'history_mismatch', name, { account: mismatch.account, role: mismatch.role },
+        `the events say ${mismatch.replayed} but the contract says ${mismatch.onChain}; read the events from the deployment block`);
+    }
+
+    if (ownable) {
+      if (owner === ethers.constants.AddressZero) {
+        add('error', 'ownership_renounced', name, {}, 'nobody owns the contract; owner-only settings are frozen');
+      } else if (owner && isEoa(owner)) {
+        add(handoverLevel, 'eoa_owner', name, { account: owner }, `owned by the EOA ${owner} ${handoverNote}`);
+      }
+      if (safe && owner !== safe) {
+        add('error', 'owner_not_safe', name, { account: owner }, `owned by ${owner}, not the Safe ${safe}`);
+      }
+    }
+
+    const admins = (roles[DEFAULT_ADMIN_ROLE] && roles[DEFAULT_ADMIN_ROLE].holders) || [];
+    if (admins.length === 0) {
+      add('error', 'no_admin', name, { role: 'DEFAULT_ADMIN_ROLE' }, 'nobody holds DEFAULT_ADMIN_ROLE; roles can no longer be granted');
+    }
+    for (const account of admins.filter(isEoa)) {
+      add(handoverLevel, 'eoa_admin', name, { account, role: 'DEFAULT_ADMIN_ROLE' }, `the EOA ${account} holds DEFAULT_ADMIN_ROLE ${handoverNote}`);
+    }
+    if (safe && !admins.includes(safe)) {
+      add('warning', 'safe_not_admin', name, { account: safe, role: 'DEFAULT_ADMIN_ROLE' }, `the Safe ${safe} does not hold DEFAULT_ADMIN_ROLE`);
+    }
+
+    for (const entry of Object.values(roles)) {
+      if (entry.role !== DEFAULT_ADMIN_ROLE && entry.admin !== DEFAULT_ADMIN_ROLE) {
+        add('warning', 'role_admin_changed', name, { role: entry.name }, `${entry.name} is administered by ${roleName(entry.admin)}`);
+      }
+      if (!KNOWN_ROLES[entry.role] && entry.holders.length > 0) {
+        add('warning', 'unknown_role', name, { role: entry.role }, `role ${entry.role} is held by ${entry.holders.join(', ')}`);
+      }
+    }
+  }
+  return findings;
+}
+
+async function accountKind(provider, account, blockTag) {
+  const code = await provider.getCode(account, blockTag);
+  return code === '0x' || code.startsWith(DELEGATION_PREFIX) ? 'eoa' : 'contract';
+}
+
+/**
+ * Audit who holds which role on each contract, as of `toBlock`.
+ * @param {object} options
+ * @param {Object<string, ethers.Contract>} options.contracts Keyed by contract name
+ * @param {number} options.fromBlock The contracts' deployment block or earlier
+ * @param {number} options.toBlock
+ * @param {number} [options.blockSpan]
+ * @param {string} [options.safe] The Safe that should own and administer the contracts
+ */
+async function createRoleAudit({ contracts, fromBlock, toBlock, blockSpan, safe = null }) {
+  const provider = Object.values(contracts)[0].provider;
+  const overrides = { blockTag: toBlock };
+  const results = [];
+  const timeline = [];
+
+  for (const [name, contract] of Object.entries(contracts)) {
+    const events = await fetchRoleEvents(contract, { fromBlock, toBlock, blockSpan });
+    const { owner: replayedOwner, roles, timeline: entries } = replayRoles(events);
+    const ownable = Boolean(contract.interface.functions['owner()']);
+    const mismatches = [];
+
+    // Every account the events mention, so grants made before fromBlock show up as mismatches
+    const seen = new Set(entries.flatMap(item => [item.account, item.sender, item.previousOwner, item.newOwner])
+      .filter(account => account && account !== ethers.constants.AddressZero));
+    for (const entry of Object.values(roles)) {
+      for (const account of seen) {
+        const replayed = entry.holders.includes(account);
+        if (replayed !== await contract.hasRole(entry.role, account, overrides)) {
+          const [held, missing] = [`${account} holds ${entry.name}`, `${account} lacks ${entry.name}`];
+          mismatches.push({ role: entry.name, account, replayed: replayed ? held : missing, onChain: replayed ? missing : held });
+        }
+      }
+    }
+    let owner = null;
+    if (ownable) {
+      owner = await contract.owner(overrides);
+      if (replayedOwner !== owner) {
+        mismatches.push({ role: 'owner', account: owner, replayed: `the owner is ${replayedOwner || 'unknown'}`, onChain: `it is ${owner}` });
+      }
+    }
+
+    const blockTimes = await blockTimestamps(provider, entries);
+    for (const entry of entries) {
+      timeline.push({ contract: name, timestamp: blockTimes.get(entry.blockNumber), ...entry });
+    }
+    results.push({ name, address: contract.address, ownable, owner, roles, mismatches });
+  }
+
+  const accounts = new Map();
+  const addresses = results.flatMap(({ owner, roles }) => [owner, ...Object.values(roles).flatMap(entry => entry.holders)]);
+  for (const account of new Set(addresses.filter(address => address && address !== ethers.constants.AddressZero))) {
+    accounts.set(account, await accountKind(provider, account, toBlock));
+  }
+
+  const findings = findRisks(results, accounts, { safe });
+  timeline.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  const errors = findings.filter(item => item.level === 'error').length;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    chainId: (await provider.getNetwork()).chainId,
+    fromBlock,
+    toBlock,
+    safe,
+    summary: { findings: findings.length, errors, ok: errors === 0 },
+    contracts: results.map(({ name, address, ownable, owner, roles }) => ({
+      name,
+      address,
+      owner: ownable ? owner : undefined,
+      roles: Object.values(roles).map(entry => ({
+        role: entry.name,
+        admin: roleName(entry.admin),
+        holders: entry.holders.map(account => ({ account, kind: accounts.get(account) }))
+      }))
+    })),
+    findings,
+    timeline
+  };
+}
+
+module.exports = {
+  ROLE_EVENTS,
+  KNOWN_ROLES,
+  roleName,
+  fetchRoleEvents,
+  replayRoles,
+  findRisks,
+  createRoleAudit
+};
@@ -0,0 +1,272 @@
+const { ethers } = require('ethers');
+const { loadState, saveState } = require('./jsonState');
+
+/**
+ * Key used to recognise a sale that has already been attributed on-chain.
+ * The distributor de-duplicates per token and transaction hash, so a sweep that moves
+ * several tokens in one transaction yields several distinct sales.
+ */
+function saleKey(txHash, tokenId) {
+  return `${txHash.toLowerCase()}:${ethers.BigNumber.from(tokenId).toString()}`;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Off-chain royalty indexer.
+ *
+ * Follows DiamondGenesisPass Transfer events from a checkpointed block, joins each sale to a
+ * price from `priceSource` and submits `batchUpdateRoyaltyData` to the distributor.
+ *
+ * Crash safety: every batch is signed before it is broadcast and the signed transaction is
+ * written to the state file first. On restart a pending batch is either confirmed, re-broadcast
+ * (same nonce, so it cannot execute twice) or dropped once its nonce was consumed elsewhere or it
+ * reverted. A dropped batch is rebuilt by scanning its blocks again, which the checkpoint only
+ * passes once every batch of a range is confirmed. Sales already attributed on-chain
+ * (RoyaltyAttributed events) are never resubmitted.
+ *
+ * @param {object} options
+ * @param {ethers.providers.Provider} options.provider
+ * @param {ethers.Signer} options.wallet Service account holding SERVICE_ACCOUNT_ROLE on the distributor
+ * @param {ethers.Contract} options.nft DiamondGenesisPass contract
+ * @param {ethers.Contract} options.distributor CentralizedRoyaltyDistributor contract
+ * @param {object} options.priceSource See lib/priceSources.js
+ * @param {string} options.stateFile Checkpoint file
+ * @param {number} options.startBlock First block to index when there is no checkpoint yet
+ * @param {number} [options.batchSize] Sales per batchUpdateRoyaltyData call
+ * @param {number} [options.blockSpan] Blocks per getLogs query
+ * @param {number} [options.confirmations] Blocks to stay behind the chain head
+ * @param {number} [options.waitTimeoutMs] How long to wait for a batch to be mined before leaving it to the next run
+ * @param {Function} [options.log]
+ */
+function createRoyaltyIndexer({
+  provider,
+  wallet,
+  nft,
+  distributor,
+  priceSource,
+  stateFile,
+  startBlock,
+  batchSize = 50,
+  blockSpan = 2000,
+  confirmations = 0,
+  waitTimeoutMs = 5 * 60 * 1000,
+  log = console.log
+}) {
+  const collection = nft.address;
+  const processed = new Set();
+  let scannedThrough = startBlock - 1;
+  const state = loadState(stateFile, { nextBlock: startBlock, pending: null });
+
+  function save() {
+    saveState(stateFile, state);
+  }
+
+  async function loadProcessed(fromBlock, toBlock) {
+    const filter = distributor.filters.RoyaltyAttributed(collection);
+    for (let from = fromBlock; from <= toBlock; from += blockSpan) {
+      const to = Math.min(from + blockSpan - 1, toBlock);
+      const events = await distributor.queryFilter(filter, from, to);
+      for (const event of events) {
+        processed.add(saleKey(event.args.transactionHash, event.args.tokenId));
+      }
+    }
+  }
+
+  async function refreshProcessed() {
+    const latest = await provider.getBlockNumber();
+    await loadProcessed(scannedThrough + 1, latest);
+    scannedThrough = latest;
+    return latest;
+  }
+
+  async function minterOf(tokenId) {
+    try {
+      return await nft.getMinterOf(tokenId);
+    } catch (error) {
+      // Burned tokens: let the distributor fall back to its stored minter
+      return ethers.constants.AddressZero;
+    }
+  }
+
+  async function collectSales(logs) {
+    const transfers = logs.filter(event =>
+      event.args.from !== ethers.constants.AddressZero && event.args.to !== ethers.constants.AddressZero
+    );
+    const transfersPerTx = new Map();
+    for (const event of transfers) {
+      transfersPerTx.set(event.transactionHash, (transfersPerTx.get(event.transactionHash) || 0) + 1);
+    }
+
+    const sales = [];
+    for (const event of transfers) {
+      const tokenId = event.args.tokenId.toString();
+      if (processed.has(saleKey(event.transactionHash, tokenId))) continue;
+
+      const price = await priceSource.getSalePrice({
+        txHash: event.transactionHash,
+        tokenId,
+        from: event.args.from,
+        to: event.args.to,
+        blockNumber: event.blockNumber,
+        transfersInTx: transfersPerTx.get(event.transactionHash)
+      });
+      if (!price || price.isZero()) continue;
+
+      sales.push({
+        txHash: event.transactionHash,
+        tokenId,
+        minter: await minterOf(tokenId),
+        salePrice: price.toString()
+      });
+    }
+    return sales;
+  }
+
+  function markProcessed(sales) {
+    for (const sale of sales) {
+      processed.add(saleKey(sale.txHash, sale.tokenId));
+    }
+  }
+
+  /**
+   * Wait for the pending batch, re-broadcasting the same signed transaction if the node lost it.
+   * @returns {Promise<string>} 'confirmed', 'replaced', 'reverted' or 'unconfirmed' (still pending
+   *   after waitTimeoutMs; it stays in the state file for the next run)
+   */
+  async function waitForPending() {
+    const { pending } = state;
+    let receipt = await provider.getTransactionReceipt(pending.txHash);
+
+    if (!receipt && (await wallet.getTransactionCount('latest')) > pending.nonce) {
+      // The nonce is used: either this batch was mined since the receipt check or it was replaced
+      receipt = await provider.getTransactionReceipt(pending.txHash);
+      if (!receipt) {
+        log(`Pending batch ${pending.txHash} was replaced; rebuilding it`);
+        return 'replaced';
+      }
+    }
+    if (!receipt) {
+      try {
+        await provider.sendTransaction(pending.rawTx);
+      } catch (error) {
+        // Already known to the node
+      }
+      try {
+        receipt = await provider.waitForTransaction(pending.txHash, 1, waitTimeoutMs);
+      } catch (error) {
+        if (error.code !== ethers.errors.TIMEOUT) throw error;
+        log(`Batch ${pending.txHash} not mined after ${waitTimeoutMs} ms; waiting for it on the next run`);
+        return 'unconfirmed';
+      }
+    }
+
+    if (receipt.status !== 1) {
+      log(`Batch ${pending.txHash} reverted in block ${receipt.blockNumber}; rebuilding it`);
+      return 'reverted';
+    }
+    log(`Batch ${pending.txHash} confirmed in block ${receipt.blockNumber} (${pending.sales.length} sales)`);
+    markProcessed(pending.sales);
+    return 'confirmed';
+  }
+
+  /**
+   * Settle the pending batch and clear it from the state file unless it is still unconfirmed.
+   * A batch that did not land reloads the attributed sales first: another submitter may have
+   * attributed some of them, so the rebuilt batch leaves them out.
+   */
+  async function settlePending() {
+    const outcome = await waitForPending();
+    if (outcome === 'unconfirmed') return outcome;
+    if (outcome !== 'confirmed') await refreshProcessed();
+    state.pending = null;
+    save();
+    return outcome;
+  }
+
+  async function submitBatch(sales) {
+    const remaining = sales.filter(sale => !processed.has(saleKey(sale.txHash, sale.tokenId)));
+    if (remaining.length === 0) return 'confirmed';
+
+    const data = distributor.interface.encodeFunctionData('batchUpdateRoyaltyData', [
+      collection,
+      remaining.map(sale => sale.tokenId),
+      remaining.map(sale => sale.minter),
+      remaining.map(sale => sale.salePrice),
+      remaining.map(sale => sale.txHash)
+    ]);
+    const tx = await wallet.populateTransaction({ to: distributor.address, data });
+    const rawTx = await wallet.signTransaction(tx);
+    const txHash = ethers.utils.keccak256(rawTx);
+
+    // Write-ahead: the signed transaction is on disk before it is broadcast
+    state.pending = { txHash, nonce: tx.nonce, rawTx, sales: remaining };
+    save();
+
+    log(`Submitting ${remaining.length} sales in ${txHash}`);
+    await provider.sendTransaction(rawTx);
+    const outcome = await settlePending();
+    if (outcome === 'reverted') {
+      // The next run rebuilds the batch, so one that keeps reverting is not re-sent in a loop
+      throw new Error(`batchUpdateRoyaltyData reverted in ${txHash}`);
+    }
+    return outcome;
+  }
+
+  /**
+   * Index everything up to the confirmed chain head once.
+   * @returns {Promise<number>} The next block to index
+   */
+  async function runOnce() {
+    const latest = await refreshProcessed();
+    const head = latest - confirmations;
+
+    // A batch left by a previous run; once it is settled, the scan below rebuilds it if it did not land
+    if (state.pending && (await settlePending()) === 'unconfirmed') {
+      return state.nextBlock;
+    }
+
+    while (state.nextBlock <= head) {
+      const toBlock = Math.min(state.nextBlock + blockSpan - 1, head);
+      const logs = await nft.queryFilter(nft.filters.Transfer(), state.nextBlock, toBlock);
+      const sales = await collectSales(logs);
+      if (sales.length > 0) {
+        log(`Blocks ${state.nextBlock}-${toBlock}: ${sales.length} new sales`);
+      }
+
+      let rescan = false;
+      for (const batch of chunk(sales, batchSize)) {
+        const outcome = await submitBatch(batch);
+        if (outcome === 'unconfirmed') return state.nextBlock;
+        if (outcome === 'replaced') {
+          rescan = true;
+          break;
+        }
+      }
+      if (rescan) continue;
+
+      state.nextBlock = toBlock + 1;
+      save();
+    }
+
+    return state.nextBlock;
+  }
+
+  return {
+    runOnce,
+    get state() {
+      return state;
+    }
+  };
+}
+
+module.exports = {
+  saleKey,
+  createRoyaltyIndexer
+};
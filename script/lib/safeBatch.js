@@ -0,0 +1,233 @@
+const { ethers } = require('ethers');
+const { loadAbi } = require('./abis');
+
+const SERVICE_ACCOUNT_ROLE = ethers.utils.id('SERVICE_ACCOUNT_ROLE');
+
+// Transaction Builder version the batch files are written for
+const TX_BUILDER_VERSION = '1.16.5';
+
+const requireAddress = (value, field) => {
+  if (!ethers.utils.isAddress(value || '')) throw new Error(`${field} must be an address, got ${value}`);
+  return ethers.utils.getAddress(value);
+};
+
+const requireUint = (value, field) => {
+  if (!/^\d+$/.test(String(value))) throw new Error(`${field} must be a non-negative integer, got ${value}`);
+  return String(value);
+};
+
+const serviceRoleTarget = ({ target = 'collection' }) => {
+  if (target !== 'collection' && target !== 'distributor') throw new Error(`target must be collection or distributor, got ${target}`);
+  return target;
+};
+
+/**
+ * Owner actions a Safe can batch. Each action names the contract it calls (`collection` is
+ * DiamondGenesisPass, `distributor` is CentralizedRoyaltyDistributor), the field that
+ * `name=value` shorthand sets, and how its fields become call arguments.
+ */
+const OWNER_ACTIONS = {
+  setMerkleRoot: {
+    field: 'merkleRoot',
+    target: () => 'collection',
+    args: ({ merkleRoot }) => {
+      if (!ethers.utils.isHexString(merkleRoot, 32)) throw new Error(`merkleRoot must be a bytes32 hex string, got ${merkleRoot}`);
+      return [merkleRoot];
+    }
+  },
+  setPublicMintActive: {
+    field: 'active',
+    target: () => 'collection',
+    args: ({ active }) => {
+      if (![true, false, 'true', 'false'].includes(active)) throw new Error(`active must be true or false, got ${active}`);
+      return [active === true || active === 'true'];
+    }
+  },
+  setBaseURI: {
+    field: 'baseURI',
+    target: () => 'collection',
+    args: ({ baseURI }) => {
+      if (!baseURI) throw new Error('baseURI is required');
+      return [baseURI];
+    }
+  },
+  // An empty suffix is valid (tokenURI is then baseURI + id)
+  setSuffixURI: {
+    field: 'suffixURI',
+    target: () => 'collection',
+    args: ({ suffixURI }) => {
+      if (suffixURI === undefined || suffixURI === null) throw new Error('suffixURI is required (use "" for none)');
+      return [String(suffixURI)];
+    }
+  },
+  setRoyaltyRecipient: {
+    field: 'recipient',
+    target: () => 'collection',
+    args: ({ recipient }) => [requireAddress(recipient, 'recipient')]
+  },
+  grantServiceRole: {
+    field: 'account',
+    method: 'grantRole',
+    target: serviceRoleTarget,
+    args: ({ account }) => [SERVICE_ACCOUNT_ROLE, requireAddress(account, 'account')]
+  },
+  revokeServiceRole: {
+    field: 'account',
+    method: 'revokeRole',
+    target: serviceRoleTarget,
+    args: ({ account }) => [SERVICE_ACCOUNT_ROLE, requireAddress(account, 'account')]
+  },
+  // The collection's onlyOwner wrapper, which forwards to the distributor and emits CreatorAddressUpdated
+  updateCreatorAddress: {
+    field: 'creator',
+    target: () => 'collection',
+    args: ({ creator }) => [requireAddress(creator, 'creator')]
+  },
+  // Takes several fields, so it has no shorthand
+  registerCollection: {
+    target: () => 'distributor',
+    args: ({ royaltyFeeNumerator, minterShares, creatorShares, creator }, { collection }) => [
+      collection,
+      requireUint(royaltyFeeNumerator, 'royaltyFeeNumerator'),
+      requireUint(minterShares, 'minterShares'),
+      requireUint(creatorShares, 'creatorShares'),
+      requireAddress(creator, 'creator')
+    ]
+  },
+  setTrustedOracleAddress: {
+    field: 'oracle',
+    target: () => 'distributor',
+    args: ({ oracle }) => [requireAddress(oracle, 'oracle')]
+  },
+  setOracleUpdateMinBlockInterval: {
+    field: 'interval',
+    target: () => 'distributor',
+    args: ({ interval }, { collection }) => [collection, requireUint(interval, 'interval')]
+  }
+};
+
+/**
+ * Parse `name=value` shorthand (e.g. `setPublicMintActive=true`) into an action object.
+ * @param {string} text
+ */
+function parseAction(text) {
+  const separator = text.indexOf('=');
+  const name = separator === -1 ? text : text.slice(0, separator);
+  const definition = OWNER_ACTIONS[name];
+  if (!definition) {
+    throw new Error(`Unknown action "${name}". Known actions: ${Object.keys(OWNER_ACTIONS).join(', ')}`);
+  }
+  if (!definition.field) {
+    throw new Error(`${name} takes several fields; pass it in an --actions file`);
+  }
+  return { action: name, [definition.field]: separator === -1 ? undefined : text.slice(separator + 1) };
+}
+
+/**
+ * ABI-encode owner actions into Safe transactions.
+ * @param {object[]} actions `{ action, ...fields }` objects (see OWNER_ACTIONS)
+ * @param {object} addresses
+ * @param {string} addresses.collection DiamondGenesisPass
+ * @param {string} [addresses.distributor] CentralizedRoyaltyDistributor, for distributor actions
+ * @returns {object[]} `{ to, value, data, contractMethod, contractInputsValues, description }`
+ */
+function buildTransactions(actions, { collection, distributor }) {
+  const contracts = {
+    collection: { address: collection, abi: loadAbi('DiamondGenesisPass') },
+    distributor: { address: distributor, abi: loadAbi('CentralizedRoyaltyDistributor') }
+  };
+
+  return actions.map((action, index) => {
+    const definition = OWNER_ACTIONS[action.action];
+    if (!definition) {
+      throw new Error(`Action ${index}: unknown action "${action.action}"`);
+    }
+
+    try {
+      const target = contracts[definition.target(action)];
+      const address = requireAddress(target.address, definition.target(action));
+      const args = definition.args(action, { collection: contracts.collection.address });
+      const method = definition.method || action.action;
+      const fragment = target.abi.find(item => item.type === 'function' && item.name === method && item.inputs.length === args.length);
+      const iface = new ethers.utils.Interface([fragment]);
+
+      return {
+        to: address,
+        value: '0',
+        data: iface.encodeFunctionData(method, args),
+        contractMethod: {
+          inputs: fragment.inputs.map(({ internalType, name, type }) => ({ internalType, name, type })),
+          name: method,
+          payable: false
+        },
+        contractInputsValues: Object.fromEntries(fragment.inputs.map((input, i) => [input.name, String(args[i])])),
+        description: `${definition.target(action)}.${method}(${args.join(', ')})`
+      };
+    } catch (error) {
+      throw new Error(`Action ${index} (${action.action}): ${error.message}`);
+    }
+  });
+}
+
+// Key-sorted serialization the Transaction Builder hashes for its checksum
+function serializeJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(serializeJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${JSON.stringify(keys)}${keys.map(key => `${serializeJson(value[key])},`).join('')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Checksum the Transaction Builder verifies when a batch file is imported.
+ * It covers the whole file except the batch name.
+ */
+function batchChecksum(batch) {
+  return ethers.utils.id(serializeJson({ ...batch, meta: { ...batch.meta, name: null } }));
+}
+
+/**
+ * Build a Safe Transaction Builder batch file.
+ * @param {object} options
+ * @param {number} options.chainId
+ * @param {string} options.safe Safe address the batch is created for
+ * @param {object[]} options.transactions From buildTransactions
+ * @param {string} [options.name]
+ * @param {string} [options.description]
+ * @param {number} [options.createdAt] Milliseconds since the epoch
+ */
+function createBatchFile({ chainId, safe, transactions, name = 'Owner actions', description = '', createdAt = Date.now() }) {
+  const batch = {
+    version: '1.0',
+    chainId: String(chainId),
+    createdAt,
+    meta: {
+      name,
+      description: description || transactions.map(tx => tx.description).join('\n'),
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: ethers.utils.getAddress(safe),
+      createdFromOwnerAddress: ''
+    },
+    transactions: transactions.map(({ to, value, data, contractMethod, contractInputsValues }) => ({
+      to,
+      value,
+      data,
+      contractMethod,
+      contractInputsValues
+    }))
+  };
+  batch.meta.checksum = batchChecksum(batch);
+  return batch;
+}
+
+module.exports = {
+  SERVICE_ACCOUNT_ROLE,
+  OWNER_ACTIONS,
+  parseAction,
+  buildTransactions,
+  batchChecksum,
+  createBatchFile
+};
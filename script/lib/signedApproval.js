@@ -0,0 +1,182 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+// No deployed contract in this repo's ABIs mixes in SignedApprovalMint; these are the fragments the signer needs
+const SIGNED_APPROVAL_ABI = [
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
+  'function approvalSigner() view returns (address)',
+  'function remainingSignedMints() view returns (uint256)',
+  'function hasMintedBySignedApproval(address account) view returns (bool)',
+  'function signedClaimsDecommissioned() view returns (bool)',
+  'function claimSignedMint(bytes signature, uint256 quantity)'
+];
+
+// keccak256("Approved(address wallet,uint256 quantity)") in SignedApprovalMintBase.claimSignedMint
+const APPROVED_TYPES = {
+  Approved: [
+    { name: 'wallet', type: 'address' },
+    { name: 'quantity', type: 'uint256' }
+  ]
+};
+
+/**
+ * A request the signer refuses; `status` is the HTTP status the endpoint answers with.
+ */
+class ApprovalError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ApprovalError';
+    this.status = status;
+  }
+}
+
+/**
+ * Validate the signer config: per-wallet caps and, for contracts without EIP-5267, the domain.
+ * @param {object} data `{ defaultCap?, caps: { address: number }, domain?: { name, version } }`
+ * @returns {{ defaultCap: number, caps: Map<string, number>, domain: object|null }}
+ */
+function parseSignerConfig(data) {
+  const requireCap = (value, field) => {
+    if (!Number.isInteger(value) || value < 0) throw new Error(`${field} must be a non-negative integer, got ${value}`);
+    return value;
+  };
+  const caps = new Map();
+  for (const [address, cap] of Object.entries(data.caps || {})) {
+    if (!ethers.utils.isAddress(address)) throw new Error(`caps: ${address} is not an address`);
+    caps.set(ethers.utils.getAddress(address), requireCap(cap, `caps.${address}`));
+  }
+  const { domain = null } = data;
+  if (domain && (typeof domain.name !== 'string' || typeof domain.version !== 'string')) {
+    throw new Error('domain needs a name and a version');
+  }
+  return { defaultCap: requireCap(data.defaultCap ?? 0, 'defaultCap'), caps, domain };
+}
+
+/**
+ * The contract's EIP-712 domain. Read with EIP-5267 `eip712Domain()` (OpenZeppelin EIP712
+ * since 4.9); older contracts only keep the hashed name and version, so those then come from
+ * `fallback`, with the chain ID and verifying contract from the node.
+ * @param {ethers.Contract} contract
+ * @param {{ name: string, version: string }|null} [fallback]
+ * @returns {Promise<{ name: string, version: string, chainId: number, verifyingContract: string }>}
+ */
+async function readDomain(contract, fallback = null) {
+  let onChain;
+  try {
+    onChain = await contract.eip712Domain();
+  } catch (error) {
+    if (error.code !== 'CALL_EXCEPTION') throw error;
+    if (!fallback) {
+      throw new Error(`${contract.address} does not implement eip712Domain(); set domain.name and domain.version in the config`);
+    }
+    const { chainId } = await contract.provider.getNetwork();
+    return { name: fallback.name, version: fallback.version, chainId, verifyingContract: contract.address };
+  }
+
+  const domain = {
+    name: onChain.name,
+    version: onChain.version,
+    chainId: onChain.chainId.toNumber(),
+    verifyingContract: ethers.utils.getAddress(onChain.verifyingContract)
+  };
+  if (fallback && (fallback.name !== domain.name || fallback.version !== domain.version)) {
+    throw new Error(`The config domain (${fallback.name} v${fallback.version}) differs from the contract's (${domain.name} v${domain.version})`);
+  }
+  return domain;
+}
+
+/**
+ * Load the approval signer from an encrypted JSON keystore (the format of `ethers.Wallet.encrypt`,
+ * geth and `cast wallet`).
+ * @param {string} file
+ * @param {string} password
+ * @returns {Promise<ethers.Wallet>}
+ */
+async function loadKeystore(file, password) {
+  return ethers.Wallet.fromEncryptedJson(fs.readFileSync(file, 'utf8'), password);
+}
+
+/**
+ * Issues `Approved(wallet, quantity)` signatures for SignedApprovalMint.claimSignedMint.
+ *
+ * A signature is only issued when the key is the contract's approvalSigner(), the quantity is
+ * within the wallet's cap, the wallet has not claimed yet, claims are not decommissioned and
+ * enough signed mints remain. Each wallet can claim once, so several signatures within its cap
+ * still mint at most that cap.
+ *
+ * @param {object} options
+ * @param {ethers.Contract} options.contract SignedApprovalMint contract (SIGNED_APPROVAL_ABI)
+ * @param {ethers.Wallet} options.signer
+ * @param {object} options.config From parseSignerConfig
+ * @param {Function} options.record Structured log writer (see lib/jsonlLog.js)
+ */
+function createApprovalSigner({ contract, signer, config, record }) {
+  let domain = null;
+
+  /**
+   * Read the domain and check that the key is the contract's signer.
+   * @returns {Promise<object>} The domain
+   */
+  async function init() {
+    domain = await readDomain(contract, config.domain);
+    const approvalSigner = await contract.approvalSigner();
+    if (approvalSigner !== signer.address) {
+      throw new Error(`The keystore holds ${signer.address} but ${contract.address} accepts signatures from ${approvalSigner}`);
+    }
+    return domain;
+  }
+
+  /**
+   * @param {string} wallet The account that will call claimSignedMint
+   * @param {number|string} quantity
+   * @param {object} [context] Extra fields for the log (e.g. the requester)
+   * @returns {Promise<{ wallet: string, quantity: string, signature: string, signer: string, domain: object }>}
+   */
+  async function sign(wallet, quantity, context = {}) {
+    if (!domain) throw new Error('init() has not been called');
+    if (!ethers.utils.isAddress(wallet || '')) throw new ApprovalError(`wallet must be an address, got ${wallet}`);
+    if (!/^[1-9]\d*$/.test(String(quantity))) throw new ApprovalError(`quantity must be a positive integer, got ${quantity}`);
+    const account = ethers.utils.getAddress(wallet);
+    const amount = Number(quantity);
+
+    try {
+      const cap = config.caps.has(account) ? config.caps.get(account) : config.defaultCap;
+      if (amount > cap) throw new ApprovalError(`${account} may claim at most ${cap}`, 403);
+      if (await contract.signedClaimsDecommissioned()) throw new ApprovalError('Signed claims are decommissioned', 409);
+      if (await contract.hasMintedBySignedApproval(account)) throw new ApprovalError(`${account} has already claimed`, 409);
+      const remaining = await contract.remainingSignedMints();
+      if (remaining.lt(amount)) throw new ApprovalError(`Only ${remaining} signed mints remain`, 409);
+    } catch (error) {
+      if (error instanceof ApprovalError) record('rejected', { wallet: account, quantity: amount, reason: error.message, ...context });
+      throw error;
+    }
+
+    const signature = await signer._signTypedData(domain, APPROVED_TYPES, { wallet: account, quantity: amount });
+    record('signed', {
+      wallet: account,
+      quantity: amount,
+      signature,
+      signer: signer.address,
+      chainId: domain.chainId,
+      verifyingContract: domain.verifyingContract,
+      ...context
+    });
+    return { wallet: account, quantity: String(amount), signature, signer: signer.address, domain };
+  }
+
+  return {
+    init,
+    sign,
+    domain: () => domain
+  };
+}
+
+module.exports = {
+  SIGNED_APPROVAL_ABI,
+  APPROVED_TYPES,
+  ApprovalError,
+  parseSignerConfig,
+  readDomain,
+  loadKeystore,
+  createApprovalSigner
+};
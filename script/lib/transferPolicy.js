@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const YAML = require('yaml');
+const { fetchLogsInSpans } = require('./chain');
+
+// No committed ABI covers CreatorTokenTransferValidator; these are the fragments the policy manager needs
+const TRANSFER_VALIDATOR_ABI = [
+  'function lastListId() view returns (uint120)',
+  'function listOwners(uint120 id) view returns (address)',
+  'function getCollectionSecurityPolicy(address collection) view returns (tuple(bool disableAuthorizationMode, bool authorizersCannotSetWildcardOperators, uint8 transferSecurityLevel, uint120 listId, bool enableAccountFreezingMode, uint16 tokenType))',
+  'function getWhitelistedAccounts(uint120 id) view returns (address[])',
+  'function getWhitelistedCodeHashes(uint120 id) view returns (bytes32[])',
+  'function getBlacklistedAccounts(uint120 id) view returns (address[])',
+  'function getBlacklistedCodeHashes(uint120 id) view returns (bytes32[])',
+  'function getAuthorizerAccounts(uint120 id) view returns (address[])',
+  'function getFrozenAccountsByCollection(address collection) view returns (address[])',
+  'function createList(string name) returns (uint120 id)',
+  'function addAccountsToWhitelist(uint120 id, address[] accounts)',
+  'function removeAccountsFromWhitelist(uint120 id, address[] accounts)',
+  'function addCodeHashesToWhitelist(uint120 id, bytes32[] codehashes)',
+  'function removeCodeHashesFromWhitelist(uint120 id, bytes32[] codehashes)',
+  'function addAccountsToBlacklist(uint120 id, address[] accounts)',
+  'function removeAccountsFromBlacklist(uint120 id, address[] accounts)',
+  'function addCodeHashesToBlacklist(uint120 id, bytes32[] codehashes)',
+  'function removeCodeHashesFromBlacklist(uint120 id, bytes32[] codehashes)',
+  'function addAccountsToAuthorizers(uint120 id, address[] accounts)',
+  'function removeAccountsFromAuthorizers(uint120 id, address[] accounts)',
+  'function applyListToCollection(address collection, uint120 id)',
+  'function setTransferSecurityLevelOfCollection(address collection, uint8 level, bool disableAuthorizationMode, bool disableWildcardOperators, bool enableAccountFreezingMode)',
+  'function setTokenTypeOfCollection(address collection, uint16 tokenType)',
+  'function freezeAccountsForCollection(address collection, address[] accountsToFreeze)',
+  'function unfreezeAccountsForCollection(address collection, address[] accountsToUnfreeze)',
+  'event CreatedList(uint256 indexed id, string name)',
+  'event ReassignedListOwnership(uint256 indexed id, address indexed newOwner)',
+  'error CreatorTokenTransferValidator__CallerDoesNotOwnList()',
+  'error CreatorTokenTransferValidator__CallerMustHaveElevatedPermissionsForSpecifiedNFT()',
+  'error CreatorTokenTransferValidator__InvalidTransferSecurityLevel()',
+  'error CreatorTokenTransferValidator__ListDoesNotExist()'
+];
+
+// The settings setTransferSecurityLevelOfCollection writes together, by policy key
+const LEVEL_SETTINGS = ['transferSecurityLevel', 'disableAuthorizationMode', 'authorizersCannotSetWildcardOperators', 'enableAccountFreezingMode'];
+
+/**
+ * The parts of a list the policy can manage, with the validator functions that read and edit
+ * them. Authorizers are accounts only; the validator has no authorizer codehashes.
+ */
+const LIST_SECTIONS = [
+  { key: 'whitelist.accounts', type: 'address', read: 'getWhitelistedAccounts', add: 'addAccountsToWhitelist', remove: 'removeAccountsFromWhitelist' },
+  { key: 'whitelist.codeHashes', type: 'bytes32', read: 'getWhitelistedCodeHashes', add: 'addCodeHashesToWhitelist', remove: 'removeCodeHashesFromWhitelist' },
+  { key: 'blacklist.accounts', type: 'address', read: 'getBlacklistedAccounts', add: 'addAccountsToBlacklist', remove: 'removeAccountsFromBlacklist' },
+  { key: 'blacklist.codeHashes', type: 'bytes32', read: 'getBlacklistedCodeHashes', add: 'addCodeHashesToBlacklist', remove: 'removeCodeHashesFromBlacklist' },
+  { key: 'authorizers', type: 'address', read: 'getAuthorizerAccounts', add: 'addAccountsToAuthorizers', remove: 'removeAccountsFromAuthorizers' }
+];
+
+const POLICY_KEYS = ['collection', 'validator', ...LEVEL_SETTINGS, 'tokenType', 'list', 'frozenAccounts'];
+
+const normalize = {
+  address: value => ethers.utils.getAddress(value),
+  bytes32: value => value.toLowerCase()
+};
+
+function requireKeys(object, allowed, field) {
+  const unknown = Object.keys(object).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) throw new Error(`${field}: unknown key(s) ${unknown.join(', ')}; expected ${allowed.join(', ')}`);
+}
+
+function requireInteger(value, field, max) {
+  if (!Number.isInteger(value) || value < 0 || value > max) throw new Error(`${field} must be an integer from 0 to ${max}, got ${value}`);
+  return value;
+}
+
+function requireBoolean(value, field) {
+  if (typeof value !== 'boolean') throw new Error(`${field} must be true or false, got ${value}`);
+  return value;
+}
+
+function requireEntries(values, type, field) {
+  if (!Array.isArray(values)) throw new Error(`${field} must be a list`);
+  const seen = new Set();
+  return values.map(value => {
+    const valid = type === 'address' ? ethers.utils.isAddress(String(value)) : ethers.utils.isHexString(value, 32);
+    if (!valid) throw new Error(`${field}: ${value} is not ${type === 'address' ? 'an address' : 'a bytes32 codehash'}`);
+    const entry = normalize[type](value);
+    if (seen.has(entry)) throw new Error(`${field}: ${value} is listed twice`);
+    seen.add(entry);
+    return entry;
+  });
+}
+
+/**
+ * Validate a transfer policy. Keys that are left out are not managed: the tool neither reads
+ * nor changes them. List sections and frozenAccounts that are given are converged exactly, so
+ * entries missing from the file are removed on-chain.
+ * @param {object} data Parsed YAML or JSON
+ * @returns {object} The policy with checksummed addresses and lower-case codehashes
+ */
+function parsePolicy(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('The policy must be a mapping');
+  requireKeys(data, POLICY_KEYS, 'policy');
+
+  const policy = {};
+  for (const key of ['collection', 'validator']) {
+    if (data[key] === undefined) continue;
+    if (!ethers.utils.isAddress(String(data[key]))) throw new Error(`${key} must be an address, got ${data[key]}`);
+    policy[key] = ethers.utils.getAddress(data[key]);
+  }
+  if (data.transferSecurityLevel !== undefined) policy.transferSecurityLevel = requireInteger(data.transferSecurityLevel, 'transferSecurityLevel', 9);
+  for (const key of LEVEL_SETTINGS.slice(1)) {
+    if (data[key] !== undefined) policy[key] = requireBoolean(data[key], key);
+  }
+  if (data.tokenType !== undefined) policy.tokenType = requireInteger(data.tokenType, 'tokenType', 65535);
+  if (data.frozenAccounts !== undefined) policy.frozenAccounts = requireEntries(data.frozenAccounts, 'address', 'frozenAccounts');
+
+  if (data.list !== undefined) {
+    const list = data.list;
+    if (!list || typeof list !== 'object' || Array.isArray(list)) throw new Error('list must be a mapping');
+    requireKeys(list, ['id', 'name', 'whitelist', 'blacklist', 'authorizers'], 'list');
+    if (list.id === undefined && typeof list.name !== 'string') throw new Error('list needs an id or a name');
+    if (list.name !== undefined && (typeof list.name !== 'string' || list.name === '')) throw new Error('list.name must be a non-empty string');
+    policy.list = { id: list.id === undefined ? null : requireInteger(list.id, 'list.id', Number.MAX_SAFE_INTEGER), name: list.name || null, sections: {} };
+    for (const kind of ['whitelist', 'blacklist']) {
+      if (list[kind] !== undefined) requireKeys(list[kind] || {}, ['accounts', 'codeHashes'], `list.${kind}`);
+    }
+    for (const section of LIST_SECTIONS) {
+      const [kind, part] = section.key.split('.');
+      const values = part ? (list[kind] || {})[part] : list[kind];
+      if (values !== undefined) policy.list.sections[section.key] = requireEntries(values, section.type, `list.${section.key}`);
+    }
+  }
+  return policy;
+}
+
+/**
+ * Read and validate a policy file; .yaml / .yml files are YAML, anything else JSON.
+ * YAML would read unquoted 0x... addresses and codehashes as hex integers, so they stay strings.
+ * @param {string} file
+ */
+function loadPolicyFile(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  const data = ['.yaml', '.yml'].includes(path.extname(file).toLowerCase())
+    ? YAML.parse(content, { customTags: tags => tags.filter(tag => tag.format !== 'HEX') })
+    : JSON.parse(content);
+  return parsePolicy(data);
+}
+
+/**
+ * The collection's current settings on the validator.
+ * @param {ethers.Contract} validator CreatorTokenTransferValidator (TRANSFER_VALIDATOR_ABI)
+ * @param {string} collection
+ */
+async function readCollectionPolicy(validator, collection) {
+  const policy = await validator.getCollectionSecurityPolicy(collection);
+  return {
+    transferSecurityLevel: policy.transferSecurityLevel,
+    disableAuthorizationMode: policy.disableAuthorizationMode,
+    authorizersCannotSetWildcardOperators: policy.authorizersCannotSetWildcardOperators,
+    enableAccountFreezingMode: policy.enableAccountFreezingMode,
+    tokenType: policy.tokenType,
+    listId: policy.listId.toNumber(),
+    frozenAccounts: (await validator.getFrozenAccountsByCollection(collection)).map(normalize.address)
+  };
+}
+
+/**
+ * A list's owner and the sections the policy manages.
+ * @param {ethers.Contract} validator
+ * @param {number} id
+ * @returns {Promise<{ id: number, owner: string, sections: Object<string, string[]> }>}
+ */
+async function readList(validator, id) {
+  const sections = {};
+  for (const section of LIST_SECTIONS) {
+    sections[section.key] = (await validator[section.read](id)).map(normalize[section.type]);
+  }
+  return { id, owner: await validator.listOwners(id), sections };
+}
+
+/**
+ * Lists that `owner` currently owns, with the name they were created under. Found from the
+ * ReassignedListOwnership events naming the owner (one getLogs query per block span); the name
+ * comes from the CreatedList event in the same transaction, so lists handed over by someone
+ * else have no name.
+ * @param {ethers.Contract} validator
+ * @param {string} owner
+ * @param {object} options
+ * @param {number} options.fromBlock
+ * @param {number} options.toBlock
+ * @param {number} [options.blockSpan]
+ * @returns {Promise<Array<{ id: number, name: string|null }>>}
+ */
+async function findOwnedLists(validator, owner, { fromBlock, toBlock, blockSpan = 2000 }) {
+  const { interface: iface, provider } = validator;
+  const topics = [iface.getEventTopic('ReassignedListOwnership'), null, ethers.utils.hexZeroPad(owner.toLowerCase(), 32)];
+  const found = new Map();
+  for (const log of await fetchLogsInSpans(provider, { address: validator.address, topics }, { fromBlock, toBlock, blockSpan })) {
+    const id = iface.parseLog(log).args.id.toNumber();
+    if (!found.has(id)) found.set(id, log.transactionHash);
+  }
+
+  const lists = [];
+  for (const [id, transactionHash] of found) {
+    if (await validator.listOwners(id) !== ethers.utils.getAddress(owner)) continue;
+    const receipt = await provider.getTransactionReceipt(transactionHash);
+    const created = receipt.logs
+      .filter(log => log.address === ethers.utils.getAddress(validator.address) && log.topics[0] === iface.getEventTopic('CreatedList'))
+      .map(log => iface.parseLog(log))
+      .find(event => event.args.id.toNumber() === id);
+    lists.push({ id, name: created ? created.args.name : null });
+  }
+  return lists;
+}
+
+/**
+ * The calls that take the collection from `current` to `policy`, in a safe order: create and
+ * fill the list, apply it, then set the security level, token type and frozen accounts.
+ * @param {object} policy From parsePolicy
+ * @param {object} state
+ * @param {string} state.collection
+ * @param {object} state.current From readCollectionPolicy
+ * @param {object|null} state.list From readList for the policy's list; null when it is created
+ * @param {number} state.listId The list the collection should use (predicted for a new list)
+ * @param {string} state.sender Account the calls are sent from
+ * @param {boolean} state.canManageCollection Whether `sender` is the collection, its owner or an admin
+ * @returns {{ changes: object[], calls: object[], errors: string[] }}
+ */
+function planPolicy(policy, { collection, current, list, listId, sender, canManageCollection }) {
+  const changes = [];
+  const calls = [];
+  const errors = [];
+  const call = (method, args, description) => calls.push({ method, args, description });
+
+  if (policy.list) {
+    const label = policy.list.name ? `list ${listId} "${policy.list.name}"` : `list ${listId}`;
+    if (!list) {
+      changes.push({ op: '+', field: label, detail: 'create' });
+      call('createList', [policy.list.name], `createList("${policy.list.name}")`);
+    }
+    const owned = !list || list.owner === sender;
+    for (const section of LIST_SECTIONS) {
+      const wanted = policy.list.sections[section.key];
+      if (!wanted) continue;
+      const existing = list ? list.sections[section.key] : [];
+      const added = wanted.filter(entry => !existing.includes(entry));
+      const removed = existing.filter(entry => !wanted.includes(entry));
+      if (added.length === 0 && removed.length === 0) continue;
+      changes.push({ op: '~', field: `${label} ${section.key}`, added, removed });
+      if (!owned) {
+        errors.push(`${label} is owned by ${list.owner}, not ${sender}, so its ${section.key} cannot be changed`);
+        continue;
+      }
+      if (added.length > 0) call(section.add, [listId, added], `${section.add}(${listId}, ${added.length})`);
+      if (removed.length > 0) call(section.remove, [listId, removed], `${section.remove}(${listId}, ${removed.length})`);
+    }
+    if (current.listId !== listId) {
+      changes.push({ op: '~', field: 'listId', from: current.listId, to: listId });
+      call('applyListToCollection', [collection, listId], `applyListToCollection(${collection}, ${listId})`);
+    }
+  }
+
+  const level = Object.fromEntries(LEVEL_SETTINGS.map(key => [key, policy[key] === undefined ? current[key] : policy[key]]));
+  const levelChanges = LEVEL_SETTINGS.filter(key => level[key] !== current[key]);
+  if (levelChanges.length > 0) {
+    levelChanges.forEach(key => changes.push({ op: '~', field: key, from: current[key], to: level[key] }));
+    call('setTransferSecurityLevelOfCollection', [collection, ...LEVEL_SETTINGS.map(key => level[key])],
+      `setTransferSecurityLevelOfCollection(${collection}, ${LEVEL_SETTINGS.map(key => level[key]).join(', ')})`);
+  }
+
+  if (policy.tokenType !== undefined && policy.tokenType !== current.tokenType) {
+    changes.push({ op: '~', field: 'tokenType', from: current.tokenType, to: policy.tokenType });
+    call('setTokenTypeOfCollection', [collection, policy.tokenType], `setTokenTypeOfCollection(${collection}, ${policy.tokenType})`);
+  }
+
+  if (policy.frozenAccounts) {
+    const added = policy.frozenAccounts.filter(account => !current.frozenAccounts.includes(account));
+    const removed = current.frozenAccounts.filter(account => !policy.frozenAccounts.includes(account));
+    if (added.length > 0 || removed.length > 0) {
+      changes.push({ op: '~', field: 'frozenAccounts', added, removed });
+      if (added.length > 0) call('freezeAccountsForCollection', [collection, added], `freezeAccountsForCollection(${collection}, ${added.length})`);
+      if (removed.length > 0) call('unfreezeAccountsForCollection', [collection, removed], `unfreezeAccountsForCollection(${collection}, ${removed.length})`);
+    }
+  }
+
+  const collectionCalls = calls.filter(({ args }) => args[0] === collection);
+  if (collectionCalls.length > 0 && !canManageCollection) {
+    errors.push(`${sender} is not the owner or an admin of ${collection}, so it cannot change the collection's policy`);
+  }
+  return { changes, calls, errors };
+}
+
+/**
+ * Render a plan as `+` / `~` / `-` lines, like a Terraform plan.
+ * @param {{ changes: object[] }} plan
+ * @param {Map<string, string>} [labels] Names shown next to list entries, e.g. from the operator catalog
+ * @returns {string[]}
+ */
+function formatPlan({ changes }, labels = new Map()) {
+  const lines = [];
+  const label = entry => (labels.has(entry) ? `${entry} (${labels.get(entry)})` : entry);
+  for (const change of changes) {
+    if (change.detail) {
+      lines.push(`  ${change.op} ${change.field} (${change.detail})`);
+    } else if (change.added) {
+      lines.push(`  ${change.op} ${change.field}`);
+      change.added.forEach(entry => lines.push(`      + ${label(entry)}`));
+      change.removed.forEach(entry => lines.push(`      - ${label(entry)}`));
+    } else {
+      lines.push(`  ${change.op} ${change.field}: ${change.from} -> ${change.to}`);
+    }
+  }
+  return lines;
+}
+
+module.exports = {
+  TRANSFER_VALIDATOR_ABI,
+  LEVEL_SETTINGS,
+  LIST_SECTIONS,
+  parsePolicy,
+  loadPolicyFile,
+  readCollectionPolicy,
+  readList,
+  findOwnedLists,
+  planPolicy,
+  formatPlan
+};
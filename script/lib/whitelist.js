@@ -0,0 +1,141 @@
+const { ethers } = require('ethers');
+const { MerkleTree } = require('merkletreejs');
+const keccak256 = require('keccak256');
+
+// Mirrors DiamondGenesisPass.MAX_WHITELIST_SUPPLY
+const MAX_WHITELIST_SUPPLY = 212;
+
+/**
+ * Compute the leaf DiamondGenesisPass.whitelistMint checks:
+ * keccak256(abi.encodePacked(sender, quantity))
+ * @param {string} address
+ * @param {number|string} quantity
+ * @returns {string} 0x-prefixed leaf hash
+ */
+function whitelistLeaf(address, quantity) {
+  return ethers.utils.solidityKeccak256(['address', 'uint256'], [address, quantity]);
+}
+
+/**
+ * Parse an allowlist file into raw `{ address, quantity, line }` rows.
+ * CSV rows are `address,quantity` (a header row and `#` comments are skipped).
+ * JSON may be an array of `{ address, quantity }` or an `{ address: quantity }` map.
+ * @param {string} content File contents
+ * @param {'csv'|'json'} format
+ * @returns {Array<{ address: string, quantity: string, line: number }>}
+ */
+function parseAllowlist(content, format) {
+  if (format === 'json') {
+    const data = JSON.parse(content);
+    const rows = Array.isArray(data)
+      ? data.map(item => [item.address, item.quantity])
+      : Object.entries(data);
+    return rows.map(([address, quantity], i) => ({
+      address: String(address).trim(),
+      quantity: String(quantity).trim(),
+      line: i + 1
+    }));
+  }
+
+  const rows = [];
+  content.split(/\r?\n/).forEach((raw, i) => {
+    const text = raw.trim();
+    if (!text || text.startsWith('#')) return;
+    const [address = '', quantity = ''] = text.split(',').map(field => field.trim());
+    // Header row
+    if (rows.length === 0 && !address.toLowerCase().startsWith('0x')) return;
+    rows.push({ address, quantity, line: i + 1 });
+  });
+  return rows;
+}
+
+/**
+ * Validate allowlist rows against what whitelistMint will accept.
+ * @param {Array<{ address: string, quantity: string, line: number }>} rows
+ * @returns {{ entries: Array<{ address: string, quantity: number }>, errors: object[], totalQuantity: number }}
+ */
+function validateAllowlist(rows) {
+  const entries = [];
+  const errors = [];
+  const seen = new Map();
+
+  for (const row of rows) {
+    let address;
+    try {
+      address = ethers.utils.getAddress(row.address);
+    } catch (error) {
+      const isHex = /^0x[0-9a-fA-F]{40}$/.test(row.address);
+      errors.push({
+        type: isHex ? 'checksum' : 'invalid-address',
+        line: row.line,
+        address: row.address
+      });
+      continue;
+    }
+
+    if (!/^\d+$/.test(row.quantity) || Number(row.quantity) === 0) {
+      errors.push({ type: 'invalid-quantity', line: row.line, address, quantity: row.quantity });
+      continue;
+    }
+
+    if (seen.has(address)) {
+      errors.push({ type: 'duplicate', line: row.line, address, firstLine: seen.get(address) });
+      continue;
+    }
+
+    seen.set(address, row.line);
+    entries.push({ address, quantity: Number(row.quantity) });
+  }
+
+  const totalQuantity = entries.reduce((sum, entry) => sum + entry.quantity, 0);
+  if (totalQuantity > MAX_WHITELIST_SUPPLY) {
+    errors.push({ type: 'supply-exceeded', totalQuantity, maxWhitelistSupply: MAX_WHITELIST_SUPPLY });
+  }
+
+  return { entries, errors, totalQuantity };
+}
+
+/**
+ * Build the whitelist Merkle tree with sorted pairs, as OpenZeppelin MerkleProof expects.
+ * @param {Array<{ address: string, quantity: number }>} entries
+ * @returns {{ root: string, claims: Object<string, { quantity: number, leaf: string, proof: string[] }> }}
+ */
+function buildWhitelistTree(entries) {
+  const leaves = entries.map(entry => whitelistLeaf(entry.address, entry.quantity));
+  const tree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+
+  const claims = {};
+  entries.forEach((entry, i) => {
+    claims[entry.address] = {
+      quantity: entry.quantity,
+      leaf: leaves[i],
+      proof: tree.getHexProof(leaves[i])
+    };
+  });
+
+  return { root: tree.getHexRoot(), claims };
+}
+
+/**
+ * Verify a proof the same way MerkleProof.verify does on-chain.
+ * @param {string} root
+ * @param {string} leaf
+ * @param {string[]} proof
+ * @returns {boolean}
+ */
+function verifyProof(root, leaf, proof) {
+  const computed = proof.reduce((hash, sibling) => {
+    const [a, b] = hash.toLowerCase() < sibling.toLowerCase() ? [hash, sibling] : [sibling, hash];
+    return ethers.utils.keccak256(ethers.utils.concat([a, b]));
+  }, leaf);
+  return computed.toLowerCase() === root.toLowerCase();
+}
+
+module.exports = {
+  MAX_WHITELIST_SUPPLY,
+  whitelistLeaf,
+  parseAllowlist,
+  validateAllowlist,
+  buildWhitelistTree,
+  verifyProof
+};
@@ -9,8 +9,9 @@ async function main() {
   console.log("Interacting with contracts using account:", owner.address);
 
   // Load contract data
-  const dgpData = loadContractData("DiamondGenesisPass");
-  const distributorData = loadContractData("CentralizedRoyaltyDistributor");
+  const { chainId } = await ethers.provider.getNetwork();
+  const dgpData = loadContractData("DiamondGenesisPass", chainId);
+  const distributorData = loadContractData("CentralizedRoyaltyDistributor", chainId);
 
   // Connect to contracts
   const diamondGenesisPass = new ethers.Contract(
@@ -89,10 +90,15 @@ async function main() {
   }
 }
 
-function loadContractData(contractName) {
+// ABIs are bare arrays in abis/; addresses come from the deployments registry
+function loadContractData(contractName, chainId) {
   try {
-    const filePath = path.join(__dirname, "../abis", contractName + ".json");
-    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const abi = JSON.parse(fs.readFileSync(path.join(__dirname, "../abis", contractName + ".json"), "utf8"));
+    const registry = JSON.parse(fs.readFileSync(path.join(__dirname, "../deployments", chainId + ".json"), "utf8"));
+    if (!registry.contracts[contractName]) {
+      throw new Error(`not in deployments/${chainId}.json; run \`npm run deploy\` first`);
+    }
+    return { address: registry.contracts[contractName].address, abi };
   } catch (error) {
     throw new Error(`Failed to load contract data for ${contractName}: ${error.message}`);
   }
@@ -3,26 +3,25 @@
 
 # Load environment variables and deployment addresses
 source .env
-ADDRESSES_FILE="./deployments/addresses.json"
+RPC_URL=${RPC_URL:-"http://localhost:8545"}
+CHAIN_ID=$(cast chain-id --rpc-url $RPC_URL)
+ADDRESSES_FILE="./deployments/$CHAIN_ID.json"
 
 # Check if addresses file exists
 if [ ! -f "$ADDRESSES_FILE" ]; then
   echo "Error: Deployment addresses file not found at $ADDRESSES_FILE"
-  echo "Please run the deployment script first."
+  echo "Run \`npm run deploy\` first."
   exit 1
 fi
 
 # Extract contract addresses
-DISTRIBUTOR_ADDRESS=$(jq -r '.CentralizedRoyaltyDistributor' "$ADDRESSES_FILE")
-DGP_ADDRESS=$(jq -r '.DiamondGenesisPass' "$ADDRESSES_FILE")
+DISTRIBUTOR_ADDRESS=$(jq -r '.contracts.CentralizedRoyaltyDistributor.address' "$ADDRESSES_FILE")
+DGP_ADDRESS=$(jq -r '.contracts.DiamondGenesisPass.address' "$ADDRESSES_FILE")
 
 echo "Interacting with contracts..."
 echo "DiamondGenesisPass: $DGP_ADDRESS"
 echo "CentralizedRoyaltyDistributor: $DISTRIBUTOR_ADDRESS"
 
-# Set RPC URL from environment or use default
-RPC_URL=${RPC_URL:-"http://localhost:8545"}
-
 echo -e "\n--- DiamondGenesisPass Contract Interactions ---"
 
 # Get total supply
@@ -1,14 +1,17 @@
 #!/bin/bash
 # scripts/owner-actions.sh - Common owner actions for DiamondGenesisPass
+# Signs with PRIVATE_KEY. Once a Safe owns the contract, use `npm run safe-batch` instead.
 
 # Load environment variables and deployment addresses
 source .env
-ADDRESSES_FILE="./deployments/addresses.json"
+RPC_URL=${RPC_URL:-"http://localhost:8545"}
+CHAIN_ID=$(cast chain-id --rpc-url $RPC_URL)
+ADDRESSES_FILE="./deployments/$CHAIN_ID.json"
 
 # Check if addresses file exists
 if [ ! -f "$ADDRESSES_FILE" ]; then
   echo "Error: Deployment addresses file not found at $ADDRESSES_FILE"
-  echo "Please run the deployment script first."
+  echo "Run \`npm run deploy\` first."
   exit 1
 fi
 
@@ -19,12 +22,9 @@ if [ -z "$PRIVATE_KEY" ]; then
 fi
 
 # Extract contract address
-DGP_ADDRESS=$(jq -r '.DiamondGenesisPass' "$ADDRESSES_FILE")
+DGP_ADDRESS=$(jq -r '.contracts.DiamondGenesisPass.address' "$ADDRESSES_FILE")
 echo "DiamondGenesisPass: $DGP_ADDRESS"
 
-# Set RPC URL from environment or use default
-RPC_URL=${RPC_URL:-"http://localhost:8545"}
-
 # Function to show the menu
 show_menu() {
   echo -e "\nDiamondGenesisPass Owner Actions:"
@@ -97,6 +97,7 @@ update_royalty_recipient() {
 
 # Function to mint a token as owner
 owner_mint() {
+  echo "(To mint to a list of recipients, use: npm run airdrop -- --input recipients.csv)"
   echo -n "Enter the recipient address: "
   read RECIPIENT
   
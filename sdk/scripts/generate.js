@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const ABI_DIR = path.join(__dirname, '..', '..', 'abis');
+const SDK_DIR = path.join(__dirname, '..');
+const CONTRACTS = ['DiamondGenesisPass', 'CentralizedRoyaltyDistributor'];
+
+const HEADER = '// Generated by sdk/scripts/generate.js from abis/*.json. Do not edit; run `npm run generate-sdk`.';
+
+function loadAbi(name) {
+  const data = JSON.parse(fs.readFileSync(path.join(ABI_DIR, `${name}.json`), 'utf8'));
+  return Array.isArray(data) ? data : data.abi;
+}
+
+// Solidity ABI type -> TypeScript type. Inputs are lenient (numbers and strings are converted),
+// outputs are what the SDK returns for both ethers and viem clients.
+function tsType(param, direction) {
+  const array = param.type.match(/^(.*)\[\d*\]$/);
+  if (array) {
+    return `${tsType({ ...param, type: array[1] }, direction)}[]`;
+  }
+  if (param.type === 'tuple') {
+    return `{ ${param.components.map(c => `${c.name}: ${tsType(c, direction)}`).join('; ')} }`;
+  }
+  if (/^u?int\d*$/.test(param.type)) return direction === 'input' ? 'BigIntish' : 'bigint';
+  if (param.type === 'bool') return 'boolean';
+  if (param.type === 'string') return 'string';
+  return direction === 'input' ? 'string' : 'Hex';
+}
+
+function signature(fragment) {
+  return `${fragment.name}(${fragment.inputs.map(input => input.type).join(',')})`;
+}
+
+function methodType(fragment) {
+  const params = fragment.inputs.map((input, i) => `${input.name || `arg${i}`}: ${tsType(input, 'input')}`);
+  const readOnly = fragment.stateMutability === 'view' || fragment.stateMutability === 'pure';
+  if (readOnly) {
+    let returns = 'void';
+    if (fragment.outputs.length === 1) {
+      returns = tsType(fragment.outputs[0], 'output');
+    } else if (fragment.outputs.length > 1) {
+      returns = `{ ${fragment.outputs.map((output, i) => `${output.name || i}: ${tsType(output, 'output')}`).join('; ')} }`;
+    }
+    return `(${params.join(', ')}) => Promise<${returns}>`;
+  }
+  const overrides = fragment.stateMutability === 'payable' ? 'PayableOverrides' : 'WriteOverrides';
+  return `(${[...params, `overrides?: ${overrides}`].join(', ')}) => Promise<ContractTransaction>`;
+}
+
+function contractTypes(name, abi) {
+  const functions = abi.filter(item => item.type === 'function');
+  const counts = functions.reduce((acc, fragment) => ({ ...acc, [fragment.name]: (acc[fragment.name] || 0) + 1 }), {});
+  const members = [];
+  for (const fragment of functions) {
+    const type = methodType(fragment);
+    members.push(`  ${JSON.stringify(signature(fragment))}: ${type};`);
+    // Overloaded functions are only reachable by signature, as in ethers
+    if (counts[fragment.name] === 1) members.push(`  ${fragment.name}: ${type};`);
+  }
+  return `export interface ${name}Methods {\n${members.join('\n')}\n}`;
+}
+
+// 4-byte selectors of functions and errors and topics of events, keyed by canonical signature
+function selectors(abi) {
+  const iface = new ethers.utils.Interface(abi);
+  const bySignature = (fragments, hash) => Object.fromEntries(Object.keys(fragments).sort().map(key => [key, hash(key)]));
+  return {
+    functions: bySignature(iface.functions, key => iface.getSighash(key)),
+    events: bySignature(iface.events, key => iface.getEventTopic(key)),
+    errors: bySignature(iface.errors, key => iface.getSighash(iface.getError(key)))
+  };
+}
+
+/**
+ * The generated SDK files and their contents.
+ * @param {Object<string, object[]>} [abis] ABIs keyed by contract name (default: abis/*.json)
+ * @returns {Object<string, string>} Absolute path => content
+ */
+function generate(abis = Object.fromEntries(CONTRACTS.map(name => [name, loadAbi(name)]))) {
+  const errorNames = [...new Set(Object.values(abis).flatMap(abi => abi.filter(item => item.type === 'error').map(item => item.name)))].sort();
+
+  const js = [
+    HEADER,
+    '',
+    ...CONTRACTS.map(name => `const ${name}Abi = ${JSON.stringify(abis[name], null, 2)};\n`),
+    'module.exports = {',
+    CONTRACTS.map(name => `  ${name}Abi`).join(',\n'),
+    '};',
+    ''
+  ].join('\n');
+
+  const selectorsJs = [
+    HEADER,
+    '',
+    ...CONTRACTS.map(name => `const ${name}Selectors = ${JSON.stringify(selectors(abis[name]), null, 2)};\n`),
+    'module.exports = {',
+    CONTRACTS.map(name => `  ${name}Selectors`).join(',\n'),
+    '};',
+    ''
+  ].join('\n');
+
+  const dts = [
+    HEADER,
+    '',
+    "import type { BigIntish, Hex, WriteOverrides, PayableOverrides, ContractTransaction } from './index';",
+    '',
+    ...CONTRACTS.map(name => `${contractTypes(name, abis[name])}\n`),
+    `export type ContractErrorName =\n${errorNames.map(name => `  | ${JSON.stringify(name)}`).join('\n')};`,
+    ''
+  ].join('\n');
+
+  return {
+    [path.join(SDK_DIR, 'src', 'generated', 'abis.js')]: js,
+    [path.join(SDK_DIR, 'src', 'generated', 'selectors.js')]: selectorsJs,
+    [path.join(SDK_DIR, 'types', 'generated.d.ts')]: dts
+  };
+}
+
+if (require.main === module) {
+  for (const [file, content] of Object.entries(generate())) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+    console.log(`Wrote ${path.relative(process.cwd(), file)}`);
+  }
+}
+
+module.exports = {
+  CONTRACTS,
+  selectors,
+  generate
+};
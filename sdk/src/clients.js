@@ -0,0 +1,156 @@
+const { GenesisPassError } = require('./errors');
+
+// ethers nests provider errors in `error`, viem in `cause`
+function* errorChain(error) {
+  for (let current = error, depth = 0; current && depth < 8; depth++) {
+    yield current;
+    current = current.cause || current.error;
+  }
+}
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+
+function normalizeReceipt(receipt) {
+  return {
+    hash: receipt.transactionHash,
+    status: receipt.status === 1 || receipt.status === 'success' ? 'success' : 'reverted',
+    blockNumber: BigInt(receipt.blockNumber),
+    gasUsed: BigInt(receipt.gasUsed.toString()),
+    logs: receipt.logs
+  };
+}
+
+/**
+ * Adapter for an ethers v5 signer or provider. Reads work with either; writes need a signer.
+ * @param {import('ethers').Signer | import('ethers').providers.Provider} signerOrProvider
+ */
+function createEthersAdapter(signerOrProvider) {
+  const { ethers } = require('ethers');
+  const signer = ethers.Signer.isSigner(signerOrProvider) ? signerOrProvider : null;
+  const contract = (address, abi) => new ethers.Contract(address, abi, signerOrProvider);
+
+  return {
+    kind: 'ethers',
+
+    async getAccount() {
+      if (!signer) throw new GenesisPassError('A signer is required; the SDK was created with a provider only');
+      return signer.getAddress();
+    },
+
+    async read({ address, abi, functionName, args }) {
+      return [...await contract(address, abi).functions[functionName](...args)];
+    },
+
+    async write({ address, abi, functionName, args, value }) {
+      if (!signer) throw new GenesisPassError(`A signer is required to send ${functionName}`);
+      const target = contract(address, abi);
+      const overrides = value === undefined ? {} : { value: ethers.BigNumber.from(value) };
+      // A static call first surfaces custom errors, which gas estimation reports without revert data
+      await target.callStatic[functionName](...args, overrides);
+      const tx = await target.functions[functionName](...args, overrides);
+      return {
+        hash: tx.hash,
+        async wait() {
+          try {
+            return normalizeReceipt(await tx.wait());
+          } catch (error) {
+            if (error.receipt) return normalizeReceipt(error.receipt);
+            throw error;
+          }
+        }
+      };
+    },
+
+    decodeRevert(error, errorAbi) {
+      const iface = new ethers.utils.Interface(errorAbi);
+      for (const current of errorChain(error)) {
+        if (current.errorName === 'Error') return { reason: String(current.errorArgs[0]) };
+        if (current.errorName) return { name: current.errorName, args: [...(current.errorArgs || [])] };
+
+        const { data } = current;
+        if (typeof data !== 'string' || !ethers.utils.isHexString(data) || data.length < 10) continue;
+        if (data.startsWith(ERROR_STRING_SELECTOR)) {
+          return { reason: ethers.utils.defaultAbiCoder.decode(['string'], ethers.utils.hexDataSlice(data, 4))[0] };
+        }
+        try {
+          const parsed = iface.parseError(data);
+          return { name: parsed.name, args: [...parsed.args] };
+        } catch (parseError) {
+          // Not one of the contracts' errors
+        }
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * Adapter for viem clients. Reads use the public client; writes are simulated with the public
+ * client and sent with the wallet client. A wallet client extended with `publicActions` can be
+ * passed on its own.
+ * @param {object} clients
+ * @param {object} [clients.publicClient]
+ * @param {object} [clients.walletClient]
+ */
+function createViemAdapter({ publicClient, walletClient }) {
+  const reader = publicClient || walletClient;
+  if (!reader || typeof reader.readContract !== 'function') {
+    throw new GenesisPassError('viem clients need a publicClient (or a walletClient extended with publicActions)');
+  }
+
+  async function getAccount() {
+    if (!walletClient) throw new GenesisPassError('A walletClient is required; the SDK was created with a publicClient only');
+    if (walletClient.account) return walletClient.account.address;
+    const [address] = await walletClient.getAddresses();
+    return address;
+  }
+
+  return {
+    kind: 'viem',
+    getAccount,
+
+    async read({ address, abi, functionName, args, outputs }) {
+      const result = await reader.readContract({ address, abi, functionName, args });
+      return outputs.length > 1 ? [...result] : [result];
+    },
+
+    async write({ address, abi, functionName, args, value }) {
+      if (!walletClient) throw new GenesisPassError(`A walletClient is required to send ${functionName}`);
+      const account = walletClient.account || await getAccount();
+      const { request } = await reader.simulateContract({ address, abi, functionName, args, value, account });
+      const hash = await walletClient.writeContract(request);
+      return {
+        hash,
+        async wait() {
+          return normalizeReceipt(await reader.waitForTransactionReceipt({ hash }));
+        }
+      };
+    },
+
+    // viem decodes custom errors itself when the call's ABI includes them
+    decodeRevert(error) {
+      for (const current of errorChain(error)) {
+        if (current.data && current.data.errorName === 'Error') return { reason: String(current.data.args[0]) };
+        if (current.data && current.data.errorName) return { name: current.data.errorName, args: [...(current.data.args || [])] };
+        if (current.name === 'ContractFunctionRevertedError' && current.reason) return { reason: current.reason };
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * Pick the adapter for whichever client options were passed.
+ * @param {object} options `{ signer }` or `{ provider }` for ethers v5, `{ publicClient, walletClient }` for viem
+ */
+function resolveAdapter({ signer, provider, publicClient, walletClient }) {
+  if (signer || provider) return createEthersAdapter(signer || provider);
+  if (publicClient || walletClient) return createViemAdapter({ publicClient, walletClient });
+  throw new GenesisPassError('Pass an ethers v5 signer or provider, or viem publicClient / walletClient');
+}
+
+module.exports = {
+  createEthersAdapter,
+  createViemAdapter,
+  resolveAdapter
+};
@@ -0,0 +1,90 @@
+const { ERROR_ABI, toGenesisPassError } = require('./errors');
+
+const INTEGER = /^u?int\d*$/;
+const ARRAY = /^(.*)\[\d*\]$/;
+
+// Convert arguments to the types both ethers and viem accept: integers become bigints
+function formatInput(param, value) {
+  const array = param.type.match(ARRAY);
+  if (array) return value.map(item => formatInput({ ...param, type: array[1] }, item));
+  if (param.type === 'tuple') {
+    return Object.fromEntries(param.components.map((c, i) => [c.name, formatInput(c, Array.isArray(value) ? value[i] : value[c.name])]));
+  }
+  if (INTEGER.test(param.type)) return BigInt(value.toString());
+  return value;
+}
+
+// Convert results to one shape for both clients: bigints for integers, objects for structs
+function formatOutput(param, value) {
+  const array = param.type.match(ARRAY);
+  if (array) return [...value].map(item => formatOutput({ ...param, type: array[1] }, item));
+  if (param.type === 'tuple') {
+    return Object.fromEntries(param.components.map((c, i) => [c.name, formatOutput(c, value[c.name] !== undefined ? value[c.name] : value[i])]));
+  }
+  if (INTEGER.test(param.type)) return BigInt(value.toString());
+  return value;
+}
+
+function formatOutputs(outputs, values) {
+  if (outputs.length === 0) return undefined;
+  if (outputs.length === 1) return formatOutput(outputs[0], values[0]);
+  return Object.fromEntries(outputs.map((output, i) => [output.name || String(i), formatOutput(output, values[i])]));
+}
+
+const isOverrides = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Wrap a deployed contract in an object with one async method per ABI function.
+ * View functions resolve to their (formatted) result; other functions send a transaction and
+ * resolve to `{ hash, wait() }`. Overloaded functions are only available by signature, e.g.
+ * `contract['safeTransferFrom(address,address,uint256)']`.
+ * @param {object} options
+ * @param {string} options.contractName Used in error messages
+ * @param {string} options.address
+ * @param {object[]} options.abi
+ * @param {object} options.adapter From clients.resolveAdapter
+ */
+function createContract({ contractName, address, abi, adapter }) {
+  const contract = { contractName, address, abi };
+  const functions = abi.filter(item => item.type === 'function');
+
+  for (const fragment of functions) {
+    const signature = `${fragment.name}(${fragment.inputs.map(input => input.type).join(',')})`;
+    const readOnly = fragment.stateMutability === 'view' || fragment.stateMutability === 'pure';
+
+    const method = async (...args) => {
+      const overrides = !readOnly && args.length === fragment.inputs.length + 1 && isOverrides(args[args.length - 1]) ? args.pop() : {};
+      if (args.length !== fragment.inputs.length) {
+        throw new TypeError(`${contractName}.${signature} expects ${fragment.inputs.length} argument(s), got ${args.length}`);
+      }
+
+      const call = {
+        address,
+        abi: [fragment, ...ERROR_ABI],
+        functionName: fragment.name,
+        args: fragment.inputs.map((input, i) => formatInput(input, args[i])),
+        outputs: fragment.outputs
+      };
+      try {
+        if (readOnly) return formatOutputs(fragment.outputs, await adapter.read(call));
+        if (overrides.value !== undefined && fragment.stateMutability !== 'payable') {
+          throw new TypeError(`${contractName}.${signature} is not payable`);
+        }
+        return await adapter.write({ ...call, value: overrides.value === undefined ? undefined : BigInt(overrides.value.toString()) });
+      } catch (error) {
+        if (error instanceof TypeError) throw error;
+        throw toGenesisPassError(error, adapter.decodeRevert(error, ERROR_ABI), { contractName, functionName: fragment.name });
+      }
+    };
+
+    contract[signature] = method;
+    if (functions.filter(other => other.name === fragment.name).length === 1) {
+      contract[fragment.name] = method;
+    }
+  }
+  return contract;
+}
+
+module.exports = {
+  createContract
+};
@@ -0,0 +1,125 @@
+const { DiamondGenesisPassAbi, CentralizedRoyaltyDistributorAbi } = require('./generated/abis');
+
+// Custom errors of both contracts. Calls on either contract can bubble up the other's errors
+// (e.g. DiamondGenesisPass.updateCreatorAddress reverting inside the distributor).
+const ERROR_ABI = [...DiamondGenesisPassAbi, ...CentralizedRoyaltyDistributorAbi]
+  .filter(item => item.type === 'error')
+  .filter((item, index, all) => all.findIndex(other => other.name === item.name) === index);
+
+const ERROR_MESSAGES = {
+  AddressAlreadyClaimed: 'This address has already used its whitelist mint',
+  BidNotFound: 'No bid from this address was found',
+  CallerIsNotAdminOrServiceAccount: 'Only an admin or service account can do this',
+  CallerIsNotOwner: 'Only the contract owner can do this',
+  CentralizedRoyaltyAdapter__CollectionNotRegistered: 'The collection is not registered with the royalty distributor',
+  CentralizedRoyaltyAdapter__DistributorCannotBeZeroAddress: 'The royalty distributor cannot be the zero address',
+  CentralizedRoyaltyAdapter__RoyaltyFeeWillExceedSalePrice: 'The royalty fee would exceed the sale price',
+  CreatorTokenBase__InvalidTransferValidatorContract: 'The transfer validator is not a valid contract',
+  InsufficientBidAmount: 'The bid is too low',
+  InsufficientPayment: 'Not enough ETH was sent to pay for the mint',
+  InvalidMerkleProof: 'The Merkle proof does not match this address and quantity',
+  MaxSupplyExceeded: 'The collection is sold out',
+  MaxWhitelistSupplyExceeded: 'The whitelist allocation is sold out',
+  MerkleRootNotSet: 'Whitelist minting has not started (no Merkle root is set)',
+  NoBidsAvailable: 'There are no bids to accept',
+  NotTokenMinter: 'Only the minter of this token can do this',
+  NotTokenOwner: 'Only the owner of this token can do this',
+  PublicMintNotActive: 'Public minting is not active',
+  SelfBiddingNotAllowed: 'You cannot accept your own bid',
+  ShouldNotMintToBurnAddress: 'Tokens cannot be minted to the zero address',
+  TokenNotMinted: 'The token has not been minted',
+  TransferFailed: 'The ETH transfer failed',
+  RoyaltyDistributor__AddressNotMinterOrCreatorForCollection: 'The address is neither a minter nor the creator for this collection',
+  RoyaltyDistributor__BidNotFound: 'No bid from this address was found',
+  RoyaltyDistributor__CallerIsNotAdminOrServiceAccount: 'Only an admin or service account can do this',
+  RoyaltyDistributor__CallerIsNotCollectionOwner: 'Only the collection owner can do this',
+  RoyaltyDistributor__CallerIsNotTrustedOracle: 'Only the trusted oracle can do this',
+  RoyaltyDistributor__CollectionAlreadyRegistered: 'The collection is already registered',
+  RoyaltyDistributor__CollectionNotRegistered: 'The collection is not registered with the royalty distributor',
+  RoyaltyDistributor__CreatorCannotBeZeroAddress: 'The creator cannot be the zero address',
+  RoyaltyDistributor__InsufficientUnclaimedRoyalties: 'The amount is more than the unclaimed royalties for this address',
+  RoyaltyDistributor__InvalidBidAmount: 'The bid amount is invalid',
+  RoyaltyDistributor__MinterCannotBeZeroAddress: 'The minter cannot be the zero address',
+  RoyaltyDistributor__MinterHasAlreadyBeenAssignedToTokenId: 'The token already has a minter',
+  RoyaltyDistributor__NoRoyaltiesDueForAddress: 'No royalties are due for this address',
+  RoyaltyDistributor__NotCollectionCreatorOrAdmin: 'Only the collection creator or an admin can do this',
+  RoyaltyDistributor__NotEnoughEtherToDistributeForCollection: 'The distributor does not hold enough ETH for this collection',
+  RoyaltyDistributor__NotEnoughTokensToDistributeForCollection: 'The distributor does not hold enough tokens for this collection',
+  RoyaltyDistributor__OracleUpdateTooFrequent: 'The oracle was updated too recently for this collection',
+  RoyaltyDistributor__RoyaltyFeeWillExceedSalePrice: 'The royalty fee would exceed the sale price',
+  RoyaltyDistributor__SharesCannotBeZero: 'Minter and creator shares cannot be zero',
+  RoyaltyDistributor__SharesDoNotSumToDenominator: 'Minter and creator shares must add up to the shares denominator',
+  RoyaltyDistributor__TransactionAlreadyProcessed: 'This sale has already been processed',
+  RoyaltyDistributor__TransferFailed: 'The royalty transfer failed',
+  RoyaltyDistributor__ZeroAmountToDistribute: 'There is nothing to distribute'
+};
+
+/**
+ * Error thrown by the SDK. When a contract reverted with a custom error, `errorName` and
+ * `errorArgs` hold the decoded error and `message` a readable description of it.
+ */
+class GenesisPassError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {string} [details.errorName] Custom error name, e.g. 'AddressAlreadyClaimed'
+   * @param {Array} [details.errorArgs]
+   * @param {string} [details.reason] Error(string) revert reason
+   * @param {string} [details.contractName]
+   * @param {string} [details.functionName]
+   * @param {Error} [details.cause] Error from ethers or viem
+   */
+  constructor(message, { errorName = null, errorArgs = [], reason = null, contractName = null, functionName = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'GenesisPassError';
+    this.errorName = errorName;
+    this.errorArgs = errorArgs;
+    this.reason = reason;
+    this.contractName = contractName;
+    this.functionName = functionName;
+  }
+}
+
+/**
+ * Readable description of a custom error name. Unknown names are split into words.
+ * @param {string} errorName
+ * @returns {string}
+ */
+function describeError(errorName) {
+  if (ERROR_MESSAGES[errorName]) return ERROR_MESSAGES[errorName];
+  const words = errorName.split('__').pop().replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Wrap an ethers or viem error in a GenesisPassError.
+ * @param {Error} error
+ * @param {{ name?: string, args?: Array, reason?: string } | null} decoded What the client adapter decoded
+ * @param {{ contractName: string, functionName: string }} context
+ * @returns {GenesisPassError}
+ */
+function toGenesisPassError(error, decoded, { contractName, functionName }) {
+  if (error instanceof GenesisPassError) return error;
+  const prefix = `${contractName}.${functionName} failed`;
+  const details = { contractName, functionName, cause: error };
+
+  if (decoded && decoded.name) {
+    return new GenesisPassError(`${prefix}: ${describeError(decoded.name)} (${decoded.name})`, {
+      ...details,
+      errorName: decoded.name,
+      errorArgs: decoded.args || []
+    });
+  }
+  if (decoded && decoded.reason) {
+    return new GenesisPassError(`${prefix}: ${decoded.reason}`, { ...details, reason: decoded.reason });
+  }
+  return new GenesisPassError(`${prefix}: ${error.shortMessage || error.reason || error.message}`, details);
+}
+
+module.exports = {
+  ERROR_ABI,
+  ERROR_MESSAGES,
+  GenesisPassError,
+  describeError,
+  toGenesisPassError
+};
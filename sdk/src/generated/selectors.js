@@ -0,0 +1,250 @@
+// Generated by sdk/scripts/generate.js from abis/*.json. Do not edit; run `npm run generate-sdk`.
+
+const DiamondGenesisPassSelectors = {
+  "functions": {
+    "DEFAULT_ADMIN_ROLE()": "0xa217fddf",
+    "DEFAULT_TRANSFER_VALIDATOR()": "0x01463546",
+    "FEE_DENOMINATOR()": "0xd73792a9",
+    "PUBLIC_MINT_PRICE()": "0x6bde2627",
+    "SERVICE_ACCOUNT_ROLE()": "0x1275e5c6",
+    "acceptHighestBid(uint256)": "0x2c69f97c",
+    "acceptHighestTokenBid(uint256)": "0xbca94a8c",
+    "approve(address,uint256)": "0x095ea7b3",
+    "autoApproveTransfersFromValidator()": "0x6221d13c",
+    "balanceOf(address)": "0x70a08231",
+    "baseTokenURI()": "0xd547cfb7",
+    "baseURI()": "0x6c0360eb",
+    "burn(uint256)": "0x42966c68",
+    "centralizedDistributor()": "0x29a53554",
+    "creator()": "0x02d05d3f",
+    "creatorShares()": "0x939a6c1c",
+    "distributorRoyaltyFeeNumerator()": "0x26351c94",
+    "getApproved(uint256)": "0x081812fc",
+    "getClaimableRoyalties(address)": "0x4c4f6687",
+    "getCreatorRoyaltyEarned(uint256)": "0xb3df4f84",
+    "getHighestBid(uint256,bool)": "0x893b82b4",
+    "getHighestTokenBid(uint256,bool)": "0xd2e37484",
+    "getMaxWhitelistSupply()": "0xa9dbe1bb",
+    "getMerkleRoot()": "0x49590657",
+    "getMinterOf(uint256)": "0x295a08e2",
+    "getMinterRoyaltyEarned(uint256)": "0xf41f17b6",
+    "getRoleAdmin(bytes32)": "0x248a9ca3",
+    "getTokenHolder(uint256)": "0xca55954c",
+    "getTokenTotalVolume(uint256)": "0x8d0c2543",
+    "getTokenTransactionCount(uint256)": "0x213cc530",
+    "getTransferValidationFunction()": "0x0d705df6",
+    "getTransferValidator()": "0x098144d4",
+    "grantRole(bytes32,address)": "0x2f2ff15d",
+    "hasRole(bytes32,address)": "0x91d14854",
+    "isApprovedForAll(address,address)": "0xe985e9c5",
+    "isWhitelistClaimed(address)": "0x8521b8e3",
+    "mint(address)": "0x6a627842",
+    "mintOwner(address)": "0x61f80f88",
+    "minterOf(uint256)": "0x9e942ace",
+    "minterShares()": "0x3bdec33e",
+    "name()": "0x06fdde03",
+    "owner()": "0x8da5cb5b",
+    "ownerOf(uint256)": "0x6352211e",
+    "placeBid(uint256,bool)": "0x3a9b5dcc",
+    "placeTokenBid(uint256,bool)": "0xa8ddf970",
+    "recordSale(uint256,uint256)": "0x23586685",
+    "renounceOwnership()": "0x715018a6",
+    "renounceRole(bytes32,address)": "0x36568abe",
+    "revokeMinterStatus(uint256)": "0x14f52a42",
+    "revokeRole(bytes32,address)": "0xd547741f",
+    "royaltyDistributor()": "0x5581ed87",
+    "royaltyFeeNumerator()": "0x81ddcc1f",
+    "royaltyInfo(uint256,uint256)": "0x2a55205a",
+    "safeMint(address)": "0x40d097c3",
+    "safeMintOwner(address)": "0x226728b0",
+    "safeTransferFrom(address,address,uint256)": "0x42842e0e",
+    "safeTransferFrom(address,address,uint256,bytes)": "0xb88d4fde",
+    "setApprovalForAll(address,bool)": "0xa22cb465",
+    "setAutomaticApprovalOfTransfersFromValidator(bool)": "0x9e05d240",
+    "setBaseURI(string)": "0x55f804b3",
+    "setMerkleRoot(bytes32)": "0x7cb64759",
+    "setMinterStatus(uint256,address)": "0x8641a4b2",
+    "setPublicMintActive(bool)": "0x2b707c71",
+    "setRoyaltyRecipient(address)": "0x41e42f30",
+    "setSuffixURI(string)": "0x8be18e57",
+    "setTransferValidator(address)": "0xa9fc664e",
+    "suffixURI()": "0xb3bcea48",
+    "supportsInterface(bytes4)": "0x01ffc9a7",
+    "symbol()": "0x95d89b41",
+    "tokenURI(uint256)": "0xc87b56dd",
+    "totalSupply()": "0x18160ddd",
+    "totalUnclaimedRoyalties()": "0x836d1d7e",
+    "transferFrom(address,address,uint256)": "0x23b872dd",
+    "transferOwnership(address)": "0xf2fde38b",
+    "updateCreatorAddress(address)": "0x316b9641",
+    "viewBids(uint256)": "0x08492940",
+    "viewCollectionBids()": "0xfb7bd3c3",
+    "viewCollectionTokenBids()": "0x1422dd9a",
+    "viewTokenBids(uint256)": "0x9c35fef8",
+    "whitelistMint(uint256,bytes32[])": "0xd2cab056",
+    "whitelistMintedCount()": "0xfeb4cffb",
+    "withdrawBid(uint256,bool)": "0xa336d48b",
+    "withdrawTokenBid(uint256,bool)": "0xa2367c10"
+  },
+  "events": {
+    "Approval(address,address,uint256)": "0x8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925",
+    "ApprovalForAll(address,address,bool)": "0x17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c31",
+    "AutomaticApprovalOfTransferValidatorSet(bool)": "0x6787c7f9a80aa0f5ceddab2c54f1f5169c0b88e75dd5e19d5e858a64144c7dbc",
+    "BaseURISet(string)": "0xf9c7803e94e0d3c02900d8a90893a6d5e90dd04d32a4cfe825520f82bf9f32f6",
+    "BidAccepted(address,address,uint256,uint256)": "0xc94b51939529c736abed465cef9c3c3cacd78ac7ee0855a967ef32f07935abec",
+    "BidPlaced(address,uint256,uint256,bool)": "0x78c8056cb003d2206686471949a05cbf5a27d0f87c0f4236a9a957835c9de542",
+    "BidWithdrawn(address,uint256,uint256,bool)": "0xf81e4025147130c5ff4e8f145fece18bc710556c94e71ac5bc84a73e36714c36",
+    "CollectionRegistered(address,uint96,address)": "0xe77efa9a54fe84042f7b55c2e92f5d797f5d0368bd8655835199184c23addccf",
+    "CreatorAddressUpdated(address,address)": "0x4c1d69ffe6fad068e437c6e17f4068f125ab0b7e50bec2d7f4519d7ab1ee504f",
+    "MerkleRootSet(bytes32)": "0x42cbc405e4dbf1b691e85b9a34b08ecfcf7a9ad9078bf4d645ccfa1fac11c10b",
+    "MinterStatusAssigned(uint256,address,address)": "0x307440bafc0201269d6e378511122586daf1f0194ebf4544512bc45f78eae7fa",
+    "MinterStatusRevoked(uint256,address)": "0x7807ee178ef1dbc1fe084d1fd979b5ef95e7dbf9bc36587ec37c21dac7f30482",
+    "OwnershipTransferred(address,address)": "0x8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0",
+    "PublicMintStatusUpdated(bool)": "0x1cb7384a8bb4ca03c934feebb36d1237f4ec5e3cbfd690b6e0c254f35ef0735a",
+    "PublicMinted(address,uint256)": "0xab9980fb1d2916bce9017edd1be458e3f56d0899b3367cb3a8be97483fbe069b",
+    "RegistrationFailed(address,string)": "0xf8c247989dae272a44b5c75c77336431d18464b2652ff4078d407e50bb79d153",
+    "RoleAdminChanged(bytes32,bytes32,bytes32)": "0xbd79b86ffe0ab8e8776151514217cd7cacd52c909f66475c3af44e129f0b00ff",
+    "RoleGranted(bytes32,address,address)": "0x2f8788117e7eff1d82e926ec794901d17c78024a50270940304540a733656f0d",
+    "RoleRevoked(bytes32,address,address)": "0xf6391f5c32d9c69d2a47ea670b442974b53935d1edc7fd64eb21e047a839171b",
+    "RoyaltyDistributorSet(address)": "0xc158c5d83ddfbb4771200b04dc94fb76053705ca3172f261cd41f010d471fc06",
+    "RoyaltyFeeNumeratorSet(uint256)": "0xf130fe30855484848428ce314741a03b1ce371148f81d957ff76767a13493e10",
+    "RoyaltyRecipientUpdated(address,address)": "0x809001d52e7845050615d93df3979665f4e991a2db25c15abcdedbe637dcb711",
+    "RoyaltySent(uint256,uint256)": "0x290967b290d845bd08f3c830dfbb0affed524cdb3f3174bb13b2c0339f120185",
+    "SaleRecorded(address,uint256,uint256)": "0x0c6aca55cff3dffe03ab34b9bdcb79d584e1b0fcf3859479d4e3ab6d9eeb17b7",
+    "SuffixURISet(string)": "0x65ccd57f8a46e7a6cfc4d214d84094e8ba5561ab50fd328f26e4c44052ffeba0",
+    "TokenBidAccepted(address,address,uint256,uint256)": "0xd978b95eb24ae1ec4a88b8c63eb7a65d29d83118a1213f41feb32cbe981288ff",
+    "TokenBidPlaced(address,uint256,uint256,bool)": "0xad0ebaba7f8c35dd5efdad32f7a79dcba38e46604343a279d05b40b3bcba28de",
+    "TokenBidWithdrawn(address,uint256,uint256,bool)": "0x9f5fe81d9589a528385f47b252d0947e10203a4f857842d014c0df34e32c94d6",
+    "Transfer(address,address,uint256)": "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef",
+    "TransferValidatorUpdated(address,address)": "0xcc5dc080ff977b3c3a211fa63ab74f90f658f5ba9d3236e92c8f59570f442aac",
+    "WhitelistMinted(address,uint256,uint256)": "0xb7df065473d5cf63ef5cf9190dbd326ea5e6fbfe4a0971f4920e430bbfd5a938"
+  },
+  "errors": {
+    "AddressAlreadyClaimed()": "0x5986e849",
+    "BidNotFound()": "0x3f077648",
+    "CallerIsNotAdminOrServiceAccount()": "0xe6f09f5e",
+    "CallerIsNotOwner()": "0x6db2465f",
+    "CentralizedRoyaltyAdapter__CollectionNotRegistered()": "0x4285b221",
+    "CentralizedRoyaltyAdapter__DistributorCannotBeZeroAddress()": "0x2235fb1e",
+    "CentralizedRoyaltyAdapter__RoyaltyFeeWillExceedSalePrice()": "0x1e3d9ab4",
+    "CreatorTokenBase__InvalidTransferValidatorContract()": "0x32483afb",
+    "InsufficientBidAmount()": "0xad252365",
+    "InsufficientPayment()": "0xcd1c8867",
+    "InvalidMerkleProof()": "0xb05e92fa",
+    "MaxSupplyExceeded()": "0x8a164f63",
+    "MaxWhitelistSupplyExceeded()": "0x9780df01",
+    "MerkleRootNotSet()": "0x9f8a28f2",
+    "NoBidsAvailable()": "0x0ecc5441",
+    "NotTokenMinter()": "0x6cbad21c",
+    "NotTokenOwner()": "0x59dc379f",
+    "PublicMintNotActive()": "0xcd967e35",
+    "SelfBiddingNotAllowed()": "0xcfc72cdd",
+    "ShouldNotMintToBurnAddress()": "0x5cbd9441",
+    "TokenNotMinted()": "0xd03ce9df",
+    "TransferFailed()": "0x90b8ec18"
+  }
+};
+
+const CentralizedRoyaltyDistributorSelectors = {
+  "functions": {
+    "DEFAULT_ADMIN_ROLE()": "0xa217fddf",
+    "FEE_DENOMINATOR()": "0xd73792a9",
+    "SERVICE_ACCOUNT_ROLE()": "0x1275e5c6",
+    "SHARES_DENOMINATOR()": "0x226d88c0",
+    "addCollectionERC20Royalties(address,address,uint256)": "0xa6b5122d",
+    "addCollectionRoyalties(address)": "0xf201166e",
+    "batchUpdateRoyaltyData(address,uint256[],address[],uint256[],bytes32[])": "0x0e0c34c8",
+    "claimERC20Royalties(address,address,uint256)": "0xbc402177",
+    "claimRoyalties(address,uint256)": "0x3b4aeb3f",
+    "collectionUnclaimed(address)": "0xb60cf2d7",
+    "fulfillRoyaltyData(bytes32,address,address[],uint256[])": "0x19ad3696",
+    "getClaimableERC20Royalties(address,address,address)": "0x00be580e",
+    "getClaimableRoyalties(address,address)": "0xa9354a06",
+    "getCollectionConfig(address)": "0x191cf354",
+    "getCollectionERC20Royalties(address,address)": "0x7945eab9",
+    "getCollectionRoyalties(address)": "0x91258714",
+    "getCollectionRoyaltyData(address)": "0xff8764e4",
+    "getMinter(address,uint256)": "0x13890cf8",
+    "getMinterTokenCountForCollection(address,address)": "0xbeb28b73",
+    "getRoleAdmin(bytes32)": "0x248a9ca3",
+    "getTokenMinterAndHolder(address,uint256)": "0xcb9b793e",
+    "getTokenRoyaltyData(address,uint256)": "0x61c246e5",
+    "getTokenRoyaltyEarnings(address,uint256)": "0x443a2f39",
+    "getTokenTransactionData(address,uint256)": "0x52297bee",
+    "getTokensByMinterForCollection(address,address)": "0x5c8b9cce",
+    "grantRole(bytes32,address)": "0x2f2ff15d",
+    "hasRole(bytes32,address)": "0x91d14854",
+    "isCollectionRegistered(address)": "0x27f63b05",
+    "registerCollection(address,uint96,uint256,uint256,address)": "0x3a825e58",
+    "renounceRole(bytes32,address)": "0x36568abe",
+    "revokeRole(bytes32,address)": "0xd547741f",
+    "setOracleUpdateMinBlockInterval(address,uint256)": "0x30c9818e",
+    "setTokenMinter(address,uint256,address)": "0xa3122ef2",
+    "setTrustedOracleAddress(address)": "0x657d71d5",
+    "supportsInterface(bytes4)": "0x01ffc9a7",
+    "totalAccrued()": "0x4ae8a5b7",
+    "totalAccruedRoyalty()": "0xe4b5f6a2",
+    "totalClaimed()": "0xd54ad2a1",
+    "totalClaimedRoyalty()": "0x78e2b37c",
+    "totalUnclaimed()": "0xc96f14b8",
+    "trustedOracleAddress()": "0x654d06ad",
+    "updateAccruedERC20Royalties(address,address,address[],uint256[])": "0x7c6dbc0b",
+    "updateAccruedRoyalties(address,address[],uint256[])": "0x5403ebb4",
+    "updateAccruedRoyalties(address,address[],uint256[],bytes32[])": "0xec123672",
+    "updateCreatorAddress(address,address)": "0x821badad",
+    "updateRoyaltyDataViaOracle(address)": "0x6c24c43c",
+    "updateTokenHolder(address,uint256,address)": "0x9ae93bbc"
+  },
+  "events": {
+    "BidAccepted(address,uint256,address,address,uint256)": "0x0d496e5bb4fa3f063ed8f5f3553ecdcc05d9c45885f4de61327caffd024407fd",
+    "BidPlaced(address,uint256,address,uint256,bool)": "0xfb19d85098f50e8c8c3bca910764351a8fa2bf90969f646b1797e93d9f97b8db",
+    "BidWithdrawn(address,uint256,address,uint256,bool)": "0xa2dcd0e871ad41ac146ad335ce0dd95e6e40cb40e0389f198e24bbf9e5440662",
+    "CollectionRegistered(address,uint256,uint256,uint256,address)": "0x2c1af8b6917b42a35f60398459c4ed6496ec7d693cc584c1689e37771f346c28",
+    "CreatorAddressUpdated(address,address,address)": "0x7e005624900334bcacda0b1385a1c45c74bf3771035c041d8d0eabf332e81fb9",
+    "ERC20RoyaltyAccrued(address,address,address,uint256)": "0xfdb1625651b41944f08d836b3fb7e66cdb29b1994da9b06ba41a54a480941416",
+    "ERC20RoyaltyClaimed(address,address,address,uint256)": "0xc52611fbe72ff5a62637339ae067c2ffb04ca438757116fc2a50a53f4da7dcf2",
+    "ERC20RoyaltyReceived(address,address,address,uint256)": "0x6756f680c0c18ec95d471d80dfea626fd65d3cf5ab5996e444d7dd81b8dbab0c",
+    "MinterAssigned(address,uint256,address)": "0xaed30213ebcb4584828b132f0946aaed7df2771122e7f21de8c6fc06028ff9be",
+    "OracleRoyaltyDataFulfilled(address,bytes32)": "0x1130d6ed73594c10cbd1c95f547f4e1cbd7efe358f160f6c5a08c42ad0832d25",
+    "OracleUpdateIntervalSet(address,uint256)": "0xe7ceb6e2d1b7df98b19f682ef779462d13f7311bea1a6db42068c59685912597",
+    "OracleUpdateRequested(address,uint256,uint256)": "0x9c32eb773b7faffb79c73d801caf5154c8f15565aa8c541a284e68f10b8650bb",
+    "RoleAdminChanged(bytes32,bytes32,bytes32)": "0xbd79b86ffe0ab8e8776151514217cd7cacd52c909f66475c3af44e129f0b00ff",
+    "RoleGranted(bytes32,address,address)": "0x2f8788117e7eff1d82e926ec794901d17c78024a50270940304540a733656f0d",
+    "RoleRevoked(bytes32,address,address)": "0xf6391f5c32d9c69d2a47ea670b442974b53935d1edc7fd64eb21e047a839171b",
+    "RoyaltyAccrued(address,address,uint256)": "0xfef7772783870245c0975e57bfd6fc1d1add3cf926489e432c776bc21533ed7d",
+    "RoyaltyAttributed(address,uint256,address,uint256,uint256,uint256,bytes32)": "0x56b8b3acc577337525373780e3a3dc98ba93568854ad0e4077f0efe66162320c",
+    "RoyaltyClaimed(address,address,uint256)": "0xd1b893da855ca6a7c9cfbaff142da78c734a39d4811ad711fe7acfd6e5e433a4",
+    "RoyaltyReceived(address,address,uint256)": "0x7b7ac85bf8698ad9865449d09715ea022289a7b468c90bd64237c8fccf988754",
+    "TrustedOracleAddressSet(address,address)": "0x84e28de3ea6b1888667f9ac635d306f22987336157be0bb1c4295e7984a74071"
+  },
+  "errors": {
+    "RoyaltyDistributor__AddressNotMinterOrCreatorForCollection()": "0x463128ce",
+    "RoyaltyDistributor__BidNotFound()": "0xc7542051",
+    "RoyaltyDistributor__CallerIsNotAdminOrServiceAccount()": "0xb5950340",
+    "RoyaltyDistributor__CallerIsNotCollectionOwner()": "0x57c6f344",
+    "RoyaltyDistributor__CallerIsNotTrustedOracle()": "0xda306d84",
+    "RoyaltyDistributor__CollectionAlreadyRegistered()": "0xd6089b21",
+    "RoyaltyDistributor__CollectionNotRegistered()": "0xd178f036",
+    "RoyaltyDistributor__CreatorCannotBeZeroAddress()": "0xd924b23d",
+    "RoyaltyDistributor__InsufficientUnclaimedRoyalties()": "0x3f19a71b",
+    "RoyaltyDistributor__InvalidBidAmount()": "0xf2a88369",
+    "RoyaltyDistributor__MinterCannotBeZeroAddress()": "0x9cb78ac1",
+    "RoyaltyDistributor__MinterHasAlreadyBeenAssignedToTokenId()": "0x9300ab33",
+    "RoyaltyDistributor__NoRoyaltiesDueForAddress()": "0x033b682e",
+    "RoyaltyDistributor__NotCollectionCreatorOrAdmin()": "0xb44bfda2",
+    "RoyaltyDistributor__NotEnoughEtherToDistributeForCollection()": "0xc7f4c71e",
+    "RoyaltyDistributor__NotEnoughTokensToDistributeForCollection()": "0x9aeb7a56",
+    "RoyaltyDistributor__OracleUpdateTooFrequent()": "0x4c526365",
+    "RoyaltyDistributor__RoyaltyFeeWillExceedSalePrice()": "0x8bd3c7c3",
+    "RoyaltyDistributor__SharesCannotBeZero()": "0x19c0a7fd",
+    "RoyaltyDistributor__SharesDoNotSumToDenominator()": "0x362eb0a3",
+    "RoyaltyDistributor__TransactionAlreadyProcessed()": "0x61de4201",
+    "RoyaltyDistributor__TransferFailed()": "0xb054e75a",
+    "RoyaltyDistributor__ZeroAmountToDistribute()": "0xa137878f"
+  }
+};
+
+module.exports = {
+  DiamondGenesisPassSelectors,
+  CentralizedRoyaltyDistributorSelectors
+};
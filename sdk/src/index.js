@@ -0,0 +1,129 @@
+const { DiamondGenesisPassAbi, CentralizedRoyaltyDistributorAbi } = require('./generated/abis');
+const { DiamondGenesisPassSelectors, CentralizedRoyaltyDistributorSelectors } = require('./generated/selectors');
+const { ERROR_ABI, ERROR_MESSAGES, GenesisPassError, describeError } = require('./errors');
+const { createEthersAdapter, createViemAdapter, resolveAdapter } = require('./clients');
+const { createContract } = require('./contract');
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Create an SDK for a DiamondGenesisPass collection and its CentralizedRoyaltyDistributor.
+ *
+ * Pass either an ethers v5 `signer` / `provider`, or viem `publicClient` / `walletClient`.
+ * Integers are returned as bigints with both.
+ *
+ * @param {object} options
+ * @param {string} options.collection DiamondGenesisPass address
+ * @param {string} options.distributor CentralizedRoyaltyDistributor address
+ * @param {string[]} [options.erc20Tokens] ERC20 royalty tokens that getClaimable and claimAll include
+ * @param {object} [options.signer] ethers v5 Signer
+ * @param {object} [options.provider] ethers v5 Provider (read-only)
+ * @param {object} [options.publicClient] viem PublicClient
+ * @param {object} [options.walletClient] viem WalletClient
+ */
+function createGenesisPassSdk({ collection, distributor, erc20Tokens = [], ...clients }) {
+  if (!collection || !distributor) {
+    throw new GenesisPassError('Both the collection and distributor addresses are required');
+  }
+  const adapter = resolveAdapter(clients);
+  const pass = createContract({ contractName: 'DiamondGenesisPass', address: collection, abi: DiamondGenesisPassAbi, adapter });
+  const royalties = createContract({ contractName: 'CentralizedRoyaltyDistributor', address: distributor, abi: CentralizedRoyaltyDistributorAbi, adapter });
+
+  /**
+   * Royalties `recipient` can claim from the distributor for this collection.
+   * @param {string} [recipient] Defaults to the connected account
+   * @param {object} [options]
+   * @param {string[]} [options.tokens] ERC20 tokens to include (default: options.erc20Tokens)
+   * @returns {Promise<{ recipient: string, eth: bigint, erc20: Object<string, bigint> }>}
+   */
+  async function getClaimable(recipient, { tokens = erc20Tokens } = {}) {
+    const account = recipient || await adapter.getAccount();
+    const eth = await royalties.getClaimableRoyalties(collection, account);
+    const erc20 = {};
+    for (const token of tokens) {
+      erc20[token] = await royalties.getClaimableERC20Royalties(collection, token, account);
+    }
+    return { recipient: account, eth, erc20 };
+  }
+
+  /**
+   * Claim everything the connected account can claim: the ETH royalties and each ERC20 token
+   * with a balance. The distributor pays msg.sender, so `recipient` must be the connected account.
+   * Waits for each claim to be mined before sending the next.
+   * @param {string} [recipient] Defaults to the connected account
+   * @param {object} [options]
+   * @param {string[]} [options.tokens] ERC20 tokens to claim (default: options.erc20Tokens)
+   * @returns {Promise<Array<{ token: string | null, amount: bigint, hash: string, receipt: object }>>}
+   *   One entry per claim; `token` is null for ETH
+   */
+  async function claimAll(recipient, { tokens = erc20Tokens } = {}) {
+    const account = await adapter.getAccount();
+    if (recipient && !sameAddress(recipient, account)) {
+      throw new GenesisPassError(`Royalties are paid to the caller; connect ${recipient} to claim them (connected: ${account})`);
+    }
+
+    const claimable = await getClaimable(account, { tokens });
+    const claims = [
+      ...(claimable.eth > 0n ? [{ token: null, amount: claimable.eth }] : []),
+      ...Object.entries(claimable.erc20).filter(([, amount]) => amount > 0n).map(([token, amount]) => ({ token, amount }))
+    ];
+    if (claims.length === 0) {
+      throw new GenesisPassError(`${describeError('RoyaltyDistributor__NoRoyaltiesDueForAddress')} (${account})`, {
+        errorName: 'RoyaltyDistributor__NoRoyaltiesDueForAddress',
+        contractName: 'CentralizedRoyaltyDistributor',
+        functionName: 'claimRoyalties'
+      });
+    }
+
+    const results = [];
+    for (const claim of claims) {
+      const tx = claim.token
+        ? await royalties.claimERC20Royalties(collection, claim.token, claim.amount)
+        : await royalties.claimRoyalties(collection, claim.amount);
+      const receipt = await tx.wait();
+      if (receipt.status !== 'success') {
+        throw new GenesisPassError(`Claim transaction ${tx.hash} reverted`, { contractName: 'CentralizedRoyaltyDistributor' });
+      }
+      results.push({ ...claim, hash: tx.hash, receipt });
+    }
+    return results;
+  }
+
+  /**
+   * Mint the connected account's whitelist allocation, paying PUBLIC_MINT_PRICE per token.
+   * `quantity` must be the allocation the proof was generated for.
+   * @param {string[]} proof Merkle proof, e.g. from the proof server
+   * @param {bigint | number | string} quantity
+   * @param {object} [options]
+   * @param {bigint | number | string} [options.value] Payment in wei (default: price * quantity)
+   * @returns {Promise<{ hash: string, wait: Function }>}
+   */
+  async function mintWhitelist(proof, quantity, { value } = {}) {
+    const payment = value !== undefined ? value : (await pass.PUBLIC_MINT_PRICE()) * BigInt(quantity);
+    return pass.whitelistMint(quantity, proof, { value: payment });
+  }
+
+  return {
+    adapter,
+    collection: pass,
+    distributor: royalties,
+    getClaimable,
+    claimAll,
+    mintWhitelist
+  };
+}
+
+module.exports = {
+  DiamondGenesisPassAbi,
+  CentralizedRoyaltyDistributorAbi,
+  DiamondGenesisPassSelectors,
+  CentralizedRoyaltyDistributorSelectors,
+  ERROR_ABI,
+  ERROR_MESSAGES,
+  GenesisPassError,
+  createContract,
+  createEthersAdapter,
+  createGenesisPassSdk,
+  createViemAdapter,
+  describeError
+};
@@ -0,0 +1,312 @@
+// Generated by sdk/scripts/generate.js from abis/*.json. Do not edit; run `npm run generate-sdk`.
+
+import type { BigIntish, Hex, WriteOverrides, PayableOverrides, ContractTransaction } from './index';
+
+export interface DiamondGenesisPassMethods {
+  "DEFAULT_ADMIN_ROLE()": () => Promise<Hex>;
+  DEFAULT_ADMIN_ROLE: () => Promise<Hex>;
+  "DEFAULT_TRANSFER_VALIDATOR()": () => Promise<Hex>;
+  DEFAULT_TRANSFER_VALIDATOR: () => Promise<Hex>;
+  "FEE_DENOMINATOR()": () => Promise<bigint>;
+  FEE_DENOMINATOR: () => Promise<bigint>;
+  "PUBLIC_MINT_PRICE()": () => Promise<bigint>;
+  PUBLIC_MINT_PRICE: () => Promise<bigint>;
+  "SERVICE_ACCOUNT_ROLE()": () => Promise<Hex>;
+  SERVICE_ACCOUNT_ROLE: () => Promise<Hex>;
+  "acceptHighestBid(uint256)": (tokenId: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  acceptHighestBid: (tokenId: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "acceptHighestTokenBid(uint256)": (tokenId: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  acceptHighestTokenBid: (tokenId: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "approve(address,uint256)": (to: string, tokenId: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  approve: (to: string, tokenId: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "autoApproveTransfersFromValidator()": () => Promise<boolean>;
+  autoApproveTransfersFromValidator: () => Promise<boolean>;
+  "balanceOf(address)": (owner: string) => Promise<bigint>;
+  balanceOf: (owner: string) => Promise<bigint>;
+  "baseTokenURI()": () => Promise<string>;
+  baseTokenURI: () => Promise<string>;
+  "baseURI()": () => Promise<string>;
+  baseURI: () => Promise<string>;
+  "burn(uint256)": (tokenId: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  burn: (tokenId: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "centralizedDistributor()": () => Promise<Hex>;
+  centralizedDistributor: () => Promise<Hex>;
+  "creator()": () => Promise<Hex>;
+  creator: () => Promise<Hex>;
+  "creatorShares()": () => Promise<bigint>;
+  creatorShares: () => Promise<bigint>;
+  "distributorRoyaltyFeeNumerator()": () => Promise<bigint>;
+  distributorRoyaltyFeeNumerator: () => Promise<bigint>;
+  "getApproved(uint256)": (tokenId: BigIntish) => Promise<Hex>;
+  getApproved: (tokenId: BigIntish) => Promise<Hex>;
+  "getClaimableRoyalties(address)": (recipient: string) => Promise<bigint>;
+  getClaimableRoyalties: (recipient: string) => Promise<bigint>;
+  "getCreatorRoyaltyEarned(uint256)": (tokenId: BigIntish) => Promise<bigint>;
+  getCreatorRoyaltyEarned: (tokenId: BigIntish) => Promise<bigint>;
+  "getHighestBid(uint256,bool)": (tokenId: BigIntish, isCollectionBid: boolean) => Promise<{ bidder: Hex; amount: bigint; index: bigint }>;
+  getHighestBid: (tokenId: BigIntish, isCollectionBid: boolean) => Promise<{ bidder: Hex; amount: bigint; index: bigint }>;
+  "getHighestTokenBid(uint256,bool)": (tokenId: BigIntish, isCollectionBid: boolean) => Promise<{ bidder: Hex; amount: bigint; index: bigint }>;
+  getHighestTokenBid: (tokenId: BigIntish, isCollectionBid: boolean) => Promise<{ bidder: Hex; amount: bigint; index: bigint }>;
+  "getMaxWhitelistSupply()": () => Promise<bigint>;
+  getMaxWhitelistSupply: () => Promise<bigint>;
+  "getMerkleRoot()": () => Promise<Hex>;
+  getMerkleRoot: () => Promise<Hex>;
+  "getMinterOf(uint256)": (tokenId: BigIntish) => Promise<Hex>;
+  getMinterOf: (tokenId: BigIntish) => Promise<Hex>;
+  "getMinterRoyaltyEarned(uint256)": (tokenId: BigIntish) => Promise<bigint>;
+  getMinterRoyaltyEarned: (tokenId: BigIntish) => Promise<bigint>;
+  "getRoleAdmin(bytes32)": (role: string) => Promise<Hex>;
+  getRoleAdmin: (role: string) => Promise<Hex>;
+  "getTokenHolder(uint256)": (tokenId: BigIntish) => Promise<Hex>;
+  getTokenHolder: (tokenId: BigIntish) => Promise<Hex>;
+  "getTokenTotalVolume(uint256)": (tokenId: BigIntish) => Promise<bigint>;
+  getTokenTotalVolume: (tokenId: BigIntish) => Promise<bigint>;
+  "getTokenTransactionCount(uint256)": (tokenId: BigIntish) => Promise<bigint>;
+  getTokenTransactionCount: (tokenId: BigIntish) => Promise<bigint>;
+  "getTransferValidationFunction()": () => Promise<{ functionSignature: Hex; isViewFunction: boolean }>;
+  getTransferValidationFunction: () => Promise<{ functionSignature: Hex; isViewFunction: boolean }>;
+  "getTransferValidator()": () => Promise<Hex>;
+  getTransferValidator: () => Promise<Hex>;
+  "grantRole(bytes32,address)": (role: string, account: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  grantRole: (role: string, account: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "hasRole(bytes32,address)": (role: string, account: string) => Promise<boolean>;
+  hasRole: (role: string, account: string) => Promise<boolean>;
+  "isApprovedForAll(address,address)": (owner: string, operator: string) => Promise<boolean>;
+  isApprovedForAll: (owner: string, operator: string) => Promise<boolean>;
+  "isWhitelistClaimed(address)": (account: string) => Promise<boolean>;
+  isWhitelistClaimed: (account: string) => Promise<boolean>;
+  "mint(address)": (to: string, overrides?: PayableOverrides) => Promise<ContractTransaction>;
+  mint: (to: string, overrides?: PayableOverrides) => Promise<ContractTransaction>;
+  "mintOwner(address)": (to: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  mintOwner: (to: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "minterOf(uint256)": (tokenId: BigIntish) => Promise<Hex>;
+  minterOf: (tokenId: BigIntish) => Promise<Hex>;
+  "minterShares()": () => Promise<bigint>;
+  minterShares: () => Promise<bigint>;
+  "name()": () => Promise<string>;
+  name: () => Promise<string>;
+  "owner()": () => Promise<Hex>;
+  owner: () => Promise<Hex>;
+  "ownerOf(uint256)": (tokenId: BigIntish) => Promise<Hex>;
+  ownerOf: (tokenId: BigIntish) => Promise<Hex>;
+  "placeBid(uint256,bool)": (tokenId: BigIntish, isCollectionBid: boolean, overrides?: PayableOverrides) => Promise<ContractTransaction>;
+  placeBid: (tokenId: BigIntish, isCollectionBid: boolean, overrides?: PayableOverrides) => Promise<ContractTransaction>;
+  "placeTokenBid(uint256,bool)": (tokenId: BigIntish, isCollectionBid: boolean, overrides?: PayableOverrides) => Promise<ContractTransaction>;
+  placeTokenBid: (tokenId: BigIntish, isCollectionBid: boolean, overrides?: PayableOverrides) => Promise<ContractTransaction>;
+  "recordSale(uint256,uint256)": (tokenId: BigIntish, salePrice: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  recordSale: (tokenId: BigIntish, salePrice: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "renounceOwnership()": (overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  renounceOwnership: (overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "renounceRole(bytes32,address)": (role: string, account: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  renounceRole: (role: string, account: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "revokeMinterStatus(uint256)": (tokenId: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  revokeMinterStatus: (tokenId: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "revokeRole(bytes32,address)": (role: string, account: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  revokeRole: (role: string, account: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "royaltyDistributor()": () => Promise<Hex>;
+  royaltyDistributor: () => Promise<Hex>;
+  "royaltyFeeNumerator()": () => Promise<bigint>;
+  royaltyFeeNumerator: () => Promise<bigint>;
+  "royaltyInfo(uint256,uint256)": (arg0: BigIntish, salePrice: BigIntish) => Promise<{ receiver: Hex; royaltyAmount: bigint }>;
+  royaltyInfo: (arg0: BigIntish, salePrice: BigIntish) => Promise<{ receiver: Hex; royaltyAmount: bigint }>;
+  "safeMint(address)": (to: string, overrides?: PayableOverrides) => Promise<ContractTransaction>;
+  safeMint: (to: string, overrides?: PayableOverrides) => Promise<ContractTransaction>;
+  "safeMintOwner(address)": (to: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  safeMintOwner: (to: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "safeTransferFrom(address,address,uint256)": (from: string, to: string, tokenId: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "safeTransferFrom(address,address,uint256,bytes)": (from: string, to: string, tokenId: BigIntish, data: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "setApprovalForAll(address,bool)": (operator: string, approved: boolean, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  setApprovalForAll: (operator: string, approved: boolean, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "setAutomaticApprovalOfTransfersFromValidator(bool)": (autoApprove: boolean, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  setAutomaticApprovalOfTransfersFromValidator: (autoApprove: boolean, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "setBaseURI(string)": (baseTokenURI_: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  setBaseURI: (baseTokenURI_: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "setMerkleRoot(bytes32)": (merkleRoot_: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  setMerkleRoot: (merkleRoot_: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "setMinterStatus(uint256,address)": (tokenId: BigIntish, newMinter: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  setMinterStatus: (tokenId: BigIntish, newMinter: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "setPublicMintActive(bool)": (isActive: boolean, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  setPublicMintActive: (isActive: boolean, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "setRoyaltyRecipient(address)": (newRecipient: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  setRoyaltyRecipient: (newRecipient: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "setSuffixURI(string)": (suffixURI_: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  setSuffixURI: (suffixURI_: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "setTransferValidator(address)": (transferValidator_: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  setTransferValidator: (transferValidator_: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "suffixURI()": () => Promise<string>;
+  suffixURI: () => Promise<string>;
+  "supportsInterface(bytes4)": (interfaceId: string) => Promise<boolean>;
+  supportsInterface: (interfaceId: string) => Promise<boolean>;
+  "symbol()": () => Promise<string>;
+  symbol: () => Promise<string>;
+  "tokenURI(uint256)": (tokenId: BigIntish) => Promise<string>;
+  tokenURI: (tokenId: BigIntish) => Promise<string>;
+  "totalSupply()": () => Promise<bigint>;
+  totalSupply: () => Promise<bigint>;
+  "totalUnclaimedRoyalties()": () => Promise<bigint>;
+  totalUnclaimedRoyalties: () => Promise<bigint>;
+  "transferFrom(address,address,uint256)": (from: string, to: string, tokenId: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  transferFrom: (from: string, to: string, tokenId: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "transferOwnership(address)": (newOwner: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  transferOwnership: (newOwner: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "updateCreatorAddress(address)": (newCreator: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  updateCreatorAddress: (newCreator: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "viewBids(uint256)": (tokenId: BigIntish) => Promise<{ bidder: Hex; amount: bigint; timestamp: bigint }[]>;
+  viewBids: (tokenId: BigIntish) => Promise<{ bidder: Hex; amount: bigint; timestamp: bigint }[]>;
+  "viewCollectionBids()": () => Promise<{ bidder: Hex; amount: bigint; timestamp: bigint }[]>;
+  viewCollectionBids: () => Promise<{ bidder: Hex; amount: bigint; timestamp: bigint }[]>;
+  "viewCollectionTokenBids()": () => Promise<{ bidder: Hex; amount: bigint; timestamp: bigint }[]>;
+  viewCollectionTokenBids: () => Promise<{ bidder: Hex; amount: bigint; timestamp: bigint }[]>;
+  "viewTokenBids(uint256)": (tokenId: BigIntish) => Promise<{ bidder: Hex; amount: bigint; timestamp: bigint }[]>;
+  viewTokenBids: (tokenId: BigIntish) => Promise<{ bidder: Hex; amount: bigint; timestamp: bigint }[]>;
+  "whitelistMint(uint256,bytes32[])": (quantity: BigIntish, merkleProof: string[], overrides?: PayableOverrides) => Promise<ContractTransaction>;
+  whitelistMint: (quantity: BigIntish, merkleProof: string[], overrides?: PayableOverrides) => Promise<ContractTransaction>;
+  "whitelistMintedCount()": () => Promise<bigint>;
+  whitelistMintedCount: () => Promise<bigint>;
+  "withdrawBid(uint256,bool)": (tokenId: BigIntish, isCollectionBid: boolean, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  withdrawBid: (tokenId: BigIntish, isCollectionBid: boolean, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "withdrawTokenBid(uint256,bool)": (tokenId: BigIntish, isCollectionBid: boolean, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  withdrawTokenBid: (tokenId: BigIntish, isCollectionBid: boolean, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+}
+
+export interface CentralizedRoyaltyDistributorMethods {
+  "DEFAULT_ADMIN_ROLE()": () => Promise<Hex>;
+  DEFAULT_ADMIN_ROLE: () => Promise<Hex>;
+  "FEE_DENOMINATOR()": () => Promise<bigint>;
+  FEE_DENOMINATOR: () => Promise<bigint>;
+  "SERVICE_ACCOUNT_ROLE()": () => Promise<Hex>;
+  SERVICE_ACCOUNT_ROLE: () => Promise<Hex>;
+  "SHARES_DENOMINATOR()": () => Promise<bigint>;
+  SHARES_DENOMINATOR: () => Promise<bigint>;
+  "addCollectionERC20Royalties(address,address,uint256)": (collection: string, token: string, amount: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  addCollectionERC20Royalties: (collection: string, token: string, amount: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "addCollectionRoyalties(address)": (collection: string, overrides?: PayableOverrides) => Promise<ContractTransaction>;
+  addCollectionRoyalties: (collection: string, overrides?: PayableOverrides) => Promise<ContractTransaction>;
+  "batchUpdateRoyaltyData(address,uint256[],address[],uint256[],bytes32[])": (collection: string, tokenIds: BigIntish[], minters: string[], salePrices: BigIntish[], transactionHashes: string[], overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  batchUpdateRoyaltyData: (collection: string, tokenIds: BigIntish[], minters: string[], salePrices: BigIntish[], transactionHashes: string[], overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "claimERC20Royalties(address,address,uint256)": (collection: string, token: string, amount: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  claimERC20Royalties: (collection: string, token: string, amount: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "claimRoyalties(address,uint256)": (collection: string, amount: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  claimRoyalties: (collection: string, amount: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "collectionUnclaimed(address)": (collection: string) => Promise<bigint>;
+  collectionUnclaimed: (collection: string) => Promise<bigint>;
+  "fulfillRoyaltyData(bytes32,address,address[],uint256[])": (requestId: string, collection: string, recipients: string[], amounts: BigIntish[], overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  fulfillRoyaltyData: (requestId: string, collection: string, recipients: string[], amounts: BigIntish[], overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "getClaimableERC20Royalties(address,address,address)": (collection: string, token: string, recipient: string) => Promise<bigint>;
+  getClaimableERC20Royalties: (collection: string, token: string, recipient: string) => Promise<bigint>;
+  "getClaimableRoyalties(address,address)": (collection: string, recipient: string) => Promise<bigint>;
+  getClaimableRoyalties: (collection: string, recipient: string) => Promise<bigint>;
+  "getCollectionConfig(address)": (collection: string) => Promise<{ royaltyFeeNumerator: bigint; minterShares: bigint; creatorShares: bigint; creator: Hex }>;
+  getCollectionConfig: (collection: string) => Promise<{ royaltyFeeNumerator: bigint; minterShares: bigint; creatorShares: bigint; creator: Hex }>;
+  "getCollectionERC20Royalties(address,address)": (collection: string, token: string) => Promise<bigint>;
+  getCollectionERC20Royalties: (collection: string, token: string) => Promise<bigint>;
+  "getCollectionRoyalties(address)": (collection: string) => Promise<bigint>;
+  getCollectionRoyalties: (collection: string) => Promise<bigint>;
+  "getCollectionRoyaltyData(address)": (collection: string) => Promise<{ totalVolume: bigint; lastSyncedBlock: bigint; totalRoyaltyCollected: bigint }>;
+  getCollectionRoyaltyData: (collection: string) => Promise<{ totalVolume: bigint; lastSyncedBlock: bigint; totalRoyaltyCollected: bigint }>;
+  "getMinter(address,uint256)": (collection: string, tokenId: BigIntish) => Promise<Hex>;
+  getMinter: (collection: string, tokenId: BigIntish) => Promise<Hex>;
+  "getMinterTokenCountForCollection(address,address)": (minter: string, collection: string) => Promise<bigint>;
+  getMinterTokenCountForCollection: (minter: string, collection: string) => Promise<bigint>;
+  "getRoleAdmin(bytes32)": (role: string) => Promise<Hex>;
+  getRoleAdmin: (role: string) => Promise<Hex>;
+  "getTokenMinterAndHolder(address,uint256)": (collection: string, tokenId: BigIntish) => Promise<{ minter: Hex; tokenHolder: Hex }>;
+  getTokenMinterAndHolder: (collection: string, tokenId: BigIntish) => Promise<{ minter: Hex; tokenHolder: Hex }>;
+  "getTokenRoyaltyData(address,uint256)": (collection: string, tokenId: BigIntish) => Promise<{ minter: Hex; tokenHolder: Hex; transactionCount: bigint; totalVolume: bigint; minterRoyaltyEarned: bigint; creatorRoyaltyEarned: bigint }>;
+  getTokenRoyaltyData: (collection: string, tokenId: BigIntish) => Promise<{ minter: Hex; tokenHolder: Hex; transactionCount: bigint; totalVolume: bigint; minterRoyaltyEarned: bigint; creatorRoyaltyEarned: bigint }>;
+  "getTokenRoyaltyEarnings(address,uint256)": (collection: string, tokenId: BigIntish) => Promise<{ minterRoyaltyEarned: bigint; creatorRoyaltyEarned: bigint }>;
+  getTokenRoyaltyEarnings: (collection: string, tokenId: BigIntish) => Promise<{ minterRoyaltyEarned: bigint; creatorRoyaltyEarned: bigint }>;
+  "getTokenTransactionData(address,uint256)": (collection: string, tokenId: BigIntish) => Promise<{ transactionCount: bigint; totalVolume: bigint }>;
+  getTokenTransactionData: (collection: string, tokenId: BigIntish) => Promise<{ transactionCount: bigint; totalVolume: bigint }>;
+  "getTokensByMinterForCollection(address,address)": (minter: string, collection: string) => Promise<bigint[]>;
+  getTokensByMinterForCollection: (minter: string, collection: string) => Promise<bigint[]>;
+  "grantRole(bytes32,address)": (role: string, account: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  grantRole: (role: string, account: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "hasRole(bytes32,address)": (role: string, account: string) => Promise<boolean>;
+  hasRole: (role: string, account: string) => Promise<boolean>;
+  "isCollectionRegistered(address)": (collection: string) => Promise<boolean>;
+  isCollectionRegistered: (collection: string) => Promise<boolean>;
+  "registerCollection(address,uint96,uint256,uint256,address)": (collection: string, royaltyFeeNumerator: BigIntish, minterShares: BigIntish, creatorShares: BigIntish, creator: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  registerCollection: (collection: string, royaltyFeeNumerator: BigIntish, minterShares: BigIntish, creatorShares: BigIntish, creator: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "renounceRole(bytes32,address)": (role: string, account: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  renounceRole: (role: string, account: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "revokeRole(bytes32,address)": (role: string, account: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  revokeRole: (role: string, account: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "setOracleUpdateMinBlockInterval(address,uint256)": (collection: string, interval: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  setOracleUpdateMinBlockInterval: (collection: string, interval: BigIntish, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "setTokenMinter(address,uint256,address)": (collection: string, tokenId: BigIntish, minter: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  setTokenMinter: (collection: string, tokenId: BigIntish, minter: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "setTrustedOracleAddress(address)": (oracleAddress: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  setTrustedOracleAddress: (oracleAddress: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "supportsInterface(bytes4)": (interfaceId: string) => Promise<boolean>;
+  supportsInterface: (interfaceId: string) => Promise<boolean>;
+  "totalAccrued()": () => Promise<bigint>;
+  totalAccrued: () => Promise<bigint>;
+  "totalAccruedRoyalty()": () => Promise<bigint>;
+  totalAccruedRoyalty: () => Promise<bigint>;
+  "totalClaimed()": () => Promise<bigint>;
+  totalClaimed: () => Promise<bigint>;
+  "totalClaimedRoyalty()": () => Promise<bigint>;
+  totalClaimedRoyalty: () => Promise<bigint>;
+  "totalUnclaimed()": () => Promise<bigint>;
+  totalUnclaimed: () => Promise<bigint>;
+  "trustedOracleAddress()": () => Promise<Hex>;
+  trustedOracleAddress: () => Promise<Hex>;
+  "updateAccruedERC20Royalties(address,address,address[],uint256[])": (collection: string, token: string, recipients: string[], amounts: BigIntish[], overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  updateAccruedERC20Royalties: (collection: string, token: string, recipients: string[], amounts: BigIntish[], overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "updateAccruedRoyalties(address,address[],uint256[])": (collection: string, recipients: string[], amounts: BigIntish[], overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "updateAccruedRoyalties(address,address[],uint256[],bytes32[])": (collection: string, recipients: string[], amounts: BigIntish[], transactionHashes: string[], overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "updateCreatorAddress(address,address)": (collection: string, newCreator: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  updateCreatorAddress: (collection: string, newCreator: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "updateRoyaltyDataViaOracle(address)": (collection: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  updateRoyaltyDataViaOracle: (collection: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  "updateTokenHolder(address,uint256,address)": (collection: string, tokenId: BigIntish, newHolder: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+  updateTokenHolder: (collection: string, tokenId: BigIntish, newHolder: string, overrides?: WriteOverrides) => Promise<ContractTransaction>;
+}
+
+export type ContractErrorName =
+  | "AddressAlreadyClaimed"
+  | "BidNotFound"
+  | "CallerIsNotAdminOrServiceAccount"
+  | "CallerIsNotOwner"
+  | "CentralizedRoyaltyAdapter__CollectionNotRegistered"
+  | "CentralizedRoyaltyAdapter__DistributorCannotBeZeroAddress"
+  | "CentralizedRoyaltyAdapter__RoyaltyFeeWillExceedSalePrice"
+  | "CreatorTokenBase__InvalidTransferValidatorContract"
+  | "InsufficientBidAmount"
+  | "InsufficientPayment"
+  | "InvalidMerkleProof"
+  | "MaxSupplyExceeded"
+  | "MaxWhitelistSupplyExceeded"
+  | "MerkleRootNotSet"
+  | "NoBidsAvailable"
+  | "NotTokenMinter"
+  | "NotTokenOwner"
+  | "PublicMintNotActive"
+  | "RoyaltyDistributor__AddressNotMinterOrCreatorForCollection"
+  | "RoyaltyDistributor__BidNotFound"
+  | "RoyaltyDistributor__CallerIsNotAdminOrServiceAccount"
+  | "RoyaltyDistributor__CallerIsNotCollectionOwner"
+  | "RoyaltyDistributor__CallerIsNotTrustedOracle"
+  | "RoyaltyDistributor__CollectionAlreadyRegistered"
+  | "RoyaltyDistributor__CollectionNotRegistered"
+  | "RoyaltyDistributor__CreatorCannotBeZeroAddress"
+  | "RoyaltyDistributor__InsufficientUnclaimedRoyalties"
+  | "RoyaltyDistributor__InvalidBidAmount"
+  | "RoyaltyDistributor__MinterCannotBeZeroAddress"
+  | "RoyaltyDistributor__MinterHasAlreadyBeenAssignedToTokenId"
+  | "RoyaltyDistributor__NoRoyaltiesDueForAddress"
+  | "RoyaltyDistributor__NotCollectionCreatorOrAdmin"
+  | "RoyaltyDistributor__NotEnoughEtherToDistributeForCollection"
+  | "RoyaltyDistributor__NotEnoughTokensToDistributeForCollection"
+  | "RoyaltyDistributor__OracleUpdateTooFrequent"
+  | "RoyaltyDistributor__RoyaltyFeeWillExceedSalePrice"
+  | "RoyaltyDistributor__SharesCannotBeZero"
+  | "RoyaltyDistributor__SharesDoNotSumToDenominator"
+  | "RoyaltyDistributor__TransactionAlreadyProcessed"
+  | "RoyaltyDistributor__TransferFailed"
+  | "RoyaltyDistributor__ZeroAmountToDistribute"
+  | "SelfBiddingNotAllowed"
+  | "ShouldNotMintToBurnAddress"
+  | "TokenNotMinted"
+  | "TransferFailed";
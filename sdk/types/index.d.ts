@@ -0,0 +1,147 @@
+import type { DiamondGenesisPassMethods, CentralizedRoyaltyDistributorMethods, ContractErrorName } from './generated';
+
+export type { DiamondGenesisPassMethods, CentralizedRoyaltyDistributorMethods, ContractErrorName } from './generated';
+
+/** Hex string as returned for addresses, bytes and bytes32 values */
+export type Hex = `0x${string}`;
+
+/** Integer arguments accept bigints, numbers, decimal strings and ethers BigNumbers */
+export type BigIntish = bigint | number | string | { toString(): string };
+
+export interface WriteOverrides {}
+
+export interface PayableOverrides {
+  /** Wei to send with the call */
+  value?: BigIntish;
+}
+
+export interface TransactionReceipt {
+  hash: Hex;
+  status: 'success' | 'reverted';
+  blockNumber: bigint;
+  gasUsed: bigint;
+  logs: unknown[];
+}
+
+export interface ContractTransaction {
+  hash: Hex;
+  /** Resolves once the transaction is mined, also when it reverted */
+  wait(): Promise<TransactionReceipt>;
+}
+
+export interface DecodedRevert {
+  name?: string;
+  args?: unknown[];
+  reason?: string;
+}
+
+export interface ClientAdapter {
+  kind: 'ethers' | 'viem';
+  getAccount(): Promise<string>;
+  read(call: object): Promise<unknown[]>;
+  write(call: object): Promise<ContractTransaction>;
+  decodeRevert(error: unknown, errorAbi: readonly object[]): DecodedRevert | null;
+}
+
+export type Contract<Methods> = Methods & {
+  contractName: string;
+  address: string;
+  abi: readonly object[];
+};
+
+export type DiamondGenesisPassContract = Contract<DiamondGenesisPassMethods>;
+export type CentralizedRoyaltyDistributorContract = Contract<CentralizedRoyaltyDistributorMethods>;
+
+export class GenesisPassError extends Error {
+  name: 'GenesisPassError';
+  /** Custom error the contract reverted with, if any */
+  errorName: ContractErrorName | string | null;
+  errorArgs: unknown[];
+  /** Error(string) revert reason, if any */
+  reason: string | null;
+  contractName: string | null;
+  functionName: string | null;
+  cause?: unknown;
+}
+
+export interface EthersClientOptions {
+  /** ethers v5 Signer; required for transactions */
+  signer?: unknown;
+  /** ethers v5 Provider, for read-only use */
+  provider?: unknown;
+}
+
+export interface ViemClientOptions {
+  /** viem PublicClient */
+  publicClient?: unknown;
+  /** viem WalletClient; required for transactions */
+  walletClient?: unknown;
+}
+
+export type GenesisPassSdkOptions = (EthersClientOptions | ViemClientOptions) & {
+  /** DiamondGenesisPass address */
+  collection: string;
+  /** CentralizedRoyaltyDistributor address */
+  distributor: string;
+  /** ERC20 royalty tokens that getClaimable and claimAll include */
+  erc20Tokens?: string[];
+};
+
+export interface Claimable {
+  recipient: string;
+  eth: bigint;
+  erc20: Record<string, bigint>;
+}
+
+export interface Claim {
+  /** null for ETH royalties */
+  token: string | null;
+  amount: bigint;
+  hash: Hex;
+  receipt: TransactionReceipt;
+}
+
+export interface GenesisPassSdk {
+  adapter: ClientAdapter;
+  collection: DiamondGenesisPassContract;
+  distributor: CentralizedRoyaltyDistributorContract;
+  /** Royalties `recipient` (default: the connected account) can claim for this collection */
+  getClaimable(recipient?: string, options?: { tokens?: string[] }): Promise<Claimable>;
+  /**
+   * Claim all ETH and ERC20 royalties of the connected account. Rejects with
+   * `RoyaltyDistributor__NoRoyaltiesDueForAddress` when there is nothing to claim.
+   */
+  claimAll(recipient?: string, options?: { tokens?: string[] }): Promise<Claim[]>;
+  /** Whitelist mint `quantity` tokens, paying PUBLIC_MINT_PRICE per token by default */
+  mintWhitelist(proof: string[], quantity: BigIntish, options?: { value?: BigIntish }): Promise<ContractTransaction>;
+}
+
+export function createGenesisPassSdk(options: GenesisPassSdkOptions): GenesisPassSdk;
+
+export function createContract<Methods = Record<string, (...args: any[]) => Promise<any>>>(options: {
+  contractName: string;
+  address: string;
+  abi: readonly object[];
+  adapter: ClientAdapter;
+}): Contract<Methods>;
+
+export function createEthersAdapter(signerOrProvider: unknown): ClientAdapter;
+export function createViemAdapter(clients: ViemClientOptions): ClientAdapter;
+
+/** Readable description of a custom error name */
+export function describeError(errorName: string): string;
+
+export const ERROR_MESSAGES: Record<ContractErrorName, string>;
+export const ERROR_ABI: readonly object[];
+export const DiamondGenesisPassAbi: readonly object[];
+export const CentralizedRoyaltyDistributorAbi: readonly object[];
+
+/** Function and error selectors and event topics, keyed by canonical signature */
+export interface ContractSelectors {
+  functions: Record<string, Hex>;
+  events: Record<string, Hex>;
+  errors: Record<string, Hex>;
+}
+
+export const DiamondGenesisPassSelectors: ContractSelectors;
+export const CentralizedRoyaltyDistributorSelectors: ContractSelectors;
@@ -0,0 +1,47 @@
+// This is a Chainlink Functions request script that aggregates royalties for a collection
+// over a block range. It is the source ChainlinkOracleIntegration.sendRoyaltyDataRequest runs.
+// It will be executed by Chainlink oracle nodes
+// Upload the bundled source (`npm run bundle-functions`), which inlines the royalty aggregation
+// and the marketplace adapters it prices sales with
+
+// Args (set by ChainlinkOracleIntegration.sendRoyaltyDataRequest):
+// - args[0]: Collection address
+// - args[1]: First block of the range (the collection's lastSyncedBlock)
+// - args[2]: Last block of the range (the block the request was sent in)
+
+// Secrets:
+// - RPC_URL: JSON-RPC endpoint used for eth_getLogs and eth_call; it must serve state at args[2]
+// - OPENSEA_API_KEY, LOOKSRARE_API_KEY, BLUR_API_KEY, MAGICEDEN_API_KEY, RESERVOIR_API_KEY: Optional;
+//   sales no marketplace prices fall back to the transaction's ETH value
+
+// Returns abi.encode(address[] recipients, uint256[] amounts), which
+// ChainlinkOracleIntegration passes to CentralizedRoyaltyDistributor.fulfillRoyaltyData.
+// The DON caps a response at 256 bytes, which that encoding reaches at 2 recipients
+// (a minter and the creator). A range with more recipients fails with an error instead of
+// being truncated; accrue such ranges through the royalty indexer.
+// Sales accrued through this path must not also be submitted by the royalty indexer
+// (fulfillRoyaltyData carries no transaction hashes to de-duplicate against).
+
+// @include ./royaltyAggregation.js
+
+const MAX_RESPONSE_BYTES = 256;
+
+/**
+ * @notice Aggregates the range's royalties for fulfillRoyaltyData
+ * @return abi.encode(address[] recipients, uint256[] amounts) as bytes
+ */
+async function encodeRoyalties() {
+  const { recipients, amounts } = await aggregateRoyalties(
+    (request) => Functions.makeHttpRequest(request),
+    { collection: args[0], fromBlock: args[1], toBlock: args[2] },
+    secrets
+  );
+  const response = hexToBytes(encodeRecipientsAndAmounts(recipients, amounts));
+  if (response.length > MAX_RESPONSE_BYTES) {
+    throw Error(`${recipients.length} recipients need ${response.length} bytes, over the ${MAX_RESPONSE_BYTES}-byte response limit`);
+  }
+  return response;
+}
+
+// Execute the function
+return encodeRoyalties();
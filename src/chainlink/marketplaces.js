@@ -0,0 +1,233 @@
+// Marketplace sale adapters shared by the Chainlink Functions sources and the off-chain services.
+// This file has no imports so it can be inlined into a Functions source with `// @include ./marketplaces.js`
+// (see script/lib/functionsBundle.js) and required from Node as a regular module.
+
+// Every adapter turns one marketplace's sale events into normalized sale records:
+//   { txHash, tokenId, seller, buyer, price, currency, marketplace, blockNumber }
+// - txHash, seller, buyer and currency are lowercased hex strings
+// - tokenId and price are decimal strings; price is in the currency's smallest unit (wei for ETH)
+// - currency is the ERC-20 address, or NATIVE_CURRENCY for ETH
+// - blockNumber is a number, or null when the marketplace does not report it
+// Marketplaces list sales newest first, and the records keep that order.
+
+const NATIVE_CURRENCY = "0x0000000000000000000000000000000000000000";
+
+// Adapters queried by fetchSales when no list is given, in priority order
+const DEFAULT_MARKETPLACES = ["opensea", "looksrare", "blur", "magiceden", "reservoir"];
+
+const lowercase = (value) => (value ? String(value).toLowerCase() : null);
+
+/**
+ * @notice Convert a decimal amount such as "1.25" to base units, dropping digits past `decimals`
+ */
+function toBaseUnits(amount, decimals) {
+  const [whole, fraction = ""] = String(amount).split(".");
+  const paddedFraction = (fraction + "0".repeat(decimals)).slice(0, decimals);
+  return (BigInt(whole || "0") * 10n ** BigInt(decimals) + BigInt(paddedFraction || "0")).toString();
+}
+
+/**
+ * @notice Build a normalized sale record
+ */
+function saleRecord(marketplace, { txHash, tokenId, seller, buyer, price, currency, blockNumber }) {
+  return {
+    txHash: lowercase(txHash),
+    tokenId: String(tokenId),
+    seller: lowercase(seller),
+    buyer: lowercase(buyer),
+    price: BigInt(price).toString(),
+    currency: lowercase(currency) || NATIVE_CURRENCY,
+    marketplace,
+    blockNumber: blockNumber === undefined || blockNumber === null ? null : Number(blockNumber)
+  };
+}
+
+/**
+ * @notice Parse a Reservoir-style /sales/v6 response (Reservoir and Magic Eden)
+ */
+function parseReservoirSales(marketplace, data) {
+  return ((data && data.sales) || [])
+    .filter((sale) => !sale.isDeleted && sale.token && sale.price && sale.price.amount)
+    .map((sale) => saleRecord(marketplace, {
+      txHash: sale.txHash,
+      tokenId: sale.token.tokenId,
+      seller: sale.from,
+      buyer: sale.to,
+      price: sale.price.amount.raw,
+      currency: sale.price.currency && sale.price.currency.contract,
+      blockNumber: sale.block
+    }));
+}
+
+const RESERVOIR_HOSTS = {
+  ethereum: "https://api.reservoir.tools",
+  sepolia: "https://api-sepolia.reservoir.tools",
+  base: "https://api-base.reservoir.tools"
+};
+
+const LOOKSRARE_HOSTS = {
+  ethereum: "https://api.looksrare.org",
+  sepolia: "https://api-sepolia.looksrare.org"
+};
+
+// Each adapter exposes:
+// - apiKeySecret: name of the secret or environment variable holding its API key
+// - requiresApiKey: whether requests without a key are pointless (the adapter is skipped)
+// - request(query, apiKey): Functions.makeHttpRequest config for { chain, collection, tokenId }
+// - parse(data): normalized sale records from the response body
+const MARKETPLACE_ADAPTERS = {
+  opensea: {
+    apiKeySecret: "OPENSEA_API_KEY",
+    requiresApiKey: true,
+    request({ chain, collection, tokenId }, apiKey) {
+      return {
+        url: `https://api.opensea.io/api/v2/events/chain/${chain}/contract/${collection}/nfts/${tokenId}?event_type=sale`,
+        headers: { "X-API-KEY": apiKey, "Accept": "application/json" }
+      };
+    },
+    parse(data) {
+      return ((data && data.asset_events) || [])
+        .filter((event) => event.event_type === "sale" && event.nft && event.payment)
+        .map((event) => saleRecord("opensea", {
+          txHash: event.transaction,
+          tokenId: event.nft.identifier,
+          seller: event.seller,
+          buyer: event.buyer,
+          price: event.payment.quantity,
+          currency: event.payment.token_address,
+          blockNumber: null
+        }));
+    }
+  },
+
+  looksrare: {
+    apiKeySecret: "LOOKSRARE_API_KEY",
+    requiresApiKey: false,
+    request({ chain, collection, tokenId }, apiKey) {
+      return {
+        url: `${LOOKSRARE_HOSTS[chain] || LOOKSRARE_HOSTS.ethereum}/api/v2/events?collection=${collection}&itemId=${tokenId}&type=SALE`,
+        headers: apiKey ? { "X-Looks-Api-Key": apiKey, "Accept": "application/json" } : { "Accept": "application/json" }
+      };
+    },
+    parse(data) {
+      return ((data && data.data) || [])
+        .filter((event) => event.type === "SALE" && event.token && event.order)
+        .map((event) => saleRecord("looksrare", {
+          txHash: event.hash,
+          tokenId: event.token.tokenId,
+          seller: event.from,
+          buyer: event.to,
+          price: event.order.price,
+          currency: event.order.currency,
+          blockNumber: null
+        }));
+    }
+  },
+
+  blur: {
+    // Blur has no public API; this reads the activity feed of its partner API
+    apiKeySecret: "BLUR_API_KEY",
+    requiresApiKey: true,
+    request({ collection, tokenId }, apiKey) {
+      return {
+        url: `https://api.blur.io/v1/collections/${collection}/tokens/${tokenId}/activity?eventTypes=SALE`,
+        headers: { "X-API-KEY": apiKey, "Accept": "application/json" }
+      };
+    },
+    parse(data) {
+      return ((data && data.activityItems) || [])
+        // Blur quotes prices as decimal ETH; BETH and other units have no on-chain ETH value here
+        .filter((item) => item.eventType === "SALE" && item.price && item.price.unit === "ETH")
+        .map((item) => saleRecord("blur", {
+          txHash: item.txHash,
+          tokenId: item.tokenId,
+          seller: item.fromTrader && item.fromTrader.address,
+          buyer: item.toTrader && item.toTrader.address,
+          price: toBaseUnits(item.price.amount, 18),
+          currency: NATIVE_CURRENCY,
+          blockNumber: item.blockNumber
+        }));
+    }
+  },
+
+  magiceden: {
+    apiKeySecret: "MAGICEDEN_API_KEY",
+    requiresApiKey: false,
+    request({ chain, collection, tokenId }, apiKey) {
+      return {
+        url: `https://api-mainnet.magiceden.dev/v3/rtp/${chain}/sales/v6?tokens=${collection}:${tokenId}`,
+        headers: apiKey ? { "Authorization": `Bearer ${apiKey}`, "Accept": "application/json" } : { "Accept": "application/json" }
+      };
+    },
+    parse(data) {
+      return parseReservoirSales("magiceden", data);
+    }
+  },
+
+  reservoir: {
+    apiKeySecret: "RESERVOIR_API_KEY",
+    requiresApiKey: false,
+    request({ chain, collection, tokenId }, apiKey) {
+      return {
+        url: `${RESERVOIR_HOSTS[chain] || RESERVOIR_HOSTS.ethereum}/sales/v6?tokens=${collection}:${tokenId}`,
+        headers: apiKey ? { "x-api-key": apiKey, "Accept": "application/json" } : { "Accept": "application/json" }
+      };
+    },
+    parse(data) {
+      return parseReservoirSales("reservoir", data);
+    }
+  }
+};
+
+/**
+ * @notice Query marketplaces in priority order until one reports a sale of the token
+ * @param makeHttpRequest Functions.makeHttpRequest, or any function with the same contract
+ * @param query { collection, tokenId, chain?, txHash? }; with txHash only that sale is returned
+ * @param options { marketplaces?: adapter names, apiKeys?: secrets keyed by apiKeySecret }
+ * @return { sales, errors }: the first marketplace's matching sales and the failures before it
+ */
+async function fetchSales(makeHttpRequest, query, { marketplaces = DEFAULT_MARKETPLACES, apiKeys = {} } = {}) {
+  const tokenId = String(query.tokenId);
+  const txHash = lowercase(query.txHash);
+  const request = { chain: query.chain || "ethereum", collection: query.collection.toLowerCase(), tokenId };
+  const errors = [];
+
+  for (const name of marketplaces) {
+    const adapter = MARKETPLACE_ADAPTERS[name];
+    if (!adapter) {
+      throw Error(`Unknown marketplace: ${name}`);
+    }
+    const apiKey = apiKeys[adapter.apiKeySecret];
+    if (adapter.requiresApiKey && !apiKey) continue;
+
+    const response = await makeHttpRequest(adapter.request(request, apiKey));
+    if (response.error) {
+      errors.push(`${name}: ${response.message || "request failed"}`);
+      continue;
+    }
+
+    let sales;
+    try {
+      sales = adapter.parse(response.data);
+    } catch (error) {
+      errors.push(`${name}: unexpected response (${error.message})`);
+      continue;
+    }
+    sales = sales.filter((sale) => sale.tokenId === tokenId && (!txHash || sale.txHash === txHash));
+    if (sales.length > 0) {
+      return { sales, errors };
+    }
+  }
+
+  return { sales: [], errors };
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    NATIVE_CURRENCY,
+    DEFAULT_MARKETPLACES,
+    MARKETPLACE_ADAPTERS,
+    toBaseUnits,
+    fetchSales
+  };
+}
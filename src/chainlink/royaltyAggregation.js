@@ -0,0 +1,208 @@
+// Royalty aggregation for the aggregateRoyalties Functions source.
+// It can be inlined into a Functions source with `// @include ./royaltyAggregation.js` (see
+// script/lib/functionsBundle.js), which also inlines the marketplace adapters it prices sales with,
+// and required from Node as a regular module.
+
+// Every read is pinned to the range's last block, so the same range always aggregates the same way.
+
+// @include ./marketplaces.js
+
+// Inlined above in a Functions source; Node has to require it
+const salesOf = typeof fetchSales === "function" ? fetchSales : require("./marketplaces").fetchSales;
+
+// The DON allows 5 HTTP requests per execution and answers any request past that with an error.
+// The RPC reads take 2; marketplace lookups get the rest, and sales left unpriced when they run
+// out fall back to the transaction's ETH value.
+
+const MARKETPLACE_CHAIN = "ethereum";
+const FEE_DENOMINATOR = 10000n;
+const SHARES_DENOMINATOR = 10000n;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const TRANSFER_TOPIC = "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+
+// Function selectors
+const ROYALTY_DISTRIBUTOR = "0x5581ed87"; // royaltyDistributor()
+const GET_COLLECTION_CONFIG = "0x191cf354"; // getCollectionConfig(address)
+const GET_MINTER = "0x13890cf8"; // getMinter(address,uint256)
+const GET_MINTER_OF = "0x295a08e2"; // getMinterOf(uint256)
+
+const toHex = (value) => "0x" + BigInt(value).toString(16);
+const word = (value) => BigInt(value).toString(16).padStart(64, "0");
+const readWord = (data, index) => BigInt("0x" + data.slice(2 + index * 64, 2 + (index + 1) * 64));
+const readAddress = (data, index) => "0x" + data.slice(2 + index * 64 + 24, 2 + (index + 1) * 64).toLowerCase();
+
+/**
+ * @notice Send a batch of JSON-RPC calls in a single HTTP request
+ * @param makeHttpRequest Functions.makeHttpRequest, or any function with the same contract
+ * @param calls Array of [method, params] pairs
+ * @return Array of { result, error } in the same order as `calls`
+ */
+async function rpcBatch(makeHttpRequest, rpcUrl, calls) {
+  const response = await makeHttpRequest({
+    url: rpcUrl,
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    data: calls.map(([method, params], id) => ({ jsonrpc: "2.0", id, method, params }))
+  });
+
+  if (response.error || !Array.isArray(response.data)) {
+    throw Error(`RPC request failed: ${response.error ? response.message || "error" : "invalid response"}`);
+  }
+
+  const byId = new Map(response.data.map((item) => [item.id, item]));
+  return calls.map((_, id) => byId.get(id) || { error: { message: "missing response" } });
+}
+
+/**
+ * @notice Look up the ETH price of each sale with the marketplace adapters, in transfer order
+ * @return Map of "txHash:tokenId" => price in wei (BigInt), for the sales a marketplace reported
+ */
+async function fetchMarketplacePrices(makeHttpRequest, collection, transfers, apiKeys) {
+  const prices = new Map();
+  for (const transfer of transfers) {
+    const key = `${transfer.txHash}:${transfer.tokenId}`;
+    if (prices.has(key)) continue;
+
+    const { sales } = await salesOf(
+      makeHttpRequest,
+      { chain: MARKETPLACE_CHAIN, collection, tokenId: transfer.tokenId, txHash: transfer.txHash },
+      { apiKeys }
+    );
+    // Only native ETH sales accrue to the distributor's ETH balance
+    const sale = sales.find((record) => record.currency === ZERO_ADDRESS);
+    if (sale) {
+      prices.set(key, BigInt(sale.price));
+    }
+  }
+  return prices;
+}
+
+/**
+ * @notice Aggregates the royalties owed to each minter and the creator for sales in the range
+ * @param makeHttpRequest Functions.makeHttpRequest, or any function with the same contract
+ * @param query { collection, fromBlock, toBlock }
+ * @param secrets { RPC_URL } plus any marketplace API keys, e.g. OPENSEA_API_KEY
+ * @return { recipients, amounts }: lowercased addresses in ascending order and BigInt amounts
+ */
+async function aggregateRoyalties(makeHttpRequest, query, secrets) {
+  const collection = String(query.collection || "").toLowerCase();
+  if (!/^0x[0-9a-f]{40}$/.test(collection)) {
+    throw Error("Collection address is required");
+  }
+  if (query.fromBlock === undefined || query.toBlock === undefined) {
+    throw Error("fromBlock and toBlock are required");
+  }
+  if (!secrets.RPC_URL) {
+    throw Error("RPC_URL secret is required");
+  }
+  const fromBlock = BigInt(query.fromBlock);
+  const toBlock = BigInt(query.toBlock);
+  const rpc = (calls) => rpcBatch(makeHttpRequest, secrets.RPC_URL, calls);
+  const ethCall = (to, data) => ["eth_call", [{ to, data }, toHex(toBlock)]];
+
+  // 1. Transfers in the range and the collection's distributor
+  const [logs, distributorResult] = await rpc([
+    ["eth_getLogs", [{ address: collection, fromBlock: toHex(fromBlock), toBlock: toHex(toBlock), topics: [TRANSFER_TOPIC] }]],
+    ethCall(collection, ROYALTY_DISTRIBUTOR)
+  ]);
+  if (logs.error || distributorResult.error) {
+    throw Error("Failed to read transfers or the royalty distributor");
+  }
+  const distributor = readAddress(distributorResult.result, 0);
+
+  // Secondary transfers only: skip mints and burns
+  const transfers = logs.result
+    .map((log) => ({
+      txHash: log.transactionHash.toLowerCase(),
+      from: "0x" + log.topics[1].slice(26),
+      to: "0x" + log.topics[2].slice(26),
+      tokenId: BigInt(log.topics[3])
+    }))
+    .filter((transfer) => transfer.from !== ZERO_ADDRESS && transfer.to !== ZERO_ADDRESS);
+
+  // 2. Collection config, current minter of every token and fallback transaction values
+  const txHashes = [...new Set(transfers.map((transfer) => transfer.txHash))];
+  const results = await rpc([
+    ethCall(distributor, GET_COLLECTION_CONFIG + word(collection)),
+    ...transfers.map((transfer) => ethCall(collection, GET_MINTER_OF + word(transfer.tokenId))),
+    ...transfers.map((transfer) => ethCall(distributor, GET_MINTER + word(collection) + word(transfer.tokenId))),
+    ...txHashes.map((hash) => ["eth_getTransactionByHash", [hash]])
+  ]);
+
+  const config = results[0];
+  if (config.error) {
+    throw Error("Collection is not registered with the distributor");
+  }
+  const royaltyFeeNumerator = readWord(config.result, 0);
+  const minterShares = readWord(config.result, 1);
+  const creatorShares = readWord(config.result, 2);
+  const creator = readAddress(config.result, 3);
+
+  const minterOverrides = results.slice(1, 1 + transfers.length);
+  const storedMinters = results.slice(1 + transfers.length, 1 + 2 * transfers.length);
+  const txValues = new Map(txHashes.map((hash, i) => {
+    const tx = results[1 + 2 * transfers.length + i].result;
+    return [hash, tx ? BigInt(tx.value) : 0n];
+  }));
+  const transfersPerTx = new Map();
+  for (const transfer of transfers) {
+    transfersPerTx.set(transfer.txHash, (transfersPerTx.get(transfer.txHash) || 0n) + 1n);
+  }
+
+  // 3. Marketplace prices, falling back to the transaction's value split across its transfers
+  const prices = await fetchMarketplacePrices(makeHttpRequest, collection, transfers, secrets);
+
+  // 4. Same integer math as CentralizedRoyaltyDistributor.batchUpdateRoyaltyData
+  const owed = new Map();
+  const accrue = (recipient, amount) => {
+    if (recipient === ZERO_ADDRESS || amount === 0n) return;
+    owed.set(recipient, (owed.get(recipient) || 0n) + amount);
+  };
+
+  transfers.forEach((transfer, i) => {
+    const salePrice = prices.get(`${transfer.txHash}:${transfer.tokenId}`)
+      ?? txValues.get(transfer.txHash) / transfersPerTx.get(transfer.txHash);
+    if (salePrice === 0n) return;
+
+    const override = minterOverrides[i].error ? ZERO_ADDRESS : readAddress(minterOverrides[i].result, 0);
+    const minter = override !== ZERO_ADDRESS || storedMinters[i].error
+      ? override
+      : readAddress(storedMinters[i].result, 0);
+
+    const royaltyAmount = (salePrice * royaltyFeeNumerator) / FEE_DENOMINATOR;
+    accrue(minter, (royaltyAmount * minterShares) / SHARES_DENOMINATOR);
+    accrue(creator, (royaltyAmount * creatorShares) / SHARES_DENOMINATOR);
+  });
+
+  // Sorted so every node in the DON computes byte-identical output
+  const recipients = [...owed.keys()].sort();
+  const amounts = recipients.map((recipient) => owed.get(recipient));
+  return { recipients, amounts };
+}
+
+function hexToBytes(hex) {
+  const bytes = new Uint8Array((hex.length - 2) / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(2 + i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * @notice Encode (address[], uint256[]) exactly as Solidity's abi.encode does
+ */
+function encodeRecipientsAndAmounts(recipients, amounts) {
+  const n = recipients.length;
+  const head = word(64) + word(64 + 32 * (n + 1));
+  const addresses = word(n) + recipients.map((recipient) => word(recipient)).join("");
+  const values = word(n) + amounts.map((amount) => word(amount)).join("");
+  return "0x" + head + addresses + values;
+}
+
+if (typeof module !== "undefined") {
+  module.exports = {
+    aggregateRoyalties,
+    encodeRecipientsAndAmounts,
+    hexToBytes
+  };
+}
@@ -177,20 +177,19 @@ contract ChainlinkOracleIntegration is FunctionsClient, ConfirmedOwner {
     
     /**
      * @notice Process royalty data response from oracle and update accrued royalties
+     * @dev The Functions source (src/chainlink/aggregateRoyalties.js) returns
+     *      abi.encode(address[] recipients, uint256[] amounts)
      * @param collection The collection address
      * @param response The response from the oracle
      */
     function _processRoyaltyResponse(address collection, bytes memory response) internal {
-        // Decode the response
-        string memory jsonStr = abi.decode(response, (string));
-        
-        // Parse the JSON (simplified - in production you'd need a proper JSON parser)
-        // For this example, we assume the response is already in the correct format
-        
-        // Replace try/catch with regular function call and error handling
-        (bool success, address[] memory recipients, uint256[] memory amounts) = _tryParseResponse(jsonStr);
-        
-        if (!success) {
+        if (response.length == 0) {
+            revert InvalidResponseFormat();
+        }
+
+        (address[] memory recipients, uint256[] memory amounts) = abi.decode(response, (address[], uint256[]));
+
+        if (recipients.length != amounts.length) {
             revert InvalidResponseFormat();
         }
         
@@ -207,35 +206,6 @@ contract ChainlinkOracleIntegration is FunctionsClient, ConfirmedOwner {
         }
     }
     
-    /**
-     * @notice Try to parse the JSON response with error handling
-     * @param jsonStr The JSON string to parse
-     * @return success Whether parsing was successful
-     * @return recipients Array of recipient addresses
-     * @return amounts Array of royalty amounts
-     */
-    function _tryParseResponse(string memory jsonStr) internal pure returns (bool success, address[] memory recipients, uint256[] memory amounts) {
-        // Simple validation to ensure the string isn't empty
-        if (bytes(jsonStr).length == 0) {
-            return (false, recipients, amounts);
-        }
-        
-        // This is a placeholder - in a real implementation, you'd need a proper JSON parser
-        // For demonstration purposes only
-        
-        // Mock data
-        recipients = new address[](2);
-        amounts = new uint256[](2);
-        
-        recipients[0] = address(0x1); // Placeholder
-        recipients[1] = address(0x2); // Placeholder
-        
-        amounts[0] = 1 ether; // Placeholder
-        amounts[1] = 2 ether; // Placeholder
-        
-        return (true, recipients, amounts);
-    }
-    
     /**
      * @notice Check if the Chainlink integration is configured
      * @return Whether Chainlink is configured
@@ -300,26 +270,10 @@ contract ChainlinkOracleIntegration is FunctionsClient, ConfirmedOwner {
      * @dev This is a reference for implementing the off-chain component that listens for events
      *      and triggers Chainlink Functions requests
      * 
-     * // Off-chain pseudo-code for Node.js event listener:
-     * // 
-     * // const ethers = require('ethers');
-     * // const distributorAbi = [...]; // ABI with the OracleUpdateRequested event
-     * // const oracleAddress = "0x..."; // Address of this ChainlinkOracleIntegration contract
-     * // 
-     * // const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
-     * // const distributor = new ethers.Contract(distributorAddress, distributorAbi, provider);
-     * // 
-     * // distributor.on("OracleUpdateRequested", async (collection, fromBlock, toBlock, event) => {
-     * //   console.log(`Oracle update requested for collection ${collection}`);
-     * // 
-     * //   // Get the wallet to pay for the request
-     * //   const wallet = new ethers.Wallet(privateKey, provider);
-     * //   const oracle = new ethers.Contract(oracleAddress, oracleAbi, wallet);
-     * // 
-     * //   // Send the royalty data request
-     * //   const tx = await oracle.sendRoyaltyDataRequest(collection, fromBlock.toString());
-     * //   console.log(`Request sent in transaction ${tx.hash}`);
-     * // });
+     * The listener is implemented in script/OracleListener.js (`npm run oracle-listener`):
+     * it watches the distributor for OracleUpdateRequested, calls sendRoyaltyDataRequest from a
+     * service account once per (collection, fromBlock, toBlock) range with retry and backoff, and
+     * logs each request ID alongside the OracleResponseReceived/OracleResponseFailed event it gets.
      */
     function offchainOracleListenerReference() external pure returns (string memory) {
         return "The off-chain component should implement an event listener for OracleUpdateRequested";
@@ -0,0 +1,116 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "forge-std/Test.sol";
+import "src/programmable-royalties/CentralizedRoyaltyDistributor.sol";
+import "src/programmable-royalties/ChainlinkOracleIntegration.sol";
+import "src/DiamondGenesisPass.sol";
+
+// Exposes the router callback, which the mock FunctionsClient has no entry point for
+contract ChainlinkOracleIntegrationHarness is ChainlinkOracleIntegration {
+    constructor(address distributorAddress) ChainlinkOracleIntegration(distributorAddress, address(0)) {}
+
+    function fulfill(bytes32 requestId, bytes memory response, bytes memory err) external {
+        fulfillRequest(requestId, response, err);
+    }
+}
+
+contract ChainlinkOracleIntegrationTest is Test {
+    CentralizedRoyaltyDistributor distributor;
+    DiamondGenesisPass nft;
+    ChainlinkOracleIntegrationHarness oracle;
+
+    address admin = address(0xA11CE);
+    address creator = address(0xC0FFEE);
+    address minter1 = address(0x1001);
+    address minter2 = address(0x1002);
+
+    uint96 royaltyFee = 750; // 7.5%
+
+    bytes32 requestId;
+
+    function setUp() public {
+        vm.startPrank(admin);
+        distributor = new CentralizedRoyaltyDistributor();
+        nft = new DiamondGenesisPass(address(distributor), royaltyFee, creator);
+        if (!distributor.isCollectionRegistered(address(nft))) {
+            distributor.registerCollection(address(nft), royaltyFee, 2000, 8000, creator);
+        }
+
+        oracle = new ChainlinkOracleIntegrationHarness(address(distributor));
+        oracle.configureChainlink(address(0xF0), bytes32("don"), 1);
+        oracle.setSource("return Functions.encodeUint256(0);");
+        distributor.setTrustedOracleAddress(address(oracle));
+
+        requestId = oracle.sendRoyaltyDataRequest(address(nft), 0);
+        vm.stopPrank();
+
+        // Royalties the accruals are paid from
+        vm.deal(admin, 1 ether);
+        vm.prank(admin);
+        distributor.addCollectionRoyalties{value: 1 ether}(address(nft));
+    }
+
+    // A minter and the creator: the most an abi.encode(address[], uint256[]) response fits in 256 bytes
+    function _royalties() internal view returns (address[] memory recipients, uint256[] memory amounts) {
+        recipients = new address[](2);
+        amounts = new uint256[](2);
+        recipients[0] = minter1;
+        recipients[1] = creator;
+        amounts[0] = 0.03 ether;
+        amounts[1] = 0.12 ether;
+    }
+
+    function testValidResponseAccruesRoyalties() public {
+        (address[] memory recipients, uint256[] memory amounts) = _royalties();
+        bytes memory response = abi.encode(recipients, amounts);
+        assertEq(response.length, 256, "Response must fit the Functions response limit");
+
+        vm.expectEmit(true, true, false, true);
+        emit ChainlinkOracleIntegration.OracleResponseReceived(requestId, address(nft), response);
+        oracle.fulfill(requestId, response, "");
+
+        assertEq(distributor.getClaimableRoyalties(address(nft), minter1), 0.03 ether, "Minter1 claimable mismatch");
+        assertEq(distributor.getClaimableRoyalties(address(nft), creator), 0.12 ether, "Creator claimable mismatch");
+    }
+
+    function testThirdRecipientExceedsResponseLimit() public view {
+        address[] memory recipients = new address[](3);
+        uint256[] memory amounts = new uint256[](3);
+        recipients[0] = minter1;
+        recipients[1] = minter2;
+        recipients[2] = creator;
+        assertEq(abi.encode(recipients, amounts).length, 320, "Three recipients must not fit in 256 bytes");
+    }
+
+    function testEmptyResponseReverts() public {
+        vm.expectRevert(ChainlinkOracleIntegration.InvalidResponseFormat.selector);
+        oracle.fulfill(requestId, "", "");
+    }
+
+    function testMalformedResponseReverts() public {
+        // Too short to hold the offsets of both arrays
+        vm.expectRevert();
+        oracle.fulfill(requestId, abi.encode(uint256(64)), "");
+
+        assertEq(distributor.getClaimableRoyalties(address(nft), minter1), 0, "Malformed response accrued");
+    }
+
+    function testLengthMismatchReverts() public {
+        (address[] memory recipients, uint256[] memory amounts) = _royalties();
+        uint256[] memory shortAmounts = new uint256[](1);
+        shortAmounts[0] = amounts[0];
+
+        vm.expectRevert(ChainlinkOracleIntegration.InvalidResponseFormat.selector);
+        oracle.fulfill(requestId, abi.encode(recipients, shortAmounts), "");
+    }
+
+    function testErrorResponseAccruesNothing() public {
+        vm.expectEmit(true, true, false, true);
+        emit ChainlinkOracleIntegration.OracleResponseFailed(requestId, address(nft), "RPC request failed");
+        oracle.fulfill(requestId, "", "RPC request failed");
+
+        assertEq(distributor.getClaimableRoyalties(address(nft), minter1), 0, "Failed response accrued");
+        assertEq(distributor.getClaimableRoyalties(address(nft), creator), 0, "Failed response accrued");
+    }
+}
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { ABI_DIR, loadAbi } = require('../../script/lib/abis');
+const { CONTRACT_SOURCES } = require('../../script/lib/forgeArtifacts');
+const { generateAbiFiles, staleFiles } = require('../../script/lib/abiCodegen');
+const { DiamondGenesisPassSelectors, CentralizedRoyaltyDistributorSelectors } = require('../../sdk/src');
+
+// out/<File>.sol/<Name>.json for both contracts, with the committed ABIs unless overridden
+function writeArtifacts(t, abis = {}) {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'abi-codegen-'));
+  t.after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+  for (const [name, source] of Object.entries(CONTRACT_SOURCES)) {
+    fs.mkdirSync(path.join(outDir, path.basename(source)), { recursive: true });
+    fs.writeFileSync(path.join(outDir, path.basename(source), `${name}.json`), JSON.stringify({
+      abi: abis[name] || loadAbi(name),
+      bytecode: { object: '0x6080', linkReferences: {} },
+      deployedBytecode: { object: '0x6080', linkReferences: {}, immutableReferences: {} },
+      metadata: { settings: { compilationTarget: { [source]: name } } }
+    }));
+  }
+  return outDir;
+}
+
+const relative = stale => stale.map(({ file, status }) => `${status} ${path.relative(path.join(__dirname, '..', '..'), file)}`);
+
+test('committed ABIs, bindings and selectors match the artifacts they were generated from', (t) => {
+  const outDir = writeArtifacts(t);
+  assert.deepStrictEqual(staleFiles(generateAbiFiles({ outDir })), []);
+
+  const missing = staleFiles(generateAbiFiles({ outDir, abiDir: path.join(outDir, 'abis') }));
+  assert.deepStrictEqual(missing.map(({ status }) => status), ['missing', 'missing', 'missing']);
+});
+
+test('a changed contract makes the committed files stale', (t) => {
+  const abi = [...loadAbi('DiamondGenesisPass'), {
+    type: 'event',
+    name: 'MetadataRevealed',
+    inputs: [{ name: 'baseURI', type: 'string', indexed: false, internalType: 'string' }],
+    anonymous: false
+  }];
+  const files = generateAbiFiles({ outDir: writeArtifacts(t, { DiamondGenesisPass: abi }) });
+  assert.deepStrictEqual(relative(staleFiles(files)), [
+    'changed abis/DiamondGenesisPass.json',
+    'changed sdk/src/generated/abis.js',
+    'changed sdk/src/generated/selectors.js'
+  ]);
+  assert.deepStrictEqual(JSON.parse(files[path.join(ABI_DIR, 'DiamondGenesisPass.json')]), abi);
+  assert.match(files[path.join(__dirname, '..', '..', 'sdk', 'src', 'generated', 'selectors.js')], new RegExp(ethers.utils.id('MetadataRevealed(string)')));
+});
+
+test('selectors are keyed by canonical signature', () => {
+  assert.strictEqual(DiamondGenesisPassSelectors.functions['mint(address)'], ethers.utils.id('mint(address)').slice(0, 10));
+  assert.strictEqual(DiamondGenesisPassSelectors.events['Transfer(address,address,uint256)'], ethers.utils.id('Transfer(address,address,uint256)'));
+  assert.strictEqual(CentralizedRoyaltyDistributorSelectors.errors['RoyaltyDistributor__CollectionNotRegistered()'], ethers.utils.id('RoyaltyDistributor__CollectionNotRegistered()').slice(0, 10));
+});
@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { loadAbi } = require('../../script/lib/abis');
+const { parseRecipients, planMints, readJournal, createAirdrop, buildReport } = require('../../script/lib/airdrop');
+
+const COLLECTION = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+/**
+ * In-memory chain: a mempool mined in nonce order when a transaction is awaited, and a
+ * collection whose mintOwner emits Transfer(0, to, ++totalSupply).
+ */
+function createFakeChain() {
+  const collection = new ethers.Contract(COLLECTION, loadAbi('DiamondGenesisPass'));
+  const iface = collection.interface;
+  const chain = { nonce: 0, totalSupply: 0, mempool: new Map(), receipts: new Map(), crash: null };
+
+  function mine(hash) {
+    const { data, nonce } = chain.mempool.get(hash);
+    chain.mempool.delete(hash);
+    const [to] = iface.decodeFunctionData('mintOwner', data);
+    chain.totalSupply += 1;
+    chain.nonce = nonce + 1;
+    const transfer = iface.encodeEventLog(iface.getEvent('Transfer'), [ethers.constants.AddressZero, to, chain.totalSupply]);
+    chain.receipts.set(hash, { status: 1, blockNumber: 100 + chain.totalSupply, transactionHash: hash, logs: [{ address: COLLECTION, ...transfer }] });
+  }
+
+  const provider = {
+    async getTransaction(hash) { return chain.mempool.get(hash) || chain.receipts.get(hash) || null; },
+    async getTransactionReceipt(hash) { return chain.receipts.get(hash) || null; },
+    async waitForTransaction(hash) {
+      if (chain.mempool.has(hash)) {
+        const { nonce } = chain.mempool.get(hash);
+        const queued = [...chain.mempool.entries()].sort(([, x], [, y]) => x.nonce - y.nonce);
+        for (const [queuedHash, tx] of queued) {
+          if (tx.nonce <= nonce) mine(queuedHash);
+        }
+      }
+      return chain.receipts.get(hash);
+    },
+    async sendTransaction(rawTx) {
+      if (chain.crash === 'before') {
+        chain.crash = null;
+        throw new Error('crash before broadcast');
+      }
+      const tx = JSON.parse(ethers.utils.toUtf8String(rawTx));
+      if (tx.nonce < chain.nonce) throw new Error('nonce too low');
+      chain.mempool.set(ethers.utils.keccak256(rawTx), tx);
+      if (chain.crash === 'after') {
+        chain.crash = null;
+        throw new Error('crash after broadcast');
+      }
+    }
+  };
+
+  const wallet = {
+    async getTransactionCount(tag) { return chain.nonce + (tag === 'pending' ? chain.mempool.size : 0); },
+    async populateTransaction(tx) { return tx; },
+    async signTransaction(tx) { return ethers.utils.hexlify(ethers.utils.toUtf8Bytes(JSON.stringify(tx))); }
+  };
+
+  return { chain, provider, wallet, collection };
+}
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'airdrop-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const fake = createFakeChain();
+  const { entries } = parseRecipients(`address,count\n${ALICE},2\n${BOB},1\n`);
+  const start = (options = {}) => createAirdrop({
+    ...fake,
+    mints: planMints(entries),
+    journalFile: path.join(dir, 'airdrop.jsonl'),
+    chainId: 31337,
+    maxPending: 2,
+    log: () => {},
+    ...options
+  });
+  return { ...fake, entries, start, journalFile: path.join(dir, 'airdrop.jsonl') };
+}
+
+test('the recipients CSV is validated and expanded to one mint per token', () => {
+  const { entries, errors, total } = parseRecipients(`address,quantity\n${ALICE.toLowerCase()},2\n${BOB},0\n0x123,1\n${ALICE},1\n`);
+  assert.deepStrictEqual(entries, [{ address: ALICE, count: 2, line: 2 }]);
+  assert.strictEqual(total, 2);
+  assert.deepStrictEqual(errors.map(({ line, error }) => [line, error]), [
+    [3, 'count must be a positive integer, got "0"'],
+    [4, 'invalid address (or bad checksum)'],
+    [5, 'duplicate of line 2; merge the counts']
+  ]);
+  assert.deepStrictEqual(planMints([{ address: ALICE, count: 2 }, { address: BOB, count: 1 }]), [
+    { index: 0, recipient: ALICE },
+    { index: 1, recipient: ALICE },
+    { index: 2, recipient: BOB }
+  ]);
+  assert.throws(() => parseRecipients('wallet,amount\n'), /address column and a count column/);
+});
+
+test('an airdrop maps each recipient to the token IDs from the Transfer logs', async (t) => {
+  const { chain, entries, start, journalFile } = setup(t);
+  chain.totalSupply = 10;
+
+  const confirmed = await start().run();
+  assert.deepStrictEqual(buildReport(entries, confirmed).map(({ address, tokenIds }) => [address, tokenIds]), [
+    [ALICE, ['11', '12']],
+    [BOB, ['13']]
+  ]);
+  assert.deepStrictEqual(readJournal(journalFile).map(entry => entry.event), [
+    'start', 'signed', 'signed', 'confirmed', 'signed', 'confirmed', 'confirmed'
+  ]);
+  assert.deepStrictEqual(readJournal(journalFile).filter(entry => entry.event === 'signed').map(entry => entry.nonce), [0, 1, 2]);
+
+  // Running again sends nothing
+  const again = start();
+  assert.deepStrictEqual(again.outstanding(), []);
+  assert.strictEqual((await again.run()).length, 3);
+  assert.strictEqual(chain.totalSupply, 13);
+});
+
+test('a crash resumes without minting twice', async (t) => {
+  const { chain, start, journalFile } = setup(t);
+
+  // Broadcast, then the process dies before the receipt is journaled
+  chain.crash = 'after';
+  await assert.rejects(start().run(), /crash after broadcast/);
+  // A truncated last line from the crash is ignored
+  fs.appendFileSync(journalFile, '{"time":');
+
+  const resumed = start();
+  await resumed.resume();
+  assert.strictEqual(chain.totalSupply, 1);
+  assert.deepStrictEqual(resumed.outstanding().map(mint => mint.index), [1, 2]);
+
+  // Signed but never broadcast: the same transaction is sent on resume
+  chain.crash = 'before';
+  await assert.rejects(resumed.run(), /crash before broadcast/);
+  const confirmed = await start().run();
+  assert.strictEqual(chain.totalSupply, 3);
+  assert.deepStrictEqual(confirmed.map(entry => entry.tokenId), ['1', '2', '3']);
+});
+
+test('a transaction mined between the receipt and nonce checks is not taken for replaced', async (t) => {
+  const { chain, provider, wallet, start, journalFile } = setup(t);
+  chain.crash = 'after';
+  await assert.rejects(start().run(), /crash after broadcast/);
+
+  // The broadcast mint is mined right after resume finds no receipt for it
+  const { getTransactionCount } = wallet;
+  wallet.getTransactionCount = async (tag) => {
+    wallet.getTransactionCount = getTransactionCount;
+    await provider.waitForTransaction([...chain.mempool.keys()][0]);
+    return getTransactionCount(tag);
+  };
+
+  const resumed = start();
+  await resumed.resume();
+  assert.strictEqual(chain.totalSupply, 1);
+  assert.deepStrictEqual(resumed.outstanding().map(mint => mint.index), [1, 2]);
+  assert.deepStrictEqual(readJournal(journalFile).filter(entry => entry.event === 'dropped'), []);
+  assert.deepStrictEqual((await resumed.run()).map(entry => entry.tokenId), ['1', '2', '3']);
+});
+
+test('a transaction whose nonce was used elsewhere is sent again', async (t) => {
+  const { chain, start, journalFile } = setup(t);
+  chain.crash = 'before';
+  await assert.rejects(start().run(), /crash before broadcast/);
+
+  // Another transaction from the service account consumed nonce 0
+  chain.nonce = 1;
+  const confirmed = await start().run();
+  assert.deepStrictEqual(confirmed.map(entry => entry.tokenId), ['1', '2', '3']);
+  assert.deepStrictEqual(readJournal(journalFile).filter(entry => entry.event === 'dropped').map(entry => entry.index), [0]);
+
+  assert.throws(() => start({ method: 'safeMintOwner' }), /belongs to a different airdrop/);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { loadAbi } = require('../../script/lib/abis');
+const { openAnalyticsStore } = require('../../script/lib/analyticsStore');
+const { ETH, createAnalyticsIndexer } = require('../../script/lib/analyticsIndexer');
+const { createAnalyticsServer } = require('../../script/AnalyticsServer');
+const { fakeContract } = require('./helpers/fakeChain');
+
+const distributorAddress = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const collection = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const minter = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const creator = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const weth = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+
+const iface = new ethers.utils.Interface(loadAbi('CentralizedRoyaltyDistributor'));
+const DAY = 86400;
+const START = 1700006400; // 2023-11-15T00:00:00Z
+
+// Chain of `[blockNumber, eventName, args]`; block n is mined at START + n hours
+function fakeChain(entries, head) {
+  const logs = entries.map(([blockNumber, name, args], i) => [blockNumber, name, args, ethers.utils.id(`tx${i}`)]);
+  return fakeContract({ iface, address: distributorAddress, entries: logs, head, genesis: START, blockTime: 3600 });
+}
+
+const sale = (tokenId, price, tx) => ['RoyaltyAttributed', [collection, tokenId, minter, price, price / 20, price / 5 - price / 20, ethers.utils.id(tx)]];
+
+test('indexes royalty events and serves time series, recipient and token history', async (t) => {
+  const distributor = fakeChain([
+    [1, 'MinterAssigned', [collection, 1, minter]],
+    [2, ...sale(1, 1000, 'sale-a')],
+    [2, 'RoyaltyAccrued', [collection, minter, 50]],
+    [2, 'RoyaltyAccrued', [collection, creator, 150]],
+    [30, ...sale(1, 2000, 'sale-b')],
+    [30, 'RoyaltyAccrued', [collection, minter, 100]],
+    [31, 'RoyaltyClaimed', [collection, minter, 120]],
+    [32, 'ERC20RoyaltyAccrued', [collection, weth, creator, 7]],
+    [40, 'CreatorAddressUpdated', [collection, creator, minter]],
+    [60, 'RoyaltyAccrued', [collection, creator, 999]] // not confirmed yet
+  ], 55);
+  const store = openAnalyticsStore(':memory:');
+  t.after(() => store.close());
+
+  const indexer = createAnalyticsIndexer({ distributor, store, startBlock: 0, blockSpan: 20, confirmations: 5, log: () => {} });
+  assert.strictEqual(await indexer.runOnce(), 51);
+  assert.strictEqual(await indexer.runOnce(), 51);
+  assert.strictEqual(distributor.provider.getLogsCalls, 3);
+
+  // Rewinding the checkpoint and re-indexing keeps one row per log
+  store.insert([], 0);
+  await indexer.runOnce();
+  assert.deepStrictEqual(store.status(), { nextBlock: 51, sales: 2, royaltyFlows: 5, minterAssignments: 1, creatorUpdates: 1 });
+
+  const server = createAnalyticsServer(store);
+  await new Promise(resolve => server.listen(0, resolve));
+  t.after(() => server.close());
+  const get = async path => {
+    const res = await fetch(`http://localhost:${server.address().port}${path}`);
+    return { status: res.status, body: await res.json() };
+  };
+
+  const volume = await get(`/api/collections/${collection.toLowerCase()}/volume?interval=day`);
+  assert.deepStrictEqual(volume.body, [
+    { period: '2023-11-15T00:00:00.000Z', sales: 1, volume: '1000', minterRoyalties: '50', creatorRoyalties: '150' },
+    { period: '2023-11-16T00:00:00.000Z', sales: 1, volume: '2000', minterRoyalties: '100', creatorRoyalties: '300' }
+  ]);
+  const later = await get(`/api/collections/${collection}/volume?from=${START + DAY}`);
+  assert.strictEqual(later.body.length, 1);
+
+  const royalties = await get(`/api/collections/${collection}/royalties?token=ETH`);
+  assert.deepStrictEqual(royalties.body.map(({ recipient, accrued, claimed, unclaimed }) => [recipient, accrued, claimed, unclaimed]), [
+    [creator, '150', '0', '150'],
+    [minter, '150', '120', '30']
+  ]);
+
+  const recipient = await get(`/api/recipients/${creator}/royalties?limit=1`);
+  assert.deepStrictEqual(recipient.body.totals.map(({ token, accrued }) => [token, accrued]), [[ETH, '150'], [weth, '7']]);
+  assert.deepStrictEqual(recipient.body.history.map(({ kind, token, amount }) => [kind, token, amount]), [['accrued', weth, '7']]);
+
+  const trades = await get(`/api/collections/${collection}/tokens/1/trades`);
+  assert.deepStrictEqual(trades.body.trades.map(trade => [trade.salePrice, trade.saleTransactionHash]), [['1000', ethers.utils.id('sale-a')], ['2000', ethers.utils.id('sale-b')]]);
+  assert.deepStrictEqual(trades.body.minters.map(entry => entry.minter), [minter]);
+
+  const creators = await get(`/api/collections/${collection}/creators`);
+  assert.deepStrictEqual(creators.body.map(({ oldCreator, newCreator }) => [oldCreator, newCreator]), [[creator, minter]]);
+
+  assert.strictEqual((await get('/api/collections/nope/volume')).status, 400);
+  assert.strictEqual((await get(`/api/collections/${collection}/volume?interval=year`)).status, 400);
+  assert.strictEqual((await get('/api/unknown')).status, 404);
+});
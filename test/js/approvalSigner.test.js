@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { createJsonlLog } = require('../../script/lib/jsonlLog');
+const { parseSignerConfig, readDomain, loadKeystore, createApprovalSigner } = require('../../script/lib/signedApproval');
+const { createApprovalSignerServer } = require('../../script/ApprovalSigner');
+
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const signer = new ethers.Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+
+// The view functions SignedApprovalMint exposes, with OpenZeppelin's EIP-5267 eip712Domain()
+function createFakeContract({ eip712 = true, claimed = [], remaining = 10 } = {}) {
+  return {
+    address: CONTRACT,
+    provider: { async getNetwork() { return { chainId: 31337 }; } },
+    async eip712Domain() {
+      if (!eip712) throw Object.assign(new Error('call revert exception'), { code: 'CALL_EXCEPTION' });
+      return { name: 'Genesis', version: '1', chainId: ethers.BigNumber.from(31337), verifyingContract: CONTRACT.toLowerCase() };
+    },
+    async approvalSigner() { return signer.address; },
+    async signedClaimsDecommissioned() { return false; },
+    async hasMintedBySignedApproval(account) { return claimed.includes(account); },
+    async remainingSignedMints() { return ethers.BigNumber.from(remaining); }
+  };
+}
+
+// The digest claimSignedMint recovers, built the way SignedApprovalMintBase and EIP712 do
+function claimDigest(domain, wallet, quantity) {
+  const coder = ethers.utils.defaultAbiCoder;
+  const domainSeparator = ethers.utils.keccak256(coder.encode(
+    ['bytes32', 'bytes32', 'bytes32', 'uint256', 'address'],
+    [ethers.utils.id('EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)'), ethers.utils.id(domain.name), ethers.utils.id(domain.version), domain.chainId, domain.verifyingContract]
+  ));
+  const structHash = ethers.utils.keccak256(coder.encode(
+    ['bytes32', 'address', 'uint256'],
+    [ethers.utils.id('Approved(address wallet,uint256 quantity)'), wallet, quantity]
+  ));
+  return ethers.utils.keccak256(ethers.utils.concat(['0x1901', domainSeparator, structHash]));
+}
+
+test('signatures recover to the approval signer for the digest claimSignedMint checks', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'approvals-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const logFile = path.join(dir, 'signatures.jsonl');
+
+  const config = parseSignerConfig({ defaultCap: 1, caps: { [ALICE.toLowerCase()]: 3 } });
+  const approvals = createApprovalSigner({ contract: createFakeContract({ claimed: [BOB] }), signer, config, record: createJsonlLog(logFile) });
+  assert.deepStrictEqual(await approvals.init(), { name: 'Genesis', version: '1', chainId: 31337, verifyingContract: CONTRACT });
+
+  const approval = await approvals.sign(ALICE.toLowerCase(), '3');
+  assert.strictEqual(approval.wallet, ALICE);
+  assert.strictEqual(ethers.utils.recoverAddress(claimDigest(approval.domain, ALICE, 3), approval.signature), signer.address);
+
+  await assert.rejects(approvals.sign(ALICE, 4), { status: 403, message: `${ALICE} may claim at most 3` });
+  await assert.rejects(approvals.sign(BOB, 1), { status: 409, message: `${BOB} has already claimed` });
+  await assert.rejects(approvals.sign('0x1234', 1), { status: 400 });
+  await assert.rejects(approvals.sign(ALICE, 0), { status: 400 });
+
+  const log = fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(log.map(({ event, wallet, quantity }) => [event, wallet, quantity]), [
+    ['signed', ALICE, 3],
+    ['rejected', ALICE, 4],
+    ['rejected', BOB, 1]
+  ]);
+  assert.strictEqual(log[0].signature, approval.signature);
+});
+
+test('the domain falls back to the config only for contracts without eip712Domain()', async () => {
+  const legacy = createFakeContract({ eip712: false });
+  assert.deepStrictEqual(await readDomain(legacy, { name: 'Legacy', version: '2' }), { name: 'Legacy', version: '2', chainId: 31337, verifyingContract: CONTRACT });
+  await assert.rejects(readDomain(legacy), /does not implement eip712Domain\(\)/);
+  await assert.rejects(readDomain(createFakeContract(), { name: 'Genesis', version: '2' }), /differs from the contract's \(Genesis v1\)/);
+
+  const wrongKey = createApprovalSigner({ contract: createFakeContract(), signer: ethers.Wallet.createRandom(), config: parseSignerConfig({}), record: () => {} });
+  await assert.rejects(wrongKey.init(), new RegExp(`accepts signatures from ${signer.address}`));
+  assert.throws(() => parseSignerConfig({ caps: { [ALICE]: -1 } }), /must be a non-negative integer/);
+});
+
+test('the endpoint signs from an encrypted keystore', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const keystore = path.join(dir, 'signer.json');
+  fs.writeFileSync(keystore, await signer.encrypt('correct horse', { scrypt: { N: 1 << 4 } }));
+  await assert.rejects(loadKeystore(keystore, 'wrong'), /invalid password/);
+  const unlocked = await loadKeystore(keystore, 'correct horse');
+
+  const approvals = createApprovalSigner({ contract: createFakeContract({ remaining: 2 }), signer: unlocked, config: parseSignerConfig({ defaultCap: 5 }), record: () => {} });
+  await approvals.init();
+  const server = createApprovalSignerServer(approvals, unlocked.address);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const post = body => fetch(`${base}/api/signed-approval`, { method: 'POST', body: JSON.stringify(body) });
+
+  const signed = await post({ wallet: BOB, quantity: 2 });
+  assert.strictEqual(signed.status, 200);
+  const { signature, domain } = await signed.json();
+  assert.strictEqual(ethers.utils.recoverAddress(claimDigest(domain, BOB, 2), signature), signer.address);
+
+  const tooMany = await post({ wallet: BOB, quantity: 3 });
+  assert.strictEqual(tooMany.status, 409);
+  assert.deepStrictEqual(await tooMany.json(), { error: 'Only 2 signed mints remain' });
+  assert.strictEqual((await fetch(`${base}/api/signed-approval`)).status, 405);
+  assert.strictEqual((await (await fetch(`${base}/api/status`)).json()).signer, signer.address);
+});
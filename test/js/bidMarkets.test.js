@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { loadAbi } = require('../../script/lib/abis');
+const { createBidIndexer } = require('../../script/lib/bidIndexer');
+const { createBidMarketServer } = require('../../script/BidMarketServer');
+const { fakeContract } = require('./helpers/fakeChain');
+
+const collectionAddress = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const [seller, alice, bob, carol, dave, erin] = [
+  '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+  '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC',
+  '0x90F79bf6EB2c4f870365E785982E1f101E93b906',
+  '0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65',
+  '0x9965507D1a55bcC2695C58ba16FB37d819B0A4dc',
+  '0x976EA74026E726554dB657fA54763abd0C3a0aa9'
+];
+
+const iface = new ethers.utils.Interface(loadAbi('DiamondGenesisPass'));
+
+// Transactions of `[blockNumber, [[eventName, args], ...]]`
+function fakeChain(transactions, head) {
+  const entries = transactions.flatMap(([blockNumber, events], i) =>
+    events.map(([name, args]) => [blockNumber, name, args, ethers.utils.id(`tx${i}`)]));
+  return fakeContract({ iface, address: collectionAddress, entries, head, genesis: 1700000000, blockTime: 12 });
+}
+
+function tempStateFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bid-markets-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'state.json');
+}
+
+const tokenBid = (bidder, tokenId, amount, isCollectionBid = false) => ['TokenBidPlaced', [bidder, isCollectionBid ? 0 : tokenId, amount, isCollectionBid]];
+const minterBid = (bidder, tokenId, amount, isCollectionBid = false) => ['BidPlaced', [bidder, isCollectionBid ? 0 : tokenId, amount, isCollectionBid]];
+
+test('replays fills the way the contract settles them', async (t) => {
+  const warnings = [];
+  const chain = fakeChain([
+    [1, [tokenBid(alice, 1, 100)]],
+    [2, [tokenBid(bob, 1, 200)]],
+    [3, [tokenBid(carol, 0, 150, true)]],
+    [4, [tokenBid(alice, 1, 50)]],
+    // Token bid wins; alice is refunded in the same transaction
+    [5, [['TokenBidWithdrawn', [alice, 1, 150, false]], ['TokenBidAccepted', [seller, bob, 1, 200]]]],
+    // Collection bid wins on #3; dave is refunded, erin's refund fails silently
+    [6, [tokenBid(dave, 3, 20)]],
+    [6, [tokenBid(erin, 3, 10)]],
+    [7, [['TokenBidWithdrawn', [dave, 3, 20, false]], ['TokenBidAccepted', [seller, carol, 3, 150]]]],
+    // Minter status: a token bid wins and the other token bids are deleted without refunds
+    [8, [minterBid(alice, 2, 100)]],
+    [8, [minterBid(bob, 2, 300)]],
+    [9, [['MinterStatusAssigned', [2, bob, seller]], ['BidAccepted', [seller, bob, 2, 300]]]],
+    // Minter status: a collection bid wins and the buyer keeps its token bid
+    [10, [minterBid(carol, 4, 10)]],
+    [10, [minterBid(dave, 4, 20)]],
+    [10, [minterBid(carol, 0, 500, true)]],
+    [11, [['BidWithdrawn', [dave, 4, 20, false]], ['MinterStatusAssigned', [4, carol, seller]], ['BidAccepted', [seller, carol, 4, 500]]]],
+    // A plain withdrawal
+    [12, [minterBid(erin, 0, 40, true)]],
+    [13, [['BidWithdrawn', [erin, 0, 40, true]]]]
+  ], 13);
+  const indexer = createBidIndexer({ collection: chain, stateFile: tempStateFile(t), startBlock: 0, confirmations: 0, log: message => warnings.push(message) });
+  await indexer.runOnce();
+  const { book } = indexer;
+
+  assert.deepStrictEqual(warnings.filter(message => message.startsWith('Warning')), []);
+  const fills = book.fills();
+  assert.deepStrictEqual(fills.map(fill => [fill.market, fill.tokenId, fill.side, fill.buyer, fill.amount]).reverse(), [
+    ['token', '1', 'token', bob, '200'],
+    ['token', '3', 'collection', carol, '150'],
+    ['minter', '2', 'token', bob, '300'],
+    ['minter', '4', 'collection', carol, '500']
+  ]);
+  assert.deepStrictEqual(book.fills({ market: 'token', tokenId: '3' })[0].unrefundedBids.map(bid => [bid.bidder, bid.amount]), [[erin, '10']]);
+  assert.deepStrictEqual(book.fills({ market: 'minter', tokenId: '2' })[0].unrefundedBids.map(bid => [bid.bidder, bid.amount]), [[alice, '100']]);
+  assert.deepStrictEqual(book.fills({ market: 'minter', tokenId: '4' })[0].unrefundedBids, []);
+
+  assert.deepStrictEqual(book.bids('token'), []);
+  assert.deepStrictEqual(book.bids('token', '3'), []);
+  assert.deepStrictEqual(book.bids('minter'), []);
+  assert.deepStrictEqual(book.bids('minter', '4').map(bid => [bid.bidder, bid.amount]), [[carol, '10']]);
+  assert.deepStrictEqual(book.tokenSummary('minter', '4'), {
+    tokenId: '4',
+    topTokenBid: { bidder: carol, amount: '10' },
+    floor: null,
+    top: { side: 'token', bidder: carol, amount: '10' },
+    lastFill: book.fills({ market: 'minter', tokenId: '4' })[0],
+    minter: carol
+  });
+  assert.deepStrictEqual(book.marketSummary('minter'), {
+    market: 'minter', openBids: 1, openBidValue: '10', floor: null, fills: 2, volume: '800', unrefundedBids: 1
+  });
+});
+
+test('indexes bid events, resumes from its state file and serves the order book', async (t) => {
+  const stateFile = tempStateFile(t);
+  const chain = fakeChain([
+    [10, [tokenBid(alice, 7, 100)]],
+    [11, [tokenBid(bob, 0, 80, true)]],
+    [25, [tokenBid(carol, 7, 150)]],
+    [40, [tokenBid(dave, 8, 5)]] // not confirmed yet
+  ], 40);
+
+  const indexer = createBidIndexer({ collection: chain, stateFile, startBlock: 10, blockSpan: 10, confirmations: 10, log: () => {} });
+  assert.strictEqual(await indexer.runOnce(), 31);
+  assert.strictEqual(JSON.parse(fs.readFileSync(stateFile, 'utf8')).nextBlock, 31);
+
+  // A restarted indexer continues from the saved book without replaying it
+  const restarted = createBidIndexer({ collection: chain, stateFile, startBlock: 10, blockSpan: 10, confirmations: 0, log: () => {} });
+  assert.strictEqual(await restarted.runOnce(), 41);
+  assert.deepStrictEqual(restarted.book.bids('token', '7').map(bid => bid.amount), ['150', '100']);
+
+  const server = createBidMarketServer(restarted.book, () => ({ nextBlock: restarted.nextBlock() }));
+  await new Promise(resolve => server.listen(0, resolve));
+  t.after(() => server.close());
+  const get = async route => {
+    const res = await fetch(`http://localhost:${server.address().port}${route}`);
+    return { status: res.status, body: await res.json() };
+  };
+
+  assert.deepStrictEqual((await get('/api/status')).body, { nextBlock: 41 });
+  const token = (await get('/api/markets/token/tokens/7')).body;
+  assert.deepStrictEqual(token.top, { side: 'token', bidder: carol, amount: '150' });
+  assert.deepStrictEqual(token.floor, { bidder: bob, amount: '80' });
+  assert.deepStrictEqual(token.bids.map(bid => bid.bidder), [carol, alice]);
+  assert.deepStrictEqual((await get('/api/markets/token/tokens')).body.map(entry => [entry.tokenId, entry.top.amount]), [['7', '150'], ['8', '80']]);
+  assert.deepStrictEqual((await get('/api/markets/token')).body.openBidValue, '335');
+  assert.deepStrictEqual((await get('/api/markets/token/collection-bids')).body.map(bid => bid.bidder), [bob]);
+  assert.deepStrictEqual((await get('/api/markets/minter/fills?tokenId=7')).body, []);
+
+  assert.strictEqual((await get('/api/markets/auction')).status, 400);
+  assert.strictEqual((await get('/api/markets/token/tokens/abc')).status, 400);
+  assert.strictEqual((await get('/api/markets/token/fills?limit=0')).status, 400);
+  assert.strictEqual((await get('/api/unknown')).status, 404);
+});
@@ -0,0 +1,241 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { loadAbi } = require('../../script/lib/abis');
+const { loadArtifact } = require('../../script/lib/forgeArtifacts');
+const { loadDeployments, saveDeployments, deploymentsFile, ensureDeployed } = require('../../script/lib/deployments');
+
+const deployer = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const creator = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deploy-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Minimal forge artifact: out/<File>.sol/<Name>.json
+function writeArtifact(outDir, file, name, source, bytecode) {
+  fs.mkdirSync(path.join(outDir, file), { recursive: true });
+  fs.writeFileSync(path.join(outDir, file, `${name}.json`), JSON.stringify({
+    abi: loadAbi(name),
+    bytecode: { object: bytecode, linkReferences: {} },
+    deployedBytecode: { object: '0x6000', linkReferences: {}, immutableReferences: {} },
+    metadata: { settings: { compilationTarget: { [source]: name } } }
+  }));
+}
+
+// Signer on a fake chain: a broadcast transaction is mined when it is awaited, reverting if
+// `mine` is false. `disconnected` makes the wait lose the node; `crash` fails the next broadcast.
+function fakeSigner() {
+  const chain = {
+    nonce: 0, sent: [], hashes: [], code: new Map(), mempool: new Map(), receipts: new Map(), mine: true, disconnected: false, crash: false
+  };
+  const mine = (hash) => {
+    const tx = chain.mempool.get(hash);
+    chain.mempool.delete(hash);
+    chain.nonce = tx.nonce + 1;
+    if (chain.mine) chain.code.set(ethers.utils.getContractAddress({ from: tx.from, nonce: tx.nonce }), '0x6000');
+    chain.receipts.set(hash, { status: chain.mine ? 1 : 0, blockNumber: 101 + chain.receipts.size, transactionHash: hash });
+  };
+  const provider = {
+    async getCode(address) {
+      return chain.code.get(address) || '0x';
+    },
+    async getTransaction(hash) {
+      return chain.mempool.get(hash) || null;
+    },
+    async getTransactionReceipt(hash) {
+      return chain.receipts.get(hash) || null;
+    },
+    async sendTransaction(rawTx) {
+      if (chain.crash) {
+        chain.crash = false;
+        throw new Error('crash before broadcast');
+      }
+      const tx = JSON.parse(ethers.utils.toUtf8String(rawTx));
+      const hash = ethers.utils.keccak256(rawTx);
+      if (chain.mempool.has(hash) || chain.receipts.has(hash)) throw new Error('already known');
+      if (tx.nonce < chain.nonce) throw new Error('nonce too low');
+      chain.mempool.set(hash, tx);
+      chain.sent.push(tx);
+      chain.hashes.push(hash);
+    },
+    async waitForTransaction(hash) {
+      if (chain.disconnected) throw Object.assign(new Error('missing response'), { code: 'SERVER_ERROR' });
+      if (chain.mempool.has(hash)) mine(hash);
+      return chain.receipts.get(hash);
+    }
+  };
+  const signer = {
+    _isSigner: true,
+    provider,
+    async getTransactionCount() {
+      return chain.nonce;
+    },
+    async populateTransaction(tx) {
+      return { ...tx, from: deployer, nonce: chain.nonce + chain.mempool.size };
+    },
+    async signTransaction(tx) {
+      return ethers.utils.hexlify(ethers.utils.toUtf8Bytes(JSON.stringify(tx)));
+    }
+  };
+  return { chain, signer };
+}
+
+test('loads forge artifacts by contract name and source', (t) => {
+  const outDir = tempDir(t);
+  assert.throws(() => loadArtifact('DiamondGenesisPass', { outDir: path.join(outDir, 'missing') }), /run `forge build` first/);
+
+  writeArtifact(outDir, 'DiamondGenesisPass.sol', 'DiamondGenesisPass', 'src/DiamondGenesisPass.sol', '0x6080');
+  const artifact = loadArtifact('DiamondGenesisPass', { outDir });
+  assert.strictEqual(artifact.source, 'src/DiamondGenesisPass.sol');
+  assert.strictEqual(artifact.bytecodeHash, ethers.utils.keccak256('0x6080'));
+  assert.deepStrictEqual(artifact.abi, loadAbi('DiamondGenesisPass'));
+
+  // A same-named contract from a test file does not get in the way of the source lookup
+  writeArtifact(outDir, 'Mocks.sol', 'DiamondGenesisPass', 'test/Mocks.sol', '0x6081');
+  assert.strictEqual(loadArtifact('DiamondGenesisPass', { outDir }).bytecode, '0x6080');
+  assert.throws(() => loadArtifact('DiamondGenesisPass', { outDir, source: null }), /Several artifacts define DiamondGenesisPass/);
+});
+
+test('deploys once, records the deployment and refuses silent replacements', async (t) => {
+  const dir = tempDir(t);
+  const outDir = path.join(dir, 'out');
+  writeArtifact(outDir, 'CentralizedRoyaltyDistributor.sol', 'CentralizedRoyaltyDistributor', 'src/programmable-royalties/CentralizedRoyaltyDistributor.sol', '0x6080');
+  writeArtifact(outDir, 'DiamondGenesisPass.sol', 'DiamondGenesisPass', 'src/DiamondGenesisPass.sol', '0x6080aa');
+  const { chain, signer } = fakeSigner();
+  const registry = loadDeployments(31337, dir);
+  const save = () => saveDeployments(registry, dir);
+
+  const deployAll = async (options = {}) => {
+    const distributor = await ensureDeployed({
+      name: 'CentralizedRoyaltyDistributor', artifact: loadArtifact('CentralizedRoyaltyDistributor', { outDir }), args: [], signer, registry, save, log: () => {}, ...options
+    });
+    const pass = await ensureDeployed({
+      name: 'DiamondGenesisPass', artifact: loadArtifact('DiamondGenesisPass', { outDir }), args: [distributor.address, 750, creator], signer, registry, save, log: () => {}, ...options
+    });
+    return [distributor, pass];
+  };
+
+  const [distributor, pass] = await deployAll();
+  assert.deepStrictEqual([distributor.result, pass.result], ['deployed', 'deployed']);
+  const saved = JSON.parse(fs.readFileSync(deploymentsFile(31337, dir), 'utf8'));
+  assert.deepStrictEqual(saved.contracts.DiamondGenesisPass, {
+    address: ethers.utils.getContractAddress({ from: deployer, nonce: 1 }),
+    transactionHash: chain.hashes[1],
+    blockNumber: 102,
+    deployer,
+    source: 'src/DiamondGenesisPass.sol',
+    constructorArgs: [distributor.address, '750', creator],
+    bytecodeHash: ethers.utils.keccak256('0x6080aa')
+  });
+  // Constructor arguments are ABI-encoded after the artifact's creation code
+  const iface = new ethers.utils.Interface(loadAbi('DiamondGenesisPass'));
+  assert.strictEqual(chain.sent[1].data, ethers.utils.hexConcat(['0x6080aa', iface.encodeDeploy([distributor.address, 750, creator])]));
+
+  // Re-running sends nothing
+  assert.deepStrictEqual((await deployAll()).map(entry => entry.result), ['unchanged', 'unchanged']);
+  assert.strictEqual(chain.sent.length, 2);
+
+  // Changed bytecode needs --redeploy
+  writeArtifact(outDir, 'DiamondGenesisPass.sol', 'DiamondGenesisPass', 'src/DiamondGenesisPass.sol', '0x6080bb');
+  await assert.rejects(deployAll(), /DiamondGenesisPass at 0x[0-9a-fA-F]{40} was deployed with different bytecode; pass --redeploy/);
+  assert.deepStrictEqual((await deployAll({ redeploy: true })).map(entry => entry.result), ['unchanged', 'deployed']);
+  assert.strictEqual(chain.sent.length, 3);
+
+  // A pending replacement keeps the entry it replaces, which comes back if the replacement fails
+  const replaced = registry.contracts.DiamondGenesisPass;
+  writeArtifact(outDir, 'DiamondGenesisPass.sol', 'DiamondGenesisPass', 'src/DiamondGenesisPass.sol', '0x6080cc');
+  chain.disconnected = true;
+  await assert.rejects(deployAll({ redeploy: true }), /is still pending/);
+  assert.deepStrictEqual(loadDeployments(31337, dir).contracts.DiamondGenesisPass.replaces, replaced);
+  chain.disconnected = false;
+  chain.mine = false;
+  await assert.rejects(deployAll({ redeploy: true }), /DiamondGenesisPass deployment 0x[0-9a-f]+ failed: transaction reverted/);
+  assert.deepStrictEqual(loadDeployments(31337, dir).contracts.DiamondGenesisPass, replaced);
+});
+
+test('a deployment interrupted after signing is picked up, not sent twice', async (t) => {
+  const dir = tempDir(t);
+  writeArtifact(dir, 'CentralizedRoyaltyDistributor.sol', 'CentralizedRoyaltyDistributor', 'src/programmable-royalties/CentralizedRoyaltyDistributor.sol', '0x6080');
+  const artifact = loadArtifact('CentralizedRoyaltyDistributor', { outDir: dir });
+  const { chain, signer } = fakeSigner();
+  const registry = loadDeployments(1, dir);
+  const options = { name: 'CentralizedRoyaltyDistributor', artifact, args: [], signer, registry, save: () => saveDeployments(registry, dir), log: () => {} };
+
+  chain.mine = false;
+  await assert.rejects(ensureDeployed(options), /deployment 0x[0-9a-f]+ failed: transaction reverted/);
+  assert.deepStrictEqual(loadDeployments(1, dir).contracts, {});
+  chain.mine = true;
+
+  // Signed and saved, but the broadcast fails: the next run sends the same transaction
+  chain.crash = true;
+  await assert.rejects(ensureDeployed(options), /was not accepted by the node \(crash before broadcast\); it stays pending/);
+  const saved = loadDeployments(1, dir).contracts.CentralizedRoyaltyDistributor;
+  assert.strictEqual(saved.status, 'pending');
+  assert.strictEqual(saved.nonce, 1);
+  assert.strictEqual(saved.transactionHash, ethers.utils.keccak256(saved.rawTx));
+  const resumed = await ensureDeployed(options);
+  assert.strictEqual(resumed.result, 'resumed');
+  assert.strictEqual(resumed.address, ethers.utils.getContractAddress({ from: deployer, nonce: 1 }));
+  assert.strictEqual(chain.sent.length, 2);
+  assert.strictEqual(loadDeployments(1, dir).contracts.CentralizedRoyaltyDistributor.status, undefined);
+});
+
+test('a pending deployment is deployed again only once its nonce is used and it has no receipt', async (t) => {
+  const dir = tempDir(t);
+  writeArtifact(dir, 'CentralizedRoyaltyDistributor.sol', 'CentralizedRoyaltyDistributor', 'src/programmable-royalties/CentralizedRoyaltyDistributor.sol', '0x6080');
+  const artifact = loadArtifact('CentralizedRoyaltyDistributor', { outDir: dir });
+  const { chain, signer } = fakeSigner();
+  const options = { name: 'CentralizedRoyaltyDistributor', artifact, args: [], signer, save: () => {}, log: () => {} };
+
+  // Broadcast, then the wait loses the node
+  chain.disconnected = true;
+  const registry = loadDeployments(1, dir);
+  await assert.rejects(ensureDeployed({ ...options, registry }), /is still pending/);
+  chain.disconnected = false;
+
+  // Mined right after the next run finds no receipt for it: picked up, not deployed again
+  const { getTransactionCount } = signer;
+  signer.getTransactionCount = async (tag) => {
+    signer.getTransactionCount = getTransactionCount;
+    await signer.provider.waitForTransaction(chain.hashes[0]);
+    return getTransactionCount(tag);
+  };
+  assert.strictEqual((await ensureDeployed({ ...options, registry: structuredClone(registry) })).result, 'resumed');
+  assert.strictEqual(chain.sent.length, 1);
+
+  // Its nonce went to another transaction: deployed again with the next nonce
+  const dropped = structuredClone(registry);
+  dropped.contracts.CentralizedRoyaltyDistributor.transactionHash = ethers.utils.id('dropped');
+  const redeployed = await ensureDeployed({ ...options, registry: dropped });
+  assert.strictEqual(redeployed.result, 'deployed');
+  assert.strictEqual(redeployed.address, ethers.utils.getContractAddress({ from: deployer, nonce: 1 }));
+  assert.strictEqual(chain.sent.length, 2);
+});
+
+test('a network error while waiting keeps the deployment pending for the next run', async (t) => {
+  const dir = tempDir(t);
+  writeArtifact(dir, 'CentralizedRoyaltyDistributor.sol', 'CentralizedRoyaltyDistributor', 'src/programmable-royalties/CentralizedRoyaltyDistributor.sol', '0x6080');
+  const artifact = loadArtifact('CentralizedRoyaltyDistributor', { outDir: dir });
+  const { chain, signer } = fakeSigner();
+  const registry = loadDeployments(1, dir);
+  const options = { name: 'CentralizedRoyaltyDistributor', artifact, args: [], signer, registry, save: () => saveDeployments(registry, dir), log: () => {} };
+
+  chain.disconnected = true;
+  await assert.rejects(ensureDeployed(options), /deployment 0x[0-9a-f]+ is still pending \(missing response\); run again/);
+  const saved = loadDeployments(1, dir).contracts.CentralizedRoyaltyDistributor;
+  assert.strictEqual(saved.status, 'pending');
+  assert.strictEqual(saved.transactionHash, chain.hashes[0]);
+
+  // The next run waits for the same transaction instead of deploying a second copy
+  chain.disconnected = false;
+  const resumed = await ensureDeployed({ ...options, registry: loadDeployments(1, dir) });
+  assert.strictEqual(resumed.result, 'resumed');
+  assert.strictEqual(resumed.address, ethers.utils.getContractAddress({ from: deployer, nonce: 0 }));
+  assert.strictEqual(chain.sent.length, 1);
+});
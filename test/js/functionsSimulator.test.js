@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { DEFAULT_LIMITS, simulateFunctions, decodeResult, encoders } = require('../../script/lib/functionsSimulator');
+const { bundleSource } = require('../../script/lib/functionsBundle');
+const { aggregateRoyalties } = require('../../src/chainlink/royaltyAggregation');
+
+const root = path.join(__dirname, '..', '..');
+const source = file => bundleSource(path.join(root, 'src', 'chainlink', file));
+const fixtures = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'functions', `${name}.json`), 'utf8'));
+
+// Answers requests from a fixture file the way the simulator does, for aggregations run in Node
+const replay = name => async ({ url, data }) => {
+  const body = data === undefined ? '' : JSON.stringify(data);
+  const fixture = fixtures(name).find(({ match }) =>
+    (!match.urlIncludes || url.includes(match.urlIncludes)) && (!match.bodyIncludes || body.includes(match.bodyIncludes)));
+  return fixture ? { error: false, data: fixture.response.data } : { error: true, message: 'no fixture' };
+};
+
+const secrets = { OPENSEA_API_KEY: 'test-key' };
+const saleArgs = ['42', '0x5FbDB2315678afecb367f032d93F642f64180aa3'];
+
+test('encoders match the DON byte layout', () => {
+  assert.strictEqual(decodeResult(encoders.encodeUint256(1000n), 'bytes'), `0x${'0'.repeat(61)}3e8`);
+  assert.strictEqual(decodeResult(encoders.encodeInt256(-1), 'int256'), '-1');
+  assert.strictEqual(decodeResult(encoders.encodeString('42:1'), 'string'), '42:1');
+});
+
+test('getSalePrice returns the OpenSea sale price', async () => {
+  const { result, error, requests } = await simulateFunctions({
+    source: source('getSalePrice.js'),
+    args: saleArgs,
+    secrets,
+    fixtures: fixtures('opensea-sale')
+  });
+  assert.strictEqual(error, null);
+  assert.strictEqual(decodeResult(result, 'string'), '42:250000000000000000');
+  assert.strictEqual(requests.length, 1);
+});
+
+test('getSalePrice falls back to LooksRare when OpenSea has no sales', async () => {
+  const { result, error, requests } = await simulateFunctions({
+    source: source('getSalePrice.js'),
+    args: saleArgs,
+    secrets,
+    fixtures: fixtures('looksrare-fallback')
+  });
+  assert.strictEqual(error, null);
+  assert.strictEqual(decodeResult(result, 'string'), '42:180000000000000000');
+  assert.deepStrictEqual(requests.map(request => request.matched), [true, true]);
+});
+
+test('getSalePrice error branches', async () => {
+  const noSales = await simulateFunctions({
+    source: source('getSalePrice.js'),
+    args: saleArgs,
+    secrets,
+    fixtures: fixtures('no-sales')
+  });
+  assert.strictEqual(noSales.error, 'No sale data found on any marketplace');
+
+  const apiError = await simulateFunctions({
+    source: source('getSalePrice.js'),
+    args: saleArgs,
+    secrets,
+    fixtures: fixtures('opensea-error')
+  });
+  assert.strictEqual(apiError.error, 'Marketplace requests failed: opensea: Request failed with status code 401');
+
+  const missingArg = await simulateFunctions({ source: source('getSalePrice.js'), secrets });
+  assert.strictEqual(missingArg.error, 'Token ID is required');
+
+  const missingCollection = await simulateFunctions({ source: source('getSalePrice.js'), args: ['42'], secrets });
+  assert.strictEqual(missingCollection.error, 'Collection address is required');
+});
+
+test('aggregateRoyalties returns the recipients and amounts for fulfillRoyaltyData', async () => {
+  const args = ['0x5FbDB2315678afecb367f032d93F642f64180aa3', '1', '10'];
+  const rpcSecrets = { RPC_URL: 'http://localhost:8545' };
+  const { result, error } = await simulateFunctions({
+    source: source('aggregateRoyalties.js'),
+    args,
+    secrets: rpcSecrets,
+    fixtures: fixtures('aggregate-royalties-rpc')
+  });
+  assert.strictEqual(error, null);
+  assert.strictEqual(result.length, 256);
+
+  // 2 ETH sale at 7.5%, split 20% minter / 80% creator
+  const recipients = ['0x70997970C51812dc3A010C7d01b50e0d17dc79C8', '0x90F79bf6EB2c4f870365E785982E1f101E93b906'];
+  const amounts = ['30000000000000000', '120000000000000000'];
+  assert.deepStrictEqual(decodeResult(result, 'address[],uint256[]'), [recipients, amounts]);
+
+  // The shared aggregation gives the same arrays when required from Node
+  const aggregated = await aggregateRoyalties(replay('aggregate-royalties-rpc'), { collection: args[0], fromBlock: args[1], toBlock: args[2] }, rpcSecrets);
+  assert.deepStrictEqual(aggregated, { recipients: recipients.map(address => address.toLowerCase()), amounts: amounts.map(BigInt) });
+});
+
+test('a range with more than two recipients fails instead of overflowing the 256-byte response', async () => {
+  const args = ['0x5FbDB2315678afecb367f032d93F642f64180aa3', '1', '10'];
+  const rpcSecrets = { RPC_URL: 'http://localhost:8545' };
+  const options = { args, secrets: rpcSecrets, fixtures: fixtures('aggregate-royalties-three-recipients') };
+
+  const { result, error, requests } = await simulateFunctions({ source: source('aggregateRoyalties.js'), ...options });
+  assert.strictEqual(result, null);
+  assert.strictEqual(error, '3 recipients need 320 bytes, over the 256-byte response limit');
+  // Token 7 is priced by LooksRare (2.4 ETH). The lookups for token 8 use up the 5 requests,
+  // so it falls back to its transaction's value (1 ETH)
+  assert.deepStrictEqual(requests.map(({ url }) => new URL(url).host), [
+    'localhost:8545', 'localhost:8545', 'api.looksrare.org', 'api.looksrare.org', 'api-mainnet.magiceden.dev'
+  ]);
+  const aggregated = await aggregateRoyalties(replay('aggregate-royalties-three-recipients'), {
+    collection: args[0], fromBlock: args[1], toBlock: args[2]
+  }, rpcSecrets);
+  assert.deepStrictEqual(aggregated.amounts, [15000000000000000n, 36000000000000000n, 204000000000000000n]);
+
+  // Without the source's own check, the simulator rejects the result like the DON does
+  const unchecked = await simulateFunctions({
+    source: `${source('aggregateRoyalties.js').replace('return encodeRoyalties();', '')}
+      const { recipients, amounts } = await aggregateRoyalties(Functions.makeHttpRequest, { collection: args[0], fromBlock: args[1], toBlock: args[2] }, secrets);
+      return hexToBytes(encodeRecipientsAndAmounts(recipients, amounts));`,
+    ...options
+  });
+  assert.strictEqual(unchecked.error, `Returned value is 320 bytes, over the ${DEFAULT_LIMITS.maxResponseBytes}-byte limit`);
+});
+
+test('rejects results that are not bytes and requests over the limit', async () => {
+  const notBytes = await simulateFunctions({ source: 'return "42:1";' });
+  assert.match(notBytes.error, /must be a Uint8Array/);
+
+  // Like the DON, requests past the limit get an error response instead of failing the execution
+  const tooMany = await simulateFunctions({
+    source: `let response;
+      for (let i = 0; i < 6; i++) response = await Functions.makeHttpRequest({ url: "https://example.com" });
+      return Functions.encodeString(response.message);`,
+    fixtures: [{ match: { urlIncludes: 'example.com' }, response: { data: {} } }],
+    limits: { maxHttpRequests: 5 }
+  });
+  assert.strictEqual(decodeResult(tooMany.result, 'string'), 'HTTP request limit of 5 reached');
+  assert.strictEqual(tooMany.requests.length, 5);
+
+  const longUrl = await simulateFunctions({
+    source: `const response = await Functions.makeHttpRequest({ url: "https://example.com/" + "a".repeat(2048) });
+      return Functions.encodeString(response.message);`,
+    fixtures: [{ match: { urlIncludes: 'example.com' }, response: { data: {} } }]
+  });
+  assert.strictEqual(decodeResult(longUrl.result, 'string'), 'URL is 2068 characters, over the 2048-character limit');
+
+  const largeResponse = await simulateFunctions({
+    source: 'return Functions.encodeString(String((await Functions.makeHttpRequest({ url: "https://example.com" })).error));',
+    fixtures: [{ match: { urlIncludes: 'example.com' }, response: { data: 'a'.repeat(DEFAULT_LIMITS.maxHttpResponseBytes + 1) } }]
+  });
+  assert.strictEqual(decodeResult(largeResponse.result, 'string'), 'true');
+
+  const largeRequest = await simulateFunctions({ source: 'return new Uint8Array(0);', args: ['a'.repeat(DEFAULT_LIMITS.maxRequestBytes)] });
+  assert.match(largeRequest.error, /over the 30720-byte limit/);
+});
+
+test('stops executions that run past the time limit', async () => {
+  const pending = await simulateFunctions({ source: 'await new Promise(() => {});', limits: { timeoutMs: 50 } });
+  assert.strictEqual(pending.error, 'Execution exceeded 50ms');
+
+  const busy = await simulateFunctions({ source: 'while (true) {}', limits: { timeoutMs: 50 } });
+  assert.strictEqual(busy.error, 'Execution exceeded 50ms');
+});
@@ -0,0 +1,39 @@
+/**
+ * In-memory contract for the log indexers: its logs are served by `provider.getLogs` by block
+ * range, and block n is mined at `genesis + n * blockTime`. The indexers only need the
+ * contract's address, interface and provider.
+ * @param {object} options
+ * @param {ethers.utils.Interface} options.iface
+ * @param {string} options.address
+ * @param {Array} options.entries `[blockNumber, eventName, args, transactionHash]`, in log order
+ * @param {number} options.head Latest block number
+ * @param {number} options.genesis Timestamp of block 0
+ * @param {number} options.blockTime Seconds between blocks
+ */
+function fakeContract({ iface, address, entries, head, genesis, blockTime }) {
+  const logs = entries.map(([blockNumber, name, args, transactionHash], logIndex) => ({
+    ...iface.encodeEventLog(iface.getEvent(name), args),
+    address,
+    blockNumber,
+    logIndex,
+    transactionHash
+  }));
+  const provider = {
+    getLogsCalls: 0,
+    async getBlockNumber() {
+      return head;
+    },
+    async getBlock(number) {
+      return { timestamp: genesis + number * blockTime };
+    },
+    async getLogs({ fromBlock, toBlock }) {
+      this.getLogsCalls++;
+      return logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+    }
+  };
+  return { address, interface: iface, provider };
+}
+
+module.exports = {
+  fakeContract
+};
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const {
+  holderClaimInterface,
+  computeIneligibleTokensBitmap,
+  parseSnapshot,
+  buildClaimPlan,
+  claimBatchSize,
+  buildClaimCalls
+} = require('../../script/lib/holderClaims');
+
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const ROOT = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+// computeIneligibleTokensBitmap as written in ClaimableHolderMintBase, one step per line
+function solidityBitmap(ids) {
+  const last = BigInt(ids[ids.length - 1]);
+  const slotCount = Number((last + 1n) / 256n + ((last + 1n) % 256n > 0n ? 1n : 0n));
+  const temp = new Array(slotCount).fill(0n);
+  for (const id of ids.map(BigInt)) temp[Number(id / 256n)] |= 1n << (id % 256n);
+  const slots = [];
+  const bitmaps = [];
+  temp.forEach((bitmap, slot) => {
+    if (bitmap > 0n) {
+      slots.push(slot);
+      bitmaps.push(bitmap);
+    }
+  });
+  return ethers.utils.defaultAbiCoder.encode(['uint256[]', 'uint256[]'], [slots, bitmaps.map(String)]);
+}
+
+// Returns what the view would for the same arguments
+const encodeResult = ({ slots, bitmaps }) => holderClaimInterface.encodeFunctionResult('computeIneligibleTokensBitmap', [slots, bitmaps]);
+
+test('ineligible bitmaps encode to the bytes computeIneligibleTokensBitmap returns', () => {
+  const { slots, bitmaps } = computeIneligibleTokensBitmap([1, 255, 256, '1000']);
+  assert.deepStrictEqual(slots.map(String), ['0', '1', '3']);
+  assert.deepStrictEqual(bitmaps.map(String), [String((1n << 255n) | 2n), '1', String(1n << 232n)]);
+
+  for (const ids of [[0], [1, 2, 3], [255, 256, 511, 512], Array.from({ length: 120 }, (_, i) => 7 + i * 73)]) {
+    assert.strictEqual(encodeResult(computeIneligibleTokensBitmap(ids)), solidityBitmap(ids));
+  }
+
+  assert.throws(() => computeIneligibleTokensBitmap([]), /MustSpecifyAtLeastOneIneligibleToken/);
+  assert.throws(() => computeIneligibleTokensBitmap([5, 5]), /MustBeInAscendingOrder/);
+  assert.throws(() => computeIneligibleTokensBitmap([6, 5]), /MustBeInAscendingOrder/);
+  assert.throws(() => computeIneligibleTokensBitmap([-1, 5]), /Token ID -1 is out of range for uint256/);
+  assert.throws(() => computeIneligibleTokensBitmap([5, (1n << 256n).toString()]), /out of range for uint256/);
+  assert.deepStrictEqual(computeIneligibleTokensBitmap([((1n << 256n) - 1n).toString()]).bitmaps.map(String), [String(1n << 255n)]);
+});
+
+test('the snapshot CSV is validated', () => {
+  const { entries, errors } = parseSnapshot(`tokenId,owner\n1,${ALICE.toLowerCase()}\nx,${BOB}\n2,0x12\n01,${BOB}\n`);
+  assert.deepStrictEqual(entries, [{ tokenId: '1', owner: ALICE, line: 2 }]);
+  assert.deepStrictEqual(errors.map(({ line }) => line), [3, 4, 5]);
+  assert.match(errors[2].error, /already listed on line 2/);
+  assert.throws(() => parseSnapshot('id,wallet\n'), /tokenId column and an owner column/);
+});
+
+test('the claim plan splits each holder\'s claimable tokens into calls that fit the budget', async () => {
+  const ineligible = new Set(['3']);
+  const claimed = new Set(['4']);
+  const contract = {
+    async getTokensPerClaim(root) {
+      assert.strictEqual(root, ROOT);
+      return ethers.BigNumber.from(2);
+    },
+    async isEligible(root, tokenId) {
+      if (BigInt(tokenId) > 100n) throw Object.assign(new Error('call revert exception'), { code: 'CALL_EXCEPTION' });
+      return !ineligible.has(tokenId);
+    },
+    async isClaimed(root, tokenId) { return claimed.has(tokenId); }
+  };
+  const snapshot = [
+    ...['9', '1', '2', '5', '6', '7', '8'].map(tokenId => ({ tokenId, owner: ALICE })),
+    ...['3', '4', '101'].map(tokenId => ({ tokenId, owner: BOB }))
+  ];
+
+  const plan = await buildClaimPlan({ contract, rootCollection: ROOT, snapshot, concurrency: 3 });
+  assert.strictEqual(plan.tokensPerClaim, 2);
+  assert.deepStrictEqual(plan.holders, [
+    { holder: ALICE, claimable: ['1', '2', '5', '6', '7', '8', '9'], ineligible: [], claimed: [], invalid: [], mints: 14 },
+    { holder: BOB, claimable: [], ineligible: ['3'], claimed: ['4'], invalid: ['101'], mints: 0 }
+  ]);
+
+  // 3 claims: 10000 + 3 * (1000 + 2 * 2000) = 25000
+  const gasModel = { baseGas: 10000, gasPerClaim: 1000, gasPerMint: 2000 };
+  const calls = buildClaimCalls(plan, { contract: CONTRACT, rootCollection: ROOT, gasBudget: 25000, gasModel });
+  assert.deepStrictEqual(calls.map(({ holder, calls: batch }) => [holder, batch.map(call => call.tokenIds)]), [
+    [ALICE, [['1', '2', '5'], ['6', '7', '8'], ['9']]]
+  ]);
+  const [first] = calls[0].calls;
+  assert.deepStrictEqual({ from: first.from, to: first.to, mints: first.mints, gasLimit: first.gasLimit }, { from: ALICE, to: CONTRACT, mints: 6, gasLimit: 25000 });
+  const decoded = holderClaimInterface.decodeFunctionData('claimBatch', first.data);
+  assert.deepStrictEqual([decoded[0], decoded[1].map(String)], [ROOT, ['1', '2', '5']]);
+
+  // MAX_MINTS_PER_TRANSACTION caps the batch whatever the budget
+  assert.strictEqual(claimBatchSize({ tokensPerClaim: 7, gasBudget: 1e9 }), 42);
+  assert.throws(() => claimBatchSize({ tokensPerClaim: 1, gasBudget: 10000 }), /does not fit a single claim/);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  NATIVE_CURRENCY,
+  MARKETPLACE_ADAPTERS,
+  toBaseUnits,
+  fetchSales
+} = require('../../src/chainlink/marketplaces');
+const { createMarketplacePriceSource } = require('../../script/lib/priceSources');
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'marketplaces', `${name}.json`), 'utf8'));
+
+const collection = '0x5fbdb2315678afecb367f032d93f642f64180aa3';
+const seller = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const buyer = '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc';
+const query = { chain: 'ethereum', collection, tokenId: '42' };
+
+// Answers each adapter's request with its recorded fixture, or with a failure
+function fakeHttp(responses) {
+  const urls = [];
+  const request = async ({ url }) => {
+    urls.push(url);
+    const name = Object.keys(responses).find(key => url.includes(key));
+    const response = name && responses[name];
+    if (!response) return { error: true, message: `unexpected request ${url}` };
+    if (response instanceof Error) return { error: true, message: response.message };
+    return { error: false, status: 200, data: response };
+  };
+  return { request, urls };
+}
+
+test('every adapter parses its recorded sales into normalized records', () => {
+  const expected = {
+    opensea: [
+      {
+        txHash: '0x9a1b6f0c2d3e4f5a6b7c8d9e0f1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f90',
+        tokenId: '42', seller, buyer, price: '250000000000000000', currency: NATIVE_CURRENCY,
+        marketplace: 'opensea', blockNumber: null
+      },
+      {
+        txHash: `0x${'1'.repeat(64)}`, tokenId: '42',
+        seller: '0x90f79bf6eb2c4f870365e785982e1f101e93b906', buyer: seller,
+        price: '200000000000000000', currency: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2',
+        marketplace: 'opensea', blockNumber: null
+      }
+    ],
+    looksrare: [{
+      txHash: '0x1f2e3d4c5b6a79880f1e2d3c4b5a69788f9e0d1c2b3a49586f7e8d9c0b1a2938',
+      tokenId: '42', seller, buyer, price: '180000000000000000', currency: NATIVE_CURRENCY,
+      marketplace: 'looksrare', blockNumber: null
+    }],
+    blur: [{
+      txHash: `0x${'3'.repeat(64)}`, tokenId: '42', seller, buyer, price: '315000000000000000',
+      currency: NATIVE_CURRENCY, marketplace: 'blur', blockNumber: 19990001
+    }],
+    magiceden: [{
+      txHash: `0x${'7'.repeat(64)}`, tokenId: '42', seller, buyer, price: '390000000000000000',
+      currency: NATIVE_CURRENCY, marketplace: 'magiceden', blockNumber: 19990456
+    }],
+    reservoir: [{
+      txHash: `0x${'5'.repeat(64)}`, tokenId: '42', seller, buyer, price: '420000000000000000',
+      currency: NATIVE_CURRENCY, marketplace: 'reservoir', blockNumber: 19990123
+    }]
+  };
+
+  for (const [name, adapter] of Object.entries(MARKETPLACE_ADAPTERS)) {
+    assert.deepStrictEqual(adapter.parse(fixture(name)), expected[name], name);
+    assert.deepStrictEqual(adapter.parse({}), [], `${name} with an empty body`);
+
+    const { url } = adapter.request(query, 'key');
+    assert.ok(url.startsWith('https://') && url.includes(collection) && url.includes('42'), url);
+  }
+});
+
+test('toBaseUnits converts decimal prices', () => {
+  assert.strictEqual(toBaseUnits('0.315', 18), '315000000000000000');
+  assert.strictEqual(toBaseUnits('12', 6), '12000000');
+  assert.strictEqual(toBaseUnits('1.0000001', 6), '1000000');
+});
+
+test('fetchSales falls through failures and empty marketplaces in priority order', async () => {
+  const { request, urls } = fakeHttp({
+    'api.opensea.io': fixture('opensea'),
+    'api.looksrare.org': new Error('Request failed with status code 503'),
+    'magiceden.dev': { sales: [] },
+    'api.reservoir.tools': fixture('reservoir')
+  });
+
+  // OpenSea and Blur need API keys and are skipped without them
+  const { sales, errors } = await fetchSales(request, query);
+  assert.deepStrictEqual(sales.map(sale => sale.marketplace), ['reservoir']);
+  assert.deepStrictEqual(errors, ['looksrare: Request failed with status code 503']);
+  assert.strictEqual(urls.length, 3);
+
+  const withKey = await fetchSales(request, { ...query, txHash: `0x${'1'.repeat(64)}` }, {
+    apiKeys: { OPENSEA_API_KEY: 'key' }
+  });
+  assert.deepStrictEqual(withKey.sales.map(sale => sale.price), ['200000000000000000']);
+
+  await assert.rejects(fetchSales(request, query, { marketplaces: ['x2y2'] }), /Unknown marketplace: x2y2/);
+});
+
+test('marketplace price source prices ETH sales and falls back for the rest', async () => {
+  const { request } = fakeHttp({ 'api.reservoir.tools': fixture('reservoir') });
+  const fallback = { async getSalePrice() { return 'fallback'; } };
+  const source = createMarketplacePriceSource({ collection, marketplaces: ['reservoir'], fallback, request });
+
+  const price = await source.getSalePrice({ txHash: `0x${'5'.repeat(64)}`, tokenId: '42' });
+  assert.strictEqual(price.toString(), '420000000000000000');
+  assert.strictEqual(await source.getSalePrice({ txHash: `0x${'9'.repeat(64)}`, tokenId: '42' }), 'fallback');
+
+  const failing = createMarketplacePriceSource({ collection, marketplaces: ['looksrare'], fallback, request });
+  await assert.rejects(failing.getSalePrice({ txHash: `0x${'5'.repeat(64)}`, tokenId: '42' }), /Marketplace lookup failed/);
+});
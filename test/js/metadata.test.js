@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { loadAbi } = require('../../script/lib/abis');
+const { parseAction, buildTransactions } = require('../../script/lib/safeBatch');
+const { parseCsv } = require('../../script/lib/csv');
+const { CHUNK_SIZE, packDirectory } = require('../../script/lib/ipfsCar');
+const {
+  tokenUri,
+  buildTokenMetadata,
+  buildPlaceholderMetadata,
+  serializeMetadata,
+  provenanceHash
+} = require('../../script/lib/metadata');
+
+const collection = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+test('CIDs match the IPFS importer for raw leaves, chunked files and directories', () => {
+  // Reference CIDs from `ipfs add --cid-version 1 --raw-leaves` / `ipfs-car pack`
+  const { root, files } = packDirectory([{ name: 'hello.txt', content: Buffer.from('hello world') }, { name: 'empty', content: Buffer.alloc(0) }]);
+  assert.deepStrictEqual(files.map(({ name, cid }) => [name, cid]), [
+    ['empty', 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku'],
+    ['hello.txt', 'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e']
+  ]);
+  assert.strictEqual(packDirectory([]).root, 'bafybeiczsscdsbs7ffqz55asqdf3smv6klcw3gofszvwlyarci47bgf354');
+
+  // Same files in any order give the same root; a file over one chunk becomes a DAG-PB node
+  assert.strictEqual(packDirectory([{ name: 'empty', content: Buffer.alloc(0) }, { name: 'hello.txt', content: Buffer.from('hello world') }]).root, root);
+  const large = packDirectory([{ name: 'large', content: Buffer.alloc(CHUNK_SIZE + 1, 1) }]);
+  assert.match(large.files[0].cid, /^bafybei/);
+  assert.strictEqual(large.files[0].size, CHUNK_SIZE + 1);
+
+  assert.throws(() => packDirectory([{ name: 'a', content: Buffer.alloc(0) }, { name: 'a', content: Buffer.alloc(1) }]), /duplicate file name "a"/);
+});
+
+test('CAR files name the root and hold each block once', () => {
+  const content = Buffer.from('{}\n');
+  const { root, car } = packDirectory([{ name: '1.json', content }, { name: '2.json', content }]);
+
+  // varint header length, then DAG-CBOR { roots: [CID], version: 1 }
+  const headerLength = car[0];
+  const header = car.subarray(1, 1 + headerLength);
+  assert.ok(header.includes(Buffer.from('roots')) && header.includes(Buffer.from('version')));
+
+  const sections = [];
+  for (let offset = 1 + headerLength; offset < car.length;) {
+    let length = 0;
+    for (let shift = 0; ; shift += 7) {
+      const byte = car[offset++];
+      length += (byte & 0x7f) * 2 ** shift;
+      if (byte < 0x80) break;
+    }
+    sections.push(car.subarray(offset, offset + length));
+    offset += length;
+  }
+  // The shared leaf and the directory
+  assert.strictEqual(sections.length, 2);
+  const digest = crypto.createHash('sha256').update(content).digest();
+  assert.ok(sections.some(section => section.includes(digest)));
+  assert.ok(header.includes(sections[1].subarray(0, 36)), `${root} is the header root`);
+});
+
+test('the traits spreadsheet becomes token metadata with attributes', () => {
+  const { columns, records } = parseCsv('\uFEFFtokenId,name,Cut,"Color, Grade",image\r\n2,,Round,"D, Flawless",\n\n1,Genesis,Princess,,ipfs://art/custom.png\n');
+  assert.deepStrictEqual(columns, ['tokenId', 'name', 'Cut', 'Color, Grade', 'image']);
+  assert.deepStrictEqual(records.map(({ line }) => line), [2, 4]);
+
+  const { tokens, errors } = buildTokenMetadata(records, { supply: 2, description: 'A pass', imageBaseURI: 'ipfs://art/', imageExtension: '.png' });
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(tokens, [
+    { tokenId: 1, metadata: { name: 'Genesis', description: 'A pass', image: 'ipfs://art/custom.png', attributes: [{ trait_type: 'Cut', value: 'Princess' }] } },
+    {
+      tokenId: 2,
+      metadata: {
+        name: 'Diamond Genesis Pass #2',
+        description: 'A pass',
+        image: 'ipfs://art/2.png',
+        attributes: [{ trait_type: 'Cut', value: 'Round' }, { trait_type: 'Color, Grade', value: 'D, Flawless' }]
+      }
+    }
+  ]);
+
+  const broken = parseCsv('tokenId,Cut\n1,Round\n1,Oval\n4,Pear\n');
+  assert.deepStrictEqual(buildTokenMetadata(broken.records, { supply: 3, imageBaseURI: 'ipfs://art/' }).errors, [
+    { line: 3, tokenId: 1, error: 'tokenId 1 already defined on line 2' },
+    { line: 4, tokenId: '4', error: 'tokenId must be between 1 and 3' },
+    { tokenId: 2, error: 'no row for this token' },
+    { tokenId: 3, error: 'no row for this token' }
+  ]);
+  assert.throws(() => parseCsv('a,b\n1,2,3\n'), /Line 2 has 3 fields but the header has 2/);
+});
+
+test('provenance commits to the exact revealed files in token order', () => {
+  const tokens = buildPlaceholderMetadata({ name: 'Pass', image: 'ipfs://egg.png' }, 3);
+  assert.deepStrictEqual(tokens[2], { tokenId: 3, metadata: { name: 'Pass #3', image: 'ipfs://egg.png' } });
+
+  const contents = tokens.map(({ metadata }) => serializeMetadata(metadata));
+  const { provenance, tokenHashes } = provenanceHash(contents);
+  const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+  assert.strictEqual(provenance, sha256(contents.map(sha256).join('')));
+  assert.strictEqual(tokenHashes.length, 3);
+  assert.notStrictEqual(provenanceHash([contents[1], contents[0], contents[2]]).provenance, provenance);
+});
+
+test('the base and suffix URIs become setSuffixURI / setBaseURI transactions', () => {
+  const { root } = packDirectory([{ name: '1.json', content: Buffer.from('{}') }]);
+  const baseURI = `ipfs://${root}/`;
+  assert.strictEqual(tokenUri(baseURI, 1, '.json'), `ipfs://${root}/1.json`);
+  assert.strictEqual(tokenUri('', 1, '.json'), '');
+
+  const dgp = new ethers.utils.Interface(loadAbi('DiamondGenesisPass'));
+  const transactions = buildTransactions([{ action: 'setSuffixURI', suffixURI: '.json' }, parseAction('setSuffixURI='), { action: 'setBaseURI', baseURI }], { collection });
+  assert.deepStrictEqual([...dgp.decodeFunctionData('setSuffixURI', transactions[0].data)], ['.json']);
+  assert.deepStrictEqual([...dgp.decodeFunctionData('setSuffixURI', transactions[1].data)], ['']);
+  assert.deepStrictEqual([...dgp.decodeFunctionData('setBaseURI', transactions[2].data)], [baseURI]);
+  assert.throws(() => buildTransactions([parseAction('setSuffixURI')], { collection }), /suffixURI is required/);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+  parseCatalog,
+  loadCatalog,
+  readCodehashes,
+  updateCatalog,
+  verifyCatalog,
+  checkPolicyCodehashes,
+  catalogLabels
+} = require('../../script/lib/operatorCatalog');
+const { parsePolicy, formatPlan } = require('../../script/lib/transferPolicy');
+
+const SEAPORT = '0x0000000000000068F116a894984e2DB1123eB395';
+const CONDUIT = '0x1E0049783F008A0085193E00003D00cd54003c71';
+const GONE = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const SEAPORT_CODE = '0x6080604052';
+const CONDUIT_CODE = '0x60806040526004';
+
+function catalogOf(codehashes = {}) {
+  return parseCatalog({
+    version: 1,
+    revision: 3,
+    operators: [
+      { name: 'Seaport', kind: 'marketplace', address: SEAPORT.toLowerCase(), codehashes: codehashes.seaport || {} },
+      { name: 'Conduit', kind: 'conduit', address: CONDUIT, codehashes: codehashes.conduit || {} },
+      { name: 'Gone', kind: 'other', address: GONE, codehashes: codehashes.gone || {} }
+    ]
+  });
+}
+
+function providerWith(code) {
+  const calls = [];
+  return {
+    calls,
+    async getCode(address, blockTag) {
+      calls.push([address, blockTag]);
+      return code[address] || '0x';
+    }
+  };
+}
+
+test('the committed catalog parses and bad entries are rejected', () => {
+  const catalog = loadCatalog(path.resolve(__dirname, '../../config/operator-codehashes.json'));
+  assert.ok(catalog.operators.some(({ address }) => address === SEAPORT));
+
+  assert.throws(() => parseCatalog({ version: 2, revision: 0, operators: [] }), /Unsupported catalog version 2/);
+  assert.throws(() => parseCatalog({ version: 1, revision: 0, operators: [{ name: 'x', kind: 'dex', address: SEAPORT }] }), /kind must be one of/);
+  assert.throws(() => parseCatalog({
+    version: 1,
+    revision: 0,
+    operators: [{ name: 'a', kind: 'other', address: SEAPORT }, { name: 'b', kind: 'other', address: SEAPORT.toLowerCase() }]
+  }), /listed twice/);
+  assert.throws(() => parseCatalog({
+    version: 1,
+    revision: 0,
+    operators: [{ name: 'a', kind: 'other', address: SEAPORT, codehashes: { 1: { codehash: '0x12' } } }]
+  }), /must be a bytes32 hex string/);
+});
+
+test('codehashes are computed from the code, recorded per chain and verified', async () => {
+  const provider = providerWith({ [SEAPORT]: SEAPORT_CODE, [CONDUIT]: CONDUIT_CODE });
+  const deployed = await readCodehashes(provider, [SEAPORT, CONDUIT, GONE], 100);
+  assert.deepStrictEqual([...deployed], [[SEAPORT, ethers.utils.keccak256(SEAPORT_CODE)], [CONDUIT, ethers.utils.keccak256(CONDUIT_CODE)], [GONE, null]]);
+  assert.ok(provider.calls.every(([, blockTag]) => blockTag === 100));
+
+  const empty = catalogOf();
+  assert.deepStrictEqual(verifyCatalog(empty, 1, deployed).operators.map(({ status }) => status), ['not-recorded', 'not-recorded', 'not-deployed']);
+
+  const now = '2026-01-01T00:00:00.000Z';
+  const { catalog, changes } = updateCatalog(empty, 1, deployed, { block: 100, now });
+  assert.strictEqual(catalog.revision, 4);
+  assert.deepStrictEqual(changes.map(({ name, from }) => [name, from]), [['Seaport', null], ['Conduit', null]]);
+  assert.deepStrictEqual(catalog.operators[0].codehashes, { 1: { codehash: deployed.get(SEAPORT), block: 100, recordedAt: now } });
+  assert.deepStrictEqual(verifyCatalog(catalog, 1, deployed).findings.map(({ code }) => code), ['not-deployed']);
+  // Nothing changed, so nothing is rewritten
+  assert.deepStrictEqual(updateCatalog(catalog, 1, deployed, { block: 200 }), { catalog, changes: [] });
+
+  // Seaport is redeployed with other code and the conduit's code is gone
+  const redeployed = await readCodehashes(providerWith({ [SEAPORT]: '0x6080604053' }), [SEAPORT, CONDUIT, GONE]);
+  const { findings } = verifyCatalog(catalog, 1, redeployed);
+  assert.deepStrictEqual(findings.map(({ level, code, name }) => [level, code, name]), [
+    ['error', 'codehash-changed', 'Seaport'],
+    ['error', 'code-removed', 'Conduit'],
+    ['warning', 'not-deployed', 'Gone']
+  ]);
+  // Hashes recorded for one chain say nothing about another
+  assert.deepStrictEqual(verifyCatalog(catalog, 10, deployed).operators.map(({ status }) => status), ['not-recorded', 'not-recorded', 'not-deployed']);
+});
+
+test('policy codehashes are checked against the catalog and plans name the operators', () => {
+  const seaportHash = ethers.utils.keccak256(SEAPORT_CODE);
+  const unknown = `0x${'cd'.repeat(32)}`;
+  const catalog = catalogOf({ seaport: { 1: { codehash: seaportHash, block: 1, recordedAt: '2026-01-01T00:00:00.000Z' } } });
+  const policy = parsePolicy({ list: { name: 'Genesis', whitelist: { accounts: [SEAPORT], codeHashes: [seaportHash, unknown] } } });
+
+  assert.deepStrictEqual(checkPolicyCodehashes(catalog, 1, policy).map(({ code, codehash }) => [code, codehash]), [['unknown-codehash', unknown]]);
+  const stale = checkPolicyCodehashes(catalog, 1, policy, new Map([[SEAPORT, `0x${'ef'.repeat(32)}`]]));
+  assert.deepStrictEqual(stale.map(({ level, code, name }) => [level, code, name]), [['error', 'stale-codehash', 'Seaport'], ['warning', 'unknown-codehash', undefined]]);
+  assert.deepStrictEqual(checkPolicyCodehashes(catalog, 1, parsePolicy({ transferSecurityLevel: 3 })), []);
+
+  const plan = {
+    changes: [{ op: '~', field: 'list 1 "Genesis" whitelist.codeHashes', added: [seaportHash, unknown], removed: [SEAPORT] }]
+  };
+  assert.deepStrictEqual(formatPlan(plan, catalogLabels(catalog, 1)), [
+    '  ~ list 1 "Genesis" whitelist.codeHashes',
+    `      + ${seaportHash} (Seaport code)`,
+    `      + ${unknown}`,
+    `      - ${SEAPORT} (Seaport)`
+  ]);
+});
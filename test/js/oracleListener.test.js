@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { loadAbi } = require('../../script/lib/abis');
+const { rangeKey, createOracleListener } = require('../../script/lib/oracleListener');
+
+const ORACLE = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const COLLECTION = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const REQUEST_ID = ethers.utils.hexZeroPad('0x01', 32);
+
+const iface = new ethers.utils.Interface(loadAbi('ChainlinkOracleIntegration'));
+const networkError = () => Object.assign(new Error('missing response'), { code: 'SERVER_ERROR' });
+
+/**
+ * In-memory chain: OracleUpdateRequested events on the distributor, and an oracle whose signed
+ * requests are mined when broadcast unless a test holds them back or makes them revert.
+ */
+function createFakeChain(requests) {
+  const chain = { nonce: 0, broadcasts: [], receipts: new Map(), hold: false, revert: false, failPopulate: 0, failWait: 0 };
+
+  function mine(rawTx) {
+    const hash = ethers.utils.keccak256(rawTx);
+    const { nonce } = JSON.parse(ethers.utils.toUtf8String(rawTx));
+    chain.nonce = Math.max(chain.nonce, nonce + 1);
+    chain.receipts.set(hash, {
+      status: chain.revert ? 0 : 1,
+      transactionHash: hash,
+      blockNumber: 100,
+      logs: chain.revert ? [] : [{ ...iface.encodeEventLog(iface.getEvent('OracleRequestSent'), [REQUEST_ID, COLLECTION]), address: ORACLE }]
+    });
+  }
+
+  const provider = {
+    async getBlockNumber() { return 100; },
+    async getTransactionReceipt(hash) { return chain.receipts.get(hash) || null; },
+    async sendTransaction(rawTx) {
+      chain.broadcasts.push(ethers.utils.keccak256(rawTx));
+      if (!chain.hold) mine(rawTx);
+    },
+    async waitForTransaction(hash) {
+      if (chain.failWait > 0) {
+        chain.failWait -= 1;
+        throw Object.assign(new Error('timeout exceeded'), { code: 'TIMEOUT' });
+      }
+      return chain.receipts.get(hash);
+    }
+  };
+
+  const signer = {
+    async getTransactionCount() { return chain.nonce; },
+    async populateTransaction(tx) { return { ...tx, nonce: chain.nonce }; },
+    async signTransaction(tx) { return ethers.utils.hexlify(ethers.utils.toUtf8Bytes(JSON.stringify(tx))); }
+  };
+
+  const oracle = {
+    address: ORACLE,
+    interface: iface,
+    signer,
+    populateTransaction: {
+      async sendRoyaltyDataRequest(collection, fromBlock) {
+        if (chain.failPopulate > 0) {
+          chain.failPopulate -= 1;
+          throw networkError();
+        }
+        return { to: ORACLE, data: iface.encodeFunctionData('sendRoyaltyDataRequest', [collection, fromBlock]) };
+      }
+    },
+    callStatic: { async sendRoyaltyDataRequest() { return REQUEST_ID; } },
+    filters: { OracleResponseReceived: () => ({}), OracleResponseFailed: () => ({}) },
+    async queryFilter() { return []; }
+  };
+
+  const distributor = {
+    filters: { OracleUpdateRequested: () => ({}) },
+    async queryFilter() {
+      return requests.map(([fromBlock, toBlock]) => ({
+        transactionHash: ethers.constants.HashZero,
+        args: { collection: COLLECTION, fromBlock: ethers.BigNumber.from(fromBlock), toBlock: ethers.BigNumber.from(toBlock) }
+      }));
+    }
+  };
+
+  return { chain, provider, oracle, distributor };
+}
+
+function setup(t, requests, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-listener-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const fake = createFakeChain(requests);
+  const events = [];
+  const stateFile = path.join(dir, 'state.json');
+  const listener = () => createOracleListener({
+    ...fake,
+    stateFile,
+    startBlock: 0,
+    record: (event, fields) => events.push({ event, ...fields }),
+    retry: { retries: 2, baseDelayMs: 1 },
+    ...options
+  });
+  const state = () => JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  return { ...fake, events, stateFile, listener, state };
+}
+
+test('each range is requested once across polls and restarts', async (t) => {
+  const { chain, events, listener, state } = setup(t, [[10, 20], [10, 20], [21, 30]]);
+  await listener().poll();
+  assert.strictEqual(chain.broadcasts.length, 2);
+  assert.deepStrictEqual(events.filter(({ event }) => event === 'request-skipped').map(({ fromBlock }) => fromBlock), ['10']);
+  assert.deepStrictEqual(state().ranges[rangeKey(COLLECTION, 10, 20)], { requestId: REQUEST_ID, txHash: chain.broadcasts[0], status: 'sent' });
+
+  // A new process that sees the same events again sends nothing
+  const restarted = listener();
+  assert.strictEqual(await restarted.poll(), 101);
+  assert.strictEqual(chain.broadcasts.length, 2);
+});
+
+test('failures before the broadcast back off and are tried again on the next poll', async (t) => {
+  const { chain, events, listener, state } = setup(t, [[10, 20]]);
+  chain.failPopulate = 2;
+  await listener().poll();
+  assert.deepStrictEqual(events.filter(({ event }) => event === 'request-retry').map(({ attempt, delayMs }) => [attempt, delayMs]), [[1, 1], [2, 2]]);
+  assert.strictEqual(chain.broadcasts.length, 1);
+  assert.strictEqual(state().ranges[rangeKey(COLLECTION, 10, 20)].status, 'sent');
+
+  // Every attempt fails: the range is kept as an error and sent on the next poll
+  const failing = setup(t, [[30, 40]]);
+  failing.chain.failPopulate = 3;
+  await failing.listener().poll();
+  assert.strictEqual(failing.chain.broadcasts.length, 0);
+  assert.deepStrictEqual(failing.state().ranges[rangeKey(COLLECTION, 30, 40)], { requestId: null, txHash: null, status: 'error', attempts: 1 });
+  await failing.listener().poll();
+  assert.strictEqual(failing.chain.broadcasts.length, 1);
+  assert.strictEqual(failing.state().ranges[rangeKey(COLLECTION, 30, 40)].status, 'sent');
+});
+
+test('a failed wait after the broadcast resumes on the same hash instead of sending again', async (t) => {
+  const { chain, events, listener, state } = setup(t, [[10, 20]]);
+  chain.hold = true;
+  chain.failWait = 3;
+  await listener().poll();
+  const [txHash] = chain.broadcasts;
+  assert.strictEqual(state().ranges[rangeKey(COLLECTION, 10, 20)].status, 'pending');
+  assert.ok(events.some(({ event }) => event === 'request-unconfirmed'));
+  // The same signed transaction was re-broadcast while waiting, never a new one
+  assert.ok(chain.broadcasts.every(hash => hash === txHash));
+
+  chain.hold = false;
+  await listener().poll();
+  assert.ok(chain.broadcasts.every(hash => hash === txHash));
+  assert.deepStrictEqual(state().ranges[rangeKey(COLLECTION, 10, 20)], { requestId: REQUEST_ID, txHash, status: 'sent' });
+});
+
+test('a reverted request is final', async (t) => {
+  const { chain, listener, state } = setup(t, [[10, 20]]);
+  chain.revert = true;
+  await listener().poll();
+  assert.strictEqual(state().ranges[rangeKey(COLLECTION, 10, 20)].status, 'reverted');
+  await listener().poll();
+  assert.strictEqual(chain.broadcasts.length, 1);
+});
+
+test('a dry run simulates each request and writes no state', async (t) => {
+  const { chain, events, stateFile, listener } = setup(t, [[10, 20], [10, 20]], { dryRun: true });
+  await listener().poll();
+  assert.strictEqual(chain.broadcasts.length, 0);
+  assert.deepStrictEqual(events.filter(({ event }) => event.startsWith('request-')).map(({ event }) => event), ['request-simulated', 'request-skipped']);
+  assert.strictEqual(fs.existsSync(stateFile), false);
+});
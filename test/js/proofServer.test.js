@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createProofServer } = require('../../script/ProofServer');
+const { createJsonFileStore } = require('../../script/lib/proofStore');
+const { buildWhitelistTree } = require('../../script/lib/whitelist');
+
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const COLLECTION = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+test('serves whitelist and claim proofs from JSON artifacts', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proofs-'));
+  const whitelistFile = path.join(dir, 'whitelist-proofs.json');
+  fs.writeFileSync(whitelistFile, JSON.stringify(buildWhitelistTree([
+    { address: ALICE, quantity: 2 },
+    { address: BOB, quantity: 1 }
+  ])));
+  fs.mkdirSync(path.join(dir, 'claims'));
+  fs.writeFileSync(path.join(dir, 'claims', `${COLLECTION.toLowerCase()}.json`), JSON.stringify({
+    root: '0x01',
+    claims: { [BOB]: { amount: '1000', proof: ['0x02'] } }
+  }));
+
+  const server = createProofServer(createJsonFileStore({ whitelistFile, claimsDir: path.join(dir, 'claims') }));
+  await new Promise(resolve => server.listen(0, resolve));
+  t.after(() => server.close());
+  const base = `http://localhost:${server.address().port}`;
+
+  const whitelisted = await fetch(`${base}/api/whitelist-proof/${ALICE.toLowerCase()}`);
+  assert.strictEqual(whitelisted.status, 200);
+  const body = await whitelisted.json();
+  assert.strictEqual(body.quantity, 2);
+  assert.strictEqual(body.proof.length, 1);
+
+  const unknown = await fetch(`${base}/api/whitelist-proof/${COLLECTION}`);
+  assert.strictEqual(unknown.status, 404);
+
+  const invalid = await fetch(`${base}/api/whitelist-proof/not-an-address`);
+  assert.strictEqual(invalid.status, 400);
+
+  const claim = await fetch(`${base}/api/claim-proof?collection=${COLLECTION}&recipient=${BOB}`);
+  assert.deepStrictEqual(await claim.json(), { root: '0x01', amount: '1000', proof: ['0x02'] });
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { ETH, buildLedger, reconcile, reportToCsv } = require('../../script/lib/reconciliation');
+
+const collection = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const token = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+const minter = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const creator = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+const bn = value => ethers.BigNumber.from(value);
+const event = (name, args) => ({ name, args: { collection, ...args, amount: bn(args.amount) } });
+
+const events = [
+  event('RoyaltyReceived', { sender: collection, amount: 100 }),
+  event('RoyaltyAccrued', { recipient: minter, amount: 20 }),
+  event('RoyaltyAccrued', { recipient: creator, amount: 80 }),
+  event('RoyaltyClaimed', { recipient: minter, amount: 10 }),
+  event('ERC20RoyaltyReceived', { token, sender: creator, amount: 50 }),
+  event('ERC20RoyaltyAccrued', { token, recipient: creator, amount: 50 })
+];
+
+function onChainState({ creatorClaimable = 80, tokenBalance = 50, totalAccrued = 100 } = {}) {
+  return {
+    pools: new Map([[`${collection}|${ETH}`, bn(90)], [`${collection}|${token}`, bn(50)]]),
+    claimable: new Map([
+      [`${collection}|${ETH}|${minter}`, bn(10)],
+      [`${collection}|${ETH}|${creator}`, bn(creatorClaimable)],
+      [`${collection}|${token}|${creator}`, bn(50)]
+    ]),
+    balances: new Map([[ETH, bn(90)], [token, bn(tokenBalance)]]),
+    analytics: { totalAccrued: bn(totalAccrued), totalClaimed: bn(10), totalUnclaimed: bn(totalAccrued - 10) }
+  };
+}
+
+const failures = result => result.checks.filter(item => item.status === 'fail').map(item => [item.check, item.token, item.recipient]);
+
+test('a consistent ledger passes every check', () => {
+  const ledger = buildLedger(events);
+  assert.strictEqual(ledger.accruedEvents.toString(), '100');
+  assert.strictEqual(ledger.pools.get(`${collection}|${token}`).received.toString(), '50');
+
+  const result = reconcile(ledger, onChainState());
+  assert.deepStrictEqual(failures(result), []);
+  assert.deepStrictEqual(result.assets.map(({ token: asset, owed, surplus }) => [asset, owed, surplus]), [[ETH, '90', '0'], [token, '50', '0']]);
+  assert.deepStrictEqual(result.recipients.find(row => row.recipient === minter), {
+    collection, token: ETH, recipient: minter, accrued: '20', claimed: '10', expectedClaimable: '10', claimable: '10'
+  });
+});
+
+test('flags shortfalls, double-counted analytics and recipients that disagree with history', () => {
+  const result = reconcile(buildLedger(events), onChainState({ creatorClaimable: 70, tokenBalance: 40, totalAccrued: 120 }));
+
+  assert.deepStrictEqual(failures(result), [
+    ['recipient_claimable', ETH, creator],
+    ['contract_balance', token, null],
+    ['contract_solvency', token, null],
+    ['analytics_total_accrued', null, null],
+    ['analytics_total_unclaimed', null, null]
+  ]);
+  const doubleCounted = result.checks.find(item => item.check === 'analytics_total_accrued');
+  assert.strictEqual(doubleCounted.difference, '20');
+  assert.match(doubleCounted.message, /double-counted/);
+  assert.match(result.checks.find(item => item.check === 'contract_solvency' && item.status === 'fail').message, /Shortfall of 10/);
+
+  const csv = reportToCsv({ checks: result.checks }).split('\n');
+  assert.strictEqual(csv[0], 'check,status,collection,token,recipient,expected,actual,difference,message');
+  assert.ok(csv.includes(`recipient_claimable,fail,${collection},ETH,${creator},80,70,-10,On-chain claimable amount disagrees with the accrual and claim history`));
+});
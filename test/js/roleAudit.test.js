@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { loadAbi } = require('../../script/lib/abis');
+const { replayRoles, findRisks, createRoleAudit } = require('../../script/lib/roleAudit');
+
+const collectionAddress = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const distributorAddress = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const [deployer, safe, service] = [
+  '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+  '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+  '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC'
+];
+const ADMIN = ethers.constants.HashZero;
+const SERVICE = ethers.utils.id('SERVICE_ACCOUNT_ROLE');
+const ZERO = ethers.constants.AddressZero;
+
+const granted = (role, account, sender) => ['RoleGranted', [role, account, sender]];
+const revoked = (role, account, sender) => ['RoleRevoked', [role, account, sender]];
+const deployment = [granted(ADMIN, deployer, deployer), granted(SERVICE, deployer, deployer), ['RoleAdminChanged', [SERVICE, ADMIN, ADMIN]]];
+
+// Contracts over `{ [address]: [[blockNumber, [[eventName, args], ...]], ...] }`; the views
+// answer from `state` so the replay can be checked against them
+function fakeContracts(history, state) {
+  const contracts = {};
+  const logs = [];
+  let logIndex = 0;
+  for (const [name, address] of [['DiamondGenesisPass', collectionAddress], ['CentralizedRoyaltyDistributor', distributorAddress]]) {
+    const iface = new ethers.utils.Interface(loadAbi(name));
+    for (const [blockNumber, events] of history[address] || []) {
+      for (const [eventName, args] of events) {
+        logs.push({ ...iface.encodeEventLog(iface.getEvent(eventName), args), address, blockNumber, logIndex: logIndex++, transactionHash: ethers.utils.id(`tx${blockNumber}`) });
+      }
+    }
+    contracts[name] = {
+      address,
+      interface: iface,
+      hasRole: async (role, account) => state.roles[address].includes(`${role}|${account}`),
+      ...(name === 'DiamondGenesisPass' && { owner: async () => state.owner })
+    };
+  }
+  const provider = {
+    async getLogs({ address, fromBlock, toBlock }) {
+      return logs.filter(log => log.address === address && log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+    },
+    async getBlock(number) {
+      return { timestamp: 1700000000 + number * 12 };
+    },
+    async getCode(address) {
+      return address === safe ? '0x6080' : '0x';
+    },
+    async getNetwork() {
+      return { chainId: 31337 };
+    }
+  };
+  for (const contract of Object.values(contracts)) contract.provider = provider;
+  return contracts;
+}
+
+test('replays grants, revocations and ownership moves', () => {
+  const iface = new ethers.utils.Interface(loadAbi('DiamondGenesisPass'));
+  const events = [
+    ['OwnershipTransferred', [ZERO, deployer]],
+    ...deployment,
+    granted(SERVICE, service, deployer),
+    revoked(SERVICE, deployer, deployer),
+    revoked(SERVICE, deployer, deployer),
+    ['OwnershipTransferred', [deployer, safe]]
+  ].map(([name, args], i) => ({ name, args: iface.parseLog(iface.encodeEventLog(iface.getEvent(name), args)).args, blockNumber: i, logIndex: 0 }));
+
+  const { owner, roles, timeline } = replayRoles(events);
+  assert.strictEqual(owner, safe);
+  assert.deepStrictEqual(roles[ADMIN].holders, [deployer]);
+  assert.deepStrictEqual(roles[SERVICE].holders, [service]);
+  assert.deepStrictEqual(timeline.map(entry => entry.description), [
+    `ownership set to ${deployer}`,
+    `${deployer} granted DEFAULT_ADMIN_ROLE to ${deployer}`,
+    `${deployer} granted SERVICE_ACCOUNT_ROLE to ${deployer}`,
+    'SERVICE_ACCOUNT_ROLE is now administered by DEFAULT_ADMIN_ROLE (was DEFAULT_ADMIN_ROLE)',
+    `${deployer} granted SERVICE_ACCOUNT_ROLE to ${service}`,
+    `${deployer} renounced SERVICE_ACCOUNT_ROLE`,
+    `${deployer} renounced SERVICE_ACCOUNT_ROLE`,
+    `ownership moved from ${deployer} to ${safe}`
+  ]);
+});
+
+test('audits both contracts and flags the EOA left holding admin after the handover', async () => {
+  const contracts = fakeContracts({
+    [distributorAddress]: [[1, deployment], [5, [granted(ADMIN, safe, deployer), granted(SERVICE, service, deployer)]]],
+    [collectionAddress]: [
+      [2, [['OwnershipTransferred', [ZERO, deployer]], ...deployment]],
+      [5, [['OwnershipTransferred', [deployer, safe]], granted(ADMIN, safe, deployer)]],
+      [6, [revoked(ADMIN, deployer, deployer), revoked(SERVICE, deployer, safe), granted(SERVICE, service, safe)]]
+    ]
+  }, {
+    owner: safe,
+    roles: {
+      [distributorAddress]: [`${ADMIN}|${deployer}`, `${SERVICE}|${deployer}`, `${ADMIN}|${safe}`, `${SERVICE}|${service}`],
+      [collectionAddress]: [`${ADMIN}|${safe}`, `${SERVICE}|${service}`]
+    }
+  });
+
+  const report = await createRoleAudit({ contracts, fromBlock: 0, toBlock: 10 });
+  assert.deepStrictEqual(report.contracts.map(({ name, owner, roles }) => [name, owner, roles.map(({ role, holders }) => [role, holders.map(({ account, kind }) => `${account} ${kind}`)])]), [
+    ['DiamondGenesisPass', safe, [['DEFAULT_ADMIN_ROLE', [`${safe} contract`]], ['SERVICE_ACCOUNT_ROLE', [`${service} eoa`]]]],
+    ['CentralizedRoyaltyDistributor', undefined, [
+      ['DEFAULT_ADMIN_ROLE', [`${deployer} eoa`, `${safe} contract`]],
+      ['SERVICE_ACCOUNT_ROLE', [`${deployer} eoa`, `${service} eoa`]]
+    ]]
+  ]);
+  assert.deepStrictEqual(report.findings.map(({ level, code, contract, account }) => [level, code, contract, account]), [
+    ['error', 'eoa_admin', 'CentralizedRoyaltyDistributor', deployer]
+  ]);
+  assert.deepStrictEqual(report.summary, { findings: 1, errors: 1, ok: false });
+
+  // The timeline merges both contracts in chain order
+  assert.deepStrictEqual(report.timeline.slice(0, 4).map(entry => [entry.contract, entry.blockNumber, entry.event]), [
+    ['CentralizedRoyaltyDistributor', 1, 'RoleGranted'],
+    ['CentralizedRoyaltyDistributor', 1, 'RoleGranted'],
+    ['CentralizedRoyaltyDistributor', 1, 'RoleAdminChanged'],
+    ['DiamondGenesisPass', 2, 'OwnershipTransferred']
+  ]);
+  assert.strictEqual(report.timeline[0].timestamp, 1700000012);
+
+  // Starting after the deployment misses the grants, which the views expose
+  const partial = await createRoleAudit({ contracts, fromBlock: 3, toBlock: 10 });
+  assert.deepStrictEqual(partial.findings.filter(item => item.code === 'history_mismatch').map(({ contract, role, account }) => [contract, role, account]), [
+    ['CentralizedRoyaltyDistributor', 'DEFAULT_ADMIN_ROLE', deployer],
+    ['CentralizedRoyaltyDistributor', 'SERVICE_ACCOUNT_ROLE', deployer]
+  ]);
+});
+
+test('flags risky role states before and after the handover', () => {
+  const accounts = new Map([[deployer, 'eoa'], [safe, 'contract'], [service, 'eoa']]);
+  const contract = (fields = {}) => ({ name: 'DiamondGenesisPass', ownable: true, owner: deployer, mismatches: [], roles: {
+    [ADMIN]: { role: ADMIN, name: 'DEFAULT_ADMIN_ROLE', admin: ADMIN, holders: [deployer] },
+    [SERVICE]: { role: SERVICE, name: 'SERVICE_ACCOUNT_ROLE', admin: ADMIN, holders: [service] }
+  }, ...fields });
+  const codes = findings => findings.map(({ level, code }) => `${level} ${code}`);
+
+  // Before the handover the deployer is expected to hold everything
+  assert.deepStrictEqual(codes(findRisks([contract()], accounts)), ['warning eoa_owner', 'warning eoa_admin']);
+  assert.deepStrictEqual(codes(findRisks([contract()], accounts, { safe })), [
+    'error eoa_owner', 'error owner_not_safe', 'error eoa_admin', 'warning safe_not_admin'
+  ]);
+
+  const custom = ethers.utils.id('MINTER_ROLE');
+  const risky = contract({
+    owner: ZERO,
+    roles: {
+      [SERVICE]: { role: SERVICE, name: 'SERVICE_ACCOUNT_ROLE', admin: custom, holders: [service] },
+      [custom]: { role: custom, name: custom, admin: ADMIN, holders: [service] }
+    }
+  });
+  assert.deepStrictEqual(codes(findRisks([risky], accounts)), [
+    'error ownership_renounced', 'error no_admin', 'warning role_admin_changed', 'warning unknown_role'
+  ]);
+});
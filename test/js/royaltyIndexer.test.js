@@ -0,0 +1,194 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { loadAbi } = require('../../script/lib/abis');
+const { createRoyaltyIndexer } = require('../../script/lib/royaltyIndexer');
+
+const COLLECTION = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const DISTRIBUTOR = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const MINTER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BUYER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const txHash = n => ethers.utils.hexZeroPad(ethers.utils.hexlify(n), 32);
+
+/**
+ * In-memory chain: Transfer logs for the NFT, and a distributor that records
+ * RoyaltyAttributed events for every mined batchUpdateRoyaltyData transaction.
+ * Broadcasts are mined at once unless `holdMining` is set; then they wait in the mempool
+ * until `mineHeld()`, and a wait for them times out.
+ */
+function createFakeChain(transfers) {
+  const iface = new ethers.utils.Interface(loadAbi('CentralizedRoyaltyDistributor'));
+  const receipts = new Map();
+  const attributed = [];
+  const mempool = new Set();
+  const chain = { nonce: 0, mined: 0, failNextBroadcast: null, holdMining: false, revertNext: false, waitTimeouts: [] };
+
+  function mine(rawTx) {
+    const hash = ethers.utils.keccak256(rawTx);
+    if (receipts.has(hash)) return;
+    const { data, nonce } = JSON.parse(ethers.utils.toUtf8String(rawTx));
+    chain.nonce = nonce + 1;
+    chain.mined += 1;
+    if (chain.revertNext) {
+      chain.revertNext = false;
+      receipts.set(hash, { status: 0, blockNumber: 100 });
+      return;
+    }
+    const [, tokenIds, , , hashes] = iface.decodeFunctionData('batchUpdateRoyaltyData', data);
+    tokenIds.forEach((tokenId, i) => {
+      attributed.push({ args: { tokenId, transactionHash: hashes[i] } });
+    });
+    receipts.set(hash, { status: 1, blockNumber: 100 });
+  }
+
+  chain.mineHeld = () => {
+    for (const rawTx of mempool) mine(rawTx);
+    mempool.clear();
+  };
+
+  const provider = {
+    async getBlockNumber() { return 100; },
+    async getTransactionReceipt(hash) { return receipts.get(hash) || null; },
+    async waitForTransaction(hash, confirmations, timeout) {
+      chain.waitTimeouts.push(timeout);
+      if (!receipts.has(hash)) {
+        throw Object.assign(new Error('timeout exceeded'), { code: ethers.errors.TIMEOUT });
+      }
+      return receipts.get(hash);
+    },
+    async sendTransaction(rawTx) {
+      if (chain.failNextBroadcast === 'before') {
+        chain.failNextBroadcast = null;
+        throw new Error('crash before broadcast');
+      }
+      if (chain.holdMining) {
+        mempool.add(rawTx);
+      } else {
+        mine(rawTx);
+      }
+      if (chain.failNextBroadcast === 'after') {
+        chain.failNextBroadcast = null;
+        throw new Error('crash after broadcast');
+      }
+    }
+  };
+
+  const wallet = {
+    async getTransactionCount() { return chain.nonce; },
+    async populateTransaction(tx) { return { ...tx, nonce: chain.nonce }; },
+    async signTransaction(tx) { return ethers.utils.hexlify(ethers.utils.toUtf8Bytes(JSON.stringify(tx))); }
+  };
+
+  const nft = {
+    address: COLLECTION,
+    filters: { Transfer: () => ({}) },
+    async queryFilter() { return transfers; },
+    async getMinterOf() { return MINTER; }
+  };
+
+  const distributor = {
+    address: DISTRIBUTOR,
+    interface: iface,
+    filters: { RoyaltyAttributed: () => ({}) },
+    async queryFilter() { return attributed; }
+  };
+
+  return { chain, provider, wallet, nft, distributor, attributed };
+}
+
+function transfer(hash, tokenId, from = MINTER) {
+  return {
+    transactionHash: hash,
+    blockNumber: 50,
+    args: { from, to: BUYER, tokenId: ethers.BigNumber.from(tokenId) }
+  };
+}
+
+const priceSource = { async getSalePrice() { return ethers.utils.parseEther('1'); } };
+
+for (const crash of ['before', 'after']) {
+  test(`resumes without double-submitting after a crash ${crash} broadcast`, async () => {
+    const stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'indexer-')), 'state.json');
+    const fake = createFakeChain([
+      transfer(txHash(1), 1, ethers.constants.AddressZero), // mint
+      transfer(txHash(2), 1),
+      transfer(txHash(3), 2)
+    ]);
+    const options = { ...fake, priceSource, stateFile, startBlock: 0, log: () => {} };
+
+    fake.chain.failNextBroadcast = crash;
+    await assert.rejects(createRoyaltyIndexer(options).runOnce(), /crash/);
+    assert.ok(JSON.parse(fs.readFileSync(stateFile, 'utf8')).pending);
+
+    const nextBlock = await createRoyaltyIndexer(options).runOnce();
+    assert.strictEqual(nextBlock, 101);
+    assert.strictEqual(fake.chain.mined, 1);
+    assert.deepStrictEqual(
+      fake.attributed.map(event => event.args.transactionHash),
+      [txHash(2), txHash(3)]
+    );
+
+    // A fresh process rescans the chain and finds nothing left to submit
+    fs.unlinkSync(stateFile);
+    await createRoyaltyIndexer(options).runOnce();
+    assert.strictEqual(fake.chain.mined, 1);
+  });
+}
+
+function setup(transfers) {
+  const stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'indexer-')), 'state.json');
+  const fake = createFakeChain(transfers || [transfer(txHash(2), 1), transfer(txHash(3), 2)]);
+  const options = { ...fake, priceSource, stateFile, startBlock: 0, log: () => {} };
+  const readState = () => JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  return { ...fake, options, readState };
+}
+
+test('a batch mined between the receipt and nonce checks is not rebuilt', async () => {
+  const { chain, wallet, attributed, options } = setup();
+  chain.holdMining = true;
+  chain.failNextBroadcast = 'after';
+  await assert.rejects(createRoyaltyIndexer(options).runOnce(), /crash after broadcast/);
+
+  // The batch is mined right after the restart finds no receipt for it
+  const { getTransactionCount } = wallet;
+  wallet.getTransactionCount = async (tag) => {
+    wallet.getTransactionCount = getTransactionCount;
+    chain.mineHeld();
+    return getTransactionCount(tag);
+  };
+  chain.holdMining = false;
+  assert.strictEqual(await createRoyaltyIndexer(options).runOnce(), 101);
+  assert.strictEqual(chain.mined, 1);
+  assert.deepStrictEqual(attributed.map(event => event.args.transactionHash), [txHash(2), txHash(3)]);
+});
+
+test('a reverted batch is cleared and rebuilt without the sales attributed meanwhile', async () => {
+  const { chain, attributed, options, readState } = setup();
+  chain.revertNext = true;
+  await assert.rejects(createRoyaltyIndexer(options).runOnce(), /batchUpdateRoyaltyData reverted/);
+  assert.strictEqual(readState().pending, null);
+  assert.strictEqual(readState().nextBlock, 0);
+
+  // Another submitter attributed one of the sales before the retry
+  attributed.push({ args: { tokenId: ethers.BigNumber.from(1), transactionHash: txHash(2) } });
+  assert.strictEqual(await createRoyaltyIndexer(options).runOnce(), 101);
+  assert.strictEqual(chain.mined, 2);
+  assert.deepStrictEqual(attributed.map(event => event.args.transactionHash), [txHash(2), txHash(3)]);
+});
+
+test('a batch that is not mined in time stays pending for the next run', async () => {
+  const { chain, attributed, options, readState } = setup();
+  chain.holdMining = true;
+  assert.strictEqual(await createRoyaltyIndexer({ ...options, waitTimeoutMs: 1000 }).runOnce(), 0);
+  assert.deepStrictEqual(chain.waitTimeouts, [1000]);
+  assert.ok(readState().pending);
+
+  chain.mineHeld();
+  assert.strictEqual(await createRoyaltyIndexer(options).runOnce(), 101);
+  assert.strictEqual(chain.mined, 1);
+  assert.strictEqual(readState().pending, null);
+  assert.deepStrictEqual(attributed.map(event => event.args.transactionHash), [txHash(2), txHash(3)]);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { loadAbi } = require('../../script/lib/abis');
+const {
+  SERVICE_ACCOUNT_ROLE,
+  parseAction,
+  buildTransactions,
+  batchChecksum,
+  createBatchFile
+} = require('../../script/lib/safeBatch');
+const { simulateTransactions } = require('../../script/lib/forkSimulation');
+
+const collection = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const distributor = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const safe = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+const account = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+const dgp = new ethers.utils.Interface(loadAbi('DiamondGenesisPass'));
+const crd = new ethers.utils.Interface(loadAbi('CentralizedRoyaltyDistributor'));
+
+test('owner actions are ABI-encoded against the committed ABIs', () => {
+  const root = ethers.utils.id('root');
+  const transactions = buildTransactions([
+    parseAction(`setMerkleRoot=${root}`),
+    parseAction('setPublicMintActive=true'),
+    { action: 'grantServiceRole', account, target: 'distributor' },
+    { action: 'updateCreatorAddress', creator: account }
+  ], { collection, distributor });
+
+  assert.deepStrictEqual(transactions.map(tx => tx.to), [collection, collection, distributor, collection]);
+  assert.deepStrictEqual([...dgp.decodeFunctionData('setMerkleRoot', transactions[0].data)], [root]);
+  assert.deepStrictEqual([...dgp.decodeFunctionData('setPublicMintActive', transactions[1].data)], [true]);
+  assert.deepStrictEqual([...crd.decodeFunctionData('grantRole', transactions[2].data)], [SERVICE_ACCOUNT_ROLE, account]);
+  assert.deepStrictEqual([...dgp.decodeFunctionData('updateCreatorAddress', transactions[3].data)], [account]);
+  assert.deepStrictEqual(transactions[1].contractInputsValues, { isActive: 'true' });
+
+  assert.throws(() => parseAction('mintOwner=0x1'), /Unknown action "mintOwner"/);
+  assert.throws(() => buildTransactions([parseAction('setRoyaltyRecipient=0x123')], { collection }), /recipient must be an address/);
+  assert.strictEqual(buildTransactions([parseAction(`updateCreatorAddress=${account}`)], { collection })[0].to, collection);
+  assert.throws(() => buildTransactions([parseAction(`setTrustedOracleAddress=${account}`)], { collection }), /distributor must be an address/);
+});
+
+test('admin actions cover registration, oracle settings and role revocation', () => {
+  const transactions = buildTransactions([
+    { action: 'registerCollection', royaltyFeeNumerator: 750, minterShares: '2000', creatorShares: '8000', creator: account },
+    parseAction(`setTrustedOracleAddress=${account}`),
+    parseAction('setOracleUpdateMinBlockInterval=100'),
+    parseAction(`revokeServiceRole=${account}`)
+  ], { collection, distributor });
+
+  assert.deepStrictEqual(transactions.map(tx => tx.to), [distributor, distributor, distributor, collection]);
+  assert.deepStrictEqual(crd.decodeFunctionData('registerCollection', transactions[0].data).map(String), [collection, '750', '2000', '8000', account]);
+  assert.deepStrictEqual([...crd.decodeFunctionData('setTrustedOracleAddress', transactions[1].data)], [account]);
+  assert.deepStrictEqual(crd.decodeFunctionData('setOracleUpdateMinBlockInterval', transactions[2].data).map(String), [collection, '100']);
+  assert.deepStrictEqual([...dgp.decodeFunctionData('revokeRole', transactions[3].data)], [SERVICE_ACCOUNT_ROLE, account]);
+
+  assert.throws(() => parseAction('registerCollection=1'), /takes several fields/);
+  assert.throws(() => buildTransactions([parseAction('setOracleUpdateMinBlockInterval=-1')], { collection, distributor }), /interval must be a non-negative integer/);
+});
+
+test('batch files carry the Transaction Builder checksum', () => {
+  const transactions = buildTransactions([parseAction('setBaseURI=ipfs://new/')], { collection });
+  const batch = createBatchFile({ chainId: 11155111, safe, transactions, createdAt: 1700000000000 });
+
+  assert.strictEqual(batch.chainId, '11155111');
+  assert.strictEqual(batch.meta.createdFromSafeAddress, safe);
+  assert.deepStrictEqual(Object.keys(batch.transactions[0]), ['to', 'value', 'data', 'contractMethod', 'contractInputsValues']);
+
+  // The Transaction Builder drops the checksum, recomputes it and ignores the batch name
+  const { checksum, ...meta } = batch.meta;
+  assert.strictEqual(batchChecksum({ ...batch, meta: { ...meta, name: 'Renamed' } }), checksum);
+  assert.notStrictEqual(batchChecksum({ ...batch, meta, chainId: '1' }), checksum);
+});
+
+test('simulation reports decoded reverts and always rolls the fork back', async () => {
+  const transactions = buildTransactions([
+    parseAction('setPublicMintActive=true'),
+    parseAction(`setRoyaltyRecipient=${account}`)
+  ], { collection });
+
+  const calls = [];
+  const provider = {
+    async send(method, params) {
+      calls.push(method);
+      if (method === 'evm_snapshot') return '0x1';
+      if (method === 'eth_call' && params[0].data === transactions[1].data) {
+        const error = new Error('execution reverted');
+        error.data = dgp.encodeErrorResult('CallerIsNotOwner', []);
+        throw error;
+      }
+      if (method === 'eth_sendTransaction') return `0x${'ab'.repeat(32)}`;
+      return null;
+    },
+    async waitForTransaction() {
+      return { status: 1, gasUsed: ethers.BigNumber.from(28000) };
+    }
+  };
+
+  const results = await simulateTransactions(provider, safe, transactions, [dgp, crd]);
+  assert.deepStrictEqual(results.map(result => [result.success, result.error]), [[true, null], [false, 'CallerIsNotOwner()']]);
+  assert.strictEqual(results[0].gasUsed, '28000');
+  assert.deepStrictEqual(calls.slice(-2), ['anvil_stopImpersonatingAccount', 'evm_revert']);
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { generate } = require('../../sdk/scripts/generate');
+const {
+  DiamondGenesisPassAbi,
+  CentralizedRoyaltyDistributorAbi,
+  ERROR_ABI,
+  ERROR_MESSAGES,
+  GenesisPassError,
+  createGenesisPassSdk
+} = require('../../sdk/src');
+
+const collection = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const distributor = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const minter = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const token = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+const proof = [ethers.utils.id('sibling')];
+
+const dgp = new ethers.utils.Interface(DiamondGenesisPassAbi);
+const crd = new ethers.utils.Interface(CentralizedRoyaltyDistributorAbi);
+
+// JSON-RPC provider answering eth_call from a table of `${address}:${function}` handlers
+class FakeRpcProvider extends ethers.providers.JsonRpcProvider {
+  constructor(handlers) {
+    super('http://127.0.0.1:1', { chainId: 31337, name: 'anvil' });
+    this.handlers = handlers;
+  }
+
+  async send(method, params) {
+    if (method === 'eth_chainId') return '0x7a69';
+    if (method !== 'eth_call') throw new Error(`unexpected ${method}`);
+    const { to, data } = params[0];
+    const iface = ethers.utils.getAddress(to) === collection ? dgp : crd;
+    const call = iface.parseTransaction({ data });
+    const result = this.handlers[`${ethers.utils.getAddress(to)}:${call.name}`](...call.args);
+    if (result && result.revert) {
+      const error = new Error('execution reverted');
+      error.data = result.revert;
+      throw error;
+    }
+    return iface.encodeFunctionResult(call.name, result);
+  }
+}
+
+// viem clients recording calls; `contracts` maps `${address}:${functionName}` to handlers
+function fakeViemClients(contracts, account = minter) {
+  const sent = [];
+  const simulated = [];
+  const lookup = ({ address, functionName, args }) => contracts[`${address}:${functionName}`](...args);
+  const publicClient = {
+    async readContract(call) {
+      return lookup(call);
+    },
+    async simulateContract(call) {
+      simulated.push(call);
+      lookup(call);
+      return { request: call };
+    },
+    async waitForTransactionReceipt({ hash }) {
+      return { transactionHash: hash, status: 'success', blockNumber: 12n, gasUsed: 50000n, logs: [] };
+    }
+  };
+  const walletClient = {
+    account: { address: account },
+    async writeContract(request) {
+      sent.push(request);
+      return `0x${String(sent.length).padStart(64, '0')}`;
+    }
+  };
+  return { publicClient, walletClient, sent, simulated };
+}
+
+function revertedWith(errorName) {
+  // Shape of viem's ContractFunctionExecutionError -> ContractFunctionRevertedError
+  const error = new Error(`The contract function reverted with ${errorName}`);
+  error.cause = { name: 'ContractFunctionRevertedError', data: { errorName, args: [] } };
+  return error;
+}
+
+test('generated SDK files match the committed ABIs', () => {
+  for (const [file, content] of Object.entries(generate())) {
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), content, `${file} is out of date; run npm run generate-sdk`);
+  }
+  for (const error of ERROR_ABI) {
+    assert.ok(ERROR_MESSAGES[error.name], `no message for ${error.name}`);
+  }
+});
+
+test('ethers provider reads return bigints and reverts decode to readable errors', async () => {
+  const provider = new FakeRpcProvider({
+    [`${distributor}:getClaimableRoyalties`]: () => [ethers.utils.parseEther('0.5')],
+    [`${collection}:getHighestBid`]: () => [minter, 7, 0],
+    [`${collection}:PUBLIC_MINT_PRICE`]: () => [ethers.utils.parseEther('0.1')],
+    [`${collection}:whitelistMint`]: () => ({ revert: dgp.encodeErrorResult('AddressAlreadyClaimed', []) })
+  });
+  const sdk = createGenesisPassSdk({ collection, distributor, provider });
+
+  assert.deepStrictEqual(await sdk.getClaimable(minter), { recipient: minter, eth: 500000000000000000n, erc20: {} });
+  assert.deepStrictEqual(await sdk.collection.getHighestBid(1, false), { bidder: minter, amount: 7n, index: 0n });
+  await assert.rejects(sdk.mintWhitelist(proof, 1), /A signer is required to send whitelistMint/);
+  await assert.rejects(sdk.collection.getHighestBid(1), /expects 2 argument/);
+
+  const signer = new ethers.VoidSigner(minter, provider);
+  const withSigner = createGenesisPassSdk({ collection, distributor, signer });
+  await assert.rejects(withSigner.mintWhitelist(proof, 1), error => {
+    assert.ok(error instanceof GenesisPassError);
+    assert.strictEqual(error.errorName, 'AddressAlreadyClaimed');
+    assert.strictEqual(error.message, 'DiamondGenesisPass.whitelistMint failed: This address has already used its whitelist mint (AddressAlreadyClaimed)');
+    return true;
+  });
+});
+
+test('viem clients: claimAll claims ETH and ERC20 royalties as the connected account', async () => {
+  const { publicClient, walletClient, sent } = fakeViemClients({
+    [`${distributor}:getClaimableRoyalties`]: () => 3n,
+    [`${distributor}:getClaimableERC20Royalties`]: () => 0n,
+    [`${distributor}:claimRoyalties`]: () => undefined
+  });
+  const sdk = createGenesisPassSdk({ collection, distributor, publicClient, walletClient, erc20Tokens: [token] });
+
+  assert.deepStrictEqual(await sdk.getClaimable(), { recipient: minter, eth: 3n, erc20: { [token]: 0n } });
+  const claims = await sdk.claimAll(minter);
+  assert.deepStrictEqual(claims.map(({ token: claimed, amount, receipt }) => [claimed, amount, receipt.status]), [[null, 3n, 'success']]);
+  assert.deepStrictEqual(sent.map(({ functionName, args }) => [functionName, args]), [['claimRoyalties', [collection, 3n]]]);
+  await assert.rejects(sdk.claimAll(token), /connect 0x9fE4.* to claim them/);
+});
+
+test('viem clients: nothing due and contract reverts become GenesisPassErrors', async () => {
+  const { publicClient, walletClient, sent, simulated } = fakeViemClients({
+    [`${distributor}:getClaimableRoyalties`]: () => 0n,
+    [`${collection}:PUBLIC_MINT_PRICE`]: () => 100n,
+    [`${collection}:whitelistMint`]: () => {
+      throw revertedWith('InvalidMerkleProof');
+    }
+  });
+  const sdk = createGenesisPassSdk({ collection, distributor, publicClient, walletClient });
+
+  await assert.rejects(sdk.claimAll(), { name: 'GenesisPassError', errorName: 'RoyaltyDistributor__NoRoyaltiesDueForAddress' });
+  await assert.rejects(sdk.mintWhitelist(proof, '2'), {
+    errorName: 'InvalidMerkleProof',
+    message: 'DiamondGenesisPass.whitelistMint failed: The Merkle proof does not match this address and quantity (InvalidMerkleProof)'
+  });
+  assert.deepStrictEqual(simulated.map(({ args, value, account }) => [args, value, account]), [[[2n, proof], 200n, walletClient.account]]);
+  assert.strictEqual(sent.length, 0);
+});
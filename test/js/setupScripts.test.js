@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { CliError, EXIT_USAGE, updateEnvFile } = require('../../script/lib/cli');
+const { getNetwork } = require('../../script/lib/networks');
+const { createPrompter, createOptionResolver } = require('../../script/lib/prompt');
+
+const root = path.join(__dirname, '..', '..');
+
+test('network registry resolves names and chain IDs', () => {
+  const sepolia = getNetwork('sepolia');
+  assert.strictEqual(sepolia.chainId, 11155111);
+  assert.strictEqual(getNetwork(11155111).key, 'sepolia');
+  assert.strictEqual(sepolia.donIdBytes32, `0x${Buffer.from('fun-ethereum-sepolia-1').toString('hex').padEnd(64, '0')}`);
+  assert.throws(() => getNetwork('goerli'), error => error instanceof CliError && error.exitCode === EXIT_USAGE);
+});
+
+test('options come from flags, then config, then the environment', async () => {
+  const prompter = createPrompter({ interactive: false });
+  const option = createOptionResolver({
+    values: { network: 'sepolia' },
+    config: { network: 'mainnet', subscriptionId: '42' },
+    prompter
+  });
+  process.env.TEST_GAS_LIMIT = '500000';
+  process.env.TEST_PLACEHOLDER = 'your_api_key_here';
+
+  assert.strictEqual(await option('network'), 'sepolia');
+  assert.strictEqual(await option('subscription-id', { env: 'CHAINLINK_SUBSCRIPTION_ID' }), '42');
+  assert.strictEqual(await option('callback-gas-limit', { env: 'TEST_GAS_LIMIT', defaultValue: '300000' }), '500000');
+  await assert.rejects(option('api-key', { env: 'TEST_PLACEHOLDER', prompt: 'API key' }), /--api-key is required/);
+  await assert.rejects(option('network', { validate: () => 'nope' }), /--network: nope/);
+  await assert.rejects(prompter.confirm('Go?'), /Pass --yes/);
+});
+
+test('updateEnvFile replaces and appends keys and reports changes', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'env-')), '.env');
+  fs.writeFileSync(file, 'A=1\nB=2');
+  assert.deepStrictEqual(updateEnvFile(file, { A: '1', B: '3', C: '$4' }, null), ['B', 'C']);
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), 'A=1\nB=3\nC=$4\n');
+});
+
+test('setup-whitelist runs non-interactively and prints a JSON summary', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-'));
+  const configFile = path.join(dir, 'setup.json');
+  fs.writeFileSync(configFile, JSON.stringify({
+    network: 'sepolia',
+    subscriptionId: '123',
+    apiKey: 'secret',
+    royaltyReceiver: '0x70997970c51812dc3a010c7d01b50e0d17dc79c8',
+    skipApiCheck: true
+  }));
+  const run = args => spawnSync(process.execPath, [path.join(root, 'script', 'SetupWhitelist.js'), ...args], {
+    cwd: dir,
+    encoding: 'utf8',
+    env: { ...process.env, NETWORK: '', SONZAI_API_KEY: '' }
+  });
+
+  const ok = run(['--yes', '--config', configFile]);
+  assert.strictEqual(ok.status, 0, ok.stderr);
+  const summary = JSON.parse(ok.stdout);
+  assert.strictEqual(summary.chainId, 11155111);
+  assert.strictEqual(summary.env.SONZAI_API_KEY, '<redacted>');
+  assert.strictEqual(summary.env.CHAINLINK_ROUTER_ADDRESS, '0xb83E47C2bC239B3bf370bc41e1459A34b41238D0');
+  assert.strictEqual(summary.apiCheck, 'skipped');
+  assert.match(fs.readFileSync(path.join(dir, '.env'), 'utf8'), /^SONZAI_API_KEY=secret$/m);
+
+  const missing = run(['--yes', '--network', 'sepolia', '--dotenv', path.join(dir, 'other.env')]);
+  assert.strictEqual(missing.status, EXIT_USAGE);
+  assert.match(missing.stderr, /--subscription-id is required/);
+});
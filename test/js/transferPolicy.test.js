@@ -0,0 +1,235 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+  TRANSFER_VALIDATOR_ABI,
+  parsePolicy,
+  loadPolicyFile,
+  readCollectionPolicy,
+  readList,
+  findOwnedLists,
+  planPolicy,
+  formatPlan
+} = require('../../script/lib/transferPolicy');
+
+const VALIDATOR = '0x721C0078c2328597Ca70F5451ffF5A7B38D4E947';
+const COLLECTION = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const SAFE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const OTHER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const SEAPORT = '0x0000000000000068F116a894984e2DB1123eB395';
+const CODEHASH = `0x${'ab'.repeat(32)}`;
+
+const iface = new ethers.utils.Interface(TRANSFER_VALIDATOR_ABI);
+
+/**
+ * In-memory validator: the getters the policy manager reads and the setters it calls, with
+ * lists as sets like the contract's EnumerableSets.
+ */
+function createFakeValidator() {
+  const state = { lastListId: 0, owners: { 0: OTHER }, lists: {}, policies: {}, frozen: {} };
+  const list = id => {
+    if (!state.lists[id]) {
+      state.lists[id] = { wa: new Set(), wc: new Set(), ba: new Set(), bc: new Set(), au: new Set() };
+    }
+    return state.lists[id];
+  };
+  const policy = collection => {
+    if (!state.policies[collection]) {
+      state.policies[collection] = {
+        disableAuthorizationMode: false,
+        authorizersCannotSetWildcardOperators: false,
+        transferSecurityLevel: 0,
+        listId: ethers.BigNumber.from(0),
+        enableAccountFreezingMode: false,
+        tokenType: 0
+      };
+    }
+    return state.policies[collection];
+  };
+  const edit = (key, add) => async (id, values) => values.forEach(value => (add ? list(id)[key].add(value) : list(id)[key].delete(value)));
+
+  return {
+    state,
+    address: VALIDATOR,
+    interface: iface,
+    async lastListId() { return ethers.BigNumber.from(state.lastListId); },
+    async listOwners(id) { return state.owners[id] || ethers.constants.AddressZero; },
+    async getCollectionSecurityPolicy(collection) { return { ...policy(collection) }; },
+    async getWhitelistedAccounts(id) { return [...list(id).wa]; },
+    async getWhitelistedCodeHashes(id) { return [...list(id).wc]; },
+    async getBlacklistedAccounts(id) { return [...list(id).ba]; },
+    async getBlacklistedCodeHashes(id) { return [...list(id).bc]; },
+    async getAuthorizerAccounts(id) { return [...list(id).au]; },
+    async getFrozenAccountsByCollection(collection) { return [...(state.frozen[collection] || [])]; },
+    async createList() {
+      state.lastListId += 1;
+      state.owners[state.lastListId] = SAFE;
+      return state.lastListId;
+    },
+    addAccountsToWhitelist: edit('wa', true),
+    removeAccountsFromWhitelist: edit('wa', false),
+    addCodeHashesToWhitelist: edit('wc', true),
+    removeCodeHashesFromWhitelist: edit('wc', false),
+    addAccountsToBlacklist: edit('ba', true),
+    removeAccountsFromBlacklist: edit('ba', false),
+    addCodeHashesToBlacklist: edit('bc', true),
+    removeCodeHashesFromBlacklist: edit('bc', false),
+    addAccountsToAuthorizers: edit('au', true),
+    removeAccountsFromAuthorizers: edit('au', false),
+    async applyListToCollection(collection, id) { policy(collection).listId = ethers.BigNumber.from(id); },
+    async setTransferSecurityLevelOfCollection(collection, level, disableAuthorizationMode, disableWildcardOperators, enableAccountFreezingMode) {
+      Object.assign(policy(collection), {
+        transferSecurityLevel: level,
+        disableAuthorizationMode,
+        authorizersCannotSetWildcardOperators: disableWildcardOperators,
+        enableAccountFreezingMode
+      });
+    },
+    async setTokenTypeOfCollection(collection, tokenType) { policy(collection).tokenType = tokenType; },
+    async freezeAccountsForCollection(collection, accounts) {
+      state.frozen[collection] = [...new Set([...(state.frozen[collection] || []), ...accounts])];
+    },
+    async unfreezeAccountsForCollection(collection, accounts) {
+      state.frozen[collection] = (state.frozen[collection] || []).filter(account => !accounts.includes(account));
+    }
+  };
+}
+
+async function planFor(validator, policy, { sender = SAFE, canManageCollection = true } = {}) {
+  const current = await readCollectionPolicy(validator, COLLECTION);
+  const listId = policy.list.id !== null ? policy.list.id : 1;
+  const exists = listId <= validator.state.lastListId;
+  return planPolicy(policy, {
+    collection: COLLECTION,
+    current,
+    list: exists ? await readList(validator, listId) : null,
+    listId,
+    sender,
+    canManageCollection
+  });
+}
+
+test('policy files are validated and unquoted hex in YAML stays a string', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transfer-policy-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'policy.yaml');
+  fs.writeFileSync(file, [
+    'transferSecurityLevel: 3',
+    'list:',
+    '  name: Genesis',
+    '  whitelist:',
+    `    accounts: [${SEAPORT.toLowerCase()}]`,
+    `    codeHashes: [${CODEHASH.toUpperCase().replace('0X', '0x')}]`,
+    `frozenAccounts: [${OTHER}]`
+  ].join('\n'));
+
+  assert.deepStrictEqual(loadPolicyFile(file), {
+    transferSecurityLevel: 3,
+    frozenAccounts: [OTHER],
+    list: { id: null, name: 'Genesis', sections: { 'whitelist.accounts': [SEAPORT], 'whitelist.codeHashes': [CODEHASH] } }
+  });
+  assert.deepStrictEqual(loadPolicyFile(path.resolve(__dirname, '../../config/transfer-policy.example.yaml')).list.sections['whitelist.accounts'], [SEAPORT]);
+
+  assert.throws(() => parsePolicy({ transferSecurityLevle: 3 }), /unknown key\(s\) transferSecurityLevle/);
+  assert.throws(() => parsePolicy({ transferSecurityLevel: 10 }), /from 0 to 9/);
+  assert.throws(() => parsePolicy({ list: { whitelist: { accounts: [] } } }), /needs an id or a name/);
+  assert.throws(() => parsePolicy({ list: { id: 1, authorizers: [SAFE, SAFE.toLowerCase()] } }), /listed twice/);
+  assert.throws(() => parsePolicy({ list: { id: 1, blacklist: { codeHashes: ['0x12'] } } }), /not a bytes32 codehash/);
+});
+
+test('the plan converges the collection and is empty once applied', async () => {
+  const validator = createFakeValidator();
+  validator.state.frozen[COLLECTION] = [OTHER];
+  const policy = parsePolicy({
+    transferSecurityLevel: 3,
+    enableAccountFreezingMode: true,
+    tokenType: 721,
+    list: { name: 'Genesis', whitelist: { accounts: [SEAPORT], codeHashes: [CODEHASH] }, authorizers: [] },
+    frozenAccounts: [SAFE]
+  });
+
+  const plan = await planFor(validator, policy);
+  assert.deepStrictEqual(plan.errors, []);
+  assert.deepStrictEqual(plan.calls.map(({ method, args }) => [method, args[0]]), [
+    ['createList', 'Genesis'],
+    ['addAccountsToWhitelist', 1],
+    ['addCodeHashesToWhitelist', 1],
+    ['applyListToCollection', COLLECTION],
+    ['setTransferSecurityLevelOfCollection', COLLECTION],
+    ['setTokenTypeOfCollection', COLLECTION],
+    ['freezeAccountsForCollection', COLLECTION],
+    ['unfreezeAccountsForCollection', COLLECTION]
+  ]);
+  assert.deepStrictEqual(plan.calls[4].args, [COLLECTION, 3, false, false, true]);
+  assert.deepStrictEqual(formatPlan(plan).slice(0, 4), [
+    '  + list 1 "Genesis" (create)',
+    '  ~ list 1 "Genesis" whitelist.accounts',
+    `      + ${SEAPORT}`,
+    '  ~ list 1 "Genesis" whitelist.codeHashes'
+  ]);
+  // Every call encodes against the validator ABI
+  plan.calls.forEach(({ method, args }) => iface.encodeFunctionData(method, args));
+
+  for (const { method, args } of plan.calls) await validator[method](...args);
+  assert.deepStrictEqual(await planFor(validator, policy), { changes: [], calls: [], errors: [] });
+
+  // Only the difference is sent: one entry swapped, the rest left alone
+  validator.state.lists[1].wa.add(OTHER);
+  const drift = await planFor(validator, { ...policy, list: { ...policy.list, id: 1 } });
+  assert.deepStrictEqual(drift.calls.map(({ method, args }) => [method, args[1]]), [['removeAccountsFromWhitelist', [OTHER]]]);
+});
+
+test('changes the sender is not allowed to make are reported', async () => {
+  const validator = createFakeValidator();
+  const policy = parsePolicy({ transferSecurityLevel: 2, list: { id: 0, blacklist: { accounts: [OTHER] } } });
+  const plan = await planFor(validator, policy, { canManageCollection: false });
+  assert.deepStrictEqual(plan.errors, [
+    `list 0 is owned by ${OTHER}, not ${SAFE}, so its blacklist.accounts cannot be changed`,
+    `${SAFE} is not the owner or an admin of ${COLLECTION}, so it cannot change the collection's policy`
+  ]);
+  assert.deepStrictEqual(plan.calls.map(({ method }) => method), ['setTransferSecurityLevelOfCollection']);
+
+  // Pointing the collection at the default list needs nothing
+  assert.deepStrictEqual((await planFor(validator, parsePolicy({ list: { id: 0 } }))).calls, []);
+});
+
+test('lists are found by owner and named from their CreatedList event', async () => {
+  const log = (name, args, transactionHash, blockNumber) => ({
+    ...iface.encodeEventLog(iface.getEvent(name), args),
+    address: VALIDATOR,
+    transactionHash,
+    blockNumber
+  });
+  const receipts = {
+    '0x01': { logs: [log('CreatedList', [3, 'Genesis'], '0x01', 5), log('ReassignedListOwnership', [3, SAFE], '0x01', 5)] },
+    '0x02': { logs: [log('CreatedList', [4, 'Old'], '0x02', 2500), log('ReassignedListOwnership', [4, SAFE], '0x02', 2500)] },
+    // List 7 was created by someone else and handed to the Safe
+    '0x03': { logs: [log('ReassignedListOwnership', [7, SAFE], '0x03', 2600)] }
+  };
+  const queries = [];
+  const validator = {
+    address: VALIDATOR,
+    interface: iface,
+    provider: {
+      async getLogs(filter) {
+        queries.push([filter.fromBlock, filter.toBlock]);
+        assert.strictEqual(filter.topics[2], ethers.utils.hexZeroPad(SAFE, 32).toLowerCase());
+        return Object.values(receipts)
+          .flatMap(receipt => receipt.logs)
+          .filter(entry => entry.topics[0] === filter.topics[0] && entry.blockNumber >= filter.fromBlock && entry.blockNumber <= filter.toBlock);
+      },
+      async getTransactionReceipt(hash) { return receipts[hash]; }
+    },
+    // List 4 has since been given away
+    async listOwners(id) { return id === 4 ? OTHER : SAFE; }
+  };
+
+  assert.deepStrictEqual(await findOwnedLists(validator, SAFE, { fromBlock: 0, toBlock: 4999 }), [
+    { id: 3, name: 'Genesis' },
+    { id: 7, name: null }
+  ]);
+  assert.deepStrictEqual(queries, [[0, 1999], [2000, 3999], [4000, 4999]]);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { parseExpectedState, maskImmutables, checkDeployment } = require('../../script/lib/deploymentChecks');
+
+const passAddress = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const distributorAddress = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const validatorAddress = '0x721C002B0059009a671D00aD1700c9748146cd1B';
+const [deployer, safe, oracle, creator] = [
+  '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+  '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+  '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC',
+  '0x90F79bf6EB2c4f870365E785982E1f101E93b906'
+];
+const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero;
+const SERVICE_ACCOUNT_ROLE = ethers.utils.id('SERVICE_ACCOUNT_ROLE');
+const bn = value => ethers.BigNumber.from(value);
+
+// The views checkDeployment reads, over a plain state object
+function fakeDeployment(overrides = {}) {
+  const state = {
+    code: { [passAddress]: '0x6001', [distributorAddress]: '0x6002', [validatorAddress]: '0x6003' },
+    fee: 750,
+    registered: true,
+    shares: [2000, 8000],
+    owner: safe,
+    roles: { [passAddress]: [`${DEFAULT_ADMIN_ROLE}|${safe}`], [distributorAddress]: [`${DEFAULT_ADMIN_ROLE}|${safe}`] },
+    oracle,
+    validator: validatorAddress,
+    ...overrides
+  };
+  const provider = {
+    async getCode(address) {
+      return state.code[address] || '0x';
+    }
+  };
+  const hasRole = address => async (role, account) => state.roles[address].includes(`${role}|${account}`);
+  const pass = {
+    address: passAddress,
+    provider,
+    FEE_DENOMINATOR: async () => bn(10000),
+    royaltyInfo: async (tokenId, salePrice) => [distributorAddress, salePrice.mul(state.fee).div(10000)],
+    centralizedDistributor: async () => distributorAddress,
+    owner: async () => state.owner,
+    DEFAULT_ADMIN_ROLE: async () => DEFAULT_ADMIN_ROLE,
+    SERVICE_ACCOUNT_ROLE: async () => SERVICE_ACCOUNT_ROLE,
+    hasRole: hasRole(passAddress),
+    getTransferValidator: async () => state.validator
+  };
+  const distributor = {
+    address: distributorAddress,
+    provider,
+    isCollectionRegistered: async () => state.registered,
+    getCollectionConfig: async () => ({ royaltyFeeNumerator: bn(state.fee), minterShares: bn(state.shares[0]), creatorShares: bn(state.shares[1]), creator }),
+    SHARES_DENOMINATOR: async () => bn(10000),
+    hasRole: hasRole(distributorAddress),
+    trustedOracleAddress: async () => state.oracle
+  };
+  return { pass, distributor };
+}
+
+const expected = parseExpectedState({ royaltyFeeNumerator: 750, owner: safe.toLowerCase(), creator, trustedOracle: oracle, formerAdmins: [deployer] });
+const failures = checks => checks.filter(item => item.status === 'fail').map(item => `${item.contract} ${item.check}`);
+
+test('parses the expected state', () => {
+  assert.strictEqual(expected.owner, safe);
+  assert.strictEqual(expected.transferValidator, null);
+  assert.throws(() => parseExpectedState({ owner: safe }), /royaltyFeeNumerator must be an integer/);
+  assert.throws(() => parseExpectedState({ royaltyFeeNumerator: 750, owner: safe, admins: safe }), /admins must be an array/);
+  assert.throws(() => parseExpectedState({ royaltyFeeNumerator: 750, owner: safe, contracts: { DiamondGenesisPass: '0x1234' } }), /contracts.DiamondGenesisPass must be an address/);
+});
+
+test('a deployment handed over to the Safe passes every check', async () => {
+  const checks = await checkDeployment({ ...fakeDeployment(), expected });
+  assert.deepStrictEqual(failures(checks), []);
+  assert.deepStrictEqual([...new Set(checks.map(item => item.check))], [
+    'code', 'royalty_receiver', 'royalty_amount', 'distributor_link', 'collection_registered', 'collection_fee',
+    'collection_shares', 'collection_creator', 'owner', 'admin_role', 'former_admin_role', 'former_service_role',
+    'trusted_oracle', 'transfer_validator'
+  ]);
+});
+
+test('reports every drift from the expected state', async () => {
+  const deployment = fakeDeployment({
+    fee: 500,
+    shares: [2000, 7000],
+    owner: deployer,
+    roles: { [passAddress]: [`${DEFAULT_ADMIN_ROLE}|${safe}`, `${SERVICE_ACCOUNT_ROLE}|${deployer}`], [distributorAddress]: [`${DEFAULT_ADMIN_ROLE}|${deployer}`] },
+    oracle: ethers.constants.AddressZero,
+    // The default validator is not deployed on this chain
+    validator: '0x0000000000000000000000000000000000000721'
+  });
+  const checks = await checkDeployment({ ...deployment, expected });
+  assert.deepStrictEqual(failures(checks), [
+    'DiamondGenesisPass royalty_amount',
+    'CentralizedRoyaltyDistributor collection_fee',
+    'CentralizedRoyaltyDistributor collection_shares',
+    'DiamondGenesisPass owner',
+    'DiamondGenesisPass former_service_role',
+    'CentralizedRoyaltyDistributor admin_role',
+    'CentralizedRoyaltyDistributor former_admin_role',
+    'CentralizedRoyaltyDistributor trusted_oracle',
+    'DiamondGenesisPass transfer_validator'
+  ]);
+  assert.strictEqual(checks.find(item => item.check === 'collection_shares').message, 'minter (2000) and creator (7000) shares do not add up to 10000');
+  assert.match(checks.find(item => item.check === 'transfer_validator').message, /has no code on this chain/);
+
+  const unregistered = await checkDeployment({ ...fakeDeployment({ registered: false }), expected });
+  assert.deepStrictEqual(failures(unregistered), ['CentralizedRoyaltyDistributor collection_registered']);
+
+  const missing = await checkDeployment({ ...fakeDeployment({ code: {} }), expected });
+  assert.deepStrictEqual(failures(missing), ['DiamondGenesisPass code', 'CentralizedRoyaltyDistributor code']);
+});
+
+test('compares runtime bytecode with the artifact, ignoring immutables', async () => {
+  // Bytes 1-2 hold an immutable set by the constructor
+  const artifact = { source: 'src/DiamondGenesisPass.sol', deployedBytecode: '0x600000006001', immutableReferences: { 7: [{ start: 1, length: 2 }] } };
+  assert.strictEqual(maskImmutables('0x60abcd006001', artifact.immutableReferences), '0x600000006001');
+
+  const deployment = fakeDeployment({ code: { [passAddress]: '0x60abcd006001', [distributorAddress]: '0x6002', [validatorAddress]: '0x6003' } });
+  const checks = await checkDeployment({ ...deployment, expected, artifacts: { DiamondGenesisPass: artifact } });
+  assert.strictEqual(checks.find(item => item.check === 'runtime_bytecode').status, 'ok');
+
+  const modified = fakeDeployment({ code: { [passAddress]: '0x60abcd006002', [distributorAddress]: '0x6002', [validatorAddress]: '0x6003' } });
+  const drift = await checkDeployment({ ...modified, expected, artifacts: { DiamondGenesisPass: artifact } });
+  assert.deepStrictEqual(failures(drift), ['DiamondGenesisPass runtime_bytecode']);
+});
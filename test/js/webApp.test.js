@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWebAppServer } = require('../../script/WebAppServer');
+const { loadAbi } = require('../../script/lib/abis');
+
+const config = {
+  network: { key: 'sepolia', name: 'Sepolia Testnet', chainId: 11155111, explorer: 'https://sepolia.etherscan.io' },
+  collection: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+  distributor: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512',
+  erc20Tokens: []
+};
+
+test('serves the claim app with its config, ABIs and error messages', async (t) => {
+  const server = createWebAppServer({ config });
+  await new Promise(resolve => server.listen(0, resolve));
+  t.after(() => server.close());
+  const base = `http://localhost:${server.address().port}`;
+
+  assert.deepStrictEqual(await (await fetch(`${base}/config.json`)).json(), config);
+  assert.deepStrictEqual(await (await fetch(`${base}/abis/CentralizedRoyaltyDistributor.json`)).json(), loadAbi('CentralizedRoyaltyDistributor'));
+  assert.strictEqual((await fetch(`${base}/abis/Unknown.json`)).status, 404);
+
+  const messages = await (await fetch(`${base}/error-messages.json`)).json();
+  assert.strictEqual(messages.RoyaltyDistributor__InsufficientUnclaimedRoyalties, 'The amount is more than the unclaimed royalties for this address');
+
+  const page = await fetch(`${base}/`);
+  assert.strictEqual(page.headers.get('content-type'), 'text/html; charset=utf-8');
+  assert.match(await page.text(), /<script type="module" src="claim.js">/);
+  assert.strictEqual((await fetch(`${base}/claim.js`)).headers.get('content-type'), 'text/javascript; charset=utf-8');
+
+  assert.strictEqual((await fetch(`${base}/%2e%2e/package.json`)).status, 404);
+  assert.strictEqual((await fetch(`${base}/missing.html`)).status, 404);
+  assert.strictEqual((await fetch(`${base}/config.json`, { method: 'POST' })).status, 405);
+});
+
+test('encodes admin actions and exports them as a Safe batch', async (t) => {
+  const server = createWebAppServer({ config });
+  await new Promise(resolve => server.listen(0, resolve));
+  t.after(() => server.close());
+  const post = (route, body) => fetch(`http://localhost:${server.address().port}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const safe = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+  const actions = [
+    { action: 'setTrustedOracleAddress', oracle: safe },
+    { action: 'revokeServiceRole', account: safe, target: 'distributor' }
+  ];
+
+  const { transactions } = await (await post('/api/transactions', { actions })).json();
+  assert.deepStrictEqual(transactions.map(tx => tx.to), [config.distributor, config.distributor]);
+  assert.strictEqual(transactions[0].description, `distributor.setTrustedOracleAddress(${safe})`);
+
+  const batch = await (await post('/api/safe-batch', { safe, actions, name: 'Oracle handover' })).json();
+  assert.strictEqual(batch.chainId, '11155111');
+  assert.strictEqual(batch.meta.name, 'Oracle handover');
+  assert.deepStrictEqual(batch.transactions.map(tx => tx.data), transactions.map(tx => tx.data));
+
+  const invalid = await post('/api/transactions', { actions: [{ action: 'setMerkleRoot', merkleRoot: '0x12' }] });
+  assert.strictEqual(invalid.status, 400);
+  assert.match((await invalid.json()).error, /merkleRoot must be a bytes32/);
+  assert.strictEqual((await post('/api/safe-batch', { actions })).status, 400);
+  assert.strictEqual((await post('/api/transactions', { actions: [] })).status, 400);
+  assert.strictEqual((await fetch(`http://localhost:${server.address().port}/api/transactions`)).status, 405);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const {
+  MAX_WHITELIST_SUPPLY,
+  whitelistLeaf,
+  parseAllowlist,
+  validateAllowlist,
+  buildWhitelistTree,
+  verifyProof
+} = require('../../script/lib/whitelist');
+
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const CAROL = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+
+test('leaf matches keccak256(abi.encodePacked(address, uint256))', () => {
+  const packed = ethers.utils.hexConcat([ALICE, ethers.utils.hexZeroPad(ethers.utils.hexlify(3), 32)]);
+  assert.strictEqual(whitelistLeaf(ALICE, 3), ethers.utils.keccak256(packed));
+});
+
+test('every generated proof verifies against the root', () => {
+  const rows = parseAllowlist(`address,quantity\n${ALICE},1\n${BOB},2\n${CAROL},5\n`, 'csv');
+  const { entries, errors } = validateAllowlist(rows);
+  assert.deepStrictEqual(errors, []);
+
+  const { root, claims } = buildWhitelistTree(entries);
+  for (const [address, claim] of Object.entries(claims)) {
+    assert.ok(verifyProof(root, whitelistLeaf(address, claim.quantity), claim.proof));
+  }
+  assert.ok(!verifyProof(root, whitelistLeaf(ALICE, 2), claims[ALICE].proof));
+});
+
+test('flags duplicates, checksum errors and oversupply', () => {
+  const rows = parseAllowlist(JSON.stringify([
+    { address: ALICE, quantity: 1 },
+    { address: ALICE.toLowerCase(), quantity: 1 },
+    { address: BOB.replace('C44', 'c44'), quantity: 1 },
+    { address: CAROL, quantity: MAX_WHITELIST_SUPPLY }
+  ]), 'json');
+  const types = validateAllowlist(rows).errors.map(error => error.type);
+  assert.deepStrictEqual(types, ['duplicate', 'checksum', 'supply-exceeded']);
+});